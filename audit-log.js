@@ -0,0 +1,129 @@
+// Audit log page - lists every request sent to an AI provider, recorded by the service worker
+document.addEventListener('DOMContentLoaded', () => {
+    const content = document.getElementById('auditContent');
+    const retentionSelect = document.getElementById('retentionSelect');
+    const keepPromptsCheckbox = document.getElementById('keepPromptsCheckbox');
+    const deleteAllButton = document.getElementById('deleteAllButton');
+
+    const purposeLabels = {
+        analysis: 'Section analysis',
+        vision: 'Image analysis',
+        rewrite: 'Rewrite suggestions',
+        repair: 'Response repair',
+        'key test': 'API key test'
+    };
+
+    // Create an element with optional class and text
+    function el(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined && text !== null) element.textContent = text;
+        return element;
+    }
+
+    function formatDate(timestamp) {
+        return new Date(timestamp).toLocaleString(undefined, {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    function deleteEntries(ids) {
+        chrome.runtime.sendMessage({ action: 'deleteAuditEntries', ids }, () => loadLog());
+    }
+
+    function renderEntry(entry) {
+        const block = el('div', 'entry');
+
+        const header = el('div', 'entry-header');
+        const heading = el('div');
+        heading.append(
+            el('div', 'entry-title', `${purposeLabels[entry.purpose] || entry.purpose} · ${entry.provider}${entry.model ? ` / ${entry.model}` : ''}`),
+            el('div', 'entry-time', formatDate(entry.timestamp))
+        );
+        const deleteButton = el('button', 'delete-button', 'Delete');
+        deleteButton.addEventListener('click', () => deleteEntries([entry.id]));
+        header.append(heading, deleteButton);
+        block.appendChild(header);
+
+        const details = el('div', 'entry-details');
+        details.appendChild(el('span', null, `Sections: ${entry.sections?.length ? entry.sections.join(', ') : 'none'}`));
+        details.appendChild(el('span', null, `Size: ${formatBytes(entry.bytes)}`));
+        const hash = el('span', 'hash', `SHA-256 ${entry.payloadHash.substring(0, 16)}...`);
+        hash.title = entry.payloadHash;
+        details.appendChild(hash);
+        if (entry.hasImage) {
+            details.appendChild(el('span', 'tag', 'Image attached'));
+        }
+        block.appendChild(details);
+
+        if (entry.prompt) {
+            const prompt = el('details');
+            prompt.append(el('summary', null, 'Prompt text'), el('pre', null, entry.prompt));
+            block.appendChild(prompt);
+        } else if (entry.promptDropped) {
+            block.appendChild(el('p', 'entry-time', 'Prompt text removed to stay within the storage limit.'));
+        }
+        return block;
+    }
+
+    function renderLog(entries) {
+        if (entries.length === 0) {
+            content.replaceChildren(el('p', 'empty-state', 'No requests have been sent to an AI provider in this period.'));
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        const totalBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+        fragment.appendChild(el('p', 'summary', `${entries.length} request${entries.length === 1 ? '' : 's'}, ${formatBytes(totalBytes)} sent in total. Newest first.`));
+        [...entries].reverse().forEach(entry => fragment.appendChild(renderEntry(entry)));
+        fragment.appendChild(el('p', 'footer', 'Each hash identifies the exact request body, so identical requests share a hash. Sizes include only what was sent to the provider.'));
+        content.replaceChildren(fragment);
+    }
+
+    function loadLog() {
+        chrome.storage.local.get(['outboundAuditLog', 'auditRetentionDays', 'auditKeepPrompts'], (data) => {
+            if (chrome.runtime.lastError) {
+                content.replaceChildren(el('p', 'empty-state', 'Could not read the audit log.'));
+                return;
+            }
+            retentionSelect.value = String(data.auditRetentionDays || 30);
+            keepPromptsCheckbox.checked = !!data.auditKeepPrompts;
+            renderLog(data.outboundAuditLog || []);
+        });
+    }
+
+    retentionSelect.addEventListener('change', () => {
+        chrome.runtime.sendMessage({ action: 'updateAuditSettings', retentionDays: Number(retentionSelect.value) }, () => loadLog());
+    });
+
+    // Turning this off also clears prompt text already stored
+    keepPromptsCheckbox.addEventListener('change', () => {
+        chrome.runtime.sendMessage({ action: 'updateAuditSettings', keepPrompts: keepPromptsCheckbox.checked }, () => loadLog());
+    });
+
+    deleteAllButton.addEventListener('click', () => {
+        if (confirm('Delete the whole audit log?')) {
+            deleteEntries(null);
+        }
+    });
+
+    // New requests show up while the page is open
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.outboundAuditLog) {
+            renderLog(changes.outboundAuditLog.newValue || []);
+        }
+    });
+
+    loadLog();
+});
\ No newline at end of file
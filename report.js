@@ -0,0 +1,126 @@
+// Printable report page - renders the analysis exported from the overlay
+document.addEventListener('DOMContentLoaded', () => {
+    const content = document.getElementById('reportContent');
+    const title = document.getElementById('reportTitle');
+    const meta = document.getElementById('reportMeta');
+
+    document.getElementById('printButton').addEventListener('click', () => window.print());
+
+    // Create an element with optional class and text
+    function el(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined && text !== null) element.textContent = text;
+        return element;
+    }
+
+    function formatDate(timestamp) {
+        return new Date(timestamp).toLocaleString(undefined, {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    // Star rating as text so it survives printing without images
+    function renderStars(rating) {
+        if (rating === null || rating === undefined) {
+            return el('span', 'stars unrated', 'Not rated');
+        }
+        const stars = el('span', 'stars');
+        stars.title = `${rating}/5`;
+        for (let i = 1; i <= 5; i++) {
+            stars.appendChild(i <= rating ? document.createTextNode('★') : el('span', 'empty', '☆'));
+        }
+        return stars;
+    }
+
+    function renderImprovements(improvements) {
+        const list = el('ul', 'improvements');
+        improvements.forEach(imp => {
+            const item = el('li', null, imp.text);
+            if (imp.why) {
+                item.appendChild(el('span', 'why', imp.why));
+            }
+            list.appendChild(item);
+        });
+        return list;
+    }
+
+    function renderSection(section, isSubSection = false) {
+        const block = el('div', isSubSection ? 'sub-section' : 'section');
+        const header = el('div', 'section-header');
+        header.append(el(isSubSection ? 'h4' : 'h3', null, section.name), renderStars(section.rating));
+        block.appendChild(header);
+
+        if (section.positive) {
+            block.appendChild(el('p', 'positive', section.positive));
+        }
+        if (section.improvements?.length > 0) {
+            block.appendChild(renderImprovements(section.improvements));
+        }
+        (section.subSections || []).forEach(subSection => {
+            block.appendChild(renderSection(subSection, true));
+        });
+        return block;
+    }
+
+    function renderReport(report) {
+        const name = report.profileName || report.profileId;
+        if (name) {
+            title.textContent = `Profile Report: ${name}`;
+            document.title = `ElevateLI - ${name}`;
+        }
+        meta.textContent = `Analyzed ${formatDate(report.analyzedAt)} · ${report.profileUrl || ''}`;
+
+        const fragment = document.createDocumentFragment();
+
+        // Headline scores
+        const scores = el('div', 'scores');
+        [
+            ['Completeness', report.completeness !== null ? `${report.completeness}%` : '--'],
+            ['Content Quality', report.contentScore !== null ? `${report.contentScore}/10` : '--']
+        ].forEach(([label, value]) => {
+            const card = el('div', 'score-card');
+            card.append(el('div', 'score-label', label), el('div', 'score-value', value));
+            scores.appendChild(card);
+        });
+        fragment.appendChild(scores);
+
+        if (report.summary) {
+            fragment.appendChild(el('p', 'summary', report.summary));
+        }
+
+        if (report.sections?.length > 0) {
+            fragment.appendChild(el('h2', null, 'Section Breakdown'));
+            report.sections.forEach(section => fragment.appendChild(renderSection(section)));
+        }
+
+        if (report.missingItems?.length > 0) {
+            fragment.appendChild(el('h2', null, 'To Reach 100% Completeness'));
+            report.missingItems.forEach(item => {
+                const row = el('div', 'missing-item');
+                row.append(el('span', null, item.message), el('span', 'impact', `+${item.impact}%`));
+                fragment.appendChild(row);
+            });
+        }
+
+        if (report.coachingSummary) {
+            fragment.appendChild(el('h2', null, 'Coaching Summary'));
+            fragment.appendChild(el('p', 'coaching', report.coachingSummary));
+        }
+
+        fragment.appendChild(el('p', 'footer', `Generated by ElevateLI on ${formatDate(report.generatedAt)}`));
+        content.replaceChildren(fragment);
+    }
+
+    chrome.storage.local.get('reportData', ({ reportData }) => {
+        if (chrome.runtime.lastError || !reportData) {
+            content.replaceChildren(el('p', 'empty-state', 'No report found. Open the analysis on your LinkedIn profile and click "Export report".'));
+            return;
+        }
+        renderReport(reportData);
+    });
+});
\ No newline at end of file
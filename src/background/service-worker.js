@@ -376,7 +376,8 @@ const cryptoUtils = CryptoManager;
 
 // [CRITICAL_PATH:API_KEY_RETRIEVAL] - P0: Decrypts API key for all AI operations
 // Helper function to get decrypted API key
-async function getDecryptedApiKey() {
+// Keys are stored per provider in encryptedApiKeys; encryptedApiKey holds the primary provider's key
+async function getDecryptedApiKey(provider = null) {
   try {
     // Check if Chrome storage is available
     if (!chrome || !chrome.storage || !chrome.storage.local) {
@@ -384,7 +385,22 @@ async function getDecryptedApiKey() {
       return null;
     }
     
-    const { encryptedApiKey, apiKey } = await chrome.storage.local.get(['encryptedApiKey', 'apiKey']);
+    const { encryptedApiKey, encryptedApiKeys = {}, apiKey, aiProvider } = await chrome.storage.local.get(['encryptedApiKey', 'encryptedApiKeys', 'apiKey', 'aiProvider']);
+    const targetProvider = provider || aiProvider;
+    
+  if (targetProvider && encryptedApiKeys[targetProvider]) {
+    try {
+      return await cryptoUtils.decryptApiKey(encryptedApiKeys[targetProvider]);
+    } catch (error) {
+      SmartLogger.error('AI.PROMPTS', 'Failed to decrypt provider API key', error, { provider: targetProvider });
+      return null;
+    }
+  }
+  
+  // The single legacy key only ever belongs to the primary provider
+  if (targetProvider !== aiProvider) {
+    return null;
+  }
   
   // If we have an encrypted key, decrypt it
   if (encryptedApiKey) {
@@ -441,6 +457,301 @@ async function getDecryptedApiKey() {
   }
 }
 
+// Self-hosted OpenAI-compatible endpoints (Ollama, LM Studio, llama.cpp server) may run without a key
+const KEYLESS_PROVIDERS = ['custom'];
+
+function providerRequiresApiKey(provider) {
+  return !KEYLESS_PROVIDERS.includes(provider);
+}
+
+// Error types that move a request on to the next provider in the fallback chain
+const FAILOVER_ERROR_TYPES = ['RATE_LIMIT', 'SERVICE_UNAVAILABLE', 'TIMEOUT'];
+
+// Rate limits and overloads are retried on the same provider first, with exponential backoff and jitter
+// Waits longer than BACKOFF_MAX_DELAY fail over instead, so a section never stalls past the overlay's idle timeout
+const BACKOFF_ERROR_TYPES = ['RATE_LIMIT', 'SERVICE_UNAVAILABLE'];
+const BACKOFF_BASE_DELAY = 1000;
+const BACKOFF_MAX_DELAY = 8000;
+const BACKOFF_MAX_RETRIES = 2;
+
+// Delay before retry `attempt` (0-based), never shorter than the provider's own Retry-After
+function getBackoffDelay(attempt, retryAfter = null) {
+  const exponential = Math.min(BACKOFF_MAX_DELAY, BACKOFF_BASE_DELAY * 2 ** attempt);
+  const jittered = exponential / 2 + Math.random() * (exponential / 2);
+  return Math.max(jittered, (retryAfter || 0) * 1000);
+}
+
+// Parse a reset duration such as "1s", "6m0s" or "250ms" into whole seconds
+function parseResetDuration(value) {
+  if (!value) return null;
+  const units = { h: 3600, m: 60, s: 1, ms: 0.001 };
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+    total += Number(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? Math.ceil(total) : null;
+}
+
+// Seconds until the provider will accept requests again, or null when it doesn't say
+// Retry-After is standard; otherwise read the reset header of whichever limit is exhausted
+function parseRetryAfter(provider, headers, errorBody = '') {
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+  }
+  
+  if (provider === 'openai' || provider === 'custom') {
+    // x-ratelimit-reset-* are durations
+    const resets = ['requests', 'tokens']
+      .filter(limit => headers.get(`x-ratelimit-remaining-${limit}`) === '0')
+      .map(limit => parseResetDuration(headers.get(`x-ratelimit-reset-${limit}`)))
+      .filter(seconds => seconds !== null);
+    if (resets.length > 0) return Math.max(...resets);
+  }
+  
+  if (provider === 'anthropic') {
+    // anthropic-ratelimit-*-reset are RFC 3339 timestamps
+    const resets = ['requests', 'tokens', 'input-tokens', 'output-tokens']
+      .filter(limit => headers.get(`anthropic-ratelimit-${limit}-remaining`) === '0')
+      .map(limit => Date.parse(headers.get(`anthropic-ratelimit-${limit}-reset`) || ''))
+      .filter(reset => !Number.isNaN(reset))
+      .map(reset => Math.max(0, Math.ceil((reset - Date.now()) / 1000)));
+    if (resets.length > 0) return Math.max(...resets);
+  }
+  
+  if (provider === 'gemini') {
+    // Gemini reports RetryInfo.retryDelay ("37s") in the error body instead of headers
+    const match = errorBody.match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/);
+    if (match) return Math.ceil(Number(match[1]));
+  }
+  
+  return null;
+}
+
+// Classify provider call failures (mirrors getErrorType in the content analyzer)
+function getProviderErrorType(error) {
+  if (error?.errorType) return error.errorType;
+  const message = error?.message?.toLowerCase() || '';
+  if (message.includes('429') || message.includes('rate limit') || message.includes('rate_limit')) return 'RATE_LIMIT';
+  if (/api error: 5\d\d/.test(message) || message.includes('overloaded')) return 'SERVICE_UNAVAILABLE';
+  if (message.includes('timeout')) return 'TIMEOUT';
+  if (message.includes('401') || message.includes('403') || message.includes('invalid api key')) return 'AUTH';
+  if (message.includes('network') || message.includes('fetch')) return 'NETWORK';
+  return 'UNKNOWN';
+}
+
+// Analysis runs keyed by the content script's analysisId; cancelling a run aborts every pending fetch in it
+const analysisRuns = new Map();
+const ANALYSIS_RUN_TTL = 30 * 60 * 1000;
+
+function getAnalysisRun(analysisId) {
+  const now = Date.now();
+  for (const [id, run] of analysisRuns) {
+    if (now - run.startedAt > ANALYSIS_RUN_TTL) {
+      analysisRuns.delete(id);
+    }
+  }
+  
+  let run = analysisRuns.get(analysisId);
+  if (!run) {
+    run = { controller: new AbortController(), startedAt: now };
+    analysisRuns.set(analysisId, run);
+  }
+  return run;
+}
+
+function cancelAnalysisRun(analysisId) {
+  // The run stays registered (aborted) so sections that arrive late are refused too
+  const run = getAnalysisRun(analysisId);
+  run.controller.abort();
+  SmartLogger.log('AI.PROMPTS', 'Analysis run cancelled', { analysisId });
+}
+
+// Signal that aborts as soon as any of the given signals does
+function anyAbortSignal(signals) {
+  const controller = new AbortController();
+  for (const signal of signals.filter(Boolean)) {
+    if (signal.aborted) {
+      controller.abort();
+      break;
+    }
+    signal.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+  return controller.signal;
+}
+
+function createCancelledError() {
+  const error = new Error('Analysis cancelled');
+  error.errorType = 'CANCELLED';
+  return error;
+}
+
+// Build the ordered provider chain: the primary model first, then each configured fallback with a usable key
+async function getProviderChain(primaryProvider, primaryModel, primaryApiKey) {
+  const { aiFallbackChain = [] } = await chrome.storage.local.get('aiFallbackChain');
+  const chain = [{ provider: primaryProvider, model: primaryModel, apiKey: primaryApiKey }];
+  
+  for (const fallback of aiFallbackChain) {
+    if (!fallback?.provider || !fallback?.model) continue;
+    if (chain.some(link => link.provider === fallback.provider && link.model === fallback.model)) continue;
+    
+    const apiKey = await getDecryptedApiKey(fallback.provider);
+    if (!apiKey && providerRequiresApiKey(fallback.provider)) {
+      SmartLogger.log('AI.PROMPTS', 'Skipping fallback without an API key', { provider: fallback.provider });
+      continue;
+    }
+    chain.push({ provider: fallback.provider, model: fallback.model, apiKey });
+  }
+  
+  return chain;
+}
+
+// How an analysis spends provider calls:
+// single - one combined prompt for every section, for budget users
+// distributed - one call per section on the selected model
+// tiered - one call per section, with short sections routed to a light model
+const ANALYSIS_STRATEGIES = ['single', 'distributed', 'tiered'];
+
+// Sections short enough for the light model under the tiered strategy
+// first_impression is the headline (with photo and banner context); education and certifications
+// are only scored locally for completeness and never reach a provider. Skills, About and experience stay on the strong model
+const LIGHT_TIER_SECTIONS = ['first_impression'];
+
+// Light model per provider when none has been picked in the popup
+const LIGHT_TIER_MODELS = {
+  openai: 'gpt-4.1-nano',
+  anthropic: 'claude-haiku-4-5-20251001',
+  gemini: 'gemini-2.5-flash-lite'
+};
+
+async function getAnalysisStrategy() {
+  const { analysisStrategy } = await chrome.storage.local.get('analysisStrategy');
+  return ANALYSIS_STRATEGIES.includes(analysisStrategy) ? analysisStrategy : 'distributed';
+}
+
+// Light-tier link: the light model picked in the popup, or the primary provider's cheapest model
+async function getLightTierLink(primaryProvider) {
+  const { aiLightModel } = await chrome.storage.local.get('aiLightModel');
+  const provider = aiLightModel?.provider || primaryProvider;
+  const model = aiLightModel?.model || LIGHT_TIER_MODELS[provider];
+  if (!model) return null;
+  
+  const apiKey = await getDecryptedApiKey(provider);
+  if (!apiKey && providerRequiresApiKey(provider)) {
+    SmartLogger.log('AI.PROMPTS', 'Skipping light tier without an API key', { provider });
+    return null;
+  }
+  return { provider, model, apiKey };
+}
+
+// Chain for one section; light sections under the tiered strategy try the light model first
+// and fall back to the regular chain
+function getSectionChain(sectionName, chain, strategy, lightLink) {
+  if (strategy !== 'tiered' || !lightLink || !LIGHT_TIER_SECTIONS.includes(sectionName)) {
+    return chain;
+  }
+  return [lightLink, ...chain.filter(link => link.provider !== lightLink.provider || link.model !== lightLink.model)];
+}
+
+// Run call(link) against each provider in the chain until one answers
+// Only rate limits, overloads and timeouts fall through; other errors surface immediately
+async function callWithFailover(chain, call, signal = null) {
+  for (let index = 0; index < chain.length; index++) {
+    const link = chain[index];
+    const next = chain[index + 1];
+    
+    // Skip providers still cooling down from an earlier 429
+    const cooldown = rateLimiter.getCooldown('api', link.provider);
+    if (cooldown > 0) {
+      if (next) {
+        SmartLogger.log('AI.RATE_LIMIT', 'Provider cooling down, falling back', { provider: link.provider, cooldown });
+        continue;
+      }
+      const error = new Error(`Rate limit exceeded. Please wait ${cooldown} seconds.`);
+      error.errorType = 'RATE_LIMIT';
+      error.retryAfter = cooldown;
+      throw error;
+    }
+    
+    for (let attempt = 0; ; attempt++) {
+      if (signal?.aborted) {
+        throw createCancelledError();
+      }
+      try {
+        const result = await call(link);
+        return { result, answeredBy: { provider: link.provider, model: link.model, fallback: index > 0 } };
+      } catch (error) {
+        const errorType = getProviderErrorType(error);
+        error.errorType = errorType;
+        if (!FAILOVER_ERROR_TYPES.includes(errorType)) {
+          throw error;
+        }
+        
+        const delay = getBackoffDelay(attempt, error.retryAfter);
+        if (BACKOFF_ERROR_TYPES.includes(errorType) && attempt < BACKOFF_MAX_RETRIES && delay <= BACKOFF_MAX_DELAY) {
+          SmartLogger.log('AI.RATE_LIMIT', 'Retrying after backoff', {
+            provider: link.provider,
+            attempt: attempt + 1,
+            delayMs: Math.round(delay),
+            errorType
+          });
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+        
+        if (!next) {
+          throw error;
+        }
+        SmartLogger.log('AI.PROMPTS', 'Provider failed, falling back', {
+          from: `${link.provider}:${link.model}`,
+          to: `${next.provider}:${next.model}`,
+          errorType
+        });
+        break;
+      }
+    }
+  }
+}
+
+// Resolve the chat completions URL for the custom endpoint provider
+// Accepts either a base URL (http://localhost:11434/v1) or the full completions URL
+async function getCustomEndpointUrl(baseUrl = null) {
+  if (!baseUrl) {
+    const stored = await chrome.storage.local.get('customBaseUrl');
+    baseUrl = stored.customBaseUrl;
+  }
+  
+  if (!baseUrl || typeof baseUrl !== 'string') {
+    throw new Error('Custom endpoint URL not configured');
+  }
+  
+  const trimmed = baseUrl.trim().replace(/\/+$/, '');
+  if (!/^https?:\/\//i.test(trimmed)) {
+    throw new Error('Custom endpoint URL must start with http:// or https://');
+  }
+  
+  return trimmed.endsWith('/chat/completions') ? trimmed : `${trimmed}/chat/completions`;
+}
+
+// Largest photo or banner we will send for vision analysis
+const MAX_CAPTURED_IMAGE_BYTES = 4 * 1024 * 1024;
+
+// Vendor models known to accept image input
+const VISION_MODELS = ['gpt-4o', 'gpt-4.1', 'gpt-4.1-mini', 'gpt-4.1-nano', 'gpt-5.4', 'gpt-5.4-mini', 'gpt-5.4-nano', 'gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro', 'gemini-3.1-pro-preview'];
+
+// Custom endpoints can serve any model, so vision support is whatever the user declared in settings
+function isVisionCapable(provider, model, customSupportsVision = false) {
+  if (provider === 'custom') {
+    return customSupportsVision === true;
+  }
+  return VISION_MODELS.includes(model);
+}
+
 // Initialize service worker properly
 (async function initializeServiceWorker() {
   try {
@@ -642,25 +953,19 @@ async function checkCache(cacheKey, forceRefresh = false) {
         SmartLogger.log('AI.PARSING', 'Re-parsing cached result', { 
           summaryPreview: cachedAnalysis.summary.substring(0, 200) 
         });
-        try {
-          // Extract JSON from summary if it exists
-          const jsonMatch = cachedAnalysis.summary.match(/```json\n([\s\S]+?)\n```/);
-          if (jsonMatch) {
-            SmartLogger.log('AI.PARSING', 'Found JSON in summary');
-            const jsonData = JSON.parse(jsonMatch[1]);
-            if (jsonData.recommendations) {
-              cachedAnalysis.recommendations = jsonData.recommendations;
-              cachedAnalysis.insights = jsonData.insights;
-              cachedAnalysis.fullAnalysis = jsonData;
-              SmartLogger.log('AI.PARSING', 'Successfully extracted recommendations from cache', {
-                critical: cachedAnalysis.recommendations.critical?.length || 0,
-                important: cachedAnalysis.recommendations.important?.length || 0,
-                niceToHave: cachedAnalysis.recommendations.niceToHave?.length || 0
-              });
-            }
-          }
-        } catch (parseError) {
-          SmartLogger.error('AI.PARSING', 'Failed to re-parse cached summary', parseError);
+        // Older entries stored the synthesis JSON inside the summary text
+        const { data: jsonData, errors } = parseAndValidate(cachedAnalysis.summary, 'synthesis');
+        if (errors.length > 0) {
+          SmartLogger.log('AI.PARSING', 'Cached summary failed synthesis schema', { errors: errors.slice(0, 5) });
+        } else {
+          cachedAnalysis.recommendations = jsonData.recommendations;
+          cachedAnalysis.insights = jsonData.insights;
+          cachedAnalysis.fullAnalysis = jsonData;
+          SmartLogger.log('AI.PARSING', 'Successfully extracted recommendations from cache', {
+            critical: cachedAnalysis.recommendations.critical?.length || 0,
+            important: cachedAnalysis.recommendations.important?.length || 0,
+            niceToHave: cachedAnalysis.recommendations.niceToHave?.length || 0
+          });
         }
       }
       
@@ -735,7 +1040,7 @@ function formatCacheAge(ageMs) {
 async function handleAIAnalysis(request, sender, sendResponse) {
   // Check rate limit for analysis
   const profileId = request.profileId || 'unknown';
-  const rateCheck = rateLimiter.canMakeRequest('analysis', profileId);
+  const rateCheck = await rateLimiter.canMakeRequest('analysis', profileId);
   if (!rateCheck.allowed) {
     sendResponse({
       success: false,
@@ -775,7 +1080,7 @@ async function handleAIAnalysis(request, sender, sendResponse) {
     }
     
     // Check rate limit
-    const rateCheck = rateLimiter.canMakeRequest('analysis', request.profileId || 'unknown');
+    const rateCheck = await rateLimiter.canMakeRequest('analysis', request.profileId || 'unknown');
     if (!rateCheck.allowed) {
       SmartLogger.log('AI.PROMPTS', 'Rate limit hit', rateCheck);
       sendResponse({
@@ -798,7 +1103,7 @@ async function handleAIAnalysis(request, sender, sendResponse) {
       SmartLogger.error('AI.PROMPTS', 'Failed to get decrypted key', error);
     }
     
-    if (!apiKey) {
+    if (!apiKey && providerRequiresApiKey(aiProvider)) {
       SmartLogger.log('AI.PROMPTS', 'No API key found', { hasDecryptError: !!decryptionError });
       
       // Check if we have an encrypted key that failed to decrypt
@@ -845,17 +1150,64 @@ async function handleAIAnalysis(request, sender, sendResponse) {
     }
     
     // Get fresh analysis
-    SmartLogger.log('AI.PROMPTS', 'Performing fresh analysis', { provider: aiProvider, model: aiModel });
     const { aiModel } = await chrome.storage.local.get('aiModel');
-    const analysis = await performDistributedAnalysis(sections, {
+    SmartLogger.log('AI.PROMPTS', 'Performing fresh analysis', { provider: aiProvider, model: aiModel });
+    
+    // Block before the monthly budget cap would be exceeded
+    const sectionCount = Object.keys(sections || {}).length;
+    const estimatedCost = estimateRequestCost(aiModel, JSON.stringify(sections || {}).length, ESTIMATED_OUTPUT_TOKENS * sectionCount);
+    const budget = await checkBudget(estimatedCost);
+    if (!budget.allowed) {
+      sendResponse({
+        success: false,
+        error: budget.error,
+        type: 'BUDGET',
+        errorType: 'BUDGET'
+      });
+      return;
+    }
+    
+    const analysisId = request.analysisId || `${profileId}-${Date.now()}`;
+    const strategy = await getAnalysisStrategy();
+    const analyze = strategy === 'single' ? performSingleCallAnalysis : performDistributedAnalysis;
+    const analysis = await analyze(sections, {
       apiKey,
       provider: aiProvider,
       model: aiModel,
+      strategy,
+      chain: await getProviderChain(aiProvider, aiModel, apiKey),
+      signal: getAnalysisRun(analysisId).controller.signal,
       targetRole: settings.targetRole || 'general professional',
       seniorityLevel: settings.seniorityLevel || 'any level',
-      customInstructions: settings.customInstructions || ''
+      customInstructions: settings.customInstructions || '',
+      profileContext: request.profileContext || null,
+      concurrency: settings.analysisConcurrency,
+      profileId,
+      usageContext: { profileId, analysisId },
+      // Push each section to the overlay as soon as it is ready
+      onSectionComplete: (section, sectionAnalysis, progress) => {
+        if (!sender?.tab?.id) return;
+        chrome.tabs.sendMessage(sender.tab.id, {
+          action: 'sectionAnalysisComplete',
+          section,
+          analysis: sectionAnalysis,
+          ...progress
+        }).catch(() => {});
+      }
     });
     
+    // Finished sections are already in the per-section cache, so a cancelled run resumes from them
+    if (analysis.cancelled) {
+      sendResponse({
+        success: false,
+        cancelled: true,
+        error: 'Analysis cancelled',
+        errorType: 'CANCELLED',
+        partialResults: analysis.sectionScores
+      });
+      return;
+    }
+    
     // Store in smart cache (infinite duration)
     await storeInSmartCache(profileId, contentHash, analysis, 'text');
     
@@ -876,10 +1228,9 @@ async function handleAIAnalysis(request, sender, sendResponse) {
         type: 'AUTH',
         message: 'Your API key is invalid. Please check and update it in settings.'
       });
-    } else if (error.message?.includes('429') || error.message?.includes('rate limit')) {
-      const waitTime = parseInt(error.message.match(/\d+/)?.[0] || '60');
+    } else if (error.errorType === 'RATE_LIMIT' || error.message?.includes('429') || error.message?.includes('rate limit')) {
+      const waitTime = error.retryAfter || 60;
       
-      // rateLimiter.setCooldown(request.settings?.provider || 'openai', waitTime);
       sendResponse({
         success: false,
         error: `Rate limit exceeded. Please wait ${waitTime} seconds.`,
@@ -919,7 +1270,7 @@ async function handleVisionAnalysis(request, sender, sendResponse) {
     hasContext: !!request.context
   });
   
-  const { imageData, prompt, context = {} } = request;
+  const { imageData, context = {} } = request;
   
   try {
     // Check AI enabled
@@ -931,13 +1282,14 @@ async function handleVisionAnalysis(request, sender, sendResponse) {
     }
     
     // Get provider info and check vision support
-    const { aiProvider, aiModel } = await chrome.storage.local.get(['aiProvider', 'aiModel']);
-    const visionModels = ['gpt-4o', 'gpt-4.1', 'gpt-4.1-mini', 'gpt-4.1-nano', 'gpt-5.4', 'gpt-5.4-mini', 'gpt-5.4-nano', 'gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro', 'gemini-3.1-pro-preview'];
-    if (!aiProvider || !visionModels.includes(aiModel)) {
+    const { aiProvider, aiModel, customSupportsVision } = await chrome.storage.local.get(['aiProvider', 'aiModel', 'customSupportsVision']);
+    if (!aiProvider || !isVisionCapable(aiProvider, aiModel, customSupportsVision)) {
       SmartLogger.log('AI.PROMPTS', 'Vision analysis requires a vision-capable model');
       sendResponse({
         success: false,
-        error: 'Vision analysis requires a vision-capable model (GPT-4.1 or Gemini)',
+        error: aiProvider === 'custom'
+          ? 'Vision analysis is not enabled for your custom endpoint model'
+          : 'Vision analysis requires a vision-capable model (GPT-4.1 or Gemini)',
         type: 'VISION_UNSUPPORTED'
       });
       return;
@@ -954,7 +1306,7 @@ async function handleVisionAnalysis(request, sender, sendResponse) {
     
     // Get decrypted API key
     const apiKey = await getDecryptedApiKey();
-    if (!apiKey) {
+    if (!apiKey && providerRequiresApiKey(aiProvider)) {
       SmartLogger.log('AI.PROMPTS', 'No API key found');
       sendResponse({ 
         success: false, 
@@ -965,9 +1317,12 @@ async function handleVisionAnalysis(request, sender, sendResponse) {
     }
     
     // Generate image content hash for caching
-    const imageHash = await generateImageHash(imageData);
+    // Banner relevance depends on the headline, so a new headline invalidates the cached result
     const profileId = context.profileId || 'unknown';
-    const analysisType = context.analysisType || 'image';
+    const analysisType = context.analysisType || 'photo';
+    const imageHash = analysisType === 'banner'
+      ? `${await generateImageHash(imageData)}_${(await hashString(context.headline || '')).substring(0, 16)}`
+      : await generateImageHash(imageData);
     
     // Check smart cache unless forced refresh
     const cachedResult = await checkSmartCache(profileId, imageHash, `vision_${analysisType}`, context.forceRefresh);
@@ -990,7 +1345,14 @@ async function handleVisionAnalysis(request, sender, sendResponse) {
       analysisType 
     });
     
-    const visionResult = await callOpenAIVision(apiKey, imageData, prompt);
+    const prompt = createVisionPrompt(analysisType, context);
+    const response = await SmartLogger.time('PERFORMANCE.API_LATENCY', `Vision AI call - ${analysisType}`,
+      async () => await callAIProvider(aiProvider, apiKey, prompt, aiModel, {
+        image: imageData,
+        audit: { purpose: 'vision', sections: [analysisType] }
+      })
+    );
+    const visionResult = parseVisionAnalysis(response, analysisType);
     
     // Store in smart cache (infinite duration)
     await storeInSmartCache(profileId, imageHash, visionResult, `vision_${analysisType}`);
@@ -1051,6 +1413,138 @@ async function generateImageHash(imageDataUrl) {
   }
 }
 
+// Hash a string for cache keys
+async function hashString(text) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Fetch a LinkedIn CDN image and return it as a data URL with its dimensions
+// The content script can't read these pixels itself because the CDN is cross-origin
+async function fetchImageAsDataUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('Invalid image URL');
+  }
+  if (parsed.protocol !== 'https:' || !parsed.hostname.endsWith('.licdn.com')) {
+    throw new Error('Only LinkedIn images can be captured');
+  }
+  
+  const response = await fetch(parsed.href, { credentials: 'omit' });
+  if (!response.ok) {
+    throw new Error(`Image request failed: ${response.status}`);
+  }
+  
+  const blob = await response.blob();
+  if (!blob.type.startsWith('image/')) {
+    throw new Error('URL did not return an image');
+  }
+  if (blob.size > MAX_CAPTURED_IMAGE_BYTES) {
+    throw new Error('Image is too large to analyze');
+  }
+  
+  const bitmap = await createImageBitmap(blob);
+  const { width, height } = bitmap;
+  bitmap.close();
+  
+  // btoa needs a binary string; build it in chunks to stay under the argument limit
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  
+  return {
+    dataUrl: `data:${blob.type};base64,${btoa(binary)}`,
+    width,
+    height,
+    byteSize: blob.size
+  };
+}
+
+// Create vision prompt for profile photo or banner
+function createVisionPrompt(analysisType, context = {}) {
+  const targetRole = context.targetRole || 'general professional';
+  
+  if (analysisType === 'banner') {
+    return `You are an expert LinkedIn personal branding reviewer. The attached image is the background banner of a LinkedIn profile for someone targeting ${targetRole} positions.
+
+Their headline: "${context.headline || 'Not provided'}"
+
+Assess the banner on:
+1. relevance - does it support the headline and target role?
+2. quality - sharpness, resolution, cropping at LinkedIn's 4:1 ratio
+3. readability - is any text legible and not hidden behind the profile photo (bottom-left)?
+
+Return ONLY valid JSON (no markdown, no extra text):
+{
+  "score": <integer 0-10>,
+  "criteria": {
+    "relevance": { "score": <0-10>, "note": "<one sentence>" },
+    "quality": { "score": <0-10>, "note": "<one sentence>" },
+    "readability": { "score": <0-10>, "note": "<one sentence>" }
+  },
+  "positive": "<one sentence on what works>",
+  "improvements": [{ "text": "<specific change>", "why": "<impact on first impression>" }]
+}`;
+  }
+  
+  return `You are an expert LinkedIn profile photo reviewer. The attached image is the profile photo of someone targeting ${targetRole} positions.
+
+Assess the photo on:
+1. lighting - even, flattering light on the face with no harsh shadows
+2. framing - head and shoulders, face filling roughly 60% of the frame
+3. background - simple and not distracting
+4. faceVisibility - face clearly visible, no sunglasses or obstructions, looking toward the camera
+
+Judge only photo quality and professionalism. Never comment on age, ethnicity, attractiveness or other personal characteristics.
+
+Return ONLY valid JSON (no markdown, no extra text):
+{
+  "score": <integer 0-10>,
+  "criteria": {
+    "lighting": { "score": <0-10>, "note": "<one sentence>" },
+    "framing": { "score": <0-10>, "note": "<one sentence>" },
+    "background": { "score": <0-10>, "note": "<one sentence>" },
+    "faceVisibility": { "score": <0-10>, "note": "<one sentence>" }
+  },
+  "positive": "<one sentence on what works>",
+  "improvements": [{ "text": "<specific change>", "why": "<impact on first impression>" }]
+}`;
+}
+
+// Parse vision analysis response
+function parseVisionAnalysis(response, analysisType) {
+  const jsonMatch = response.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('Vision response could not be read');
+  }
+  
+  const parsed = JSON.parse(jsonMatch[0]);
+  const clamp = (value) => typeof value === 'number' ? Math.min(10, Math.max(0, Math.round(value))) : null;
+  const criteria = {};
+  Object.entries(parsed.criteria || {}).forEach(([name, value]) => {
+    criteria[name] = { score: clamp(value?.score), note: value?.note || '' };
+  });
+  
+  SmartLogger.log('AI.PARSING', 'Vision response parsed', {
+    analysisType,
+    score: parsed.score,
+    criteria: Object.keys(criteria)
+  });
+  
+  return {
+    score: clamp(parsed.score),
+    criteria,
+    positive: parsed.positive || '',
+    improvements: (parsed.improvements || [])
+      .filter(imp => imp && (imp.text || typeof imp === 'string'))
+      .map(imp => typeof imp === 'string' ? { text: imp, why: '' } : { text: imp.text, why: imp.why || '' })
+  };
+}
+
 // Smart cache functions for content-hash based infinite caching
 async function checkSmartCache(profileId, contentHash, analysisType, forceRefresh = false) {
   if (forceRefresh) return null;
@@ -1106,6 +1600,61 @@ async function storeInSmartCache(profileId, contentHash, analysisResult, analysi
   }
 }
 
+// Per-section AI results, keyed by a hash of each section's own content
+const SECTION_CACHE_PREFIX = 'sectionAnalysis_';
+const SECTION_CACHE_MAX_ENTRIES = 60;
+
+// Serialize writes so parallel section calls don't drop each other's entries
+let sectionCacheQueue = Promise.resolve();
+
+// Hash the content a section prompt is built from, plus the settings that change its score
+// Experience roles are analyzed one at a time, so each role gets its own hash
+async function generateSectionContentHash(sectionName, content, config) {
+  const skipVolatile = (key, value) => (key === 'capturedAt' || key === 'timestamp' ? undefined : value);
+  return hashString(JSON.stringify({
+    section: sectionName,
+    content: JSON.stringify(content ?? null, skipVolatile),
+    targetRole: config.targetRole,
+    seniorityLevel: config.seniorityLevel,
+    customInstructions: config.customInstructions,
+    model: config.model || null
+  }));
+}
+
+// Look up a stored section analysis for unchanged content
+async function getCachedSectionAnalysis(profileId, contentHash) {
+  const key = `${SECTION_CACHE_PREFIX}${profileId}`;
+  try {
+    const { [key]: entries } = await chrome.storage.local.get(key);
+    return entries?.[contentHash]?.analysis || null;
+  } catch (error) {
+    SmartLogger.error('PERFORMANCE.CACHE', 'Error reading section cache', error);
+    return null;
+  }
+}
+
+// Store a section analysis, keeping the most recently used entries per profile
+function storeSectionAnalysis(profileId, contentHash, sectionName, analysis) {
+  const key = `${SECTION_CACHE_PREFIX}${profileId}`;
+  
+  sectionCacheQueue = sectionCacheQueue.then(async () => {
+    const { [key]: stored } = await chrome.storage.local.get(key);
+    const entries = stored || {};
+    entries[contentHash] = { section: sectionName, analysis, cachedAt: Date.now() };
+    
+    const trimmed = Object.fromEntries(
+      Object.entries(entries)
+        .sort((a, b) => b[1].cachedAt - a[1].cachedAt)
+        .slice(0, SECTION_CACHE_MAX_ENTRIES)
+    );
+    await chrome.storage.local.set({ [key]: trimmed });
+  }).catch(error => {
+    SmartLogger.error('PERFORMANCE.CACHE', 'Error storing section cache', error, { section: sectionName });
+  });
+  
+  return sectionCacheQueue;
+}
+
 // Generate text content hash for smart caching (compatible with SmartCacheManager)
 async function generateTextContentHash(sections) {
   try {
@@ -1138,29 +1687,105 @@ async function generateTextContentHash(sections) {
   }
 }
 
+// Parallel section requests per provider; local endpoints usually serve one at a time
+// Mirrored in content constants.js; analysisConcurrency overrides both
+const ANALYSIS_CONCURRENCY = {
+  openai: 4,
+  anthropic: 3,
+  gemini: 4,
+  custom: 1
+};
+
+// Run worker over items with at most `limit` in flight, preserving result order
+// leadAlone finishes the first item before the rest start
+async function runWithConcurrency(items, limit, worker, { leadAlone = false } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  if (leadAlone && items.length > 1) {
+    next = 1;
+    results[0] = await worker(items[0], 0);
+  }
+  
+  const runner = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  
+  const runnerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: runnerCount }, runner));
+  return results;
+}
+
 // Perform distributed AI analysis
 async function performDistributedAnalysis(sections, config) {
+  const concurrency = config.concurrency || ANALYSIS_CONCURRENCY[config.provider] || 2;
+  const chain = config.chain || [{ provider: config.provider, model: config.model, apiKey: config.apiKey }];
+  const lightLink = config.strategy === 'tiered' ? await getLightTierLink(config.provider) : null;
+  const entries = Object.entries(sections);
+  
   SmartLogger.log('AI.PROMPTS', 'Starting distributed analysis', {
     provider: config.provider,
+    strategy: config.strategy || 'distributed',
+    lightModel: lightLink?.model || null,
+    fallbacks: chain.length - 1,
     targetRole: config.targetRole,
     seniorityLevel: config.seniorityLevel,
-    sectionsCount: Object.keys(sections).length
+    sectionsCount: entries.length,
+    concurrency
   });
   
   const sectionAnalyses = {};
+  let completed = 0;
+  
+  const finishSection = (sectionName, analysis) => {
+    sectionAnalyses[sectionName] = analysis;
+    completed++;
+    if (config.onSectionComplete) {
+      try {
+        config.onSectionComplete(sectionName, analysis, { completed, total: entries.length });
+      } catch (error) {
+        SmartLogger.error('AI.RESPONSES', 'Section completion callback failed', error, { section: sectionName });
+      }
+    }
+  };
+  
+  const cancelledSection = {
+    exists: true,
+    score: null,
+    errorType: 'CANCELLED',
+    cancelled: true,
+    feedback: 'Analysis was cancelled before this section finished.'
+  };
   
-  // Analyze each section independently
-  for (const [sectionName, sectionContent] of Object.entries(sections)) {
+  // Analyze each section independently; one failure never affects the others
+  // The first goes out alone so the rest can be served the cached shared prefix, when it can be cached
+  const warmPrefix = concurrency > 1 && isPromptPrefixCacheable(config);
+  await runWithConcurrency(entries, concurrency, async ([sectionName, sectionContent]) => {
+    if (config.signal?.aborted) {
+      finishSection(sectionName, { ...cancelledSection });
+      return;
+    }
+    
     if (!sectionContent || sectionContent === 'Missing') {
-      sectionAnalyses[sectionName] = {
+      finishSection(sectionName, {
         exists: false,
         score: 0,
         feedback: 'This section is missing from your profile.'
-      };
-      continue;
+      });
+      return;
     }
     
     try {
+      // Unchanged sections are merged from cache instead of calling the provider
+      const contentHash = await generateSectionContentHash(sectionName, sectionContent, config);
+      const cached = await getCachedSectionAnalysis(config.profileId, contentHash);
+      if (cached) {
+        finishSection(sectionName, { exists: true, ...cached, reused: true });
+        return;
+      }
+      
       const sectionPrompt = createSectionPrompt(sectionName, sectionContent, config);
       
       // Log prompt generation
@@ -1172,38 +1797,66 @@ async function performDistributedAnalysis(sections, config) {
         hasCustomInstructions: !!config.customInstructions
       });
       
-      const response = await SmartLogger.time('PERFORMANCE.API_LATENCY', `AI analysis - ${sectionName}`, 
-        async () => await callAIProvider(config.provider, config.apiKey, sectionPrompt, config.model)
+      const sectionChain = getSectionChain(sectionName, chain, config.strategy, lightLink);
+      const { result: { data }, answeredBy } = await SmartLogger.time('PERFORMANCE.API_LATENCY', `AI analysis - ${sectionName}`, 
+        async () => await callWithFailover(sectionChain, async (link) => {
+          // Every worker draws from the same per-provider API budget
+          const slot = await rateLimiter.acquire('api', link.provider);
+          if (!slot.allowed) {
+            const error = new Error('Rate limit reached before this section could be analyzed.');
+            error.errorType = 'RATE_LIMIT';
+            error.retryAfter = slot.waitTime;
+            throw error;
+          }
+          return await requestStructuredOutput(link.provider, link.apiKey, sectionPrompt, link.model,
+            getSectionSchemaName(sectionName), {
+              usageContext: config.usageContext,
+              signal: config.signal,
+              redactionSources: [sectionContent, config.profileContext],
+              audit: { sections: [sectionName], analysisId: config.usageContext?.analysisId }
+            });
+        }, config.signal)
       );
       
-      // Parse the response
-      const analysis = parseSectionAnalysis(response, sectionName);
-      sectionAnalyses[sectionName] = {
-        exists: true,
-        ...analysis
-      };
+      const analysis = { ...parseSectionAnalysis(data, sectionName), answeredBy };
       
       SmartLogger.log('AI.RESPONSES', 'Section analyzed', {
         section: sectionName,
+        answeredBy: `${answeredBy.provider}:${answeredBy.model}`,
         score: analysis.score,
         hasPositiveInsight: !!analysis.positiveInsight,
         hasActionItems: analysis.actionItems?.length > 0,
         hasQuotes: analysis.positiveInsight?.includes('"') || analysis.gapAnalysis?.includes('"')
       });
       
-      // Small delay between requests to avoid rate limits
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      storeSectionAnalysis(config.profileId, contentHash, sectionName, analysis);
+      finishSection(sectionName, {
+        exists: true,
+        ...analysis,
+        reused: false
+      });
       
     } catch (error) {
+      if (error.errorType === 'CANCELLED') {
+        finishSection(sectionName, { ...cancelledSection });
+        return;
+      }
       SmartLogger.error('AI.RESPONSES', 'Section analysis failed', error, { section: sectionName });
-      sectionAnalyses[sectionName] = {
+      finishSection(sectionName, {
         exists: true,
         score: null,
-        errorType: 'ANALYSIS_FAILED',
-        feedback: 'Unable to analyze this section.',
-        error: error.message
-      };
+        errorType: error.errorType || 'ANALYSIS_FAILED',
+        feedback: error.errorType === 'RATE_LIMIT' ? error.message : 'Unable to analyze this section.',
+        error: error.message,
+        retryAfter: error.retryAfter
+      });
     }
+  }, { leadAlone: warmPrefix });
+  
+  if (config.signal?.aborted) {
+    const cancelled = Object.keys(sectionAnalyses).filter(name => sectionAnalyses[name].cancelled);
+    SmartLogger.log('AI.PROMPTS', 'Distributed analysis cancelled', { cancelled, completed: entries.length - cancelled.length });
+    return { cancelled: true, sectionScores: sectionAnalyses };
   }
   
   // Calculate overall score
@@ -1212,36 +1865,248 @@ async function performDistributedAnalysis(sections, config) {
   // Synthesize recommendations
   const synthesis = await synthesizeFinalAnalysis(sectionAnalyses, config);
   
+  const analyzedSections = Object.entries(sectionAnalyses).filter(([, analysis]) => analysis.reused !== undefined);
+  
   return {
     overallScore: scoreResult.overallScore,
     sectionScores: sectionAnalyses,
+    differential: {
+      reused: analyzedSections.filter(([, analysis]) => analysis.reused).map(([name]) => name),
+      rescored: analyzedSections.filter(([, analysis]) => !analysis.reused).map(([name]) => name)
+    },
     recommendations: synthesis.recommendations,
     insights: synthesis.insights,
     summary: synthesis.summary
   };
 }
 
-// Create section-specific prompt
-function createSectionPrompt(sectionName, content, config, context = {}) {
-  // Add current date to config for all prompts
-  const enhancedConfig = {
-    ...config,
-    currentDate: new Date().toISOString().split('T')[0] // Format: "2025-01-19"
-  };
+// Analyze every section with one combined prompt (single-call strategy)
+// Returns the same shape as performDistributedAnalysis
+async function performSingleCallAnalysis(sections, config) {
+  const chain = config.chain || [{ provider: config.provider, model: config.model, apiKey: config.apiKey }];
+  const sectionAnalyses = {};
+  const pending = [];
   
-  // Special handling for experience roles
-  if (sectionName === 'experience_role' && typeof content === 'object') {
-    return createExperienceRolePrompt(content, enhancedConfig, context);
-  }
+  Object.entries(sections).forEach(([sectionName, sectionContent]) => {
+    if (!sectionContent || sectionContent === 'Missing') {
+      sectionAnalyses[sectionName] = {
+        exists: false,
+        score: 0,
+        feedback: 'This section is missing from your profile.'
+      };
+    } else {
+      pending.push({ key: sectionName, type: sectionName, data: sectionContent });
+    }
+  });
   
-  // Special handling for overall experience analysis
-  if (sectionName === 'experience_overall' && typeof content === 'object') {
-    SmartLogger.log('AI.PROMPTS', 'Using overall experience prompt', { 
+  SmartLogger.log('AI.PROMPTS', 'Starting single-call analysis', {
+    provider: config.provider,
+    sectionsCount: pending.length
+  });
+  
+  try {
+    Object.assign(sectionAnalyses, await analyzeSectionsCombined(pending, chain, config));
+  } catch (error) {
+    if (error.errorType === 'CANCELLED') {
+      return { cancelled: true, sectionScores: sectionAnalyses };
+    }
+    throw error;
+  }
+  
+  const scoreResult = ProfileScoreCalculator.calculateOverallScore(sectionAnalyses);
+  const synthesis = await synthesizeFinalAnalysis(sectionAnalyses, config);
+  
+  return {
+    overallScore: scoreResult.overallScore,
+    sectionScores: sectionAnalyses,
+    recommendations: synthesis.recommendations,
+    insights: synthesis.insights,
+    summary: synthesis.summary
+  };
+}
+
+// Send pending sections ({ key, type, data, context }) as one combined request
+// Sections the model left out of its answer come back as failed so they can be retried alone
+async function analyzeSectionsCombined(pending, chain, config) {
+  const prompt = createCombinedPrompt(pending, config);
+  SmartLogger.log('AI.PROMPTS', 'Combined prompt created', {
+    sections: pending.map(section => section.key),
+    promptLength: prompt.length
+  });
+  
+  const { result: { data }, answeredBy } = await SmartLogger.time('PERFORMANCE.API_LATENCY', 'AI analysis - combined',
+    async () => await callWithFailover(chain, async (link) =>
+      await requestStructuredOutput(link.provider, link.apiKey, prompt, link.model, 'combined', {
+        usageContext: config.usageContext,
+        signal: config.signal,
+        redactionSources: [...pending.map(section => [section.data, section.context]), config.profileContext],
+        audit: { sections: pending.map(section => section.key), analysisId: config.usageContext?.analysisId }
+      }),
+    config.signal)
+  );
+  
+  const analyses = {};
+  pending.forEach(section => {
+    const item = data.sections.find(entry => entry.key === section.key);
+    analyses[section.key] = item
+      ? { exists: true, ...parseSectionAnalysis(item, section.type), answeredBy }
+      : {
+          exists: true,
+          score: null,
+          errorType: 'ANALYSIS_FAILED',
+          feedback: 'Unable to analyze this section.',
+          error: 'Section missing from the combined response'
+        };
+  });
+  return analyses;
+}
+
+// One prompt covering several sections, opening with the same shared prefix as section prompts
+function createCombinedPrompt(pending, config) {
+  const enhancedConfig = {
+    ...config,
+    currentDate: new Date().toISOString().split('T')[0]
+  };
+  // Images are analyzed separately and would only inflate the prompt
+  const skipBinary = (key, value) => (key === 'imageData' || key === 'element' ? undefined : value);
+  
+  const sectionBlocks = pending.map(section => {
+    const content = typeof section.data === 'object' ? JSON.stringify(section.data, skipBinary, 2) : section.data;
+    const position = section.context?.position !== undefined
+      ? `\nRole Position: #${section.context.position + 1} of ${section.context.totalRoles} total roles`
+      : '';
+    return `<section key="${section.key}" type="${section.type}">${position}
+${content}
+</section>`;
+  }).join('\n\n');
+  
+  return createSharedPromptPrefix(enhancedConfig) + `Analyze each of the ${pending.length} profile sections below on its own merits.
+
+${sectionBlocks}
+
+Return ONLY valid JSON with exactly one entry per section key above:
+{
+  "sections": [
+    {
+      "key": "<section key from above>",
+      "score": <integer 0-10>,
+      "positiveInsight": "<200-300 chars quoting their ACTUAL strong content>",
+      "gapAnalysis": "<150-250 chars quoting the weakest phrases>",
+      "specificFeedback": {
+        "originalLine": "<Exact weak sentence from the section>",
+        "suggestion": "<Rewritten version>",
+        "why": "<50-100 chars explaining the improvement>"
+      },
+      "actionItems": [
+        {
+          "category": "<Improvement area, 30-50 chars>",
+          "action": "<Specific step quoting their content, 100-150 chars>",
+          "impact": "<Why it matters for ${config.targetRole}, 50-80 chars>",
+          "priority": "<'high'|'medium'|'low'>",
+          "quotedContent": "<Exact quote this addresses>"
+        }
+      ]
+    }
+  ]
+}
+
+ActionItems per section based on its score:
+- Score 9-10: 0-1 improvement, only if critical
+- Score 7-8: 1-2 improvements
+- Score 0-6: EXACTLY 2 improvements`;
+}
+
+// Marks the end of the shared prompt prefix; callAIProvider splits Anthropic prompts here
+const PROMPT_CACHE_BOUNDARY = '</shared_context>';
+// Shortest prefix the supported providers will cache
+const PROMPT_CACHE_MIN_TOKENS = 1024;
+
+// Whether the shared prefix for this config is long enough to be cached
+// Sending one section ahead of the rest to warm the cache only pays off when it is
+function isPromptPrefixCacheable(config) {
+  return estimateTokens(createSharedPromptPrefix(config), config.provider) >= PROMPT_CACHE_MIN_TOKENS;
+}
+
+// Opening shared by every section prompt of an analysis: persona, settings, profile context and rules
+// It has to be byte-identical across sections so Anthropic's cache_control block and the
+// automatic OpenAI/Gemini prefix caches can reuse it instead of billing it per section.
+// None of them caches a prefix under ~1024 tokens, so it carries the profile overview every
+// section shares rather than just the summary facts
+function createSharedPromptPrefix(config) {
+  const profile = config.profileContext || {};
+  const roles = (profile.roles || []).map(role => {
+    const heading = `- ${role.title || 'Role'} at ${role.company || 'Unknown Company'}${role.duration ? ` (${role.duration})` : ''}`;
+    return role.description ? `${heading}\n  ${role.description.replace(/\s+/g, ' ')}` : heading;
+  });
+  
+  return `You are an expert career coach and LinkedIn profile optimizer with 20+ years of experience helping professionals land ${config.targetRole} positions at the ${config.seniorityLevel} level. You analyze one section of a LinkedIn profile at a time; the section and its specific rules follow the shared context below.
+
+<shared_context>
+<context>
+Analysis Date: ${config.currentDate || new Date().toISOString().split('T')[0]}
+Target Role: ${config.targetRole}
+Seniority Level: ${config.seniorityLevel}
+Custom Instructions: ${config.customInstructions || 'None provided'}
+</context>
+
+<profile_context>
+Current Role: ${profile.currentRole || 'Not specified'}
+Recent Companies: ${profile.recentCompanies?.join(', ') || 'No recent data'}
+Years of Experience: ${profile.yearsOfExperience ?? 'Unknown'}
+Total Roles: ${profile.totalRoles ?? 'Unknown'}
+Profile Completeness: ${profile.completenessScore != null ? `${profile.completenessScore}%` : 'Unknown'}
+</profile_context>
+
+<profile_overview>
+Headline: ${profile.headline || 'Not provided'}
+About: ${profile.about || 'Not provided'}
+Roles (most recent first):
+${roles.join('\n') || 'None listed'}
+Skills: ${profile.skills?.join(', ') || 'None listed'}
+Education: ${profile.education?.join('; ') || 'None listed'}
+</profile_overview>
+
+<shared_rules>
+1. Quote EXACT text from the profile when giving feedback; if there is nothing to quote, say so
+2. Read the whole section before suggesting additions - never ask for something that is already there
+3. Improve what is written instead of proposing generic additions
+4. Weight recent and visible content more heavily than older or hidden content
+5. Score 0-10, where 10 means the section is ready to land the target role
+6. Tie every piece of feedback to the target role and seniority level above
+7. Return valid JSON only - no markdown, no extra text
+8. Use the profile overview only as background - score and quote the section given below
+</shared_rules>
+${PROMPT_CACHE_BOUNDARY}
+
+`;
+}
+
+// Create section-specific prompt: the shared prefix followed by the section's own instructions
+function createSectionPrompt(sectionName, content, config, context = {}) {
+  // Add current date to config for all prompts
+  const enhancedConfig = {
+    ...config,
+    currentDate: new Date().toISOString().split('T')[0] // Format: "2025-01-19"
+  };
+  
+  return createSharedPromptPrefix(enhancedConfig) + createSectionInstructions(sectionName, content, enhancedConfig, context);
+}
+
+// Section-specific part of a prompt, appended after the shared prefix
+function createSectionInstructions(sectionName, content, config, context) {
+  // Special handling for experience roles
+  if (sectionName === 'experience_role' && typeof content === 'object') {
+    return createExperienceRolePrompt(content, config, context);
+  }
+  
+  // Special handling for overall experience analysis
+  if (sectionName === 'experience_overall' && typeof content === 'object') {
+    SmartLogger.log('AI.PROMPTS', 'Using overall experience prompt', { 
       contentKeys: Object.keys(content),
       totalRoles: content.totalRoles,
       hasExperiences: content.experiences?.length > 0 
     });
-    return createExperienceOverallPrompt(content, enhancedConfig, context);
+    return createExperienceOverallPrompt(content, config, context);
   }
   
   // Special handling for experience section (fallback)
@@ -1255,33 +2120,31 @@ function createSectionPrompt(sectionName, content, config, context = {}) {
   
   // Special handling for recommendations
   if (sectionName === 'recommendations' && typeof content === 'object') {
-    return createRecommendationsPrompt(content, enhancedConfig, context);
+    return createRecommendationsPrompt(content, config, context);
   }
   
   // Special handling for first impression (headline + photo + banner)
   if (sectionName === 'first_impression' && typeof content === 'object') {
-    return createFirstImpressionPrompt(content, enhancedConfig);
+    return createFirstImpressionPrompt(content, config);
   }
   
   // Special handling for standalone about section
   if (sectionName === 'about' && typeof content === 'string') {
-    return createAboutPrompt(content, enhancedConfig);
+    return createAboutPrompt(content, config);
   }
   
   // Special handling for profile intro (headline + about) - DEPRECATED, keeping for backward compatibility
   if (sectionName === 'profile_intro' && typeof content === 'object') {
-    return createProfileIntroPrompt(content, enhancedConfig);
+    return createProfileIntroPrompt(content, config);
   }
   
   // Special handling for skills
   if (sectionName === 'skills' && typeof content === 'object') {
-    return createSkillsPrompt(content, enhancedConfig, context);
+    return createSkillsPrompt(content, config, context);
   }
   
   // Default prompt for other sections
-  const basePrompt = `You are an extremely experienced career coach specializing in helping professionals transition to ${config.targetRole} at the ${config.seniorityLevel} level. You have 20+ years of experience optimizing LinkedIn profiles for maximum impact.
-
-⚠️ CRITICAL ANALYSIS RULES:
+  const basePrompt = `⚠️ CRITICAL ANALYSIS RULES:
 1. ALWAYS quote specific text from the profile when giving feedback
 2. NEVER give generic advice like "add skills X, Y, Z" without analyzing what's already there
 3. Your feedback must reference ACTUAL CONTENT from their profile
@@ -1292,10 +2155,6 @@ Analyze this ${sectionName} section with the following approach:
 2. Identify gaps by analyzing what's actually written (not what's missing)
 3. Provide specific improvements to existing content (not generic additions)
 
-Target role: ${config.targetRole}
-Seniority level: ${config.seniorityLevel}
-${config.customInstructions ? `Additional context: ${config.customInstructions}` : ''}
-
 ${sectionName.toUpperCase()} CONTENT:
 ${typeof content === 'object' ? JSON.stringify(content, null, 2) : content}
 
@@ -1354,14 +2213,7 @@ IMPORTANT:
 
 // Create specialized prompt for experience roles using Anthropic best practices
 function createExperienceRolePrompt(experience, config, context = {}) {
-  const prompt = `You are an expert career coach analyzing individual LinkedIn experience entries for ${config.targetRole} positions at the ${config.seniorityLevel} level.
-
-<context>
-Analysis Date: ${config.currentDate || new Date().toISOString().split('T')[0]}
-Target Role: ${config.targetRole}
-Seniority Level: ${config.seniorityLevel}
-Custom Instructions: ${config.customInstructions || 'None provided'}
-</context>
+  const prompt = `Analyze this individual LinkedIn experience entry.
 
 <critical_rules>
 ⚠️ YOU MUST FOLLOW THESE RULES:
@@ -1487,15 +2339,7 @@ function createExperienceOverallPrompt(experienceData, config, context = {}) {
   const yearsOfExperience = Math.floor(totalMonths / 12);
   const totalRoles = experienceData.totalRoles || experienceData.count || 0;
   
-  const prompt = `You are an expert career coach analyzing LinkedIn profiles for ${config.targetRole} positions at the ${config.seniorityLevel} level.
-
-<context>
-Analysis Date: ${config.currentDate || new Date().toISOString().split('T')[0]}
-Target Role: ${config.targetRole}  
-Seniority Level: ${config.seniorityLevel}
-Profile Completeness: ${context.completenessScore}%
-Custom Instructions: ${config.customInstructions || 'None provided'}
-</context>
+  const prompt = `Analyze the experience section of this LinkedIn profile as a whole.
 
 <critical_rules>
 ⚠️ YOU MUST FOLLOW THESE RULES:
@@ -1604,14 +2448,7 @@ function createRecommendationsPrompt(recommendationsData, config, context = {})
     receivedLength: recommendationsData.received?.length || 0
   });
   
-  const prompt = `You are an expert LinkedIn profile optimizer analyzing recommendations for ${config.targetRole} positions at the ${config.seniorityLevel} level.
-
-<context>
-Analysis Date: ${config.currentDate || new Date().toISOString().split('T')[0]}
-Target Role: ${config.targetRole}
-Seniority Level: ${config.seniorityLevel}
-Custom Instructions: ${config.customInstructions || 'None provided'}
-</context>
+  const prompt = `Analyze the recommendations this LinkedIn profile has received.
 
 <critical_rules>
 ⚠️ YOU MUST FOLLOW THESE RULES:
@@ -1627,12 +2464,6 @@ Custom Instructions: ${config.customInstructions || 'None provided'}
 8. MUST return valid JSON only - no markdown, no extra text
 </critical_rules>
 
-<career_context>
-Current Role: ${context.currentRole ? `${context.currentRole.title} at ${context.currentRole.company}` : 'Not specified'}
-Recent Companies: ${context.recentCompanies?.slice(0, 3).map(exp => exp.company).join(', ') || 'No recent data'}
-Years of Experience: ${context.yearsOfExperience || 0}
-</career_context>
-
 <recommendations_overview>
 Total Recommendations: ${recommendationCount}
 Received: ${recommendationsData.receivedCount || 0}
@@ -1824,14 +2655,7 @@ function createFirstImpressionPrompt(firstImpressionData, config) {
     openToWork: firstImpressionData.metadata?.openToWork
   });
   
-  const prompt = `You are an expert LinkedIn profile optimizer analyzing first impressions for ${config.targetRole} positions at the ${config.seniorityLevel} level.
-
-<context>
-Analysis Date: ${config.currentDate || new Date().toISOString().split('T')[0]}
-Target Role: ${config.targetRole}
-Seniority Level: ${config.seniorityLevel}
-Custom Instructions: ${config.customInstructions || 'None provided'}
-</context>
+  const prompt = `Analyze the first impression this LinkedIn profile makes.
 
 <critical_rules>
 ⚠️ YOU MUST FOLLOW THESE RULES:
@@ -1849,7 +2673,7 @@ HEADLINE: "${firstImpressionData.headline || '[NO HEADLINE - CRITICAL GAP]'}"
 Character Count: ${firstImpressionData.headlineCharCount || 0} of 220 maximum
 Profile Photo: ${firstImpressionData.photo?.exists ? 'Present ✓' : 'MISSING - Critical gap'}
 Background Banner: ${firstImpressionData.banner?.isCustomBanner ? 'Custom (good!)' : 'Default (normal, not a weakness)'}
-Open to Work: ${firstImpressionData.metadata?.openToWork ? 'Enabled' : 'Not enabled'}
+${describeVisualAssessment('Photo Assessment', firstImpressionData.visuals?.photo)}${describeVisualAssessment('Banner Assessment', firstImpressionData.visuals?.banner)}Open to Work: ${firstImpressionData.metadata?.openToWork ? 'Enabled' : 'Not enabled'}
 Creator Mode: ${firstImpressionData.metadata?.creatorMode ? 'Enabled' : 'Not enabled'}
 Connection Count: ${firstImpressionData.metadata?.connectionCount || 'Not visible'}
 </first_impression_data>
@@ -1897,6 +2721,15 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
   return prompt;
 }
 
+// Describe a photo or banner assessment as one prompt line, or nothing when absent
+function describeVisualAssessment(label, visual) {
+  if (!visual || typeof visual.score !== 'number') return '';
+  const criteria = Object.entries(visual.criteria || {})
+    .map(([name, value]) => `${name} ${value.score}/10`)
+    .join(', ');
+  return `${label}: ${visual.score}/10${criteria ? ` (${criteria})` : ''}${visual.positive ? ` - ${visual.positive}` : ''}\n`;
+}
+
 // [CRITICAL_PATH:ABOUT_SECTION_AI] - P0: Standalone About section analysis
 // Create specialized prompt for About section only using Anthropic best practices
 function createAboutPrompt(aboutContent, config) {
@@ -1907,14 +2740,7 @@ function createAboutPrompt(aboutContent, config) {
     configSeniority: config.seniorityLevel
   });
   
-  const prompt = `You are an expert LinkedIn profile optimizer analyzing About sections for ${config.targetRole} positions at the ${config.seniorityLevel} level.
-
-<context>
-Analysis Date: ${config.currentDate || new Date().toISOString().split('T')[0]}
-Target Role: ${config.targetRole}
-Seniority Level: ${config.seniorityLevel}
-Custom Instructions: ${config.customInstructions || 'None provided'}
-</context>
+  const prompt = `Analyze the About section of this LinkedIn profile.
 
 <critical_rules>
 ⚠️ YOU MUST FOLLOW THESE RULES:
@@ -2044,15 +2870,7 @@ function createSkillsPrompt(skillsData, config, context = {}) {
   const visibleSkillsCount = skillsData.skills?.filter(s => s.visibilityTier === 'top3' || s.visibilityTier === 'visible').length || skillsData.visibleCount || 0;
   const hasEndorsementIssues = visibleSkillsCount > 0 && skillsData.endorsedSkillsCount === 0;
   
-  const prompt = `You are an expert LinkedIn profile optimizer analyzing skills for ${config.targetRole} positions at the ${config.seniorityLevel} level.
-
-<context>
-Analysis Date: ${config.currentDate || new Date().toISOString().split('T')[0]}
-Target Role: ${config.targetRole}
-Seniority Level: ${config.seniorityLevel}
-Profile Completeness: ${completenessScore}%
-Custom Instructions: ${config.customInstructions || 'None provided'}
-</context>
+  const prompt = `Analyze the skills section of this LinkedIn profile.
 
 <critical_rules>
 ⚠️ YOU MUST FOLLOW THESE RULES:
@@ -2086,11 +2904,6 @@ Endorsement Status: ${hasEndorsementIssues ? 'CRITICAL - Visible skills lack end
 Visible Skills Count: ${visibleSkillsCount} (without clicking "Show all")
 </profile_status>
 
-<career_context>
-Current Role: ${context.currentRole ? `${context.currentRole.title} at ${context.currentRole.company}` : 'Not specified'}
-Years of Experience: ${context.yearsOfExperience || 0} years
-</career_context>
-
 <skills_overview>
 Total Skills: ${skillsData.count || skillsData.skills?.length || 0}
 Visible Without Clicking: ${visibleSkillsCount}
@@ -2178,91 +2991,320 @@ Return ONLY valid JSON with this exact structure (no markdown, no extra text):
 }
 
 // Parse section analysis response
-function parseSectionAnalysis(response, sectionName) {
-  try {
-    // Try to parse as JSON first
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const parsed = JSON.parse(jsonMatch[0]);
-      
-      // Handle both old and new formats
-      const actionItems = parsed.actionItems || parsed.recommendations || [];
-      const improvements = parsed.improvements || [];
-      
-      // Validate that AI included specific quotes
-      const hasQuotes = (text) => text && (text.includes('"') || text.includes("'") || text.includes('[') || text.includes('Your'));
-      
-      // Log warning if response lacks specific quotes
-      if (parsed.positiveInsight && !hasQuotes(parsed.positiveInsight)) {
-        SmartLogger.log('AI.QUOTES', 'Missing quotes in positiveInsight', { 
-          section: sectionName,
-          textPreview: parsed.positiveInsight.substring(0, 100) 
-        });
-      }
-      
-      if (parsed.gapAnalysis && !hasQuotes(parsed.gapAnalysis)) {
-        SmartLogger.log('AI.QUOTES', 'Missing quotes in gapAnalysis', { 
-          section: sectionName,
-          textPreview: parsed.gapAnalysis.substring(0, 100) 
-        });
+// JSON schemas for structured AI output, requested natively from each provider and validated on receipt
+const ACTION_ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    category: { type: 'string' },
+    action: { type: 'string' },
+    impact: { type: 'string' },
+    priority: { type: 'string', enum: ['critical', 'high', 'medium', 'low'] },
+    quotedContent: { type: 'string' },
+    // First impression items name the profile element they address
+    element: { type: 'string', enum: ['photo', 'headline', 'banner'] }
+  },
+  required: ['action', 'priority']
+};
+
+const SPECIFIC_FEEDBACK_SCHEMA = {
+  type: 'object',
+  properties: {
+    originalLine: { type: 'string' },
+    suggestion: { type: 'string' },
+    why: { type: 'string' }
+  },
+  required: ['originalLine', 'suggestion']
+};
+
+const RESPONSE_SCHEMAS = {
+  section: {
+    type: 'object',
+    properties: {
+      score: { type: 'integer', minimum: 0, maximum: 10 },
+      positiveInsight: { type: 'string' },
+      gapAnalysis: { type: 'string' },
+      specificFeedback: SPECIFIC_FEEDBACK_SCHEMA,
+      actionItems: { type: 'array', items: ACTION_ITEM_SCHEMA }
+    },
+    required: ['score', 'positiveInsight', 'actionItems']
+  },
+  experience_role: {
+    type: 'object',
+    properties: {
+      score: { type: 'integer', minimum: 0, maximum: 10 },
+      positiveInsight: { type: 'string' },
+      gapAnalysis: { type: 'string' },
+      specificFeedback: SPECIFIC_FEEDBACK_SCHEMA,
+      actionItems: { type: 'array', items: ACTION_ITEM_SCHEMA }
+    },
+    required: ['score', 'positiveInsight', 'gapAnalysis', 'actionItems']
+  },
+  recommendations: {
+    type: 'object',
+    properties: {
+      score: { type: 'integer', minimum: 0, maximum: 10 },
+      positiveInsight: { type: 'string' },
+      gapAnalysis: { type: 'string' },
+      specificFeedback: SPECIFIC_FEEDBACK_SCHEMA,
+      actionItems: { type: 'array', items: ACTION_ITEM_SCHEMA }
+    },
+    required: ['score', 'positiveInsight', 'gapAnalysis', 'actionItems']
+  },
+  combined: {
+    type: 'object',
+    properties: {
+      sections: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            key: { type: 'string' },
+            score: { type: 'integer', minimum: 0, maximum: 10 },
+            positiveInsight: { type: 'string' },
+            gapAnalysis: { type: 'string' },
+            specificFeedback: SPECIFIC_FEEDBACK_SCHEMA,
+            actionItems: { type: 'array', items: ACTION_ITEM_SCHEMA }
+          },
+          required: ['key', 'score', 'positiveInsight', 'actionItems']
+        }
       }
-      
-      // Validate actionItems have quotedContent
-      const validatedActionItems = actionItems.map(item => {
-        if (typeof item === 'object' && !item.quotedContent) {
-          SmartLogger.log('AI.QUOTES', 'ActionItem missing quotedContent', { 
-            section: sectionName,
-            what: item.what 
-          });
+    },
+    required: ['sections']
+  },
+  synthesis: {
+    type: 'object',
+    properties: {
+      recommendations: {
+        type: 'object',
+        properties: {
+          critical: { type: 'array', items: { type: 'object' } },
+          important: { type: 'array', items: { type: 'object' } },
+          niceToHave: { type: 'array', items: { type: 'object' } }
+        },
+        required: ['critical', 'important', 'niceToHave']
+      },
+      insights: {
+        type: 'object',
+        properties: {
+          strengths: { type: 'string' },
+          improvements: { type: 'string' },
+          careerTrajectory: { type: 'string' }
         }
-        return item;
-      });
-      
-      // Log successful parse
-      SmartLogger.log('AI.PARSING', 'Response parsed successfully', {
-        section: sectionName,
-        score: parsed.score,
-        hasSpecificFeedback: !!parsed.specificFeedback,
-        actionItemCount: validatedActionItems.length,
-        quotesDetected: hasQuotes(parsed.positiveInsight) || hasQuotes(parsed.gapAnalysis)
-      });
-      
-      return {
-        score: Math.min(10, Math.max(0, parsed.score || 5)),
-        // New format with positiveInsight and gapAnalysis
-        positiveInsight: parsed.positiveInsight || parsed.strengths?.[0] || '',
-        gapAnalysis: parsed.gapAnalysis || '',
-        // Legacy format support
-        insight: parsed.insight || parsed.feedback || `${parsed.strengths?.join('. ')}. ${improvements.join('. ')}`,
-        strengths: parsed.strengths || [],
-        improvements: improvements,
-        actionItems: validatedActionItems,
-        specificFeedback: parsed.specificFeedback || null,
-        // Keep backwards compatibility
-        recommendations: validatedActionItems.map(item => 
-          typeof item === 'string' ? item : (item.what || item.text || item)
-        )
-      };
-    }
+      },
+      summary: { type: 'string' }
+    },
+    required: ['recommendations']
+  }
+};
+
+// Pick the response schema for a section prompt
+function getSectionSchemaName(sectionName) {
+  if (sectionName === 'experience_role' || sectionName === 'recommendations') {
+    return sectionName;
+  }
+  return 'section';
+}
+
+// Validate a value against the JSON schema subset used above, returning readable errors
+function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+  const typeMatches = {
+    object: (v) => v !== null && typeof v === 'object' && !Array.isArray(v),
+    array: (v) => Array.isArray(v),
+    string: (v) => typeof v === 'string',
+    integer: (v) => Number.isInteger(v),
+    number: (v) => typeof v === 'number' && Number.isFinite(v),
+    boolean: (v) => typeof v === 'boolean'
+  };
+  
+  if (schema.type && !typeMatches[schema.type](value)) {
+    errors.push(`${path} should be ${schema.type}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof schema.minimum === 'number' && value < schema.minimum) {
+    errors.push(`${path} should be at least ${schema.minimum}`);
+  }
+  if (typeof schema.maximum === 'number' && value > schema.maximum) {
+    errors.push(`${path} should be at most ${schema.maximum}`);
+  }
+  
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+  
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+  
+  return errors;
+}
+
+// Parse a structured response; native modes return bare JSON, self-hosted models may still wrap it in a fence
+function parseJsonResponse(text) {
+  const trimmed = (text || '').trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(trimmed.slice(start, end + 1));
+  }
+}
+
+// Parse and validate, returning { data, errors }
+function parseAndValidate(text, schemaName) {
+  try {
+    const data = parseJsonResponse(text);
+    return { data, errors: validateAgainstSchema(data, RESPONSE_SCHEMAS[schemaName]) };
   } catch (error) {
-    SmartLogger.error('AI.PARSING', 'Failed to parse response', error, {
+    return { data: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+}
+
+// Gemini's responseSchema takes an OpenAPI subset with upper-case type names
+function toGeminiSchema(schema) {
+  const converted = { type: schema.type.toUpperCase() };
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (schema.required) converted.required = schema.required;
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  return converted;
+}
+
+// Ask the provider for schema-conforming output using its native structured-output mode
+function applyResponseSchema(provider, body, schemaName) {
+  const schema = RESPONSE_SCHEMAS[schemaName];
+  const name = `${schemaName}_analysis`;
+  
+  if (provider === 'openai') {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name, schema, strict: false }
+    };
+  } else if (provider === 'anthropic') {
+    // Forcing a single tool makes the tool input the structured result
+    body.tools = [{ name, description: 'Record the analysis result.', input_schema: schema }];
+    body.tool_choice = { type: 'tool', name };
+  } else if (provider === 'gemini') {
+    body.generationConfig.responseMimeType = 'application/json';
+    body.generationConfig.responseSchema = toGeminiSchema(schema);
+  }
+  // Self-hosted servers differ in structured-output support, so custom relies on validation and repair
+}
+
+// Call the provider for schema-validated JSON, with one repair retry before a typed error
+async function requestStructuredOutput(provider, apiKey, prompt, model, schemaName, options = {}) {
+  const firstText = await callAIProvider(provider, apiKey, prompt, model, { ...options, responseSchema: schemaName });
+  const first = parseAndValidate(firstText, schemaName);
+  if (first.errors.length === 0) {
+    return { data: first.data, text: firstText };
+  }
+  
+  SmartLogger.log('AI.PARSING', 'Schema validation failed, requesting repair', {
+    schema: schemaName,
+    errors: first.errors.slice(0, 5),
+    responsePreview: firstText.substring(0, 200)
+  });
+  
+  const repairPrompt = `${prompt}
+
+Your previous response did not match the required JSON schema.
+Problems found:
+${first.errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${firstText.substring(0, 4000)}
+
+Return ONLY the corrected JSON object with this schema (no markdown, no extra text):
+${JSON.stringify(RESPONSE_SCHEMAS[schemaName])}`;
+  
+  const repairText = await callAIProvider(provider, apiKey, repairPrompt, model, {
+    ...options,
+    responseSchema: schemaName,
+    audit: { ...options.audit, purpose: 'repair' }
+  });
+  const repaired = parseAndValidate(repairText, schemaName);
+  if (repaired.errors.length === 0) {
+    SmartLogger.log('AI.PARSING', 'Schema repair succeeded', { schema: schemaName });
+    return { data: repaired.data, text: repairText };
+  }
+  
+  SmartLogger.log('AI.PARSING', 'Schema repair failed', { schema: schemaName, errors: repaired.errors.slice(0, 5) });
+  const error = new Error(`AI response did not match the ${schemaName} schema: ${repaired.errors.slice(0, 3).join('; ')}`);
+  error.errorType = 'RESPONSE_PARSE_ERROR';
+  error.validationErrors = repaired.errors;
+  throw error;
+}
+
+function parseSectionAnalysis(parsed, sectionName) {
+  const actionItems = parsed.actionItems || [];
+  const improvements = parsed.improvements || [];
+  
+  // Validate that AI included specific quotes
+  const hasQuotes = (text) => text && (text.includes('"') || text.includes("'") || text.includes('[') || text.includes('Your'));
+  
+  // Log warning if response lacks specific quotes
+  if (parsed.positiveInsight && !hasQuotes(parsed.positiveInsight)) {
+    SmartLogger.log('AI.QUOTES', 'Missing quotes in positiveInsight', { 
       section: sectionName,
-      responsePreview: response.substring(0, 200)
+      textPreview: parsed.positiveInsight.substring(0, 100) 
+    });
+  }
+  
+  if (parsed.gapAnalysis && !hasQuotes(parsed.gapAnalysis)) {
+    SmartLogger.log('AI.QUOTES', 'Missing quotes in gapAnalysis', { 
+      section: sectionName,
+      textPreview: parsed.gapAnalysis.substring(0, 100) 
     });
   }
   
-  // Fallback parsing
-  SmartLogger.log('AI.PARSING', 'Using fallback parsing', { section: sectionName });
+  // Validate actionItems have quotedContent
+  actionItems.forEach(item => {
+    if (!item.quotedContent) {
+      SmartLogger.log('AI.QUOTES', 'ActionItem missing quotedContent', { 
+        section: sectionName,
+        action: item.action 
+      });
+    }
+  });
+  
+  SmartLogger.log('AI.PARSING', 'Response parsed successfully', {
+    section: sectionName,
+    score: parsed.score,
+    hasSpecificFeedback: !!parsed.specificFeedback,
+    actionItemCount: actionItems.length,
+    quotesDetected: hasQuotes(parsed.positiveInsight) || hasQuotes(parsed.gapAnalysis)
+  });
+  
   return {
-    score: null,
-    errorType: 'RESPONSE_PARSE_ERROR',
-    positiveInsight: '',
-    gapAnalysis: '',
-    insight: response.substring(0, 200),
-    strengths: [],
-    improvements: [],
-    actionItems: [],
-    recommendations: []
+    score: parsed.score,
+    positiveInsight: parsed.positiveInsight,
+    gapAnalysis: parsed.gapAnalysis || '',
+    // Legacy format support
+    insight: parsed.positiveInsight,
+    strengths: parsed.positiveInsight ? [parsed.positiveInsight] : [],
+    improvements: improvements,
+    actionItems: actionItems.map(item => ({ ...item, what: item.what || item.action })),
+    specificFeedback: parsed.specificFeedback || null,
+    // Keep backwards compatibility
+    recommendations: actionItems.map(item => item.action)
   };
 }
 
@@ -2487,39 +3529,167 @@ function analyzeCareerTrajectory(experienceRoles) {
   return insights;
 }
 
-// Call AI provider
-async function callAIProvider(provider, apiKey, prompt, model = null) {
-  SmartLogger.log('AI.PROMPTS', 'Calling AI provider', { provider, model });
+// Streaming responses abort only after this long without a new chunk,
+// so slow models can take as long as they need while tokens keep arriving
+const STREAM_IDLE_TIMEOUT = 30000;
+
+// PII redaction: contact details and third-party names are swapped for placeholders before a prompt
+// leaves the browser, and the placeholders are mapped back in the response
+const REDACTION_KEY = 'redaction';
+const DEFAULT_REDACTION = { emails: true, phones: true, urls: true, recommenders: true, companies: false };
+// Applied in this order so phone digits inside URLs are already masked
+const REDACTION_PATTERNS = {
+  emails: { label: 'EMAIL', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  urls: { label: 'URL', pattern: /\b(?:https?:\/\/|www\.)[^\s"'<>)\]]*[^\s"'<>)\].,;:!?]/gi },
+  phones: { label: 'PHONE', pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-]?)\d{3}[\s.-]?\d{4}\b/g }
+};
+const REDACTION_PLACEHOLDER = /\[(?:EMAIL|URL|PHONE|PERSON|COMPANY)_\d+\]/g;
+// Extractor fallbacks that aren't real names
+const REDACTION_IGNORED_NAMES = ['Unknown Company', 'Not specified', 'Date not available'];
+
+// Recommender and company names found anywhere in the section data or profile context
+function collectRedactionNames(sources) {
+  const people = new Set();
+  const companies = new Set();
   
-  // Clean and validate API key
-  if (!apiKey || typeof apiKey !== 'string') {
-    throw new Error('Invalid API key');
-  }
+  const visit = (value, key) => {
+    if (!value) return;
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(item, key));
+    } else if (typeof value === 'object') {
+      Object.entries(value).forEach(([childKey, child]) => visit(child, childKey));
+    } else if (typeof value === 'string') {
+      const name = value.trim();
+      if (key === 'recommenderName') people.add(name);
+      // Prepared recommendations carry "Name (Title)"
+      if (key === 'recommender') people.add(name.split(' (')[0].trim());
+      if (key === 'company' || key === 'recommenderCompany' || key === 'allCompanies') companies.add(name);
+    }
+  };
+  sources.forEach(source => visit(source));
   
-  // Remove any non-printable characters and trim whitespace
-  const cleanApiKey = apiKey.trim().replace(/[^\x20-\x7E]/g, '');
+  const usable = names => [...names].filter(name => name.length >= 3 && !REDACTION_IGNORED_NAMES.includes(name));
+  return { people: usable(people), companies: usable(companies) };
+}
+
+// Whole-word match for any of the names, longest first so "Acme Labs" wins over "Acme"
+function buildNamePattern(names) {
+  const alternatives = [...names]
+    .sort((a, b) => b.length - a.length)
+    .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\w])(?:${alternatives.join('|')})(?![\\w])`, 'g');
+}
+
+// Build a redactor for one provider call from the user's redaction settings
+// sources are the objects the prompt was built from; their recommender and company names are masked too
+// Placeholders are numbered in order of appearance, so a shared prompt prefix stays byte-identical across calls
+async function createRedactor(sources = []) {
+  const { [REDACTION_KEY]: stored } = await chrome.storage.local.get(REDACTION_KEY);
+  const settings = { ...DEFAULT_REDACTION, ...stored };
+  const originals = new Map();
+  const placeholders = new Map();
+  const counts = {};
   
-  // Check if key was significantly altered (might indicate encoding issues)
-  if (cleanApiKey.length < apiKey.length - 2) {
-    SmartLogger.log('AI.PROMPTS', 'API key contained non-ASCII characters that were removed', { 
-      originalLength: apiKey.length, 
-      cleanLength: cleanApiKey.length 
+  const rules = Object.entries(REDACTION_PATTERNS)
+    .filter(([type]) => settings[type])
+    .map(([, rule]) => rule);
+  const { people, companies } = collectRedactionNames(sources.filter(Boolean));
+  if (settings.recommenders && people.length > 0) {
+    rules.push({ label: 'PERSON', pattern: buildNamePattern(people) });
+  }
+  if (settings.companies && companies.length > 0) {
+    rules.push({ label: 'COMPANY', pattern: buildNamePattern(companies) });
+  }
+  
+  const mask = (label, original) => {
+    const id = `${label}:${original}`;
+    if (!placeholders.has(id)) {
+      counts[label] = (counts[label] || 0) + 1;
+      const placeholder = `[${label}_${counts[label]}]`;
+      placeholders.set(id, placeholder);
+      originals.set(placeholder, original);
+    }
+    return placeholders.get(id);
+  };
+  
+  return {
+    redact(text) {
+      if (typeof text !== 'string') return text;
+      return rules.reduce((masked, { label, pattern }) => masked.replace(pattern, match => mask(label, match)), text);
+    },
+    // Responses are JSON, so restored values are escaped the way a JSON string needs them
+    restore(text) {
+      if (typeof text !== 'string' || originals.size === 0) return text;
+      return text.replace(REDACTION_PLACEHOLDER, placeholder =>
+        originals.has(placeholder) ? JSON.stringify(originals.get(placeholder)).slice(1, -1) : placeholder);
+    },
+    get count() {
+      return originals.size;
+    }
+  };
+}
+
+// Call AI provider
+// Every call runs through the redaction stage; options.redactionSources names the data the prompt was built from
+// Pass options.onChunk to stream the response; it receives (delta, fullText) per chunk
+async function callAIProvider(provider, apiKey, prompt, model = null, options = {}) {
+  const { redactionSources = [], onChunk = null, ...requestOptions } = options;
+  const redactor = await createRedactor(redactionSources);
+  const redactedPrompt = redactor.redact(prompt);
+  if (redactor.count > 0) {
+    SmartLogger.log('AI.PROMPTS', 'Redacted personal details from prompt', { provider, placeholders: redactor.count });
+  }
+  
+  const restoringOnChunk = typeof onChunk === 'function'
+    ? (delta, fullText) => onChunk(redactor.restore(delta), redactor.restore(fullText))
+    : null;
+  const response = await sendProviderRequest(provider, apiKey, redactedPrompt, model, { ...requestOptions, onChunk: restoringOnChunk });
+  return redactor.restore(response);
+}
+
+// Send one prompt to the provider as-is; only callAIProvider should call this
+async function sendProviderRequest(provider, apiKey, prompt, model = null, options = {}) {
+  const { onChunk = null, image = null, usageContext = {}, responseSchema = null, signal = null } = options;
+  const streaming = typeof onChunk === 'function';
+  SmartLogger.log('AI.PROMPTS', 'Calling AI provider', { provider, model, streaming });
+  
+  // Clean and validate API key (optional for self-hosted endpoints)
+  const requiresKey = providerRequiresApiKey(provider);
+  if (requiresKey && (!apiKey || typeof apiKey !== 'string')) {
+    throw new Error('Invalid API key');
+  }
+  
+  // Remove any non-printable characters and trim whitespace
+  const rawApiKey = typeof apiKey === 'string' ? apiKey : '';
+  const cleanApiKey = rawApiKey.trim().replace(/[^\x20-\x7E]/g, '');
+  
+  // Check if key was significantly altered (might indicate encoding issues)
+  if (cleanApiKey.length < rawApiKey.length - 2) {
+    SmartLogger.log('AI.PROMPTS', 'API key contained non-ASCII characters that were removed', { 
+      originalLength: rawApiKey.length, 
+      cleanLength: cleanApiKey.length 
     });
   }
   
-  if (!cleanApiKey) {
+  if (requiresKey && !cleanApiKey) {
     throw new Error('API key is empty after cleaning');
   }
   
   // Get model from storage if not provided
+  // Tiered routing picks the light model per section in getSectionChain, so it always arrives here set
   if (!model) {
     const settings = await chrome.storage.local.get(['aiModel', 'aiProvider']);
     model = settings.aiModel;
     if (!model) {
+      if (provider === 'custom') {
+        throw new Error('Custom endpoint model not configured');
+      }
       const defaults = { openai: 'gpt-4.1-nano', anthropic: 'claude-haiku-4-5-20251001', gemini: 'gemini-2.5-flash-lite' };
       model = defaults[provider] || 'gemini-2.5-flash-lite';
     }
   }
+  
+  const customUrl = provider === 'custom' ? await getCustomEndpointUrl() : null;
 
   const config = {
     openai: {
@@ -2544,7 +3714,7 @@ async function callAIProvider(provider, apiKey, prompt, model = null) {
       },
       body: {
         model: model,
-        messages: [{ role: 'user', content: prompt }],
+        messages: [{ role: 'user', content: toAnthropicPromptContent(prompt) }],
         max_tokens: 4000,
         temperature: 0.1
       }
@@ -2561,6 +3731,19 @@ async function callAIProvider(provider, apiKey, prompt, model = null) {
           maxOutputTokens: 4000
         }
       }
+    },
+    custom: {
+      url: customUrl,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cleanApiKey ? { 'Authorization': `Bearer ${cleanApiKey}` } : {})
+      },
+      body: {
+        model: model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: 4000,
+        temperature: 0.1
+      }
     }
   };
   
@@ -2569,24 +3752,81 @@ async function callAIProvider(provider, apiKey, prompt, model = null) {
     throw new Error(`Unknown provider: ${provider}`);
   }
   
+  if (image) {
+    attachImageToRequest(provider, providerConfig.body, prompt, image);
+  }
+  
+  if (responseSchema) {
+    applyResponseSchema(provider, providerConfig.body, responseSchema);
+  }
+  
+  // Switch each provider to its server-sent events variant
+  if (streaming) {
+    if (provider === 'openai') {
+      providerConfig.body.stream = true;
+      providerConfig.body.stream_options = { include_usage: true };
+    } else if (provider === 'anthropic' || provider === 'custom') {
+      // Not every self-hosted server understands stream_options, so custom only sets stream
+      providerConfig.body.stream = true;
+    } else if (provider === 'gemini') {
+      providerConfig.url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${cleanApiKey}`;
+    }
+  }
+  
   // Add timeout to prevent hanging requests
+  // Streaming re-arms the timer on every chunk, so it only fires when the stream stalls
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+  let timeoutId = setTimeout(() => controller.abort(), streaming ? STREAM_IDLE_TIMEOUT : 30000);
+  const resetIdleTimeout = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => controller.abort(), STREAM_IDLE_TIMEOUT);
+  };
+  
+  // Cancelling the analysis run aborts this request through the same controller
+  if (signal?.aborted) {
+    clearTimeout(timeoutId);
+    throw createCancelledError();
+  }
+  const abortOnCancel = () => controller.abort();
+  signal?.addEventListener('abort', abortOnCancel, { once: true });
+  
+  const body = JSON.stringify(providerConfig.body);
+  recordOutboundRequest({ provider, model, body, prompt, hasImage: !!image, audit: options.audit });
   
   try {
     const response = await fetch(providerConfig.url, {
       method: 'POST',
       headers: providerConfig.headers,
-      body: JSON.stringify(providerConfig.body),
+      body,
       signal: controller.signal
     });
     
-    clearTimeout(timeoutId);
+    if (!streaming) {
+      clearTimeout(timeoutId);
+    }
     
     if (!response.ok) {
+      clearTimeout(timeoutId);
       const errorData = await response.text();
       SmartLogger.error('AI.RESPONSES', 'API error response', new Error(errorData), { status: response.status });
-      throw new Error(`API error: ${response.status} ${response.statusText}`);
+      const error = new Error(`API error: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      if (response.status === 429 || response.status >= 500) {
+        error.errorType = response.status === 429 ? 'RATE_LIMIT' : 'SERVICE_UNAVAILABLE';
+        error.retryAfter = parseRetryAfter(provider, response.headers, errorData);
+      }
+      // Later calls to this provider wait out the cooldown instead of hitting the limit again
+      if (response.status === 429 && error.retryAfter) {
+        rateLimiter.setCooldown('api', provider, error.retryAfter);
+      }
+      throw error;
+    }
+    
+    if (streaming) {
+      const result = await readProviderStream(provider, response, onChunk, resetIdleTimeout);
+      clearTimeout(timeoutId);
+      logTokenUsage(result.usage);
+      return result.text;
     }
     
     const data = await response.json();
@@ -2595,33 +3835,62 @@ async function callAIProvider(provider, apiKey, prompt, model = null) {
   } catch (error) {
     clearTimeout(timeoutId);
     
+    if (error.name === 'AbortError' && signal?.aborted) {
+      SmartLogger.log('AI.PROMPTS', 'Request aborted by cancellation', { provider, model });
+      throw createCancelledError();
+    }
+    
     if (error.name === 'AbortError') {
-      SmartLogger.error('AI.PROMPTS', 'Request timeout', new Error('API request timed out after 30 seconds'));
+      const timeoutMessage = streaming
+        ? `API stream stalled for ${STREAM_IDLE_TIMEOUT / 1000} seconds`
+        : 'API request timed out after 30 seconds';
+      SmartLogger.error('AI.PROMPTS', 'Request timeout', new Error(timeoutMessage));
       throw new Error('Request timeout - API not responding');
     }
     
     throw error;
+  } finally {
+    signal?.removeEventListener('abort', abortOnCancel);
   }
   
-  // Helper function to process provider response
-  function processProviderResponse(provider, data, model) {
-    // Log token usage
-    if (data.usage || data.usageMetadata) {
+  // Helper function to log and record token usage in either provider format
+  function logTokenUsage(data) {
+    if (data && (data.usage || data.usageMetadata)) {
       const usage = data.usage || {};
       const geminiUsage = data.usageMetadata || {};
+      const cache = getPromptCacheUsage(usage, geminiUsage);
+      // Anthropic reports cached input separately from input_tokens; the others include it
+      const promptTokens = (usage.prompt_tokens || usage.input_tokens || geminiUsage.promptTokenCount || 0) +
+        (usage.input_tokens !== undefined ? cache.readTokens + cache.writeTokens : 0);
+      const completionTokens = usage.completion_tokens || usage.output_tokens || geminiUsage.candidatesTokenCount || 0;
+      const cost = calculateCost(model, promptTokens, completionTokens, cache);
       SmartLogger.log('AI.COSTS', 'Token usage', {
-        prompt_tokens: usage.prompt_tokens || geminiUsage.promptTokenCount || 0,
-        completion_tokens: usage.completion_tokens || geminiUsage.candidatesTokenCount || 0,
-        total_tokens: usage.total_tokens || geminiUsage.totalTokenCount || 0,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: usage.total_tokens || geminiUsage.totalTokenCount || promptTokens + completionTokens,
+        cached_tokens: cache.readTokens,
+        cache_write_tokens: cache.writeTokens,
+        cost,
+        cache_savings: calculateCost(model, promptTokens, completionTokens) - cost,
         model: model,
         provider: provider
       });
+      recordUsage(provider, model, promptTokens, completionTokens, usageContext, cache);
     }
+  }
+  
+  // Helper function to process provider response
+  function processProviderResponse(provider, data, model) {
+    // Log token usage
+    logTokenUsage(data);
 
     // Extract content based on provider
-    if (provider === 'openai') {
+    if (provider === 'openai' || provider === 'custom') {
       return data.choices?.[0]?.message?.content || '';
     } else if (provider === 'anthropic') {
+      // Forced tool use returns the structured result as the tool input
+      const toolUse = data.content?.find(block => block.type === 'tool_use');
+      if (toolUse) return JSON.stringify(toolUse.input);
       return data.content?.[0]?.text || '';
     } else if (provider === 'gemini') {
       return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
@@ -2631,6 +3900,134 @@ async function callAIProvider(provider, apiKey, prompt, model = null) {
   }
 }
 
+// Anthropic only caches what is marked, so split the prompt into a cached shared prefix and the section text
+// Prefixes below the model's minimum cacheable length are simply not cached
+function toAnthropicPromptContent(prompt) {
+  const boundary = prompt.indexOf(PROMPT_CACHE_BOUNDARY);
+  if (boundary < 0) return prompt;
+  
+  const end = boundary + PROMPT_CACHE_BOUNDARY.length;
+  return [
+    { type: 'text', text: prompt.slice(0, end), cache_control: { type: 'ephemeral' } },
+    { type: 'text', text: prompt.slice(end) }
+  ];
+}
+
+// Prompt-cache reads and writes from a provider usage block
+function getPromptCacheUsage(usage = {}, geminiUsage = {}) {
+  return {
+    readTokens: usage.cache_read_input_tokens || usage.prompt_tokens_details?.cached_tokens || geminiUsage.cachedContentTokenCount || 0,
+    writeTokens: usage.cache_creation_input_tokens || 0
+  };
+}
+
+// Swap a text-only request body for the provider's image + text format
+function attachImageToRequest(provider, body, prompt, imageData) {
+  const [header, base64Data] = imageData.split(',');
+  const mimeType = header.match(/^data:([^;]+)/)?.[1] || 'image/jpeg';
+  
+  if (provider === 'openai' || provider === 'custom') {
+    body.messages = [{
+      role: 'user',
+      content: [
+        { type: 'text', text: prompt },
+        { type: 'image_url', image_url: { url: imageData } }
+      ]
+    }];
+  } else if (provider === 'anthropic') {
+    body.messages = [{
+      role: 'user',
+      content: [
+        { type: 'image', source: { type: 'base64', media_type: mimeType, data: base64Data } },
+        { type: 'text', text: prompt }
+      ]
+    }];
+  } else if (provider === 'gemini') {
+    body.contents = [{
+      parts: [
+        { text: prompt },
+        { inline_data: { mime_type: mimeType, data: base64Data } }
+      ]
+    }];
+  }
+}
+
+// Read a provider's server-sent events stream, forwarding text deltas as they arrive
+// Returns the full text plus the usage block in the same shape as a non-streamed response
+async function readProviderStream(provider, response, onChunk, onActivity) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let fullText = '';
+  const usage = {};
+  let usageMetadata = null;
+  
+  const handleEvent = (payload) => {
+    if (!payload || payload === '[DONE]') return;
+    
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (error) {
+      SmartLogger.log('AI.RESPONSES', 'Skipping malformed stream event', { provider, preview: payload.substring(0, 100) });
+      return;
+    }
+    
+    let delta = '';
+    if (provider === 'openai' || provider === 'custom') {
+      delta = event.choices?.[0]?.delta?.content || '';
+      if (event.usage) Object.assign(usage, event.usage);
+    } else if (provider === 'anthropic') {
+      if (event.type === 'error') {
+        throw new Error(`API error: ${event.error?.type || 'stream_error'} ${event.error?.message || ''}`.trim());
+      }
+      // Tool use streams its JSON input as partial_json fragments
+      if (event.type === 'content_block_delta') delta = event.delta?.text || event.delta?.partial_json || '';
+      if (event.type === 'message_start' && event.message?.usage) Object.assign(usage, event.message.usage);
+      if (event.type === 'message_delta' && event.usage) Object.assign(usage, event.usage);
+    } else if (provider === 'gemini') {
+      delta = (event.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+      if (event.usageMetadata) usageMetadata = event.usageMetadata;
+    }
+    
+    if (delta) {
+      fullText += delta;
+      try {
+        onChunk(delta, fullText);
+      } catch (error) {
+        SmartLogger.error('AI.RESPONSES', 'Stream chunk handler failed', error);
+      }
+    }
+  };
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    onActivity();
+    
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    
+    for (const line of lines) {
+      if (line.startsWith('data:')) {
+        handleEvent(line.slice(5).trim());
+      }
+    }
+  }
+  
+  // Flush a final event that arrived without a trailing newline
+  buffer += decoder.decode();
+  if (buffer.startsWith('data:')) {
+    handleEvent(buffer.slice(5).trim());
+  }
+  
+  return {
+    text: fullText,
+    usage: usageMetadata ? { usageMetadata } : (Object.keys(usage).length > 0 ? { usage } : null)
+  };
+}
+
 // Message handler
 if (chrome && chrome.runtime && chrome.runtime.onMessage) {
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -2645,7 +4042,7 @@ if (chrome && chrome.runtime && chrome.runtime.onMessage) {
   
   // Handle test API key
   if (action === 'testApiKey') {
-    testApiKey(request.provider, request.apiKey, request.model).then(result => {
+    testApiKey(request.provider, request.apiKey, request.model, request.baseUrl).then(result => {
       sendResponse(result);
     }).catch(error => {
       sendResponse({ success: false, error: error.message });
@@ -2710,6 +4107,89 @@ if (chrome && chrome.runtime && chrome.runtime.onMessage) {
     return true;
   }
   
+  // Whether a run's shared prompt prefix is long enough to be cached
+  if (action === 'checkPromptCache') {
+    chrome.storage.local.get('aiProvider').then(({ aiProvider }) => {
+      sendResponse({
+        success: true,
+        cacheable: isPromptPrefixCacheable({
+          provider: aiProvider,
+          targetRole: request.settings?.targetRole || 'general professional',
+          seniorityLevel: request.settings?.seniorityLevel || 'any level',
+          customInstructions: request.settings?.customInstructions || '',
+          profileContext: request.profileContext || null
+        })
+      });
+    });
+    return true;
+  }
+  
+  // Single-call strategy: several sections in one provider request
+  if (action === 'analyzeCombined') {
+    withKeepAlive(() => handleCombinedAnalysis(request, sendResponse));
+    return true;
+  }
+  
+  // Build every prompt a run would send, with token and cost estimates, without calling a provider
+  if (action === 'previewPrompts') {
+    handlePromptPreview(request, sendResponse);
+    return true;
+  }
+  
+  // Delete audit log entries by id, or the whole log when no ids are given
+  if (action === 'deleteAuditEntries') {
+    const ids = Array.isArray(request.ids) ? request.ids : null;
+    updateAuditLog(entries => (ids ? entries.filter(entry => !ids.includes(entry.id)) : [])).then(() => {
+      sendResponse({ success: true });
+    });
+    return true;
+  }
+  
+  // Save audit settings and apply the new retention window right away
+  if (action === 'updateAuditSettings') {
+    const auditSettings = {};
+    if (request.retentionDays !== undefined) auditSettings.auditRetentionDays = Number(request.retentionDays) || DEFAULT_AUDIT_RETENTION_DAYS;
+    if (request.keepPrompts !== undefined) auditSettings.auditKeepPrompts = !!request.keepPrompts;
+    chrome.storage.local.set(auditSettings)
+      .then(() => updateAuditLog(entries => (auditSettings.auditKeepPrompts === false
+        ? entries.map(entry => ({ ...entry, prompt: null }))
+        : entries)))
+      .then(() => sendResponse({ success: true }));
+    return true;
+  }
+  
+  // Abort every pending provider call in an analysis run
+  if (action === 'cancelAnalysis') {
+    if (request.analysisId) {
+      cancelAnalysisRun(request.analysisId);
+    }
+    sendResponse({ success: true });
+    return true;
+  }
+  
+  // Capture a LinkedIn photo or banner as a data URL
+  if (action === 'captureImage') {
+    fetchImageAsDataUrl(request.url).then(image => {
+      sendResponse({ success: true, ...image });
+    }).catch(error => {
+      SmartLogger.log('AI.PROMPTS', 'Image capture failed', { error: error.message });
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // Handle vision analysis of the profile photo or banner
+  if (action === 'analyzeVision') {
+    withKeepAlive(() => handleVisionAnalysis(request, sender, sendResponse));
+    return true;
+  }
+  
+  // Handle rewrite suggestions for headline, about or a single role
+  if (action === 'suggestRewrite') {
+    withKeepAlive(() => handleRewriteSuggestions(request, sendResponse));
+    return true;
+  }
+  
   // Handle synthesis of section scores
   if (action === 'synthesizeAnalysis') {
     handleSynthesisAnalysis(request, sendResponse);
@@ -2733,7 +4213,7 @@ if (chrome && chrome.runtime && chrome.runtime.onMessage) {
           apiKey = apiKey || await getDecryptedApiKey();
         }
         
-        if (!provider || !apiKey) {
+        if (!provider || (!apiKey && providerRequiresApiKey(provider))) {
           sendResponse({ 
             success: false, 
             error: 'API key or provider not configured' 
@@ -2762,6 +4242,18 @@ if (chrome && chrome.runtime && chrome.runtime.onMessage) {
     return true;
   }
   
+  // Handle report export request
+  if (action === 'openReport') {
+    chrome.tabs.create({ url: chrome.runtime.getURL('report.html') }, () => {
+      if (chrome.runtime.lastError) {
+        sendResponse({ success: false, error: chrome.runtime.lastError.message });
+        return;
+      }
+      sendResponse({ success: true });
+    });
+    return true;
+  }
+  
   // Default response for unknown actions
   SmartLogger.log('PERFORMANCE.TIMING', 'Unknown action', { action });
   sendResponse({ success: false, error: 'Unknown action' });
@@ -2769,21 +4261,78 @@ if (chrome && chrome.runtime && chrome.runtime.onMessage) {
 });
 
 // API Rate Limiter
+// Limiter state is mirrored to chrome.storage.session so it survives service worker restarts
+const RATE_LIMITER_STORAGE_KEY = 'rateLimiterState';
+
 class RateLimiter {
   constructor() {
     this.requests = new Map();
+    this.cooldowns = new Map();  // key -> timestamp when a provider-imposed wait ends
     this.limits = {
       'api': { limit: 10, window: 60000 },        // 10 API calls per minute
       'test': { limit: 5, window: 60000 },        // 5 test calls per minute
       'analysis': { limit: 30, window: 300000 }   // 30 analyses per 5 minutes
     };
+    this.ready = this.restore();
+  }
+
+  async restore() {
+    try {
+      const { [RATE_LIMITER_STORAGE_KEY]: state } = await chrome.storage.session.get(RATE_LIMITER_STORAGE_KEY);
+      const now = Date.now();
+      
+      // Merge with anything recorded while the read was in flight
+      for (const [key, timestamps] of Object.entries(state?.requests || {})) {
+        const merged = [...timestamps, ...(this.requests.get(key) || [])].sort((a, b) => a - b);
+        this.requests.set(key, merged);
+      }
+      for (const [key, until] of Object.entries(state?.cooldowns || {})) {
+        if (until > now) {
+          this.cooldowns.set(key, Math.max(until, this.cooldowns.get(key) || 0));
+        }
+      }
+    } catch (error) {
+      SmartLogger.error('AI.RATE_LIMIT', 'Failed to restore rate limiter state', error);
+    }
+  }
+
+  persist() {
+    chrome.storage.session.set({
+      [RATE_LIMITER_STORAGE_KEY]: {
+        requests: Object.fromEntries(this.requests),
+        cooldowns: Object.fromEntries(this.cooldowns)
+      }
+    }).catch(error => SmartLogger.error('AI.RATE_LIMIT', 'Failed to persist rate limiter state', error));
+  }
+
+  // Block a type/identifier until the provider's Retry-After or reset time has passed
+  setCooldown(type, identifier, seconds) {
+    const key = `${type}:${identifier}`;
+    const until = Date.now() + seconds * 1000;
+    if (until > (this.cooldowns.get(key) || 0)) {
+      this.cooldowns.set(key, until);
+      this.persist();
+    }
+    SmartLogger.log('AI.RATE_LIMIT', 'Provider cooldown set', { type, identifier, seconds });
+  }
+
+  // Remaining cooldown in seconds, or 0 when requests may go out
+  getCooldown(type, identifier) {
+    const until = this.cooldowns.get(`${type}:${identifier}`) || 0;
+    return Math.max(0, Math.ceil((until - Date.now()) / 1000));
   }
 
-  canMakeRequest(type, identifier = 'global') {
+  async canMakeRequest(type, identifier = 'global') {
+    await this.ready;
     const config = this.limits[type] || this.limits['api'];
     const key = `${type}:${identifier}`;
     const now = Date.now();
     
+    const cooldown = this.getCooldown(type, identifier);
+    if (cooldown > 0) {
+      return { allowed: false, waitTime: cooldown, cooldown: true };
+    }
+    
     // Get request history
     const requests = this.requests.get(key) || [];
     
@@ -2813,10 +4362,28 @@ class RateLimiter {
     if (Math.random() < 0.1) { // 10% chance to clean
       this.cleanOldEntries();
     }
+    this.persist();
     
     return { allowed: true };
   }
 
+  // Wait for a free slot instead of rejecting, up to maxWait milliseconds
+  async acquire(type, identifier = 'global', maxWait = 60000) {
+    const deadline = Date.now() + maxWait;
+    let check = await this.canMakeRequest(type, identifier);
+    
+    while (!check.allowed) {
+      const delay = check.waitTime * 1000;
+      if (Date.now() + delay > deadline) {
+        return check;
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+      check = await this.canMakeRequest(type, identifier);
+    }
+    
+    return check;
+  }
+
   cleanOldEntries() {
     const now = Date.now();
     for (const [key, requests] of this.requests.entries()) {
@@ -2830,31 +4397,267 @@ class RateLimiter {
         this.requests.set(key, recentRequests);
       }
     }
+    for (const [key, until] of this.cooldowns.entries()) {
+      if (until <= now) {
+        this.cooldowns.delete(key);
+      }
+    }
   }
 
   reset(type = null, identifier = null) {
     if (type && identifier) {
       this.requests.delete(`${type}:${identifier}`);
+      this.cooldowns.delete(`${type}:${identifier}`);
     } else if (type) {
-      for (const key of this.requests.keys()) {
-        if (key.startsWith(`${type}:`)) {
-          this.requests.delete(key);
+      for (const map of [this.requests, this.cooldowns]) {
+        for (const key of map.keys()) {
+          if (key.startsWith(`${type}:`)) {
+            map.delete(key);
+          }
         }
       }
     } else {
       this.requests.clear();
+      this.cooldowns.clear();
     }
+    this.persist();
   }
 }
 
 // Create rate limiter instance
 const rateLimiter = new RateLimiter();
 
+// USD per million tokens; self-hosted endpoints and unknown models are tracked at $0
+// cachedInput is billed for prompt-cache hits, cacheWrite for Anthropic cache writes
+const MODEL_PRICING = {
+  'gpt-4.1-nano': { input: 0.10, cachedInput: 0.025, output: 0.40 },
+  'gpt-4.1-mini': { input: 0.40, cachedInput: 0.10, output: 1.60 },
+  'gpt-4.1': { input: 2.00, cachedInput: 0.50, output: 8.00 },
+  'gpt-4o': { input: 2.50, cachedInput: 1.25, output: 10.00 },
+  'gpt-5.4-nano': { input: 0.20, cachedInput: 0.02, output: 1.25 },
+  'gpt-5.4-mini': { input: 0.75, cachedInput: 0.075, output: 4.50 },
+  'gpt-5.4': { input: 2.50, cachedInput: 0.25, output: 15.00 },
+  'claude-haiku-4-5-20251001': { input: 1.00, cachedInput: 0.10, cacheWrite: 1.25, output: 5.00 },
+  'claude-sonnet-4-6': { input: 3.00, cachedInput: 0.30, cacheWrite: 3.75, output: 15.00 },
+  'claude-opus-4-6': { input: 5.00, cachedInput: 0.50, cacheWrite: 6.25, output: 25.00 },
+  'gemini-2.5-flash-lite': { input: 0.10, cachedInput: 0.025, output: 0.40 },
+  'gemini-2.5-flash': { input: 0.30, cachedInput: 0.075, output: 2.50 },
+  'gemini-2.5-pro': { input: 1.25, cachedInput: 0.31, output: 10.00 },
+  'gemini-3.1-pro-preview': { input: 2.00, cachedInput: 0.20, output: 12.00 }
+};
+
+// Outbound audit log: one entry per provider request, kept only in local storage,
+// so users can check exactly what left the browser and when
+const AUDIT_LOG_KEY = 'outboundAuditLog';
+const AUDIT_LOG_MAX_ENTRIES = 500;
+const DEFAULT_AUDIT_RETENTION_DAYS = 30;
+// Stored prompt text shares the 10 MB storage quota with caches and history,
+// so only the newest prompts up to this many characters are kept; older entries keep their metadata
+const AUDIT_PROMPT_BUDGET_CHARS = 1000000;
+
+// Serialize audit writes the same way as the usage ledger
+let auditLogQueue = Promise.resolve();
+
+// Drop entries past the retention window and over the entry cap, and prompt text over the budget
+// Newest entries are last
+function pruneAuditEntries(entries, retentionDays) {
+  const days = Number(retentionDays) > 0 ? Number(retentionDays) : DEFAULT_AUDIT_RETENTION_DAYS;
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const kept = entries.filter(entry => entry.timestamp >= cutoff).slice(-AUDIT_LOG_MAX_ENTRIES);
+  
+  let promptChars = 0;
+  for (let i = kept.length - 1; i >= 0; i--) {
+    if (!kept[i].prompt) continue;
+    promptChars += kept[i].prompt.length;
+    if (promptChars > AUDIT_PROMPT_BUDGET_CHARS) {
+      kept[i] = { ...kept[i], prompt: null, promptDropped: true };
+    }
+  }
+  return kept;
+}
+
+// Apply a change to the stored audit log inside the write queue
+function updateAuditLog(change) {
+  auditLogQueue = auditLogQueue.then(async () => {
+    const { [AUDIT_LOG_KEY]: stored, auditRetentionDays } = await chrome.storage.local.get([AUDIT_LOG_KEY, 'auditRetentionDays']);
+    const entries = pruneAuditEntries(await change(stored || []), auditRetentionDays);
+    await chrome.storage.local.set({ [AUDIT_LOG_KEY]: entries });
+  }).catch(error => {
+    SmartLogger.error('SYSTEM', 'Failed to update audit log', error);
+  });
+  return auditLogQueue;
+}
+
+// Record one request body exactly as it is sent; the prompt text is kept only when the user opted in
+// audit carries { purpose, sections, analysisId } from the caller
+function recordOutboundRequest({ provider, model, body, prompt, hasImage = false, audit = {} }) {
+  const timestamp = Date.now();
+  return updateAuditLog(async (entries) => {
+    const { auditKeepPrompts } = await chrome.storage.local.get('auditKeepPrompts');
+    entries.push({
+      id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp,
+      provider,
+      model: model || null,
+      purpose: audit.purpose || 'analysis',
+      sections: audit.sections || [],
+      analysisId: audit.analysisId || null,
+      bytes: new TextEncoder().encode(body).length,
+      payloadHash: await hashString(body),
+      hasImage,
+      prompt: auditKeepPrompts ? prompt : null
+    });
+    return entries;
+  });
+}
+
+const USAGE_LEDGER_KEY = 'aiUsageLedger';
+const USAGE_LEDGER_MAX_ANALYSES = 50;
+const USAGE_LEDGER_MAX_MONTHS = 12;
+// Expected completion size used when estimating a request before it is sent
+const ESTIMATED_OUTPUT_TOKENS = 1000;
+
+// Serialize ledger writes so parallel section calls don't overwrite each other
+let usageLedgerQueue = Promise.resolve();
+
+// Cost in USD for a request, or 0 when the model has no bundled price
+// promptTokens includes any cached tokens; cache carries the provider's { readTokens, writeTokens }
+function calculateCost(model, promptTokens, completionTokens, cache = {}) {
+  const price = MODEL_PRICING[model];
+  if (!price) return 0;
+  const readTokens = cache.readTokens || 0;
+  const writeTokens = cache.writeTokens || 0;
+  const uncachedTokens = Math.max(0, promptTokens - readTokens - writeTokens);
+  return (uncachedTokens * price.input +
+    readTokens * (price.cachedInput ?? price.input) +
+    writeTokens * (price.cacheWrite ?? price.input) +
+    completionTokens * price.output) / 1000000;
+}
+
+// Rough pre-flight cost for a prompt (about 4 characters per token)
+function estimateRequestCost(model, promptChars, outputTokens = ESTIMATED_OUTPUT_TOKENS) {
+  return calculateCost(model, Math.ceil(promptChars / 4), outputTokens);
+}
+
+// Offline approximations of each provider's tokenizer on English prompts with JSON data
+// Whitespace-separated words and punctuation are counted separately because JSON-heavy prompts
+// tokenize much denser than prose
+const TOKENIZER_PROFILES = {
+  openai: { charsPerToken: 4.0, punctuationWeight: 0.5 },
+  anthropic: { charsPerToken: 3.5, punctuationWeight: 0.6 },
+  gemini: { charsPerToken: 4.2, punctuationWeight: 0.5 },
+  custom: { charsPerToken: 3.8, punctuationWeight: 0.5 }
+};
+// Flat charge for one attached photo or banner at LinkedIn's image sizes
+const ESTIMATED_IMAGE_TOKENS = 1100;
+
+// Estimate prompt tokens without calling the provider
+function estimateTokens(text, provider) {
+  if (!text) return 0;
+  const profile = TOKENIZER_PROFILES[provider] || TOKENIZER_PROFILES.custom;
+  const punctuation = (text.match(/[{}\[\]",:<>\/()]/g) || []).length;
+  return Math.ceil((text.length - punctuation) / profile.charsPerToken + punctuation * profile.punctuationWeight);
+}
+
+function getLedgerMonth(timestamp = Date.now()) {
+  return new Date(timestamp).toISOString().slice(0, 7);
+}
+
+// Record one provider call in the persistent usage ledger
+// Prompt-cache savings are the difference to what the same call would have cost uncached
+function recordUsage(provider, model, promptTokens, completionTokens, usageContext = {}, cache = {}) {
+  const cost = calculateCost(model, promptTokens, completionTokens, cache);
+  const cacheSavings = calculateCost(model, promptTokens, completionTokens) - cost;
+  const cachedTokens = cache.readTokens || 0;
+  const tokens = promptTokens + completionTokens;
+  const profileId = usageContext.profileId || 'unknown';
+  const now = Date.now();
+  
+  const addTo = (bucket, key) => {
+    const entry = bucket[key] || { cost: 0, tokens: 0, calls: 0 };
+    entry.cost += cost;
+    entry.tokens += tokens;
+    entry.calls += 1;
+    bucket[key] = entry;
+  };
+  
+  usageLedgerQueue = usageLedgerQueue.then(async () => {
+    const { [USAGE_LEDGER_KEY]: stored } = await chrome.storage.local.get(USAGE_LEDGER_KEY);
+    const ledger = stored || { months: {}, analyses: [] };
+    
+    const monthKey = getLedgerMonth(now);
+    const month = ledger.months[monthKey] || {
+      cost: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      calls: 0,
+      byProvider: {},
+      byModel: {},
+      byProfile: {}
+    };
+    month.cost += cost;
+    month.promptTokens += promptTokens;
+    month.completionTokens += completionTokens;
+    month.calls += 1;
+    month.cachedTokens = (month.cachedTokens || 0) + cachedTokens;
+    month.cacheSavings = (month.cacheSavings || 0) + cacheSavings;
+    addTo(month.byProvider, provider);
+    addTo(month.byModel, model || 'unknown');
+    addTo(month.byProfile, profileId);
+    ledger.months[monthKey] = month;
+    
+    // Keep a year of monthly totals
+    Object.keys(ledger.months).sort().slice(0, -USAGE_LEDGER_MAX_MONTHS).forEach(key => {
+      delete ledger.months[key];
+    });
+    
+    if (usageContext.analysisId) {
+      let analysis = ledger.analyses.find(entry => entry.id === usageContext.analysisId);
+      if (!analysis) {
+        analysis = { id: usageContext.analysisId, profileId, provider, model, cost: 0, tokens: 0, calls: 0, startedAt: now };
+        ledger.analyses.push(analysis);
+      }
+      analysis.cost += cost;
+      analysis.tokens += tokens;
+      analysis.calls += 1;
+      analysis.cachedTokens = (analysis.cachedTokens || 0) + cachedTokens;
+      analysis.cacheSavings = (analysis.cacheSavings || 0) + cacheSavings;
+      analysis.updatedAt = now;
+      ledger.analyses = ledger.analyses.slice(-USAGE_LEDGER_MAX_ANALYSES);
+    }
+    
+    await chrome.storage.local.set({ [USAGE_LEDGER_KEY]: ledger });
+  }).catch(error => {
+    SmartLogger.error('AI.COSTS', 'Failed to record usage', error, { provider, model });
+  });
+  
+  return usageLedgerQueue;
+}
+
+// Check the monthly budget cap before spending estimatedCost more
+async function checkBudget(estimatedCost = 0) {
+  const { aiBudgetCap, [USAGE_LEDGER_KEY]: ledger } = await chrome.storage.local.get(['aiBudgetCap', USAGE_LEDGER_KEY]);
+  const spent = ledger?.months?.[getLedgerMonth()]?.cost || 0;
+  const cap = Number(aiBudgetCap) || 0;
+  
+  if (cap > 0 && spent + estimatedCost > cap) {
+    SmartLogger.log('AI.COSTS', 'Budget cap reached', { spent, cap, estimatedCost });
+    return {
+      allowed: false,
+      spent,
+      cap,
+      error: `Monthly AI budget of $${cap.toFixed(2)} reached ($${spent.toFixed(2)} spent). Raise the cap in settings to continue.`
+    };
+  }
+  
+  return { allowed: true, spent, cap };
+}
+
 // Test API Key function
-async function testApiKey(provider, apiKey, model) {
+async function testApiKey(provider, apiKey, model, baseUrl = null) {
   try {
     // Check rate limit
-    const rateCheck = rateLimiter.canMakeRequest('test', provider);
+    const rateCheck = await rateLimiter.canMakeRequest('test', provider);
     if (!rateCheck.allowed) {
       return {
         success: false,
@@ -2866,6 +4669,11 @@ async function testApiKey(provider, apiKey, model) {
     provider = provider?.toLowerCase()?.trim();
     SmartLogger.log('AI.PROMPTS', 'Testing API key', { provider, hasApiKey: !!apiKey });
     
+    // Self-hosted endpoints may not use a key, so test reachability and the model instead
+    if (provider === 'custom') {
+      return await testCustomEndpoint(apiKey, model, baseUrl);
+    }
+    
     // Clean and validate API key
     if (!apiKey || typeof apiKey !== 'string') {
       return { success: false, error: 'Invalid API key format' };
@@ -2887,20 +4695,26 @@ async function testApiKey(provider, apiKey, model) {
     }
     
     const testPrompt = 'Say "API key validated successfully" in exactly 5 words.';
+    // Key tests carry no profile data, but they are outbound requests like any other
+    const recordTest = (testModel, body) =>
+      recordOutboundRequest({ provider, model: testModel, body, prompt: testPrompt, audit: { purpose: 'key test' } });
     
     if (provider === 'openai') {
+      const testModel = model || 'gpt-4.1-nano';
+      const body = JSON.stringify({
+        model: testModel,
+        messages: [{ role: 'user', content: testPrompt }],
+        max_tokens: 20,
+        temperature: 0.1
+      });
+      recordTest(testModel, body);
       const response = await fetch('https://api.openai.com/v1/chat/completions', {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${cleanApiKey}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({
-          model: model || 'gpt-4.1-nano',
-          messages: [{ role: 'user', content: testPrompt }],
-          max_tokens: 20,
-          temperature: 0.1
-        })
+        body
       });
 
       if (!response.ok) {
@@ -2923,15 +4737,17 @@ async function testApiKey(provider, apiKey, model) {
 
     } else if (provider === 'gemini') {
       const testModel = model || 'gemini-2.5-flash-lite';
+      const body = JSON.stringify({
+        contents: [{ parts: [{ text: testPrompt }] }],
+        generationConfig: { temperature: 0.1, maxOutputTokens: 20 }
+      });
+      recordTest(testModel, body);
       const response = await fetch(
         `https://generativelanguage.googleapis.com/v1beta/models/${testModel}:generateContent?key=${cleanApiKey}`,
         {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            contents: [{ parts: [{ text: testPrompt }] }],
-            generationConfig: { temperature: 0.1, maxOutputTokens: 20 }
-          })
+          body
         }
       );
 
@@ -2954,6 +4770,14 @@ async function testApiKey(provider, apiKey, model) {
       return { success: true, message: 'Gemini API key is valid' };
 
     } else if (provider === 'anthropic') {
+      const testModel = model || 'claude-haiku-4-5-20251001';
+      const body = JSON.stringify({
+        model: testModel,
+        messages: [{ role: 'user', content: testPrompt }],
+        max_tokens: 20,
+        temperature: 0.1
+      });
+      recordTest(testModel, body);
       const response = await fetch('https://api.anthropic.com/v1/messages', {
         method: 'POST',
         headers: {
@@ -2961,12 +4785,7 @@ async function testApiKey(provider, apiKey, model) {
           'Content-Type': 'application/json',
           'anthropic-version': '2023-06-01'
         },
-        body: JSON.stringify({
-          model: model || 'claude-haiku-4-5-20251001',
-          messages: [{ role: 'user', content: testPrompt }],
-          max_tokens: 20,
-          temperature: 0.1
-        })
+        body
       });
       
       if (!response.ok) {
@@ -2998,12 +4817,90 @@ async function testApiKey(provider, apiKey, model) {
   }
 }
 
+// Test an OpenAI-compatible custom endpoint with a tiny completion request
+async function testCustomEndpoint(apiKey, model, baseUrl) {
+  let url;
+  try {
+    url = await getCustomEndpointUrl(baseUrl);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+  
+  if (!model) {
+    const { aiModel } = await chrome.storage.local.get('aiModel');
+    model = aiModel;
+  }
+  if (!model) {
+    return { success: false, error: 'Model name is required for a custom endpoint' };
+  }
+  
+  // Fall back to the saved custom endpoint key when the popup re-tests without re-entering it
+  // Never another provider's key: it would be sent as a Bearer token to an arbitrary host
+  if (!apiKey) {
+    apiKey = await getDecryptedApiKey('custom');
+  }
+  const cleanApiKey = typeof apiKey === 'string' ? apiKey.trim().replace(/[^\x20-\x7E]/g, '') : '';
+  
+  const testPrompt = 'Say "API key validated successfully" in exactly 5 words.';
+  const body = JSON.stringify({
+    model: model,
+    messages: [{ role: 'user', content: testPrompt }],
+    max_tokens: 20,
+    temperature: 0.1
+  });
+  recordOutboundRequest({ provider: 'custom', model, body, prompt: testPrompt, audit: { purpose: 'key test' } });
+  
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cleanApiKey ? { 'Authorization': `Bearer ${cleanApiKey}` } : {})
+      },
+      body
+    });
+  } catch (error) {
+    SmartLogger.error('AI.PROMPTS', 'Custom endpoint unreachable', error, { url });
+    return { success: false, error: `Could not reach ${url} - is the server running?` };
+  }
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    SmartLogger.error('AI.PROMPTS', 'Custom endpoint test failed', new Error(errorText), { status: response.status });
+    
+    if (response.status === 401 || response.status === 403) {
+      return { success: false, error: 'Endpoint rejected the API key' };
+    } else if (response.status === 404) {
+      return { success: false, error: `Model "${model}" not found on the endpoint` };
+    }
+    
+    let message = null;
+    try {
+      message = JSON.parse(errorText).error?.message;
+    } catch (e) {
+      // Non-JSON error body
+    }
+    return { success: false, error: message || `Endpoint returned ${response.status}` };
+  }
+  
+  return { success: true, message: 'Custom endpoint is reachable' };
+}
+
 // Handle individual section analysis request
-async function handleSectionAnalysis(request, sendResponse) {
+// onChunk is set when the request came over the streaming port
+// portSignal aborts when that port disconnects (page closed or navigated away)
+async function handleSectionAnalysis(request, sendResponse, onChunk = null, portSignal = null) {
   const sectionStartTime = Date.now();
   const { section, data, context, settings } = request;
+  const signal = anyAbortSignal([request.analysisId && getAnalysisRun(request.analysisId).controller.signal, portSignal]);
   
   try {
+    if (signal.aborted) {
+      sendResponse({ success: false, error: 'Analysis cancelled', errorType: 'CANCELLED' });
+      return;
+    }
+    
     SmartLogger.log('SECTIONS.EXPERIENCE', 'Analyzing section', {
       section,
       dataSize: JSON.stringify(data).length,
@@ -3029,7 +4926,7 @@ async function handleSectionAnalysis(request, sendResponse) {
     const { aiProvider } = await chrome.storage.local.get('aiProvider');
     const apiKey = await getDecryptedApiKey();
     
-    if (!aiProvider || !apiKey) {
+    if (!aiProvider || (!apiKey && providerRequiresApiKey(aiProvider))) {
       sendResponse({ 
         success: false, 
         error: 'API key or provider not configured' 
@@ -3038,7 +4935,7 @@ async function handleSectionAnalysis(request, sendResponse) {
     }
     
     // Check rate limit
-    const rateCheck = rateLimiter.canMakeRequest('analysis', request.profileId || 'unknown');
+    const rateCheck = await rateLimiter.canMakeRequest('analysis', request.profileId || 'unknown');
     if (!rateCheck.allowed) {
       sendResponse({
         success: false,
@@ -3055,7 +4952,8 @@ async function handleSectionAnalysis(request, sendResponse) {
       apiKey: apiKey,
       targetRole: settings?.targetRole || 'general professional',
       seniorityLevel: settings?.seniorityLevel || 'any level',
-      customInstructions: settings?.customInstructions || ''
+      customInstructions: settings?.customInstructions || '',
+      profileContext: request.profileContext || null
     };
     
     // Special logging for recommendations
@@ -3092,40 +4990,79 @@ async function handleSectionAnalysis(request, sendResponse) {
     
     const model = settings?.aiModel || null;
     
-    // Regular text-only analysis
-    const response = await SmartLogger.time('PERFORMANCE.API_LATENCY', `Individual AI call - ${section}`,
-      async () => await callAIProvider(aiProvider, apiKey, prompt, model)
-    );
+    // Tiered runs send short sections to the light model first
+    const resolvedModel = model || (await chrome.storage.local.get('aiModel')).aiModel;
+    const strategy = await getAnalysisStrategy();
+    const lightLink = strategy === 'tiered' ? await getLightTierLink(aiProvider) : null;
+    const chain = getSectionChain(section, await getProviderChain(aiProvider, resolvedModel, apiKey), strategy, lightLink);
     
-    // Log response characteristics
-    SmartLogger.log('AI.RESPONSES', 'Raw response received', {
-      section,
-      responseLength: response.length,
-      hasJSON: response.includes('{'),
-      containsQuotes: response.includes('"') || response.includes("'")
-    });
+    // Reuse the stored result when this section's content hasn't changed
+    const profileId = request.profileId || 'unknown';
+    const contentHash = await generateSectionContentHash(section, data, { ...config, model: chain[0].model });
+    let analysis = await getCachedSectionAnalysis(profileId, contentHash);
+    const reused = !!analysis;
     
-    // SCORE MISMATCH DEBUG: Log full raw response for skills
-    if (section === 'skills') {
-      SmartLogger.log('AI.SKILLS', 'Raw skills AI response for debugging:', {
-        response: response.substring(0, 1000) + (response.length > 1000 ? '...' : ''),
-        fullLength: response.length
+    if (reused) {
+      SmartLogger.log('PERFORMANCE.CACHE', 'Section content unchanged, reusing analysis', {
+        section,
+        contentHash: contentHash.substring(0, 8) + '...'
       });
-    }
-    
-    // Parse the response
-    const analysis = parseSectionAnalysis(response, section);
-    
-    // SCORE MISMATCH DEBUG: Log parsed analysis for skills
-    if (section === 'skills') {
-      SmartLogger.log('AI.SKILLS', 'Parsed skills analysis debugging:', {
-        originalScore: analysis.score,
-        positiveInsight: analysis.positiveInsight?.substring(0, 200),
-        gapAnalysis: analysis.gapAnalysis?.substring(0, 200),
-        actionItemsCount: analysis.actionItems?.length,
-        specificFeedback: analysis.specificFeedback,
-        allAnalysisKeys: Object.keys(analysis)
+    } else {
+      // Block before the monthly budget cap would be exceeded
+      const budget = await checkBudget(estimateRequestCost(chain[0].model, prompt.length));
+      if (!budget.allowed) {
+        sendResponse({
+          success: false,
+          error: budget.error,
+          errorType: 'BUDGET'
+        });
+        return;
+      }
+      
+      // Regular text-only analysis, falling through the provider chain on rate limits and overloads
+      const usageContext = { profileId, analysisId: request.analysisId };
+      const { result: { data: structured, text: response }, answeredBy } = await SmartLogger.time('PERFORMANCE.API_LATENCY', `Individual AI call - ${section}`,
+        async () => await callWithFailover(chain, async (link) =>
+          await requestStructuredOutput(link.provider, link.apiKey, prompt, link.model, getSectionSchemaName(section),
+            {
+              onChunk,
+              usageContext,
+              signal,
+              redactionSources: [data, context, config.profileContext],
+              audit: { sections: [section], analysisId: request.analysisId }
+            }),
+        signal)
+      );
+      
+      // Log response characteristics
+      SmartLogger.log('AI.RESPONSES', 'Raw response received', {
+        section,
+        responseLength: response.length,
+        containsQuotes: response.includes('"') || response.includes("'")
       });
+      
+      // SCORE MISMATCH DEBUG: Log full raw response for skills
+      if (section === 'skills') {
+        SmartLogger.log('AI.SKILLS', 'Raw skills AI response for debugging:', {
+          response: response.substring(0, 1000) + (response.length > 1000 ? '...' : ''),
+          fullLength: response.length
+        });
+      }
+      
+      analysis = { ...parseSectionAnalysis(structured, section), answeredBy };
+      storeSectionAnalysis(profileId, contentHash, section, analysis);
+      
+      // SCORE MISMATCH DEBUG: Log parsed analysis for skills
+      if (section === 'skills') {
+        SmartLogger.log('AI.SKILLS', 'Parsed skills analysis debugging:', {
+          originalScore: analysis.score,
+          positiveInsight: analysis.positiveInsight?.substring(0, 200),
+          gapAnalysis: analysis.gapAnalysis?.substring(0, 200),
+          actionItemsCount: analysis.actionItems?.length,
+          specificFeedback: analysis.specificFeedback,
+          allAnalysisKeys: Object.keys(analysis)
+        });
+      }
     }
     
     // Log analysis results
@@ -3136,38 +5073,436 @@ async function handleSectionAnalysis(request, sendResponse) {
       hasGapAnalysis: !!analysis.gapAnalysis,
       hasSpecificFeedback: !!analysis.specificFeedback,
       actionItemCount: analysis.actionItems?.length || 0,
+      reused,
+      answeredBy: analysis.answeredBy,
       elapsedMs: Date.now() - sectionStartTime
     });
     
+    sendResponse(toSectionResponse(section, analysis, reused));
+    
+  } catch (error) {
+    const sectionElapsed = Date.now() - sectionStartTime;
+    SmartLogger.error('SECTIONS.EXPERIENCE', 'Error analyzing section', error, {
+      section,
+      elapsedMs: sectionElapsed
+    });
     sendResponse({
-      success: true,
-      section: section,
-      score: analysis.score,
-      insight: analysis.positiveInsight || analysis.insight,  // Prefer positiveInsight
-      positiveInsight: analysis.positiveInsight,  // Include the actual field
-      gapAnalysis: analysis.gapAnalysis,
+      success: false,
+      error: error.message || 'Section analysis failed',
+      errorType: error.errorType,
+      retryAfter: error.retryAfter
+    });
+  }
+}
+
+// Response payload for one analyzed section, as analyzeSection expects it
+function toSectionResponse(section, analysis, reused = false) {
+  return {
+    success: true,
+    section: section,
+    reused,
+    answeredBy: analysis.answeredBy,
+    score: analysis.score,
+    insight: analysis.positiveInsight || analysis.insight,  // Prefer positiveInsight
+    positiveInsight: analysis.positiveInsight,  // Include the actual field
+    gapAnalysis: analysis.gapAnalysis,
+    strengths: analysis.strengths,
+    improvements: analysis.improvements,
+    actionItems: analysis.actionItems,
+    specificFeedback: analysis.specificFeedback,
+    // Backwards compatibility
+    analysis: analysis.insight,
+    recommendations: analysis.recommendations,
+    insights: {
       strengths: analysis.strengths,
-      improvements: analysis.improvements,
-      actionItems: analysis.actionItems,
-      specificFeedback: analysis.specificFeedback,
-      // Backwards compatibility
-      analysis: analysis.insight,
-      recommendations: analysis.recommendations,
-      insights: {
-        strengths: analysis.strengths,
-        improvements: analysis.improvements
+      improvements: analysis.improvements
+    }
+  };
+}
+
+// Analyze several sections in one provider call for the single-call strategy
+// Responds with per-section results keyed by the keys the content script sent
+async function handleCombinedAnalysis(request, sendResponse) {
+  const { sections = [], settings } = request;
+  const signal = request.analysisId ? getAnalysisRun(request.analysisId).controller.signal : null;
+  
+  try {
+    const { aiProvider } = await chrome.storage.local.get('aiProvider');
+    const apiKey = await getDecryptedApiKey();
+    if (!aiProvider || (!apiKey && providerRequiresApiKey(aiProvider))) {
+      sendResponse({ success: false, error: 'API key or provider not configured' });
+      return;
+    }
+    
+    const profileId = request.profileId || 'unknown';
+    const rateCheck = await rateLimiter.canMakeRequest('analysis', profileId);
+    if (!rateCheck.allowed) {
+      sendResponse({
+        success: false,
+        error: `Rate limit exceeded. Please wait ${rateCheck.waitTime} seconds.`,
+        errorType: 'RATE_LIMIT',
+        retryAfter: rateCheck.waitTime
+      });
+      return;
+    }
+    
+    const model = settings?.aiModel || (await chrome.storage.local.get('aiModel')).aiModel;
+    const config = {
+      provider: aiProvider,
+      targetRole: settings?.targetRole || 'general professional',
+      seniorityLevel: settings?.seniorityLevel || 'any level',
+      customInstructions: settings?.customInstructions || '',
+      profileContext: request.profileContext || null,
+      usageContext: { profileId, analysisId: request.analysisId },
+      signal
+    };
+    
+    const estimatedCost = estimateRequestCost(model, JSON.stringify(sections).length, ESTIMATED_OUTPUT_TOKENS * sections.length);
+    const budget = await checkBudget(estimatedCost);
+    if (!budget.allowed) {
+      sendResponse({ success: false, error: budget.error, errorType: 'BUDGET' });
+      return;
+    }
+    
+    const chain = await getProviderChain(aiProvider, model, apiKey);
+    const analyses = await analyzeSectionsCombined(sections, chain, config);
+    
+    const results = {};
+    sections.forEach(section => {
+      const analysis = analyses[section.key];
+      results[section.key] = analysis.errorType
+        ? { success: false, error: analysis.error, errorType: analysis.errorType }
+        : toSectionResponse(section.type, analysis);
+    });
+    sendResponse({ success: true, results });
+  } catch (error) {
+    SmartLogger.error('AI.PROMPTS', 'Combined analysis failed', error, { sections: sections.length });
+    sendResponse({
+      success: false,
+      error: error.message || 'Combined analysis failed',
+      errorType: error.errorType,
+      retryAfter: error.retryAfter
+    });
+  }
+}
+
+// Preview the prompts an analysis would send so the user can confirm before anything leaves the browser
+// Uses the same prompt builders and routing as the real run; nothing is sent to a provider
+async function handlePromptPreview(request, sendResponse) {
+  const { sections = [], vision = [], settings } = request;
+  
+  try {
+    const { aiProvider, aiModel, customSupportsVision } = await chrome.storage.local.get(['aiProvider', 'aiModel', 'customSupportsVision']);
+    if (!aiProvider) {
+      sendResponse({ success: false, error: 'AI provider not configured' });
+      return;
+    }
+    
+    const model = settings?.aiModel || aiModel;
+    const config = {
+      provider: aiProvider,
+      targetRole: settings?.targetRole || 'general professional',
+      seniorityLevel: settings?.seniorityLevel || 'any level',
+      customInstructions: settings?.customInstructions || '',
+      profileContext: request.profileContext || null
+    };
+    const strategy = await getAnalysisStrategy();
+    const lightLink = strategy === 'tiered' ? await getLightTierLink(aiProvider) : null;
+    const primary = { provider: aiProvider, model };
+    const profileId = request.profileId || 'unknown';
+    const prompts = [];
+    
+    // Shows the prompt as the provider would receive it, after redaction
+    const addPrompt = async (entry, rawPrompt, link, redactionSources, extraTokens = 0) => {
+      const prompt = (await createRedactor(redactionSources)).redact(rawPrompt);
+      const inputTokens = estimateTokens(prompt, link.provider) + extraTokens;
+      prompts.push({
+        ...entry,
+        provider: link.provider,
+        model: link.model,
+        prompt,
+        inputTokens,
+        outputTokens: entry.reused ? 0 : ESTIMATED_OUTPUT_TOKENS,
+        cost: entry.reused ? 0 : calculateCost(link.model, inputTokens, ESTIMATED_OUTPUT_TOKENS)
+      });
+    };
+    
+    // Photo and banner go to the primary model with the image attached
+    if (isVisionCapable(aiProvider, model, customSupportsVision)) {
+      for (const { analysisType, context = {} } of vision) {
+        await addPrompt({
+          key: `vision_${analysisType}`,
+          name: analysisType === 'banner' ? 'Banner image' : 'Profile photo',
+          image: true
+        }, createVisionPrompt(analysisType, context), primary, [], ESTIMATED_IMAGE_TOKENS);
+      }
+    }
+    
+    if (strategy === 'single' && sections.length > 0) {
+      await addPrompt({ key: 'combined', name: `${sections.length} sections in one request` },
+        createCombinedPrompt(sections, config), primary,
+        [...sections.map(section => [section.data, section.context]), config.profileContext]);
+    } else {
+      for (const section of sections) {
+        const link = getSectionChain(section.type, [primary], strategy, lightLink)[0];
+        // Unchanged sections are answered from the stored analysis and never sent
+        const contentHash = await generateSectionContentHash(section.type, section.data, { ...config, model: link.model });
+        const reused = !!(await getCachedSectionAnalysis(profileId, contentHash));
+        await addPrompt({ key: section.key, name: section.name, reused },
+          createSectionPrompt(section.type, section.data, config, section.context), link,
+          [section.data, section.context, config.profileContext]);
       }
+    }
+    
+    const sent = prompts.filter(entry => !entry.reused);
+    const byTokenizer = {};
+    Object.keys(TOKENIZER_PROFILES).filter(provider => provider !== 'custom').forEach(provider => {
+      byTokenizer[provider] = sent.reduce((sum, entry) =>
+        sum + estimateTokens(entry.prompt, provider) + (entry.image ? ESTIMATED_IMAGE_TOKENS : 0), 0);
+    });
+    
+    SmartLogger.log('AI.PROMPTS', 'Prompt preview built', {
+      strategy,
+      prompts: prompts.length,
+      reused: prompts.length - sent.length
     });
     
+    sendResponse({
+      success: true,
+      strategy,
+      prompts,
+      totals: {
+        requests: sent.length,
+        inputTokens: sent.reduce((sum, entry) => sum + entry.inputTokens, 0),
+        outputTokens: sent.reduce((sum, entry) => sum + entry.outputTokens, 0),
+        cost: sent.reduce((sum, entry) => sum + entry.cost, 0),
+        byTokenizer
+      }
+    });
   } catch (error) {
-    const sectionElapsed = Date.now() - sectionStartTime;
-    SmartLogger.error('SECTIONS.EXPERIENCE', 'Error analyzing section', error, {
+    SmartLogger.error('AI.PROMPTS', 'Prompt preview failed', error);
+    sendResponse({ success: false, error: error.message || 'Prompt preview failed' });
+  }
+}
+
+// Character limits LinkedIn enforces for each rewritable field
+const REWRITE_LIMITS = {
+  headline: 220,
+  about: 2600,
+  experience_role: 2000
+};
+
+// Create rewrite prompt for headline, about or a single experience role
+function createRewritePrompt(section, content, config) {
+  const limit = config.limit;
+  const context = `<context>
+Target Role: ${config.targetRole}
+Seniority Level: ${config.seniorityLevel}
+Custom Instructions: ${config.customInstructions || 'None provided'}
+</context>`;
+  const outputFormat = `<output_format>
+Return valid JSON only - no markdown, no extra text:
+{
+  "alternatives": [
+    { "text": "The complete rewritten text, ready to paste", "rationale": "One sentence on why this version is stronger" }
+  ]
+}
+</output_format>`;
+  
+  if (section === 'headline') {
+    return `You are an expert LinkedIn profile writer. Rewrite this headline for ${config.targetRole} positions at the ${config.seniorityLevel} level.
+
+${context}
+
+<current_headline>
+${content.text || '[NO HEADLINE PROVIDED]'}
+</current_headline>
+
+<rules>
+1. Write exactly 3 alternative headlines with clearly different angles (e.g. role-focused, impact-focused, specialty-focused)
+2. Each headline MUST be ${limit} characters or fewer, including spaces
+3. Keep true facts from the current headline - never invent employers, titles or numbers
+4. Front-load the words recruiters search for; they appear first in search results
+</rules>
+
+${outputFormat}`;
+  }
+  
+  if (section === 'about') {
+    return `You are an expert LinkedIn profile writer. Restructure this About section for ${config.targetRole} positions at the ${config.seniorityLevel} level.
+
+${context}
+
+<current_about>
+${content.text || '[NO ABOUT SECTION PROVIDED]'}
+</current_about>
+
+<rules>
+1. Write exactly 2 alternative versions of the full About section
+2. Each version MUST be ${limit} characters or fewer, including spaces and line breaks
+3. Open with a hook in the first 2-3 lines - only those show before "see more"
+4. Structure: hook, what they do and for whom, proof points, what they are looking for
+5. Reuse their real achievements and metrics - never invent facts or numbers
+6. Use short paragraphs separated by blank lines; write in first person
+</rules>
+
+${outputFormat}`;
+  }
+  
+  // experience_role
+  return `You are an expert LinkedIn profile writer. Rewrite the description of this role as STAR-style bullets for ${config.targetRole} positions at the ${config.seniorityLevel} level.
+
+${context}
+
+<role>
+Title: ${content.title || 'Unknown'}
+Company: ${content.company || 'Unknown'}
+Duration: ${content.duration || 'Unknown'}
+
+Current description:
+${content.description || '[NO DESCRIPTION PROVIDED]'}
+</role>
+
+<rules>
+1. Write exactly 2 alternative versions; each is a complete block of 3-5 bullets starting with "• "
+2. Each bullet follows STAR: situation or task, the action taken, and the measurable result
+3. Start every bullet with a strong past-tense verb (present tense only for a current role)
+4. Keep metrics and facts from the current description - never invent numbers; where a result is missing write "[add metric]"
+5. Each version MUST be ${limit} characters or fewer in total
+</rules>
+
+${outputFormat}`;
+}
+
+// Parse rewrite alternatives, dropping any that break the character limit
+function parseRewriteResponse(response, section, limit) {
+  let alternatives = [];
+  
+  try {
+    const jsonMatch = response.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      const parsed = JSON.parse(jsonMatch[0]);
+      alternatives = (parsed.alternatives || [])
+        .map(alt => typeof alt === 'string' ? { text: alt, rationale: '' } : alt)
+        .filter(alt => alt && typeof alt.text === 'string' && alt.text.trim())
+        .map(alt => ({
+          text: alt.text.trim(),
+          rationale: alt.rationale || ''
+        }));
+    }
+  } catch (error) {
+    SmartLogger.error('AI.PARSING', 'Failed to parse rewrite response', error, {
       section,
-      elapsedMs: sectionElapsed
+      responsePreview: response.substring(0, 200)
+    });
+  }
+  
+  const withinLimit = alternatives.filter(alt => alt.text.length <= limit);
+  if (withinLimit.length < alternatives.length) {
+    SmartLogger.log('AI.PARSING', 'Dropped rewrites over character limit', {
+      section,
+      limit,
+      dropped: alternatives.length - withinLimit.length
+    });
+  }
+  
+  return withinLimit;
+}
+
+// Handle rewrite suggestion request for a single section
+async function handleRewriteSuggestions(request, sendResponse) {
+  const startTime = Date.now();
+  const { section, data, settings } = request;
+  
+  try {
+    if (!REWRITE_LIMITS[section]) {
+      sendResponse({ success: false, error: `Rewrites are not available for ${section}` });
+      return;
+    }
+    
+    // Get provider and API key
+    const { aiProvider } = await chrome.storage.local.get('aiProvider');
+    const apiKey = await getDecryptedApiKey();
+    
+    if (!aiProvider || (!apiKey && providerRequiresApiKey(aiProvider))) {
+      sendResponse({ 
+        success: false, 
+        error: 'API key or provider not configured' 
+      });
+      return;
+    }
+    
+    // Check rate limit
+    const rateCheck = await rateLimiter.canMakeRequest('analysis', request.profileId || 'unknown');
+    if (!rateCheck.allowed) {
+      sendResponse({
+        success: false,
+        error: `Rate limit exceeded. Please wait ${rateCheck.waitTime} seconds.`,
+        errorType: 'RATE_LIMIT',
+        retryAfter: rateCheck.waitTime
+      });
+      return;
+    }
+    
+    // The content script may ask for a tighter limit, never a looser one
+    const limit = Math.min(request.limit || REWRITE_LIMITS[section], REWRITE_LIMITS[section]);
+    const config = {
+      targetRole: settings?.targetRole || 'general professional',
+      seniorityLevel: settings?.seniorityLevel || 'any level',
+      customInstructions: settings?.customInstructions || '',
+      limit
+    };
+    
+    const prompt = createRewritePrompt(section, data || {}, config);
+    SmartLogger.log('AI.PROMPTS', 'Rewrite prompt', {
+      section,
+      promptLength: prompt.length,
+      limit
+    });
+    
+    // Block before the monthly budget cap would be exceeded
+    const model = settings?.aiModel || (await chrome.storage.local.get('aiModel')).aiModel;
+    const budget = await checkBudget(estimateRequestCost(model, prompt.length));
+    if (!budget.allowed) {
+      sendResponse({
+        success: false,
+        error: budget.error,
+        errorType: 'BUDGET'
+      });
+      return;
+    }
+    
+    const usageContext = { profileId: request.profileId || 'unknown', analysisId: request.analysisId };
+    const response = await SmartLogger.time('PERFORMANCE.API_LATENCY', `Rewrite AI call - ${section}`,
+      async () => await callAIProvider(aiProvider, apiKey, prompt, model, {
+        usageContext,
+        redactionSources: [data],
+        audit: { purpose: 'rewrite', sections: [section], analysisId: request.analysisId }
+      })
+    );
+    
+    const alternatives = parseRewriteResponse(response, section, limit);
+    
+    SmartLogger.log('AI.RESPONSES', 'Rewrite suggestions complete', {
+      section,
+      alternativeCount: alternatives.length,
+      elapsedMs: Date.now() - startTime
+    });
+    
+    if (alternatives.length === 0) {
+      sendResponse({ success: false, error: 'No usable rewrites were returned. Please try again.' });
+      return;
+    }
+    
+    sendResponse({ success: true, section, limit, alternatives });
+  } catch (error) {
+    SmartLogger.error('AI.RESPONSES', 'Error generating rewrites', error, {
+      section,
+      elapsedMs: Date.now() - startTime
     });
     sendResponse({
       success: false,
-      error: error.message || 'Section analysis failed'
+      error: error.message || 'Rewrite suggestions failed'
     });
   }
 }
@@ -3297,12 +5632,70 @@ async function handleSynthesisAnalysis(request, sendResponse) {
   SmartLogger.log('PERFORMANCE.TIMING', 'chrome.runtime.onMessage not available');
 }
 
+// Streaming section analysis over a long-lived port
+// Partial response text is posted back as it arrives, followed by the same payload analyzeSection returns
+const STREAM_PORT_NAME = 'elevateli-analysis';
+const STREAM_POST_INTERVAL = 150; // Throttle partial updates to the content script
+
+if (chrome && chrome.runtime && chrome.runtime.onConnect) {
+  chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== STREAM_PORT_NAME) {
+      return;
+    }
+    
+    // SECURITY: Validate port sender
+    if (!port.sender || port.sender.id !== chrome.runtime.id) {
+      port.disconnect();
+      return;
+    }
+    
+    let connected = true;
+    // Nobody is left to read the result, so stop paying for it
+    const portController = new AbortController();
+    port.onDisconnect.addListener(() => {
+      connected = false;
+      portController.abort();
+    });
+    
+    const post = (message) => {
+      if (!connected) return;
+      try {
+        port.postMessage(message);
+      } catch (error) {
+        connected = false;
+      }
+    };
+    
+    port.onMessage.addListener((request) => {
+      if (request?.action !== 'analyzeSection') {
+        post({ type: 'result', requestId: request?.requestId, response: { success: false, error: 'Unknown action' } });
+        return;
+      }
+      
+      const { requestId, section } = request;
+      let lastPost = 0;
+      
+      const onChunk = (delta, fullText) => {
+        const now = Date.now();
+        if (now - lastPost < STREAM_POST_INTERVAL) return;
+        lastPost = now;
+        post({ type: 'chunk', requestId, section, text: fullText });
+      };
+      
+      withKeepAlive(() => handleSectionAnalysis(request, (response) => {
+        post({ type: 'result', requestId, response });
+      }, onChunk, portController.signal));
+    });
+  });
+}
+
 // Cleanup old cache periodically
 if (chrome && chrome.alarms) {
   chrome.alarms.create('cleanupCache', { periodInMinutes: 60 * 24 }); // Daily
   chrome.alarms.onAlarm.addListener(alarm => {
     if (alarm.name === 'cleanupCache') {
       cleanupOldCache();
+      updateAuditLog(entries => entries);
     }
   });
 } else {
@@ -1,9 +1,9 @@
 /**
  * ElevateLI Content Script - Production Bundle
  * 
- * Generated on: 2025-10-17T21:36:55.483Z
+ * Generated on: 2026-10-19T19:50:52.094Z
  * Version: 1.0.0
- * Total modules: 27
+ * Total modules: 32
  * 
  * DO NOT EDIT THIS FILE DIRECTLY
  * 
@@ -49,13 +49,24 @@ const SCORE_THRESHOLDS = {
 const CHAR_LIMITS = {
   HEADLINE: 220,
   ABOUT: 2600,
-  EXPERIENCE_OPTIMAL: 1500
+  EXPERIENCE_OPTIMAL: 1500,
+  EXPERIENCE_DESCRIPTION: 2000
 };
 
 // Cache settings
 const CACHE_SETTINGS = {
   MAX_AGE_DAYS: 7,
-  DEFAULT_DURATION_DAYS: 7
+  DEFAULT_DURATION_DAYS: 7,
+  MAX_HISTORY_SNAPSHOTS: 20, // Oldest snapshots are dropped beyond this, per profile
+  CHECKPOINT_MAX_AGE_HOURS: 24 // Interrupted runs older than this start over instead of resuming
+};
+
+// Sections analyzed at once per provider, unless the user picked a number (mirrors the service worker)
+const ANALYSIS_CONCURRENCY = {
+  openai: 4,
+  anthropic: 3,
+  gemini: 4,
+  custom: 1
 };
 
 // UI Colors
@@ -1195,30 +1206,92 @@ class CacheManager {
   constructor() {
     this.AI_CACHE_PREFIX = 'aiCache_';
     this.COMPLETENESS_CACHE_PREFIX = 'completeness_';
+    this.HISTORY_PREFIX = 'history_';
+    this.CHECKPOINT_PREFIX = 'analysisRun_';
+  }
+  
+  /**
+   * Collapse whitespace so reflowed text doesn't count as a change
+   */
+  normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+  
+  /**
+   * 32-bit FNV-1a hash as hex - fast and synchronous, not for security
+   */
+  hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+  
+  /**
+   * Hash each section's normalized content separately so changes can be
+   * reported per section
+   * @param {Object} profileData - Extracted profile data, with the deep About
+   *   text and experience roles added by Analyzer.addHashedContent()
+   * @param {Object} settings - Analysis settings
+   * @returns {Object} Section key to content hash
+   */
+  generateSectionHashes(profileData, settings) {
+    const normalize = (text) => this.normalizeText(text);
+    const roles = profileData.experience?.experiences || [];
+    const skills = profileData.skills?.skills || [];
+    
+    const content = {
+      photo: profileData.photo?.exists ? 'photo' : '',
+      headline: normalize(profileData.headline?.text),
+      about: normalize(profileData.about?.fullText ?? profileData.about?.text),
+      experience: roles.map(role => [role.title, role.company, role.description].map(normalize).join('|')).join('\n'),
+      skills: skills.map(skill => normalize(skill.name)).join('|'),
+      // Sections without AI text feedback are still tracked by count
+      education: String(profileData.education?.count || 0),
+      recommendations: String(profileData.recommendations?.count || 0),
+      certifications: String(profileData.certifications?.count || 0),
+      projects: String(profileData.projects?.count || 0),
+      featured: String(profileData.featured?.count || 0),
+      settings: [
+        settings.targetRole || 'none',
+        settings.seniorityLevel || 'none',
+        normalize(settings.customInstructions),
+        settings.weightPreset || 'role',
+        settings.weightPreset === 'custom' ? Object.values(settings.customWeights || {}).join(':') : ''
+      ].join('|')
+    };
+    
+    return Object.fromEntries(
+      Object.entries(content).map(([key, value]) => [key, this.hashString(value)])
+    );
   }
   
   /**
    * Generate content hash including profile data and settings
    */
   generateHash(profileData, settings) {
-    const dataPoints = [
-      profileData.photo ? 1 : 0,
-      profileData.headline?.charCount || 0,
-      profileData.about?.charCount || 0,
-      profileData.experience?.count || 0,
-      profileData.skills?.count || 0,
-      profileData.education?.count || 0,
-      profileData.recommendations?.count || 0,
-      profileData.certifications?.count || 0,
-      profileData.featured ? 1 : 0,
-      profileData.projects?.count || 0,
-      profileData.connections || 0,
-      settings.targetRole || 'none',
-      settings.seniorityLevel || 'none',
-      settings.customInstructions ? 'custom' : 'default'
-    ];
+    const sectionHashes = this.generateSectionHashes(profileData, settings);
+    return this.hashString(
+      Object.keys(sectionHashes).sort().map(key => `${key}:${sectionHashes[key]}`).join(';')
+    );
+  }
+  
+  /**
+   * List the sections whose content differs from a cached analysis
+   * @param {Object} cachedData - Data as saved by save()
+   * @param {Object} profileData - Freshly extracted profile data
+   * @param {Object} settings - Current analysis settings
+   * @returns {Array<string>} Changed section keys (empty for caches saved before hashing)
+   */
+  getChangedSections(cachedData, profileData, settings) {
+    if (!cachedData?.sectionHashes) return [];
+    
+    const current = this.generateSectionHashes(profileData, settings);
+    if (this.generateHash(profileData, settings) === cachedData.contentHash) return [];
     
-    return dataPoints.join('-');
+    return Object.keys(current).filter(key => cachedData.sectionHashes[key] !== current[key]);
   }
   
   /**
@@ -1248,14 +1321,17 @@ class CacheManager {
   
   /**
    * Save data to cache
+   * @param {Object} options - { replaceLatestSnapshot } to update the newest history point instead of adding one
    */
-  async save(profileId, analysisData, extractedData) {
+  async save(profileId, analysisData, extractedData, settings = {}, options = {}) {
     return new Promise((resolve) => {
       const cacheKey = `cache_${profileId}`;
       
       const cacheData = {
         ...analysisData,
         extractedData: extractedData,
+        contentHash: this.generateHash(extractedData || {}, settings),
+        sectionHashes: this.generateSectionHashes(extractedData || {}, settings),
         timestamp: new Date().toISOString(),
         version: '1.0'
       };
@@ -1264,10 +1340,178 @@ class CacheManager {
         [cacheKey]: cacheData
       };
       
-      chrome.storage.local.set(storageData, () => {
+      chrome.storage.local.set(storageData, async () => {
         if (chrome.runtime.lastError) {
           Logger.error('[CacheManager] Error saving cache:', chrome.runtime.lastError);
           resolve(false);
+        } else {
+          await this.addSnapshot(profileId, cacheData, options.replaceLatestSnapshot);
+          resolve(true);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Build a compact snapshot of an analysis for the history
+   * Only the fields needed to compare analyses are kept so the history stays well
+   * inside chrome.storage.local quota
+   * @param {Object} cacheData - Data as saved by save()
+   * @returns {Object} Snapshot
+   */
+  createSnapshot(cacheData) {
+    const extracted = cacheData.extractedData || {};
+    const summarize = (section) => ({
+      exists: !!section?.exists,
+      count: section?.count || 0,
+      charCount: section?.charCount || 0
+    });
+    
+    // Keep only scores so AI feedback text doesn't bloat storage
+    const sectionScores = {};
+    Object.entries(cacheData.sectionScores || {}).forEach(([key, value]) => {
+      if (Array.isArray(value)) {
+        sectionScores[key] = value.map(item => ({
+          name: [item?.analysis?.title || item?.title, item?.analysis?.company || item?.company].filter(Boolean).join(' at ') || null,
+          score: typeof item?.score === 'number' ? item.score : null
+        }));
+      } else if (typeof value?.score === 'number') {
+        sectionScores[key] = value.score;
+      }
+    });
+    
+    return {
+      timestamp: cacheData.timestamp,
+      completeness: cacheData.completeness ?? null,
+      contentScore: cacheData.contentScore ?? null,
+      missingItems: (cacheData.completenessData?.recommendations || []).map(item => item.section).filter(Boolean),
+      sectionScores,
+      extractedData: {
+        photo: { exists: !!extracted.photo?.exists },
+        headline: { ...summarize(extracted.headline), text: extracted.headline?.text || '' },
+        about: summarize(extracted.about),
+        experience: summarize(extracted.experience),
+        skills: {
+          ...summarize(extracted.skills),
+          names: (extracted.skills?.skills || []).map(skill => skill.name).filter(Boolean)
+        },
+        education: summarize(extracted.education),
+        recommendations: summarize(extracted.recommendations),
+        certifications: summarize(extracted.certifications),
+        projects: summarize(extracted.projects),
+        featured: summarize(extracted.featured)
+      }
+    };
+  }
+  
+  /**
+   * Append a snapshot to the profile's bounded history
+   * @param {string} profileId - LinkedIn profile ID
+   * @param {Object} cacheData - Data as saved by save()
+   * @param {boolean} replaceLatest - Overwrite the newest snapshot, for updates to the same analysis
+   */
+  async addSnapshot(profileId, cacheData, replaceLatest = false) {
+    const history = await this.getHistory(profileId);
+    if (replaceLatest && history.length > 0) {
+      history[history.length - 1] = this.createSnapshot(cacheData);
+    } else {
+      history.push(this.createSnapshot(cacheData));
+    }
+    
+    const maxSnapshots = CACHE_SETTINGS.MAX_HISTORY_SNAPSHOTS;
+    const bounded = history.slice(-maxSnapshots);
+    
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [`${this.HISTORY_PREFIX}${profileId}`]: bounded }, () => {
+        if (chrome.runtime.lastError) {
+          Logger.error('[CacheManager] Error saving history snapshot:', chrome.runtime.lastError);
+          resolve(false);
+        } else {
+          resolve(true);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Get snapshot history for a profile, oldest first
+   * @param {string} profileId - LinkedIn profile ID
+   * @returns {Promise<Array>} Snapshots
+   */
+  async getHistory(profileId) {
+    return new Promise((resolve) => {
+      const historyKey = `${this.HISTORY_PREFIX}${profileId}`;
+      
+      chrome.storage.local.get([historyKey], (data) => {
+        if (chrome.runtime.lastError) {
+          Logger.error('[CacheManager] Error reading history:', chrome.runtime.lastError);
+          resolve([]);
+          return;
+        }
+        
+        resolve(Array.isArray(data[historyKey]) ? data[historyKey] : []);
+      });
+    });
+  }
+  
+  /**
+   * Get the checkpoint of an unfinished analysis run
+   * @param {string} profileId - LinkedIn profile ID
+   * @returns {Promise<Object|null>} Checkpoint, or null when none is recent enough to resume
+   */
+  async getCheckpoint(profileId) {
+    return new Promise((resolve) => {
+      const checkpointKey = `${this.CHECKPOINT_PREFIX}${profileId}`;
+      
+      chrome.storage.local.get([checkpointKey], (data) => {
+        if (chrome.runtime.lastError) {
+          Logger.error('[CacheManager] Error reading checkpoint:', chrome.runtime.lastError);
+          resolve(null);
+          return;
+        }
+        
+        const checkpoint = data[checkpointKey];
+        const maxAge = CACHE_SETTINGS.CHECKPOINT_MAX_AGE_HOURS * 60 * 60 * 1000;
+        if (!checkpoint || Date.now() - checkpoint.updatedAt > maxAge) {
+          resolve(null);
+          return;
+        }
+        
+        resolve(checkpoint);
+      });
+    });
+  }
+  
+  /**
+   * Save the checkpoint of the running analysis, replacing any earlier run for the profile
+   * @param {string} profileId - LinkedIn profile ID
+   * @param {Object} checkpoint - Run ID, status, content hash and completed section results
+   */
+  async saveCheckpoint(profileId, checkpoint) {
+    return new Promise((resolve) => {
+      const checkpointKey = `${this.CHECKPOINT_PREFIX}${profileId}`;
+      
+      chrome.storage.local.set({ [checkpointKey]: { ...checkpoint, updatedAt: Date.now() } }, () => {
+        if (chrome.runtime.lastError) {
+          Logger.error('[CacheManager] Error saving checkpoint:', chrome.runtime.lastError);
+          resolve(false);
+        } else {
+          resolve(true);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Remove the checkpoint once a run finishes or the user starts over
+   * @param {string} profileId - LinkedIn profile ID
+   */
+  async clearCheckpoint(profileId) {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove([`${this.CHECKPOINT_PREFIX}${profileId}`], () => {
+        if (chrome.runtime.lastError) {
+          Logger.error('[CacheManager] Error clearing checkpoint:', chrome.runtime.lastError);
+          resolve(false);
         } else {
           resolve(true);
         }
@@ -1295,8 +1539,10 @@ class CacheManager {
   async clear(profileId) {
     return new Promise((resolve) => {
       const cacheKey = `cache_${profileId}`;
+      const historyKey = `${this.HISTORY_PREFIX}${profileId}`;
+      const checkpointKey = `${this.CHECKPOINT_PREFIX}${profileId}`;
       
-      chrome.storage.local.remove([cacheKey], () => {
+      chrome.storage.local.remove([cacheKey, historyKey, checkpointKey], () => {
         if (chrome.runtime.lastError) {
           Logger.error('[CacheManager] Error clearing cache:', chrome.runtime.lastError);
           resolve(false);
@@ -1313,7 +1559,9 @@ class CacheManager {
   async clearAll() {
     return new Promise((resolve) => {
       chrome.storage.local.get(null, (data) => {
-        const cacheKeys = Object.keys(data).filter(key => key.startsWith('cache_'));
+        const cacheKeys = Object.keys(data).filter(key => 
+          key.startsWith('cache_') || key.startsWith(this.HISTORY_PREFIX) || key.startsWith(this.CHECKPOINT_PREFIX)
+        );
         
         if (cacheKeys.length === 0) {
           resolve(true);
@@ -1334,6 +1582,92 @@ class CacheManager {
 }
 
 
+  /* ============================================
+   * MODULE: core/section-diagnostics.js
+   * ============================================ */
+/**
+ * Section Diagnostics Module for ElevateLI
+ * Records which lookup strategy found each profile section so a redesign that
+ * breaks our selectors can be told apart from a section the user doesn't have
+ */
+
+const SectionDiagnostics = {
+  STORAGE_KEY: 'sectionDiagnostics',
+  MAX_RUNS: 10,
+  
+  // Section name -> latest lookup result on the current page
+  sections: {},
+  
+  /**
+   * Forget results from the previous run
+   */
+  reset() {
+    this.sections = {};
+  },
+  
+  /**
+   * Record the outcome of a section lookup
+   * @param {string} section - Section name (e.g. 'skills')
+   * @param {Object} entry - { status, strategy, detail, attempts }
+   *   status is one of: found, absent, unreadable, failed
+   */
+  record(section, entry) {
+    this.sections[section] = {
+      ...entry,
+      timestamp: Date.now()
+    };
+  },
+  
+  /**
+   * Record an extractor that threw while reading its section
+   * @param {string} section - Section name
+   * @param {Error} error - Error thrown by the extractor
+   */
+  markFailed(section, error) {
+    this.record(section, {
+      ...this.sections[section],
+      status: 'failed',
+      error: error?.message || String(error)
+    });
+  },
+  
+  /**
+   * Whether the section is on the page but could not be read
+   * @param {string} section - Section name
+   * @returns {boolean}
+   */
+  isUnreadable(section) {
+    const status = this.sections[section]?.status;
+    return status === 'unreadable' || status === 'failed';
+  },
+  
+  /**
+   * Store this run's results, keeping the most recent runs
+   * Only strategy names, selectors and statuses are stored - never profile content
+   * @param {Object} context - { isOwn }
+   */
+  async save(context = {}) {
+    if (!chrome?.runtime?.id) return;
+    
+    try {
+      const stored = await chrome.storage.local.get(this.STORAGE_KEY);
+      const runs = stored[this.STORAGE_KEY] || [];
+      
+      runs.unshift({
+        timestamp: Date.now(),
+        version: chrome.runtime.getManifest().version,
+        isOwnProfile: !!context.isOwn,
+        sections: this.sections
+      });
+      
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: runs.slice(0, this.MAX_RUNS) });
+    } catch (error) {
+      Logger.warn('[SectionDiagnostics] Failed to save diagnostics', error);
+    }
+  }
+};
+
+
   /* ============================================
    * MODULE: extractors/base-extractor.js
    * ============================================ */
@@ -1391,14 +1725,74 @@ const BaseExtractor = {
     return true;
   },
   
+  // Section lookup strategies, tried in order until one matches
+  // Each finder returns { element, detail } or null; see registerStrategy()
+  sectionStrategies: [
+    { name: 'selector', method: 'findBySelectors' },
+    { name: 'anchor', method: 'findByAnchor' },
+    { name: 'heading', method: 'findByHeading' },
+    { name: 'aria', method: 'findByAriaLandmark' },
+    { name: 'structure', method: 'findByStructure' }
+  ],
+  
+  /**
+   * Add a section lookup strategy
+   * @param {string} name - Strategy name recorded in diagnostics
+   * @param {Function} find - (selectors, headingText) => { element, detail } | null
+   * @param {number} position - Index to insert at, defaults to last
+   */
+  registerStrategy(name, find, position = this.sectionStrategies.length) {
+    this.sectionStrategies.splice(position, 0, { name, find });
+  },
+  
   /**
    * Find section by multiple strategies
+   * Records which strategy matched, or whether the section looks absent or unreadable
    */
   findSection(selectors, headingText) {
+    const attempts = [];
+    const sectionName = (headingText || selectors[0] || 'unknown').toLowerCase();
+    
+    for (const strategy of this.sectionStrategies) {
+      const find = strategy.find || this[strategy.method];
+      let match = null;
+      
+      try {
+        match = find.call(this, selectors, headingText);
+      } catch (e) {
+        // A broken strategy counts as a miss
+      }
+      
+      attempts.push(strategy.name);
+      if (match?.element) {
+        SectionDiagnostics.record(sectionName, {
+          status: 'found',
+          strategy: strategy.name,
+          detail: match.detail || null,
+          attempts
+        });
+        return match.element;
+      }
+    }
+    
+    // The heading is on the page but no strategy could resolve its container
+    SectionDiagnostics.record(sectionName, {
+      status: this.isHeadingVisible(headingText) ? 'unreadable' : 'absent',
+      strategy: null,
+      detail: null,
+      attempts
+    });
+    
+    return null;
+  },
+  
+  /**
+   * Strategy: configured CSS selectors
+   */
+  findBySelectors(selectors) {
     // Filter out invalid selectors (jQuery-specific :contains())
     const validSelectors = selectors.filter(sel => !sel.includes(':contains('));
     
-    // Try valid selectors
     for (const selector of validSelectors) {
       try {
         const element = document.querySelector(selector);
@@ -1407,88 +1801,152 @@ const BaseExtractor = {
           if (element.classList.contains('pv-profile-card__anchor')) {
             continue;
           }
-          return element;
+          return { element, detail: selector };
         }
       } catch (e) {
         // Silently skip invalid selectors
       }
     }
     
-    // Try anchor-based search (LinkedIn's pattern)
-    if (headingText) {
-      // Try different ID patterns based on section name
-      const sectionName = headingText.toLowerCase();
-      const possibleIds = [
-        sectionName.replace(/\s+/g, '-'),
-        sectionName.replace(/\s+/g, ''),
-        sectionName.split(' ')[0],
-        sectionName
-      ];
-      
-      for (const id of possibleIds) {
-        const anchor = document.querySelector(`div#${id}.pv-profile-card__anchor`);
-        if (anchor) {
-          // For skills and recommendations, skip parent section and check siblings
-          if (sectionName !== 'skills' && sectionName !== 'recommendations') {
-            // First try parent section for other sections
-            const section = anchor.closest('section');
-            if (section) {
-              return section;
+    return null;
+  },
+  
+  /**
+   * Strategy: anchor IDs (LinkedIn's pattern)
+   */
+  findByAnchor(selectors, headingText) {
+    if (!headingText) return null;
+    
+    // Try different ID patterns based on section name
+    const sectionName = headingText.toLowerCase();
+    const possibleIds = [
+      sectionName.replace(/\s+/g, '-'),
+      sectionName.replace(/\s+/g, ''),
+      sectionName.split(' ')[0],
+      sectionName
+    ];
+    
+    for (const id of possibleIds) {
+      const anchor = document.querySelector(`div#${id}.pv-profile-card__anchor`);
+      if (anchor) {
+        // For skills and recommendations, skip parent section and check siblings
+        if (sectionName !== 'skills' && sectionName !== 'recommendations') {
+          // First try parent section for other sections
+          const section = anchor.closest('section');
+          if (section) {
+            return { element: section, detail: `#${id}` };
+          }
+        }
+        
+        // Try siblings after anchor
+        let sibling = anchor.nextElementSibling;
+        let siblingCount = 0;
+        while (sibling && siblingCount < 5) {
+          // For skills, need BOTH skill items AND show all link
+          if (sectionName === 'skills') {
+            const skillLinks = sibling.querySelectorAll('[data-field="skill_card_skill_topic"]');
+            
+            // Only return if we have actual skill items
+            if (skillLinks.length > 0) {
+              return { element: sibling, detail: `#${id} + sibling` };
             }
           }
           
-          // Try siblings after anchor
-          let sibling = anchor.nextElementSibling;
-          let siblingCount = 0;
-          while (sibling && siblingCount < 5) {
-            // For skills, need BOTH skill items AND show all link
-            if (sectionName === 'skills') {
-              const skillLinks = sibling.querySelectorAll('[data-field="skill_card_skill_topic"]');
-              
-              // Only return if we have actual skill items
-              if (skillLinks.length > 0) {
-                return sibling;
-              }
-            }
-            
-            // Check if sibling contains meaningful content
-            const hasLists = sibling.querySelector('ul, .pvs-list');
-            const hasItems = sibling.querySelectorAll('li').length > 0;
-            
-            if (hasLists || hasItems) {
-              // Additional check: make sure it's not just an empty container
-              const textContent = sibling.textContent.trim();
-              if (textContent.length > 20) {
-                return sibling;
-              }
+          // Check if sibling contains meaningful content
+          const hasLists = sibling.querySelector('ul, .pvs-list');
+          const hasItems = sibling.querySelectorAll('li').length > 0;
+          
+          if (hasLists || hasItems) {
+            // Additional check: make sure it's not just an empty container
+            const textContent = sibling.textContent.trim();
+            if (textContent.length > 20) {
+              return { element: sibling, detail: `#${id} + sibling` };
             }
-            
-            sibling = sibling.nextElementSibling;
-            siblingCount++;
           }
+          
+          sibling = sibling.nextElementSibling;
+          siblingCount++;
         }
       }
     }
     
-    // Enhanced heading text search
-    if (headingText) {
-      const headings = document.querySelectorAll('h2');
-      for (const heading of headings) {
-        // Check for exact match or contains
-        if (heading.textContent?.trim() === headingText || 
-            heading.textContent?.includes(headingText)) {
-          // Try multiple parent containers
-          const section = heading.closest('section') || 
-                         heading.closest('div[data-view-name="profile-card"]') ||
-                         heading.closest('div[class*="profile-card"]');
-          if (section) return section;
-        }
+    return null;
+  },
+  
+  /**
+   * Strategy: section heading text
+   */
+  findByHeading(selectors, headingText) {
+    if (!headingText) return null;
+    
+    const headings = document.querySelectorAll('h2');
+    for (const heading of headings) {
+      // Check for exact match or contains
+      if (heading.textContent?.trim() === headingText || 
+          heading.textContent?.includes(headingText)) {
+        // Try multiple parent containers
+        const section = heading.closest('section') || 
+                       heading.closest('div[data-view-name="profile-card"]') ||
+                       heading.closest('div[class*="profile-card"]');
+        if (section) return { element: section, detail: 'h2' };
+      }
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Strategy: ARIA landmarks labelled with the section name
+   */
+  findByAriaLandmark(selectors, headingText) {
+    if (!headingText) return null;
+    
+    const wanted = headingText.toLowerCase();
+    const regions = document.querySelectorAll('section[aria-label], section[aria-labelledby], [role="region"][aria-label], [role="region"][aria-labelledby]');
+    
+    for (const region of regions) {
+      const labelledBy = region.getAttribute('aria-labelledby');
+      const label = region.getAttribute('aria-label') ||
+        (labelledBy || '').split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' ');
+      
+      if (label.trim().toLowerCase().startsWith(wanted)) {
+        return { element: region, detail: labelledBy ? 'aria-labelledby' : 'aria-label' };
+      }
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Strategy: profile cards whose first line of text is the section name
+   */
+  findByStructure(selectors, headingText) {
+    if (!headingText) return null;
+    
+    const cards = document.querySelectorAll('main section, main div[data-view-name="profile-card"]');
+    for (const card of cards) {
+      const firstLine = (card.innerText || card.textContent || '').trim().split('\n')[0].trim();
+      if (firstLine === headingText) {
+        return { element: card, detail: card.tagName.toLowerCase() };
       }
     }
     
     return null;
   },
   
+  /**
+   * Check whether a section heading is rendered on the page
+   * Used to tell a missing section apart from one we failed to locate
+   */
+  isHeadingVisible(headingText) {
+    if (!headingText) return false;
+    
+    const root = document.querySelector('main') || document.body;
+    const candidates = root.querySelectorAll('h2, h3, [role="heading"]');
+    // Headings carry a visually hidden copy of their text, so read the aria-hidden span
+    return Array.from(candidates).some(element => this.extractTextContent(element) === headingText);
+  },
+  
   /**
    * Count items in a section
    */
@@ -1627,6 +2085,37 @@ const BaseExtractor = {
     return false;
   },
   
+  /**
+   * Capture a LinkedIn CDN image as a data URL via the service worker
+   * @param {string} url - Image URL on media.licdn.com
+   * @returns {Promise<Object|null>} { dataUrl, width, height, byteSize } or null
+   */
+  captureImage(url) {
+    return new Promise(resolve => {
+      if (!url || !chrome?.runtime?.id) {
+        resolve(null);
+        return;
+      }
+      
+      chrome.runtime.sendMessage({ action: 'captureImage', url }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          Logger.warn('[BaseExtractor] Image capture failed', response?.error || chrome.runtime.lastError?.message);
+          resolve(null);
+          return;
+        }
+        resolve(response);
+      });
+    });
+  },
+  
+  /**
+   * Pause between DOM interactions so LinkedIn can render
+   * @param {number} ms - Milliseconds to wait
+   */
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  },
+  
   /**
    * Log extraction timing
    */
@@ -1667,10 +2156,11 @@ const PhotoExtractor = {
     
     let exists = false;
     let photoUrl = null;
+    let photoElement = null;
     
     // Try each selector
     for (const selector of this.selectors) {
-      const photoElement = document.querySelector(selector);
+      photoElement = document.querySelector(selector);
       if (photoElement) {
         exists = true;
         photoUrl = photoElement.src || photoElement.getAttribute('src');
@@ -1689,6 +2179,7 @@ const PhotoExtractor = {
             className.includes('profile-photo')) {
           exists = true;
           photoUrl = img.src;
+          photoElement = img;
           break;
         }
       }
@@ -1696,7 +2187,9 @@ const PhotoExtractor = {
     
     return {
       exists,
-      photoUrl
+      photoUrl,
+      width: photoElement?.naturalWidth || null,
+      height: photoElement?.naturalHeight || null
     };
   },
   
@@ -1710,7 +2203,9 @@ const PhotoExtractor = {
     const result = {
       exists: scanResult.exists,
       hasPhoto: scanResult.exists,
-      photoUrl: scanResult.photoUrl
+      photoUrl: scanResult.photoUrl,
+      width: scanResult.width,
+      height: scanResult.height
     };
     
     return result;
@@ -1720,10 +2215,69 @@ const PhotoExtractor = {
 
 
   /* ============================================
-   * MODULE: extractors/headline.js
+   * MODULE: extractors/banner.js
    * ============================================ */
 /**
- * Headline Extractor Module for ElevateLI
+ * Banner Extractor Module for ElevateLI
+ * Handles detection of the LinkedIn background banner and whether it was customized
+ * This module will be concatenated into analyzer.js for Manifest V3 compatibility
+ */
+
+const BannerExtractor = {
+  name: 'banner',
+  
+  selectors: [
+    '#profile-background-image-target-image',
+    'img.profile-background-image__image',
+    '.profile-background-image img',
+    '.pv-top-card__background-image img',
+    'img[class*="background-image"]'
+  ],
+  
+  // Recommended upload size from LinkedIn's help center
+  recommendedSize: { width: 1584, height: 396 },
+  
+  /**
+   * Quick scan for a background banner
+   * LinkedIn renders the default banner as a static asset or a CSS background,
+   * so only images served from the member media CDN count as custom
+   * @returns {Object} Scan results
+   */
+  async scan() {
+    let bannerElement = null;
+    
+    for (const selector of this.selectors) {
+      bannerElement = document.querySelector(selector);
+      if (bannerElement) break;
+    }
+    
+    const bannerUrl = bannerElement?.currentSrc || bannerElement?.src || null;
+    const isCustomBanner = !!bannerUrl && /^https:\/\/media\.licdn\.com\//.test(bannerUrl);
+    
+    return {
+      exists: !!bannerElement,
+      isCustomBanner,
+      bannerUrl: isCustomBanner ? bannerUrl : null,
+      width: bannerElement?.naturalWidth || null,
+      height: bannerElement?.naturalHeight || null
+    };
+  },
+  
+  /**
+   * Extract banner data
+   * @returns {Object} Banner data
+   */
+  async extract() {
+    return this.scan();
+  }
+};
+
+
+  /* ============================================
+   * MODULE: extractors/headline.js
+   * ============================================ */
+/**
+ * Headline Extractor Module for ElevateLI
  * Handles extraction of LinkedIn profile headline
  * This module will be concatenated into analyzer.js for Manifest V3 compatibility
  */
@@ -2422,7 +2976,7 @@ const ExperienceExtractor = {
     Logger.info('[ExperienceExtractor] Starting scan');
     
     // Use BaseExtractor's findSection method like other extractors
-    const section = await BaseExtractor.findSection(this.selectors);
+    const section = await BaseExtractor.findSection(this.selectors, 'Experience');
     
     if (!section) {
       Logger.info('[ExperienceExtractor] No experience section found');
@@ -2650,7 +3204,7 @@ const ExperienceExtractor = {
    */
   async extractBasicInfo() {
     // Find experience section using BaseExtractor
-    const section = await BaseExtractor.findSection(this.selectors);
+    const section = await BaseExtractor.findSection(this.selectors, 'Experience');
     if (!section) return { totalMonths: 0, hasCurrentRole: false };
     
     const items = [];
@@ -2729,13 +3283,44 @@ const ExperienceExtractor = {
     const experiences = [];
     
     // Find experience section if not passed
-    const section = passedSection || await BaseExtractor.findSection(this.selectors);
+    const section = passedSection || await BaseExtractor.findSection(this.selectors, 'Experience');
     if (!section) {
       Logger.warn('[ExperienceExtractor] No experience section found in extractDetailedExperiences');
       return experiences;
     }
     
     // Collect all experience items
+    const items = this.collectExperienceItems(section);
+    
+    Logger.info(`[ExperienceExtractor] Found ${items.length} experience items`);
+    const totalCount = items.length;
+    
+    for (let i = 0; i < items.length; i++) {
+      Logger.debug(`[ExperienceExtractor] Processing experience item ${i + 1} of ${totalCount}`);
+      const experience = await this.extractExperienceItem(items[i], i, totalCount);
+      
+      Logger.debug(`[ExperienceExtractor] Extracted experience ${i + 1}:`, {
+        title: experience.title,
+        company: experience.company,
+        hasDescription: !!experience.description,
+        descriptionLength: experience.description?.length || 0,
+        hasDescription: !!experience.description
+      });
+      
+      if (experience.title) {
+        experiences.push(experience);
+      }
+    }
+    
+    return experiences;
+  },
+  
+  /**
+   * Collect experience item elements from the section
+   * @param {Element} section - Experience section
+   * @returns {Array<Element>} Experience item elements
+   */
+  collectExperienceItems(section) {
     const items = [];
     
     // Try experience item selectors
@@ -2764,27 +3349,33 @@ const ExperienceExtractor = {
       }
     }
     
-    Logger.info(`[ExperienceExtractor] Found ${items.length} experience items`);
-    const totalCount = items.length;
+    return items;
+  },
+  
+  /**
+   * Find a single role by title (and company when given)
+   * @param {string} title - Role title as shown on the profile
+   * @param {string} company - Company name, optional
+   * @returns {Object|null} Experience data for the role
+   */
+  async findRole(title, company = '') {
+    const section = await BaseExtractor.findSection(this.selectors, 'Experience');
+    if (!section) return null;
+    
+    const normalize = (text) => (text || '').toLowerCase().trim();
+    const items = this.collectExperienceItems(section);
+    let titleMatch = null;
     
     for (let i = 0; i < items.length; i++) {
-      Logger.debug(`[ExperienceExtractor] Processing experience item ${i + 1} of ${totalCount}`);
-      const experience = await this.extractExperienceItem(items[i], i, totalCount);
-      
-      Logger.debug(`[ExperienceExtractor] Extracted experience ${i + 1}:`, {
-        title: experience.title,
-        company: experience.company,
-        hasDescription: !!experience.description,
-        descriptionLength: experience.description?.length || 0,
-        hasDescription: !!experience.description
-      });
-      
-      if (experience.title) {
-        experiences.push(experience);
+      const experience = await this.extractExperienceItem(items[i], i, items.length);
+      if (normalize(experience.title) !== normalize(title)) continue;
+      if (!company || normalize(experience.company) === normalize(company)) {
+        return experience;
       }
+      titleMatch = titleMatch || experience;
     }
     
-    return experiences;
+    return titleMatch;
   },
   
   /**
@@ -3375,6 +3966,12 @@ const SkillsExtractor = {
         // We want the sibling with actual skill items
         if (skillLinks.length > 0) {
           Logger.debug(`[SkillsExtractor] Unified finder: Found skills section at sibling ${siblingIndex} with ${skillLinks.length} skills`);
+          SectionDiagnostics.record('skills', {
+            status: 'found',
+            strategy: 'skills-anchor',
+            detail: `#skills + sibling ${siblingIndex}`,
+            attempts: ['skills-anchor']
+          });
           return sibling;
         }
         
@@ -6731,6 +7328,131 @@ const FeaturedExtractor = {
 };
 
 
+  /* ============================================
+   * MODULE: extractors/job-description.js
+   * ============================================ */
+/**
+ * Job Description Extractor Module for ElevateLI
+ * Captures the job posting from linkedin.com/jobs pages for job match mode
+ * This module will be concatenated into analyzer.js for Manifest V3 compatibility
+ */
+
+const JobDescriptionExtractor = {
+  name: 'jobDescription',
+
+  // Description body, newest layout first
+  descriptionSelectors: [
+    '.jobs-description__content .jobs-box__html-content',
+    '.jobs-description-content__text',
+    '.jobs-description__content',
+    '#job-details',
+    '.jobs-box__html-content'
+  ],
+
+  titleSelectors: [
+    '.job-details-jobs-unified-top-card__job-title h1',
+    '.job-details-jobs-unified-top-card__job-title',
+    '.jobs-unified-top-card__job-title',
+    '.top-card-layout__title',
+    'h1.t-24'
+  ],
+
+  companySelectors: [
+    '.job-details-jobs-unified-top-card__company-name a',
+    '.job-details-jobs-unified-top-card__company-name',
+    '.jobs-unified-top-card__company-name',
+    '.topcard__org-name-link'
+  ],
+
+  /**
+   * Check whether the current page shows a job posting
+   * @returns {boolean}
+   */
+  isJobPage() {
+    return /linkedin\.com\/jobs\//.test(window.location.href);
+  },
+
+  /**
+   * Quick scan for the job description container
+   * @returns {Object} Scan results
+   */
+  async scan() {
+    let element = null;
+    let usedSelector = null;
+
+    for (const selector of this.descriptionSelectors) {
+      element = document.querySelector(selector);
+      if (element && element.textContent.trim().length > 0) {
+        usedSelector = selector;
+        break;
+      }
+      element = null;
+    }
+
+    return {
+      exists: !!element,
+      selector: usedSelector,
+      element
+    };
+  },
+
+  /**
+   * Extract the job posting
+   * @returns {Object} Job title, company, description text and source URL
+   */
+  async extract() {
+    const startTime = Date.now();
+
+    if (!this.isJobPage()) {
+      return { exists: false, error: 'Open a LinkedIn job posting first' };
+    }
+
+    // Expand truncated descriptions ("See more")
+    const seeMore = document.querySelector('.jobs-description__footer-button, .jobs-description button[aria-label*="more"]');
+    if (seeMore && seeMore.getAttribute('aria-expanded') !== 'true') {
+      seeMore.click();
+      await BaseExtractor.wait(300);
+    }
+
+    const scanResult = await this.scan();
+    if (!scanResult.exists) {
+      return { exists: false, error: 'Job description not found on this page' };
+    }
+
+    const text = (scanResult.element.innerText || scanResult.element.textContent || '')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    const result = {
+      exists: true,
+      title: this.findText(this.titleSelectors),
+      company: this.findText(this.companySelectors),
+      text,
+      url: window.location.href.split('?')[0],
+      capturedAt: Date.now()
+    };
+
+    BaseExtractor.logTiming('Job description extract', startTime);
+    return result;
+  },
+
+  /**
+   * Return trimmed text of the first matching selector
+   * @param {Array<string>} selectors - Selectors to try in order
+   * @returns {string}
+   */
+  findText(selectors) {
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      const text = element?.textContent?.trim();
+      if (text) return text;
+    }
+    return '';
+  }
+};
+
+
   /* ============================================
    * MODULE: scoring/completeness-scorer.js
    * ============================================ */
@@ -6740,20 +7462,109 @@ const FeaturedExtractor = {
  * This module will be concatenated into analyzer.js for Manifest V3 compatibility
  */
 
+// Weight and threshold presets keyed on the targetRole setting
+// Weights total 100; thresholds tune pass criteria and priority cut-offs
+const COMPLETENESS_PRESETS = {
+  default: {
+    label: 'Standard',
+    weights: {
+      photo: 5, headline: 10, about: 20, experience: 25, skills: 15,
+      education: 10, recommendations: 10, certifications: 3, projects: 2, featured: 0
+    },
+    thresholds: {
+      skillsCount: 10,
+      recommendationsCount: 1,
+      priority: { critical: 15, high: 8, medium: 4 }
+    },
+    boostSections: []
+  },
+  'product-manager': {
+    label: 'Product Manager',
+    weights: {
+      photo: 5, headline: 10, about: 20, experience: 28, skills: 10,
+      education: 7, recommendations: 10, certifications: 3, projects: 4, featured: 3
+    },
+    thresholds: { skillsCount: 10, recommendationsCount: 2 },
+    boostSections: ['experience']
+  },
+  'software-engineer': {
+    label: 'Software Engineer',
+    weights: {
+      photo: 5, headline: 10, about: 15, experience: 25, skills: 15,
+      education: 8, recommendations: 5, certifications: 7, projects: 10, featured: 0
+    },
+    thresholds: { skillsCount: 15 },
+    boostSections: ['skills', 'projects']
+  },
+  'data-scientist': {
+    label: 'Data Scientist',
+    weights: {
+      photo: 5, headline: 10, about: 15, experience: 22, skills: 15,
+      education: 12, recommendations: 5, certifications: 6, projects: 10, featured: 0
+    },
+    thresholds: { skillsCount: 15 },
+    boostSections: ['skills', 'projects']
+  },
+  designer: {
+    label: 'Designer',
+    weights: {
+      photo: 8, headline: 10, about: 15, experience: 20, skills: 10,
+      education: 7, recommendations: 8, certifications: 2, projects: 8, featured: 12
+    },
+    thresholds: { skillsCount: 8 },
+    boostSections: ['featured', 'projects']
+  },
+  marketing: {
+    label: 'Marketing Professional',
+    weights: {
+      photo: 7, headline: 12, about: 18, experience: 22, skills: 12,
+      education: 6, recommendations: 8, certifications: 3, projects: 4, featured: 8
+    },
+    thresholds: { skillsCount: 10, recommendationsCount: 2 },
+    boostSections: ['featured']
+  },
+  sales: {
+    label: 'Sales Professional',
+    weights: {
+      photo: 8, headline: 12, about: 18, experience: 22, skills: 10,
+      education: 5, recommendations: 20, certifications: 3, projects: 0, featured: 2
+    },
+    thresholds: { skillsCount: 8, recommendationsCount: 3 },
+    boostSections: ['recommendations']
+  },
+  consultant: {
+    label: 'Consultant',
+    weights: {
+      photo: 5, headline: 10, about: 18, experience: 25, skills: 12,
+      education: 10, recommendations: 12, certifications: 5, projects: 3, featured: 0
+    },
+    thresholds: { skillsCount: 10, recommendationsCount: 2 },
+    boostSections: ['recommendations']
+  },
+  entrepreneur: {
+    label: 'Entrepreneur',
+    weights: {
+      photo: 6, headline: 12, about: 22, experience: 22, skills: 8,
+      education: 5, recommendations: 10, certifications: 0, projects: 5, featured: 10
+    },
+    thresholds: { skillsCount: 8 },
+    boostSections: ['about', 'featured']
+  }
+};
+
 class ProfileCompletenessCalculator {
-  constructor() {
-    // Section weights (total = 100)
-    this.weights = {
-      photo: 5,
-      headline: 10,
-      about: 20,
-      experience: 25,
-      skills: 15,
-      education: 10,
-      recommendations: 10,
-      certifications: 3,
-      projects: 2
-    };
+  /**
+   * @param {Object} settings - User settings
+   * @param {string} settings.targetRole - Target role, selects the matching preset
+   * @param {string} settings.weightPreset - Explicit preset ('' follows targetRole, 'custom' uses customWeights)
+   * @param {Object} settings.customWeights - User-edited section weights for the custom preset
+   */
+  constructor(settings = {}) {
+    // Section weights (total = 100), replaced by the active preset
+    this.weights = { ...COMPLETENESS_PRESETS.default.weights };
+    this.thresholds = { ...COMPLETENESS_PRESETS.default.thresholds };
+    this.boostSections = [];
+    this.presetName = 'default';
     
     // LinkedIn character limits (2025)
     this.characterLimits = {
@@ -6897,12 +7708,15 @@ class ProfileCompletenessCalculator {
       },
       
       skills: {
-        check: (data) => data && data.count >= 10,
+        check: function(data) {
+          return data && data.count >= this.thresholds.skillsCount;
+        },
         points: 15,
         getMessage: function(data) {
+          const target = this.thresholds.skillsCount;
           if (!data || !data.exists || data.count === 0) return "Add relevant skills";
-          if (data.count < 5) return "Add more skills (aim for 10+)";
-          if (data.count < 10) return `Add ${10 - data.count} more skills`;
+          if (data.count < target / 2) return `Add more skills (aim for ${target}+)`;
+          if (data.count < target) return `Add ${target - data.count} more skills`;
           return "Optimize your skills section";
         }
       },
@@ -6917,8 +7731,10 @@ class ProfileCompletenessCalculator {
       },
       
       recommendations: {
-        check: (data) => {
+        check: function(data) {
           if (!data || !data.exists || data.count === 0) return false;
+          // Roles that lean on social proof need more than one
+          if (data.count < this.thresholds.recommendationsCount) return false;
           // Check if has recent recommendations (within 2 years)
           // Fallback to basic count check if recency data not available
           if (data.isCurrentlyEndorsed !== undefined || data.hasRecentRecommendations !== undefined) {
@@ -6930,6 +7746,9 @@ class ProfileCompletenessCalculator {
         points: 10,
         getMessage: function(data) {
           if (!data || !data.exists || data.count === 0) return "Request at least one recommendation";
+          if (data.count < this.thresholds.recommendationsCount) {
+            return `Request more recommendations (aim for ${this.thresholds.recommendationsCount}+)`;
+          }
           // Only show recency message if we actually have the data to check
           if ((data.isCurrentlyEndorsed === false || data.hasRecentRecommendations === false) &&
               (data.isCurrentlyEndorsed !== undefined || data.hasRecentRecommendations !== undefined)) {
@@ -6950,8 +7769,68 @@ class ProfileCompletenessCalculator {
         check: (data) => data && data.count >= 1,
         points: 2,
         getMessage: () => "Showcase projects you've worked on"
+      },
+      
+      featured: {
+        check: (data) => data && data.exists && data.count >= 1,
+        points: 0,
+        getMessage: () => "Feature your best work (posts, links or media)"
+      }
+    };
+    
+    this.applyPreset(settings);
+  }
+  
+  /**
+   * Resolve and apply the weight/threshold preset for the given settings
+   * Custom weights are scaled to total 100 so impacts stay in percentage points
+   * @param {Object} settings - User settings (targetRole, weightPreset, customWeights)
+   * @returns {string} Name of the applied preset
+   */
+  applyPreset(settings = {}) {
+    const { targetRole, weightPreset, customWeights } = settings;
+    const base = COMPLETENESS_PRESETS.default;
+    
+    let presetName = weightPreset || targetRole || 'default';
+    if (presetName !== 'custom' && !COMPLETENESS_PRESETS[presetName]) {
+      presetName = 'default';
+    }
+    
+    // Custom weights keep the target role's thresholds and boosts
+    const rolePreset = COMPLETENESS_PRESETS[presetName === 'custom' ? targetRole : presetName] || base;
+    let weights = { ...rolePreset.weights };
+    
+    if (presetName === 'custom') {
+      weights = { ...base.weights };
+      Object.keys(weights).forEach(section => {
+        const value = Number(customWeights?.[section]);
+        if (Number.isFinite(value) && value >= 0) {
+          weights[section] = value;
+        }
+      });
+      
+      const total = Object.values(weights).reduce((sum, value) => sum + value, 0);
+      if (total <= 0) {
+        Logger.warn('[ProfileCompletenessCalculator] Custom weights total 0, using standard weights');
+        weights = { ...base.weights };
+        presetName = 'default';
+      } else {
+        Object.keys(weights).forEach(section => {
+          weights[section] = Math.round((weights[section] / total) * 1000) / 10;
+        });
       }
+    }
+    
+    this.weights = weights;
+    this.thresholds = {
+      ...base.thresholds,
+      ...rolePreset.thresholds,
+      priority: { ...base.thresholds.priority, ...rolePreset.thresholds.priority }
     };
+    this.boostSections = rolePreset.boostSections || [];
+    this.presetName = presetName;
+    
+    return presetName;
   }
   
   /**
@@ -6968,14 +7847,31 @@ class ProfileCompletenessCalculator {
     
     const breakdown = {};
     const recommendations = [];
+    const unreadableSections = [];
     let earnedPoints = 0;
     let totalPoints = 0;
     
     // Process each section
     for (const [section, weight] of Object.entries(this.weights)) {
+      // Sections the active preset ignores don't count toward the total
+      if (weight <= 0) continue;
+      
       const data = sectionData[section];
       const rule = this.rules[section];
       
+      // Sections we couldn't read are left out instead of scored as missing
+      if (data?.unreadable) {
+        unreadableSections.push(section);
+        breakdown[section] = {
+          weight,
+          earned: 0,
+          passed: false,
+          unreadable: true,
+          data: null
+        };
+        continue;
+      }
+      
       // Debug: Log each section processing
       
       totalPoints += weight;
@@ -6983,7 +7879,7 @@ class ProfileCompletenessCalculator {
       if (rule && data !== undefined) {
         try {
           // Use getScore if available for graduated scoring, otherwise fall back to check
-          const scoreMultiplier = rule.getScore ? rule.getScore.call(this, data) : (rule.check(data) ? 1 : 0);
+          const scoreMultiplier = rule.getScore ? rule.getScore.call(this, data) : (rule.check.call(this, data) ? 1 : 0);
           
           const points = weight * scoreMultiplier;
           earnedPoints += points;
@@ -7044,7 +7940,7 @@ class ProfileCompletenessCalculator {
     // Sort recommendations by impact
     recommendations.sort((a, b) => b.impact - a.impact);
     
-    const percentage = Math.round((earnedPoints / totalPoints) * 100);
+    const percentage = totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 0;
     
     // Debug: Log final calculation
     
@@ -7054,9 +7950,11 @@ class ProfileCompletenessCalculator {
       score: percentage,
       earnedPoints,
       totalPoints,
+      preset: this.presetName,
       breakdown,
       recommendations: recommendations.slice(0, 5), // Top 5 recommendations
       allRecommendations: recommendations,
+      unreadableSections,
       isOptimized: percentage >= 85,
       level: this.getLevel(percentage)
     };
@@ -7081,7 +7979,7 @@ class ProfileCompletenessCalculator {
       };
     }
     
-    const passed = rule.check(data);
+    const passed = rule.check.call(this, data);
     const score = passed ? weight : 0;
     
     return {
@@ -7089,7 +7987,7 @@ class ProfileCompletenessCalculator {
       maxScore: weight,
       percentage: passed ? 100 : 0,
       passed,
-      recommendation: !passed ? rule.getMessage(data) : null
+      recommendation: !passed ? rule.getMessage.call(this, data) : null
     };
   }
   
@@ -7102,10 +8000,14 @@ class ProfileCompletenessCalculator {
   getPriority(section, weight, scoreMultiplier = 0) {
     // Factor in both weight and how much improvement is needed
     const potentialGain = weight * (1 - scoreMultiplier);
+    const cutoffs = this.thresholds.priority;
     
-    if (potentialGain >= 15) return 'critical';
-    if (potentialGain >= 8) return 'high';
-    if (potentialGain >= 4) return 'medium';
+    // Sections the active preset emphasizes never drop below high
+    const isBoosted = this.boostSections.includes(section);
+    
+    if (potentialGain >= cutoffs.critical) return 'critical';
+    if (potentialGain >= cutoffs.high || (isBoosted && potentialGain > 0)) return 'high';
+    if (potentialGain >= cutoffs.medium) return 'medium';
     return 'low';
   }
   
@@ -7242,22 +8144,20 @@ class ProfileCompletenessCalculator {
    * @returns {Array<Object>} Prioritized recommendations
    */
   getActionableRecommendations(scoringResult, settings = {}) {
-    const { targetRole, seniorityLevel } = settings;
+    const { seniorityLevel } = settings;
     const recommendations = [...scoringResult.allRecommendations];
     
-    // Adjust priorities based on target role
-    if (targetRole) {
-      recommendations.forEach(rec => {
-        // Boost skills for technical roles
-        if (targetRole.includes('engineer') && rec.section === 'skills') {
-          rec.priority = 'critical';
-        }
-        // Boost experience for senior roles
-        if (seniorityLevel === 'senior' && rec.section === 'experience') {
-          rec.priority = 'critical';
-        }
-      });
-    }
+    // Adjust priorities based on the active preset
+    recommendations.forEach(rec => {
+      // Boost the sections that matter most for the target role
+      if (this.boostSections.includes(rec.section)) {
+        rec.priority = 'critical';
+      }
+      // Boost experience for senior roles
+      if (seniorityLevel === 'senior' && rec.section === 'experience') {
+        rec.priority = 'critical';
+      }
+    });
     
     // Group by priority
     const grouped = {
@@ -7803,13 +8703,13 @@ const FirstImpressionAnalyzer = {
       weight: 0.3, 
       required: false, 
       extractor: 'photo',
-      description: 'Profile photo existence'
+      description: 'Profile photo quality'
     },
     banner: { 
       weight: 0.2, 
       required: false, 
       extractor: 'banner',
-      description: 'Background banner customization'
+      description: 'Background banner quality and relevance'
     },
     openToWork: { 
       weight: 0.1, 
@@ -7830,7 +8730,8 @@ const FirstImpressionAnalyzer = {
       headlineCharCount: extractedData.headline?.charCount || 0,
       photo: {
         exists: extractedData.photo?.exists || false,
-        hasPhoto: extractedData.photo?.exists || false
+        hasPhoto: extractedData.photo?.exists || false,
+        url: extractedData.photo?.photoUrl || null
       },
       banner: {
         exists: extractedData.banner?.exists || false,
@@ -7956,8 +8857,6 @@ const FirstImpressionAnalyzer = {
     
     if (!config) return false;
     
-    // Vision AI no longer used
-    
     // Check if element exists
     switch (element) {
       case 'headline':
@@ -7974,35 +8873,201 @@ const FirstImpressionAnalyzer = {
   },
   
   /**
-   * Get missing elements that impact first impression
+   * Assess photo and banner, with vision AI when available and locally otherwise
+   * Results never include image data so they are safe to cache
+   * @param {Object} extractedData - Extractor output with photo and banner
+   * @param {Object} options - { visionEnabled, profileId, headline, targetRole }
+   * @returns {Promise<Object>} { photo, banner } assessments with score 0-10
    */
-  getMissingElements(data) {
-    const missing = [];
+  async analyzeVisuals(extractedData, options = {}) {
+    const visuals = {};
+    const targets = {
+      photo: { data: extractedData.photo, url: extractedData.photo?.photoUrl },
+      banner: { data: extractedData.banner, url: extractedData.banner?.isCustomBanner ? extractedData.banner.bannerUrl : null }
+    };
     
-    if (!data.photo?.exists) {
-      missing.push({
-        element: 'photo',
-        message: 'Add a professional photo',
-        impact: 'Profiles with photos get 21x more views',
-        priority: 'high'
-      });
+    for (const [element, { data, url }] of Object.entries(targets)) {
+      const image = url ? await BaseExtractor.captureImage(url) : null;
+      const local = element === 'photo'
+        ? this.assessPhotoLocally(data, image)
+        : this.assessBannerLocally(data, image);
+      
+      const vision = options.visionEnabled && image?.dataUrl
+        ? await this.requestVisionAnalysis(element, image.dataUrl, options)
+        : null;
+      
+      visuals[element] = vision && typeof vision.score === 'number'
+        ? { ...vision, resolution: local.resolution, source: 'vision' }
+        : local;
     }
     
-    if (!data.banner?.isCustomBanner) {
-      missing.push({
-        element: 'banner',
-        message: 'Add a custom background banner',
-        impact: 'Showcase your brand and stand out',
-        priority: 'medium'
-      });
-    }
+    Logger.info('[FirstImpressionAnalyzer] Visual assessment complete', {
+      photo: visuals.photo && `${visuals.photo.score} (${visuals.photo.source})`,
+      banner: visuals.banner && `${visuals.banner.score} (${visuals.banner.source})`
+    });
     
-    if (!data.metadata?.openToWork && data.metadata?.openToWork !== undefined) {
-      missing.push({
-        element: 'openToWork',
-        message: 'Consider enabling "Open to Work" badge',
-        impact: 'Increases recruiter visibility by 40%',
-        priority: 'medium'
+    return visuals;
+  },
+  
+  /**
+   * Ask the service worker for a vision assessment of one image
+   * @returns {Promise<Object|null>} Vision result, or null to fall back to local checks
+   */
+  requestVisionAnalysis(element, imageData, options) {
+    return new Promise(resolve => {
+      if (!chrome?.runtime?.id) {
+        resolve(null);
+        return;
+      }
+      
+      chrome.runtime.sendMessage({
+        action: 'analyzeVision',
+        imageData,
+        context: {
+          analysisType: element,
+          profileId: options.profileId,
+          headline: options.headline || '',
+          targetRole: options.targetRole
+        }
+      }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          Logger.info(`[FirstImpressionAnalyzer] Vision unavailable for ${element}, using local checks`, response?.error);
+          resolve(null);
+          return;
+        }
+        resolve(response.result);
+      });
+    });
+  },
+  
+  /**
+   * Local photo checks: presence, resolution and aspect ratio
+   * @param {Object} photo - Photo extractor data
+   * @param {Object|null} image - Captured image with width/height
+   * @returns {Object} Assessment with score 0-10
+   */
+  assessPhotoLocally(photo, image) {
+    if (!photo?.exists) {
+      return {
+        score: 0,
+        source: 'local',
+        resolution: null,
+        positive: '',
+        improvements: [{ text: 'Add a professional photo', why: 'Profiles with photos get 21x more views' }]
+      };
+    }
+    
+    const width = image?.width || photo.width || null;
+    const height = image?.height || photo.height || null;
+    const improvements = [];
+    let score = 7; // Present but unjudged - vision AI is needed to rate quality
+    
+    if (width && height) {
+      if (Math.min(width, height) < 200) {
+        score -= 2;
+        improvements.push({
+          text: 'Upload a higher-resolution photo (at least 400×400)',
+          why: 'Low-resolution photos look blurry in search results'
+        });
+      }
+      if (Math.max(width, height) / Math.min(width, height) > 1.25) {
+        score -= 1;
+        improvements.push({
+          text: 'Use a square crop centered on your face',
+          why: 'LinkedIn crops photos to a circle'
+        });
+      }
+    }
+    
+    return {
+      score,
+      source: 'local',
+      resolution: width && height ? { width, height } : null,
+      positive: improvements.length === 0 ? 'Profile photo is present' : '',
+      improvements
+    };
+  },
+  
+  /**
+   * Local banner checks: default banner detection, resolution and aspect ratio
+   * @param {Object} banner - Banner extractor data
+   * @param {Object|null} image - Captured image with width/height
+   * @returns {Object} Assessment with score 0-10
+   */
+  assessBannerLocally(banner, image) {
+    if (!banner?.isCustomBanner) {
+      return {
+        score: 5, // Default banner is common - neutral rather than a penalty
+        source: 'local',
+        resolution: null,
+        positive: '',
+        improvements: [{ text: 'Add a custom background banner', why: 'Showcase your brand and stand out' }]
+      };
+    }
+    
+    const { width: minWidth, height: minHeight } = BannerExtractor.recommendedSize;
+    const width = image?.width || banner.width || null;
+    const height = image?.height || banner.height || null;
+    const improvements = [];
+    let score = 8;
+    
+    if (width && height) {
+      if (width < minWidth / 2 || height < minHeight / 2) {
+        score -= 3;
+        improvements.push({
+          text: `Upload a sharper banner (${minWidth}×${minHeight} recommended)`,
+          why: 'Low-resolution banners look pixelated on large screens'
+        });
+      }
+      const ratio = width / height;
+      if (ratio < 3 || ratio > 5) {
+        score -= 1;
+        improvements.push({
+          text: 'Resize the banner to a 4:1 ratio',
+          why: 'Other shapes get cropped unpredictably'
+        });
+      }
+    }
+    
+    return {
+      score,
+      source: 'local',
+      resolution: width && height ? { width, height } : null,
+      positive: improvements.length === 0 ? 'Custom banner is in place' : '',
+      improvements
+    };
+  },
+  
+  /**
+   * Get missing elements that impact first impression
+   */
+  getMissingElements(data) {
+    const missing = [];
+    
+    if (!data.photo?.exists) {
+      missing.push({
+        element: 'photo',
+        message: 'Add a professional photo',
+        impact: 'Profiles with photos get 21x more views',
+        priority: 'high'
+      });
+    }
+    
+    if (!data.banner?.isCustomBanner) {
+      missing.push({
+        element: 'banner',
+        message: 'Add a custom background banner',
+        impact: 'Showcase your brand and stand out',
+        priority: 'medium'
+      });
+    }
+    
+    if (!data.metadata?.openToWork && data.metadata?.openToWork !== undefined) {
+      missing.push({
+        element: 'openToWork',
+        message: 'Consider enabling "Open to Work" badge',
+        impact: 'Increases recruiter visibility by 40%',
+        priority: 'medium'
       });
     }
     
@@ -8016,6 +9081,480 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 
+  /* ============================================
+   * MODULE: analysis/snapshot-diff.js
+   * ============================================ */
+/**
+ * Snapshot Diff Module for ElevateLI
+ * Compares two analysis snapshots from CacheManager history section by section
+ * so users can see how their profile changed between analyses
+ */
+
+const SnapshotDiff = {
+  // Counted sections and the noun used when describing their change
+  countedSections: {
+    experience: { singular: 'role', plural: 'roles' },
+    skills: { singular: 'skill', plural: 'skills' },
+    education: { singular: 'education entry', plural: 'education entries' },
+    recommendations: { singular: 'recommendation', plural: 'recommendations' },
+    certifications: { singular: 'certification', plural: 'certifications' },
+    projects: { singular: 'project', plural: 'projects' },
+    featured: { singular: 'featured item', plural: 'featured items' }
+  },
+
+  // AI section score keys and their display labels
+  scoredSections: {
+    first_impression: 'First impression',
+    profile_intro: 'Profile intro',
+    about: 'About',
+    experience_overall: 'Experience',
+    skills: 'Skills',
+    recommendations: 'Recommendations'
+  },
+
+  /**
+   * Compare two snapshots
+   * @param {Object} older - Earlier snapshot
+   * @param {Object} newer - Later snapshot
+   * @returns {Array<Object>} Changes as { section, kind, before, after, delta }
+   *   kind is one of: percent, score, presence, text, chars, count, rating
+   */
+  compare(older, newer) {
+    if (!older || !newer) return [];
+
+    const changes = [];
+    const before = older.extractedData || {};
+    const after = newer.extractedData || {};
+
+    // Overall scores
+    if (older.completeness !== newer.completeness && newer.completeness !== null) {
+      changes.push(this.change('completeness', 'percent', older.completeness, newer.completeness));
+    }
+    if (older.contentScore !== newer.contentScore && newer.contentScore !== null && older.contentScore !== null) {
+      changes.push(this.change('contentScore', 'score', older.contentScore, newer.contentScore));
+    }
+
+    // Photo added or removed
+    if (!!before.photo?.exists !== !!after.photo?.exists) {
+      changes.push(this.change('photo', 'presence', !!before.photo?.exists, !!after.photo?.exists));
+    }
+
+    // Headline wording
+    if ((before.headline?.text || '') !== (after.headline?.text || '')) {
+      changes.push(this.change('headline', 'text', before.headline?.text || '', after.headline?.text || ''));
+    }
+
+    // About length
+    const aboutBefore = before.about?.charCount || 0;
+    const aboutAfter = after.about?.charCount || 0;
+    if (aboutBefore !== aboutAfter) {
+      changes.push(this.change('about', 'chars', aboutBefore, aboutAfter));
+    }
+
+    // Counted sections
+    Object.keys(this.countedSections).forEach(section => {
+      const countBefore = before[section]?.count || 0;
+      const countAfter = after[section]?.count || 0;
+      if (countBefore !== countAfter) {
+        changes.push(this.change(section, 'count', countBefore, countAfter));
+      }
+    });
+
+    // AI ratings, only when both analyses produced a score
+    const scoresBefore = older.sectionScores || {};
+    const scoresAfter = newer.sectionScores || {};
+    Object.keys(this.scoredSections).forEach(section => {
+      const scoreBefore = scoresBefore[section];
+      const scoreAfter = scoresAfter[section];
+      if (typeof scoreBefore === 'number' && typeof scoreAfter === 'number' && scoreBefore !== scoreAfter) {
+        changes.push(this.change(section, 'rating', scoreBefore, scoreAfter));
+      }
+    });
+
+    return changes;
+  },
+
+  /**
+   * Build a change entry
+   * @private
+   */
+  change(section, kind, before, after) {
+    const delta = typeof before === 'number' && typeof after === 'number' ? after - before : null;
+    return { section, kind, before, after, delta };
+  }
+};
+
+
+  /* ============================================
+   * MODULE: analysis/job-matcher.js
+   * ============================================ */
+/**
+ * Job Matcher Module for ElevateLI
+ * Scores the profile against a pasted or captured job description, locally without AI
+ * Reuses the section extractors' keyword helpers so matching stays consistent with analysis
+ */
+
+const JobMatcher = {
+  // Skill phrases recognized in job descriptions (lowercase, longest first when matching)
+  skillVocabulary: [
+    // Engineering
+    'javascript', 'typescript', 'python', 'java', 'c++', 'c#', 'golang', 'rust', 'ruby', 'php', 'scala', 'kotlin', 'swift',
+    'react', 'angular', 'vue', 'node.js', 'next.js', 'graphql', 'rest api', 'microservices', 'distributed systems',
+    'aws', 'azure', 'gcp', 'google cloud', 'docker', 'kubernetes', 'terraform', 'ci/cd', 'devops', 'linux',
+    'sql', 'postgresql', 'mysql', 'mongodb', 'redis', 'kafka', 'spark', 'hadoop', 'snowflake', 'airflow', 'dbt',
+    'system design', 'unit testing', 'test automation', 'security', 'mobile development', 'ios', 'android',
+    // Data
+    'machine learning', 'deep learning', 'nlp', 'computer vision', 'statistics', 'data analysis', 'data visualization',
+    'data modeling', 'data engineering', 'pytorch', 'tensorflow', 'scikit-learn', 'pandas', 'tableau', 'power bi',
+    'looker', 'excel', 'a/b testing', 'experimentation', 'forecasting', 'generative ai', 'llm',
+    // Product & design
+    'product management', 'product strategy', 'roadmap', 'product discovery', 'user research', 'ux research',
+    'ux design', 'ui design', 'interaction design', 'visual design', 'design systems', 'prototyping', 'wireframing',
+    'figma', 'sketch', 'adobe creative suite', 'usability testing', 'accessibility', 'agile', 'scrum', 'jira',
+    'okrs', 'go-to-market', 'pricing', 'analytics', 'metrics',
+    // Business, sales & marketing
+    'stakeholder management', 'project management', 'program management', 'cross-functional', 'leadership',
+    'people management', 'mentoring', 'communication', 'negotiation', 'strategic planning', 'budgeting',
+    'salesforce', 'hubspot', 'crm', 'pipeline management', 'account management', 'business development',
+    'lead generation', 'enterprise sales', 'saas', 'b2b', 'b2c', 'customer success', 'seo', 'sem',
+    'content marketing', 'email marketing', 'social media', 'brand strategy', 'demand generation',
+    'marketing automation', 'copywriting', 'google analytics', 'consulting', 'change management', 'fundraising'
+  ],
+
+  stopWords: new Set([
+    'the', 'and', 'for', 'with', 'you', 'your', 'our', 'are', 'will', 'that', 'this', 'from', 'have', 'has',
+    'who', 'what', 'where', 'when', 'how', 'all', 'any', 'can', 'not', 'but', 'their', 'they', 'them', 'its',
+    'into', 'about', 'more', 'other', 'such', 'also', 'well', 'able', 'both', 'each', 'than', 'then', 'these',
+    'those', 'while', 'within', 'across', 'including', 'must', 'should', 'would', 'could', 'may', 'plus'
+  ]),
+
+  // Words every posting uses that say nothing about fit
+  boilerplateWords: new Set([
+    'experience', 'years', 'team', 'teams', 'work', 'working', 'role', 'company', 'job', 'position',
+    'candidate', 'candidates', 'opportunity', 'benefits', 'salary', 'equal', 'employer', 'applicants',
+    'apply', 'status', 'including', 'strong', 'ability', 'skills', 'knowledge', 'understanding',
+    'requirements', 'qualifications', 'responsibilities', 'preferred', 'required', 'bonus', 'help',
+    'join', 'looking', 'great', 'world', 'people', 'based', 'range', 'location', 'remote', 'hybrid',
+    'office', 'time', 'full', 'part', 'related', 'degree', 'field', 'environment', 'new', 'best'
+  ]),
+
+  // Ordered from most to least senior
+  seniorityLevels: [
+    { level: 'director', label: 'Director+', rank: 5, pattern: /\b(director|head of|vp|vice president|chief)\b/i },
+    { level: 'lead', label: 'Lead/Principal', rank: 4, pattern: /\b(lead|principal|staff|architect|manager of)\b/i },
+    { level: 'senior', label: 'Senior', rank: 3, pattern: /\b(senior|sr\.?)\b/i },
+    { level: 'mid', label: 'Mid Level', rank: 2, pattern: /\b(mid[- ]level|intermediate)\b/i },
+    { level: 'entry', label: 'Entry Level', rank: 1, pattern: /\b(junior|jr\.?|entry[- ]level|graduate|intern(ship)?)\b/i }
+  ],
+
+  requiredHeading: /^(requirements|qualifications|minimum qualifications|basic qualifications|what you('|’)ll need|what we('|’)re looking for|must[- ]haves?|you have|who you are)\b/i,
+  preferredHeading: /^(preferred|nice[- ]to[- ]haves?|bonus|pluses|preferred qualifications|it('|’)s a plus)\b/i,
+
+  // Scoring weight per term type
+  weights: {
+    required: 3,
+    preferred: 1.5,
+    keyword: 1
+  },
+
+  /**
+   * Parse a job description into skills, keywords and seniority signals
+   * @param {Object} job - { text, title, company }
+   * @returns {Object} Parsed job
+   */
+  parseJobDescription(job) {
+    const text = job?.text || '';
+    const title = job?.title || '';
+
+    // Split into requirement buckets by heading
+    const buckets = { general: [], required: [], preferred: [] };
+    let current = 'general';
+    text.split(/\n+/).forEach(rawLine => {
+      const line = rawLine.trim().replace(/^[-•*·\s]+/, '');
+      if (!line) return;
+      if (line.length < 60 && this.preferredHeading.test(line)) {
+        current = 'preferred';
+      } else if (line.length < 60 && this.requiredHeading.test(line)) {
+        current = 'required';
+      }
+      buckets[current].push(line);
+    });
+
+    const requiredSkills = this.findSkills([title, ...buckets.general, ...buckets.required].join('\n'));
+    const preferredSkills = this.findSkills(buckets.preferred.join('\n'))
+      .filter(skill => !requiredSkills.includes(skill));
+
+    // Frequent non-skill terms, plus anything in the job title
+    const skillWords = new Set([...requiredSkills, ...preferredSkills].flatMap(skill => skill.split(/[\s\-\/]+/)));
+    const titleTerms = this.tokenize(title).filter(word => !skillWords.has(word) && !this.detectSeniority(word));
+    const frequency = {};
+    this.tokenize(text).forEach(word => {
+      if (skillWords.has(word)) return;
+      frequency[word] = (frequency[word] || 0) + 1;
+    });
+    const keywords = Object.entries(frequency)
+      .filter(([word, count]) => count > 1 || titleTerms.includes(word))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 12)
+      .map(([word]) => word);
+    titleTerms.forEach(word => {
+      if (!keywords.includes(word)) keywords.push(word);
+    });
+
+    const yearsMatch = text.match(/(\d{1,2})\s*\+?\s*(?:-\s*\d{1,2}\s*)?years?/i);
+    const seniority = this.detectSeniority(title) || this.detectSeniority(text);
+
+    return {
+      title,
+      company: job?.company || '',
+      requiredSkills,
+      preferredSkills,
+      keywords,
+      titleTerms,
+      seniority: {
+        level: seniority?.level || null,
+        label: seniority?.label || null,
+        rank: seniority?.rank || null,
+        years: yearsMatch ? parseInt(yearsMatch[1], 10) : null
+      }
+    };
+  },
+
+  /**
+   * Build searchable text and keyword sets for each profile section
+   * @param {Object} extractedData - Extractor output (deep data where available)
+   * @returns {Object} Profile sections and seniority
+   */
+  buildProfile(extractedData = {}) {
+    const headlineText = extractedData.headline?.text || '';
+    const aboutText = extractedData.about?.text || '';
+    const skills = extractedData.skills?.skills || [];
+    const experiences = extractedData.experience?.experiences || [];
+    const experienceText = experiences
+      .map(exp => [exp.title, exp.company, exp.description].filter(Boolean).join(' '))
+      .join('\n');
+
+    const sections = {
+      headline: {
+        text: headlineText.toLowerCase(),
+        terms: new Set(headlineText ? HeadlineExtractor.extractKeywords(headlineText) : [])
+      },
+      about: {
+        text: aboutText.toLowerCase(),
+        terms: new Set(aboutText ? AboutExtractor.extractKeywords(aboutText) : [])
+      },
+      skills: {
+        text: skills.map(skill => skill.name).join(' | ').toLowerCase(),
+        terms: new Set(skills.length > 0 ? SkillsExtractor.extractSkillKeywords(skills) : [])
+      },
+      experience: {
+        text: experienceText.toLowerCase(),
+        terms: new Set(experienceText ? ExperienceExtractor.extractKeywords(experienceText) : [])
+      }
+    };
+
+    const currentTitle = experiences[0]?.title || '';
+    const seniority = this.detectSeniority(`${currentTitle} ${headlineText}`);
+    const totalMonths = extractedData.experience?.totalMonths || 0;
+
+    return {
+      sections,
+      seniority: {
+        level: seniority?.level || null,
+        label: seniority?.label || null,
+        rank: seniority?.rank || null,
+        years: totalMonths > 0 ? Math.round(totalMonths / 12) : null
+      }
+    };
+  },
+
+  /**
+   * Compare a job description with the profile
+   * @param {Object} job - { text, title, company, url }
+   * @param {Object} extractedData - Extractor output
+   * @returns {Object} Match percentage, matched and missing terms, placement tips and seniority fit
+   */
+  match(job, extractedData) {
+    const parsed = this.parseJobDescription(job);
+    const profile = this.buildProfile(extractedData);
+
+    const terms = [
+      ...parsed.requiredSkills.map(term => ({ term, type: 'required' })),
+      ...parsed.preferredSkills.map(term => ({ term, type: 'preferred' })),
+      ...parsed.keywords.map(term => ({ term, type: 'keyword' }))
+    ];
+
+    const matched = [];
+    const missing = [];
+    const needsEvidence = [];
+    let earned = 0;
+    let total = 0;
+
+    terms.forEach(({ term, type }) => {
+      const weight = this.weights[type];
+      total += weight;
+
+      const foundIn = Object.keys(profile.sections).filter(section => this.contains(profile.sections[section], term));
+      if (foundIn.length === 0) {
+        missing.push({ term, type, ...this.suggestPlacement(term, type, parsed) });
+        return;
+      }
+
+      earned += weight;
+      matched.push({ term, type, foundIn });
+
+      // Listed as a skill but never shown in a role
+      if (type !== 'keyword' && foundIn.length === 1 && foundIn[0] === 'skills') {
+        needsEvidence.push(term);
+      }
+    });
+
+    // Required first, then preferred, then keywords
+    const typeOrder = { required: 0, preferred: 1, keyword: 2 };
+    missing.sort((a, b) => typeOrder[a.type] - typeOrder[b.type]);
+
+    return {
+      jobHash: this.hashJob(job),
+      job: {
+        title: parsed.title,
+        company: parsed.company,
+        url: job?.url || null
+      },
+      score: total > 0 ? Math.round((earned / total) * 100) : 0,
+      matched,
+      missing,
+      needsEvidence,
+      seniority: this.compareSeniority(parsed.seniority, profile.seniority),
+      analyzedAt: Date.now()
+    };
+  },
+
+  /**
+   * Find vocabulary skills mentioned in text
+   * @param {string} text - Text to search
+   * @returns {Array<string>} Skills found
+   */
+  findSkills(text) {
+    const lower = (text || '').toLowerCase();
+    if (!lower) return [];
+
+    return [...this.skillVocabulary]
+      .sort((a, b) => b.length - a.length)
+      .filter(skill => this.termPattern(skill).test(lower));
+  },
+
+  /**
+   * Check whether a profile section mentions a term
+   * @param {Object} section - { text, terms }
+   * @param {string} term - Lowercase term
+   * @returns {boolean}
+   */
+  contains(section, term) {
+    if (!section.text) return false;
+    if (!term.includes(' ') && section.terms.has(term)) return true;
+    return this.termPattern(term).test(section.text);
+  },
+
+  /**
+   * Suggest where a missing term belongs on the profile
+   * @param {string} term - Missing term
+   * @param {string} type - required, preferred or keyword
+   * @param {Object} parsed - Parsed job
+   * @returns {Object} { section, tip }
+   */
+  suggestPlacement(term, type, parsed) {
+    if (parsed.titleTerms.includes(term)) {
+      return { section: 'headline', tip: `Work "${term}" into your headline - it's in the job title` };
+    }
+    if (type === 'required') {
+      return { section: 'skills', tip: `Add "${term}" to Skills and show where you used it in Experience` };
+    }
+    if (type === 'preferred') {
+      return { section: 'skills', tip: `Add "${term}" to Skills if you have it (nice-to-have)` };
+    }
+    return { section: 'about', tip: `Mention "${term}" in your About or a role description` };
+  },
+
+  /**
+   * Detect a seniority level from text
+   * @param {string} text - Title or description
+   * @returns {Object|null} Matching level
+   */
+  detectSeniority(text) {
+    if (!text) return null;
+    return this.seniorityLevels.find(level => level.pattern.test(text)) || null;
+  },
+
+  /**
+   * Compare job and profile seniority
+   * @param {Object} jobSeniority - From parseJobDescription
+   * @param {Object} profileSeniority - From buildProfile
+   * @returns {Object} Seniority fit with message
+   */
+  compareSeniority(jobSeniority, profileSeniority) {
+    let aligned = null;
+    let message = 'No seniority signals in the job description';
+
+    if (jobSeniority.years && profileSeniority.years !== null) {
+      aligned = profileSeniority.years >= jobSeniority.years;
+      message = aligned
+        ? `Meets ${jobSeniority.years}+ years asked (about ${profileSeniority.years} on profile)`
+        : `Job asks for ${jobSeniority.years}+ years, profile shows about ${profileSeniority.years}`;
+    }
+
+    if (jobSeniority.rank && profileSeniority.rank) {
+      const levelAligned = profileSeniority.rank >= jobSeniority.rank - 1;
+      aligned = aligned === null ? levelAligned : aligned && levelAligned;
+      if (!levelAligned) {
+        message = `Job targets ${jobSeniority.label}; your titles read as ${profileSeniority.label}`;
+      }
+    } else if (jobSeniority.rank && aligned === null) {
+      message = `Job targets ${jobSeniority.label} - make your scope and level clear in your headline`;
+    }
+
+    return {
+      job: jobSeniority,
+      profile: profileSeniority,
+      aligned,
+      message
+    };
+  },
+
+  /**
+   * Lowercase words worth matching from free text
+   * @private
+   */
+  tokenize(text) {
+    return (text || '').toLowerCase()
+      .split(/[^a-z0-9+#.]+/)
+      .map(word => word.replace(/^\.+|\.+$/g, ''))
+      .filter(word => word.length > 3 && !/^\d+$/.test(word) && !this.stopWords.has(word) && !this.boilerplateWords.has(word));
+  },
+
+  /**
+   * Word-boundary regex for a term that may contain symbols (c++, ci/cd, node.js)
+   * @private
+   */
+  termPattern(term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}(?![a-z0-9])`, 'i');
+  },
+
+  /**
+   * Stable hash of the job text so cached matches can be reused
+   * @private
+   */
+  hashJob(job) {
+    const text = `${job?.title || ''}|${job?.text || ''}`;
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+    }
+    return hash.toString(36);
+  }
+};
+
+
   /* ============================================
    * MODULE: ui/overlay-manager.js
    * ============================================ */
@@ -8963,6 +10502,14 @@ const OverlayManager = {
         
         // Show unified view
         this.showUnifiedView(data);
+        
+        // Show which sections this run re-scored and which it reused
+        if (data.differential && !data.fromCache) {
+          this.showReanalysisSummary(data.differential);
+        }
+        
+        // Show progress across earlier analyses (async, appended below the unified view)
+        this.showSnapshotHistory(data.profileId);
         // Don't show action buttons in expanded view
         this.showActionButtons({ showRefresh: false });
         
@@ -8998,6 +10545,7 @@ const OverlayManager = {
         let errorMessage = data.message || 'Analysis failed';
         let showSettings = false;
         let toastType = 'error';
+        let retryAfter = null;
         
         if (data.aiError) {
           switch (data.aiError.type) {
@@ -9009,15 +10557,15 @@ const OverlayManager = {
             case 'RATE_LIMIT':
               errorIcon = '⏱️';
               toastType = 'warning';
-              if (data.aiError.retryAfter) {
-                errorMessage = data.aiError.message;
-                // Start countdown timer
-                this.startRetryCountdown(data.aiError.retryAfter);
-              }
+              retryAfter = data.aiError.retryAfter || null;
               break;
             case 'NETWORK':
               errorIcon = '🌐';
               break;
+            case 'BUDGET':
+              errorIcon = '💰';
+              showSettings = true;
+              break;
             case 'SERVICE_UNAVAILABLE':
               errorIcon = '🔧';
               break;
@@ -9039,6 +10587,10 @@ const OverlayManager = {
         if (showSettings) {
           // Show button to open settings
           this.showActionButtons({ showSettings: true, hasError: true });
+        } else if (retryAfter) {
+          // Count down the provider's wait on the analyze button instead of offering an immediate retry
+          this.showActionButtons({ hasError: true });
+          this.startRetryCountdown(retryAfter);
         } else {
           // Show refresh button to retry
           this.showActionButtons({ showRefresh: true, hasError: true });
@@ -10101,11 +11653,20 @@ const OverlayManager = {
    * Update AI analysis progress
    * @param {string} phase - Current AI phase
    * @param {string} section - Current section (optional)
+   * @param {string} partialText - Streamed response text so far (optional, 'streaming' phase)
    */
-  updateAIProgress(phase, section) {
+  updateAIProgress(phase, section, partialText = null) {
     const statusText = this.overlayElement.querySelector('.status-text');
     if (!statusText) return;
     
+    if (phase === 'streaming') {
+      statusText.textContent = `AI writing feedback for ${section || 'profile'}...`;
+      if (partialText) {
+        this.showStreamingSection(section, partialText);
+      }
+      return;
+    }
+    
     const messages = {
       'generating': 'Generating AI insights...',
       'analyzing-about': 'AI analyzing About section...',
@@ -10128,15 +11689,137 @@ const OverlayManager = {
   },
   
   /**
-   * Show timestamp
-   * @param {string|number} timestamp - Timestamp (ISO string or Unix timestamp)
+   * Pull whatever is already usable out of a partial JSON section analysis
+   * @param {string} text - Accumulated AI response text
+   * @returns {Object} Section in renderSection format
    */
-  showTimestamp(timestamp) {
-    const timestampEl = this.overlayElement?.querySelector('.timestamp-display');
-    if (!timestampEl || !timestamp) return;
+  parsePartialAnalysis(text) {
+    const readString = (raw) => {
+      // Drop a dangling escape so the fragment stays valid JSON
+      const safe = raw.replace(/\\$/, '');
+      try {
+        return JSON.parse(`"${safe}"`);
+      } catch (e) {
+        return safe;
+      }
+    };
     
-    let date;
-    if (typeof timestamp === 'string') {
+    const scoreMatch = text.match(/"score"\s*:\s*(\d+(?:\.\d+)?)/);
+    // Allow an unterminated string so the insight grows as it streams
+    const insightMatch = text.match(/"positiveInsight"\s*:\s*"((?:[^"\\]|\\.)*)/);
+    
+    // Only show action items once their text is complete
+    const improvements = [];
+    const actionPattern = /"action"\s*:\s*"((?:[^"\\]|\\.)*)"/g;
+    let match;
+    while ((match = actionPattern.exec(text)) !== null) {
+      improvements.push({ text: DOMUtils.escapeHtml(readString(match[1])) });
+    }
+    
+    return {
+      rating: scoreMatch ? this.scoreToRating(Number(scoreMatch[1])) : null,
+      positive: insightMatch ? DOMUtils.escapeHtml(readString(insightMatch[1])) : null,
+      improvements
+    };
+  },
+  
+  /**
+   * Render a section card that fills in while the AI response streams
+   * @param {string} name - Display name of the section being analyzed
+   * @param {string} partialText - Accumulated AI response text
+   */
+  showStreamingSection(name, partialText) {
+    this.renderProgressCard(name, {
+      name: DOMUtils.escapeHtml(name),
+      ...this.parsePartialAnalysis(partialText)
+    });
+  },
+  
+  /**
+   * Render a finished section analysis as soon as the service worker reports it
+   * @param {string} name - Section key reported by the service worker
+   * @param {Object} analysis - Parsed section analysis
+   * @param {Object} progress - { completed, total } sections so far
+   */
+  showCompletedSection(name, analysis, progress = {}) {
+    const statusText = this.overlayElement?.querySelector('.status-text');
+    if (statusText && progress.total) {
+      statusText.textContent = `AI analyzed ${progress.completed} of ${progress.total} sections...`;
+    }
+    
+    const label = name.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+    const section = { name: DOMUtils.escapeHtml(label) };
+    
+    if (analysis.errorType) {
+      section.rating = null;
+      section.errorType = analysis.errorType;
+    } else if (analysis.exists === false) {
+      section.rating = 0;
+      section.positive = DOMUtils.escapeHtml(analysis.feedback || '');
+    } else {
+      section.rating = typeof analysis.score === 'number' ? this.scoreToRating(analysis.score) : null;
+      section.positive = analysis.positiveInsight ? DOMUtils.escapeHtml(analysis.positiveInsight) : null;
+      section.improvements = (analysis.actionItems || []).slice(0, 3).map(item => ({
+        text: DOMUtils.escapeHtml(typeof item === 'string' ? item : (item.what || item.action || item.text || ''))
+      })).filter(item => item.text);
+    }
+    
+    this.renderProgressCard(label, section);
+  },
+  
+  /**
+   * Create or replace the in-progress card for a section
+   * @param {string} key - Card identity within the progress list
+   * @param {Object} section - Section in renderSection format
+   */
+  renderProgressCard(key, section) {
+    const unifiedSection = this.overlayElement?.querySelector('.unified-section');
+    if (!unifiedSection) return;
+    
+    let container = unifiedSection.querySelector('.streaming-sections');
+    if (!container) {
+      container = document.createElement('div');
+      container.className = 'streaming-sections';
+      container.style.margin = '8px 0';
+      unifiedSection.appendChild(container);
+      unifiedSection.classList.remove('hidden');
+    }
+    
+    let card = Array.from(container.children).find(child => child.dataset.streamSection === key);
+    if (!card) {
+      card = document.createElement('div');
+      card.dataset.streamSection = key;
+      container.appendChild(card);
+    }
+    
+    this.pendingStarElements = [];
+    const doc = new DOMParser().parseFromString(this.renderSection(section), 'text/html');
+    const fragment = document.createDocumentFragment();
+    Array.from(doc.body.childNodes).forEach(node => {
+      fragment.appendChild(node.cloneNode(true));
+    });
+    card.replaceChildren(fragment);
+    
+    this.pendingStarElements.forEach(({ id, element }) => {
+      const placeholder = card.querySelector(`[data-star-placeholder="${id}"]`);
+      if (placeholder && element) {
+        placeholder.textContent = '';
+        placeholder.appendChild(element);
+      }
+    });
+    this.pendingStarElements = [];
+  },
+  
+  /**
+   * Show timestamp
+   * @param {string|number} timestamp - Timestamp (ISO string or Unix timestamp)
+   */
+  showTimestamp(timestamp) {
+    const timestampEl = this.overlayElement?.querySelector('.timestamp-display');
+    if (!timestampEl || !timestamp) return;
+    
+    let date;
+    if (typeof timestamp === 'string') {
       date = new Date(timestamp);
     } else {
       date = new Date(timestamp);
@@ -10964,6 +12647,25 @@ const OverlayManager = {
     } else {
     }
     
+    this.attachRewriteButtons(unifiedSection);
+    this.attachRetryButtons(unifiedSection);
+    
+    // Job match sits right under the summary message
+    if (data.jobMatch) {
+      const contentWrapper = unifiedSection.firstElementChild;
+      contentWrapper?.insertBefore(this.renderJobMatch(data.jobMatch), contentWrapper.children[1] || null);
+    }
+    
+    const failedKeys = Object.keys(data.failedSections || {});
+    if (failedKeys.length > 0) {
+      const contentWrapper = unifiedSection.firstElementChild;
+      contentWrapper?.insertBefore(this.renderRetryAllBar(failedKeys.length), contentWrapper.children[1] || null);
+    }
+    
+    // Keep a snapshot of what is on screen for the printable report
+    this.reportData = this.buildReportData(data, progressiveData);
+    this.appendExportButton(unifiedSection);
+    
     unifiedSection.classList.remove('hidden');
     
     
@@ -10972,189 +12674,937 @@ const OverlayManager = {
   },
   
   /**
-   * Transform data into progressive improvement format
+   * Render the job description match block
+   * @param {Object} jobMatch - Result from JobMatcher.match
+   * @returns {HTMLElement} Job match element
    */
-  transformToProgressiveFormat(data) {
-    const completeness = data.completeness || 0;
-    const contentScore = data.contentScore || 0;
-    const missingItems = data.completenessData?.recommendations || [];
+  renderJobMatch(jobMatch) {
+    const block = document.createElement('div');
+    block.className = 'job-match-section';
+    block.style.cssText = 'margin-bottom: 16px; padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 3px solid #0a66c2;';
     
-    // Debug logging for unified message
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; align-items: center; justify-content: space-between; margin-bottom: 6px;';
     
-    // Add to debug log
-    window.elevateliDebug.addLog('OverlayManager', 'transformToProgressiveFormat START', {
-      completeness,
-      contentScore,
-      hasData: !!data,
-      dataKeys: Object.keys(data || {})
-    });
+    const title = document.createElement('h5');
+    title.style.cssText = 'margin: 0; font-size: 14px; font-weight: 600; color: #333;';
+    const jobLabel = [jobMatch.job?.title, jobMatch.job?.company].filter(Boolean).join(' at ');
+    title.textContent = jobLabel ? `🎯 Job Match: ${jobLabel}` : '🎯 Job Match';
     
-    // Log only if experience_roles data exists (reduced verbosity)
-    if (data.sectionScores?.experience_roles?.length > 0) {
-      SmartLogger.log('UI.EXPERIENCE', 'Experience roles data available', {
-        rolesCount: data.sectionScores.experience_roles.length,
-        hasOverallAnalysis: !!data.sectionScores.experience_overall
-      });
+    const score = document.createElement('span');
+    score.style.cssText = `font-size: 16px; font-weight: 700; color: ${jobMatch.score >= 75 ? '#057642' : jobMatch.score >= 50 ? '#f59e0b' : '#dc2626'};`;
+    score.textContent = `${jobMatch.score}%`;
+    header.append(title, score);
+    block.appendChild(header);
+    
+    if (jobMatch.seniority?.message) {
+      const seniority = document.createElement('p');
+      seniority.style.cssText = `margin: 0 0 8px 0; font-size: 12px; color: ${jobMatch.seniority.aligned === false ? '#dc2626' : '#666'};`;
+      seniority.textContent = jobMatch.seniority.message;
+      block.appendChild(seniority);
     }
     
-    // Convert recommendations object to flat array
-    let recommendationsArray = [];
-    if (data.recommendations) {
-      if (Array.isArray(data.recommendations)) {
-        recommendationsArray = data.recommendations;
-      } else if (typeof data.recommendations === 'object') {
-        // Handle {critical: [], important: [], niceToHave: []} structure
-        const { critical = [], important = [], niceToHave = [] } = data.recommendations;
-        recommendationsArray = [...critical, ...important, ...niceToHave];
-      }
-    } else {
+    if (jobMatch.missing.length === 0) {
+      const allMatched = document.createElement('p');
+      allMatched.style.cssText = 'margin: 0; font-size: 12px; color: #057642;';
+      allMatched.textContent = 'Your profile covers every skill and keyword we found in this job description';
+      block.appendChild(allMatched);
     }
     
-    // Apply recommendation allocation algorithm only if we have recommendations
-    const allocation = this.calculateRecommendationMix(completeness);
-    if (recommendationsArray.length > 0) {
-      recommendationsArray = this.filterRecommendationsByAllocation(
-        recommendationsArray, 
-        missingItems, 
-        allocation
-      );
+    // Missing terms grouped by where they should go
+    const placements = [
+      ['headline', 'Headline'],
+      ['skills', 'Skills'],
+      ['about', 'About / Experience']
+    ];
+    const list = document.createElement('ul');
+    list.style.cssText = 'margin: 0; padding-left: 20px; font-size: 12px; color: #666;';
+    
+    placements.forEach(([section, label]) => {
+      const terms = jobMatch.missing.filter(item => item.section === section);
+      if (terms.length === 0) return;
+      
+      const item = document.createElement('li');
+      item.style.marginBottom = '6px';
+      item.title = terms.map(term => term.tip).join('\n');
+      const strong = document.createElement('strong');
+      strong.textContent = `Add to ${label}: `;
+      item.append(strong, terms.map(term => term.type === 'required' ? `${term.term} (required)` : term.term).join(', '));
+      list.appendChild(item);
+    });
+    
+    if (jobMatch.needsEvidence?.length > 0) {
+      const item = document.createElement('li');
+      item.style.marginBottom = '6px';
+      const strong = document.createElement('strong');
+      strong.textContent = 'Show in Experience: ';
+      item.append(strong, jobMatch.needsEvidence.join(', '));
+      list.appendChild(item);
     }
     
+    if (list.children.length > 0) {
+      block.appendChild(list);
+    }
     
-    // Generate coaching summary
-    const coachingSummary = this.generateCoachingSummary(completeness, contentScore, data);
+    const footer = document.createElement('p');
+    footer.style.cssText = 'margin: 8px 0 0 0; font-size: 11px; color: #999;';
+    footer.textContent = `${jobMatch.matched.length} of ${jobMatch.matched.length + jobMatch.missing.length} job terms found on your profile`;
+    block.appendChild(footer);
     
-    // Analyze sections and create improvements
-    const sections = this.analyzeSections(data, missingItems, recommendationsArray || []);
+    return block;
+  },
+  
+  /**
+   * Add the "Export report" action below the unified view
+   * @param {HTMLElement} unifiedSection - Unified section container
+   */
+  appendExportButton(unifiedSection) {
+    const footer = document.createElement('div');
+    footer.className = 'report-export';
+    footer.style.cssText = 'display: flex; justify-content: flex-end; margin: 0 0 12px 0;';
     
-    // Generate unified message
-    window.elevateliDebug.addLog('OverlayManager', 'Before generateUnifiedMessage', {
-      completeness,
-      contentScore,
-      sectionsLength: sections?.length,
-      sections: sections?.map(s => ({ name: s.name, rating: s.rating }))
-    });
+    const button = document.createElement('button');
+    button.className = 'action-button export-report-button';
+    button.title = 'Open a printable report that can be saved as PDF';
     
-    const unifiedMessage = this.generateUnifiedMessage(completeness, contentScore, sections, data);
+    const iconSpan = document.createElement('span');
+    iconSpan.className = 'button-icon';
+    iconSpan.textContent = '📄';
+    button.replaceChildren(iconSpan, document.createTextNode('Export report'));
+    button.addEventListener('click', () => this.handleExportReport());
     
-    window.elevateliDebug.addLog('OverlayManager', 'After generateUnifiedMessage', {
-      unifiedMessage,
-      messageLength: unifiedMessage?.length,
-      messageType: typeof unifiedMessage,
-      isEmpty: !unifiedMessage || unifiedMessage.trim() === ''
+    footer.appendChild(button);
+    unifiedSection.appendChild(footer);
+  },
+  
+  /**
+   * Build a plain-data copy of the unified view for the report page
+   * Everything is reduced to text so the report never renders LinkedIn markup
+   * @param {Object} data - Analysis data shown in the overlay
+   * @param {Object} progressiveData - Output of transformToProgressiveFormat
+   * @returns {Object} Report payload
+   */
+  buildReportData(data, progressiveData) {
+    const toText = (value) => {
+      if (!value) return '';
+      return new DOMParser().parseFromString(String(value), 'text/html').body.textContent.trim();
+    };
+    const toImprovements = (improvements = []) => improvements.map(imp => ({
+      text: toText(typeof imp === 'string' ? imp : imp.text),
+      why: toText(imp?.why)
+    }));
+    const toSection = (section) => ({
+      name: toText(section.name),
+      rating: section.rating ?? null,
+      errorType: section.errorType || null,
+      positive: toText(section.positive),
+      improvements: toImprovements(section.improvements)
     });
     
+    const profileNameElement = document.querySelector('h1.text-heading-xlarge');
     
     return {
-      coachingSummary,
-      sections,
-      unifiedMessage
+      profileId: data.profileId || extractProfileIdFromUrl(),
+      profileName: profileNameElement ? profileNameElement.textContent.trim() : null,
+      profileUrl: window.location.href.split('?')[0],
+      analyzedAt: data.timestamp || Date.now(),
+      generatedAt: Date.now(),
+      completeness: data.completeness ?? null,
+      contentScore: data.contentScore ?? null,
+      summary: toText(progressiveData.unifiedMessage),
+      coachingSummary: toText(progressiveData.coachingSummary),
+      sections: (progressiveData.sections || []).map(section => ({
+        ...toSection(section),
+        subSections: (section.hasSubSections && section.subSections) ? section.subSections.map(toSection) : []
+      })),
+      missingItems: (data.completenessData?.recommendations || []).map(item => ({
+        section: item.section,
+        message: toText(item.message),
+        impact: item.impact || item.weight || 0
+      }))
     };
   },
   
   /**
-   * Get improvement limit based on rating
+   * Handle export report button click
+   * Stores the report payload and asks the service worker to open report.html
    */
-  getImprovementLimit(rating, sectionName = '') {
-    // Special case for Experience section - allow more recommendations
-    if (sectionName === 'Experience') {
-      if (rating >= 5) return 1;  // Only critical improvements for perfect scores
-      return 3; // Allow up to 3 for experience section for all other ratings
-    }
+  handleExportReport() {
+    if (!this.reportData) return;
     
-    // Default limits for other sections
-    // 5 stars: Max 1 improvement (only if critical)
-    // 4 stars: 1-2 improvements  
-    // 3 stars or below: 2 improvements
-    if (rating >= 5) return 1;
-    if (rating >= 4) return 2;
-    return 2;
-  },
-
+    try {
+      if (!chrome?.runtime?.id) {
+        this.showToast('Extension was reloaded. Refresh the page to export.', 'error');
+        return;
+      }
+      
+      chrome.storage.local.set({ reportData: this.reportData }, () => {
+        if (chrome.runtime.lastError) {
+          this.showToast('Could not prepare the report', 'error');
+          return;
+        }
+        chrome.runtime.sendMessage({ action: 'openReport' }, (response) => {
+          if (chrome.runtime.lastError || !response?.success) {
+            this.showToast('Could not open the report', 'error');
+          }
+        });
+      });
+    } catch (error) {
+      SmartLogger.error('UI.INTERACTIONS', 'Failed to export report', error);
+    }
+  },  
   /**
-   * Convert AI score (0-10) to star rating (0-5)
+   * Render a placeholder for the rewrite button of a section
+   * The button is attached after the HTML is parsed so its handler keeps the section's target
+   * @param {Object} section - Section with an optional rewrite target
+   * @returns {string} Placeholder HTML
    */
-  scoreToRating(score) {
-    // Handle null/undefined scores (error states)
-    if (score === null || score === undefined) {
-      return null;
+  renderRewriteSlot(section) {
+    if (!section.rewrite) return '';
+    
+    const placeholderId = `rewrite-placeholder-${Math.random().toString(36).substr(2, 9)}`;
+    if (!this.pendingRewriteTargets) {
+      this.pendingRewriteTargets = [];
     }
+    this.pendingRewriteTargets.push({ id: placeholderId, rewrite: section.rewrite });
     
-    if (score >= 9) return 5;
-    if (score >= 7) return 4;
-    if (score >= 5) return 3;
-    if (score >= 3) return 2;
-    if (score >= 1) return 1;
-    return 0;
+    return `<div class="rewrite-slot" data-rewrite-placeholder="${placeholderId}"></div>`;
   },
-
+  
   /**
-   * Generate coaching summary
+   * Replace rewrite placeholders with "Suggest rewrite" buttons
+   * @param {HTMLElement} container - Element holding the rendered sections
    */
-  generateCoachingSummary(completeness, contentScore, data) {
-    // Only show coaching summary from AI analysis
-    if (data.insights?.coachingSummary) {
-      return data.insights.coachingSummary;
+  attachRewriteButtons(container) {
+    (this.pendingRewriteTargets || []).forEach(({ id, rewrite }) => {
+      const placeholder = container.querySelector(`[data-rewrite-placeholder="${id}"]`);
+      if (!placeholder) return;
+      
+      const button = document.createElement('button');
+      button.className = 'rewrite-button';
+      button.style.cssText = 'margin-top: 8px; padding: 4px 10px; background: white; color: #0a66c2; border: 1px solid #0a66c2; border-radius: 4px; font-size: 12px; cursor: pointer;';
+      button.textContent = '✍️ Suggest rewrite';
+      
+      const results = document.createElement('div');
+      results.className = 'rewrite-results';
+      
+      button.addEventListener('click', () => this.handleSuggestRewrite(rewrite, button, results));
+      placeholder.replaceChildren(button, results);
+    });
+    this.pendingRewriteTargets = [];
+  },
+  
+  /**
+   * Render a placeholder for the retry button of a section whose analysis failed
+   * @param {Object} section - Section with an optional retry key
+   * @returns {string} Placeholder HTML
+   */
+  renderRetrySlot(section) {
+    if (!section.retryKey) return '';
+    
+    const placeholderId = `retry-placeholder-${Math.random().toString(36).substr(2, 9)}`;
+    if (!this.pendingRetryKeys) {
+      this.pendingRetryKeys = [];
     }
+    this.pendingRetryKeys.push({ id: placeholderId, key: section.retryKey });
     
-    // No coaching summary without AI - avoid duplicate messaging
-    return null;
+    return `<span class="retry-slot" data-retry-placeholder="${placeholderId}"></span>`;
   },
   
   /**
-   * Analyze sections and create improvements
+   * Replace retry placeholders with per-section "Retry" buttons
+   * @param {HTMLElement} container - Element holding the rendered sections
    */
-  analyzeSections(data, missingItems, recommendations) {
-    const sections = [];
+  attachRetryButtons(container) {
+    (this.pendingRetryKeys || []).forEach(({ id, key }) => {
+      const placeholder = container.querySelector(`[data-retry-placeholder="${id}"]`);
+      if (!placeholder) return;
+      
+      const button = document.createElement('button');
+      button.className = 'retry-section-button';
+      button.style.cssText = 'padding: 2px 8px; background: white; color: #0a66c2; border: 1px solid #0a66c2; border-radius: 4px; font-size: 11px; cursor: pointer;';
+      button.textContent = '↻ Retry';
+      button.title = 'Analyze this section again';
+      button.addEventListener('click', () => this.handleRetrySections([key], button));
+      placeholder.replaceChildren(button);
+    });
+    this.pendingRetryKeys = [];
+  },
+  
+  /**
+   * Build the bar offering to retry every failed section at once
+   * @param {number} count - Number of failed sections
+   * @returns {HTMLElement} Retry bar
+   */
+  renderRetryAllBar(count) {
+    const bar = document.createElement('div');
+    bar.className = 'retry-failed-bar';
+    bar.style.cssText = 'display: flex; align-items: center; justify-content: space-between; gap: 8px; margin: 0 0 12px 0; padding: 10px 12px; background: #fff8e1; border-radius: 8px; font-size: 12px; color: #7a5b00;';
     
-    // Check if we have sectionScores from AI analysis
-    const sectionScores = data.sectionScores || {};
-    const hasAIInsights = Object.keys(sectionScores).length > 0;
-    const completeness = data.completenessScore || 0;
+    const text = document.createElement('span');
+    text.textContent = `${count} section${count > 1 ? 's' : ''} couldn't be analyzed.`;
     
-    // MODIFIED: Skip detailed sections if high completeness without AI
-    if (completeness >= 75 && !hasAIInsights) {
-      // Return single card prompting for AI configuration
-      return [{
-        name: 'Enable AI Analysis',
-        icon: '🤖',
-        rating: null,
-        positive: 'Your profile structure meets LinkedIn best practices',
-        improvements: [
-          {
-            action: 'Click the extension icon to open settings',
-            rationale: 'Access configuration options'
-          },
-          {
-            action: 'Enable AI toggle and add your API key',
-            rationale: 'Unlock content quality analysis'
-          },
-          {
-            action: 'Set target role for personalized recommendations',
-            rationale: 'Get industry-specific insights'
-          }
-        ]
-      }];
+    const button = document.createElement('button');
+    button.className = 'retry-failed-button';
+    button.style.cssText = 'padding: 4px 10px; background: #0a66c2; color: white; border: none; border-radius: 4px; font-size: 12px; cursor: pointer; white-space: nowrap;';
+    button.textContent = '↻ Retry all failed';
+    button.addEventListener('click', () => this.handleRetrySections([], button));
+    
+    bar.append(text, button);
+    return bar;
+  },
+  
+  /**
+   * Ask the analyzer to re-run only the given failed sections
+   * @param {Array<string>} keys - Section keys to retry, all failed sections when empty
+   * @param {HTMLElement} button - The clicked button
+   */
+  handleRetrySections(keys, button) {
+    if (!chrome?.runtime?.id) {
+      this.showToast('Extension was reloaded. Refresh the page to retry.', 'error');
+      return;
     }
     
+    button.disabled = true;
+    button.textContent = 'Retrying...';
+    window.postMessage({ type: 'ELEVATE_RETRY_SECTIONS', sections: keys }, '*');
+  },
+  
+  /**
+   * Read the current text of a rewritable section from the page
+   * @param {Object} rewrite - Rewrite target ({ type, title, company })
+   * @returns {Object|null} Content to send for rewriting
+   */
+  async getRewriteContent(rewrite) {
+    if (rewrite.type === 'headline') {
+      const headline = await HeadlineExtractor.extract();
+      return headline.exists ? { text: headline.text } : null;
+    }
     
-    // Log detailed section content
-    if (sectionScores.profile_intro) {
+    if (rewrite.type === 'about') {
+      const about = await AboutExtractor.extractDeep();
+      return about.exists ? { text: about.text } : null;
     }
     
-    if (sectionScores.skills) {
+    if (rewrite.type === 'experience_role') {
+      const role = await ExperienceExtractor.findRole(rewrite.title, rewrite.company);
+      return role ? {
+        title: role.title,
+        company: role.company,
+        duration: role.duration,
+        description: role.description
+      } : null;
     }
     
-    // Profile photo section - show if missing (completeness) or vision AI available
-    const photoMissing = missingItems.some(item => item.section === 'photo');
-    const photoRec = missingItems.find(item => item.section === 'photo');
+    return null;
+  },
+  
+  /**
+   * Ask the configured AI provider for rewrites of one section
+   * @param {Object} rewrite - Rewrite target ({ type, title, company })
+   * @param {HTMLElement} button - The clicked button
+   * @param {HTMLElement} results - Container for the alternatives
+   */
+  async handleSuggestRewrite(rewrite, button, results) {
+    if (!chrome?.runtime?.id) {
+      this.showToast('Extension was reloaded. Refresh the page to get rewrites.', 'error');
+      return;
+    }
     
-    // Check if vision AI is available
-    // Get settings from data object if available
-    const settings = data.settings || {};
-    const hasVisionAI = settings.aiProvider === 'openai' && 
-                        settings.aiModel === 'gpt-4o' && 
-                        settings.enableAI === true;
+    const limits = {
+      headline: CHAR_LIMITS.HEADLINE,
+      about: CHAR_LIMITS.ABOUT,
+      experience_role: CHAR_LIMITS.EXPERIENCE_DESCRIPTION
+    };
+    const label = button.textContent;
+    button.disabled = true;
+    button.textContent = '✍️ Writing...';
+    
+    const restoreButton = () => {
+      button.disabled = false;
+      button.textContent = label;
+    };
+    
+    try {
+      const content = await this.getRewriteContent(rewrite);
+      if (!content) {
+        this.showToast('Could not read this section from the page', 'error');
+        restoreButton();
+        return;
+      }
+      
+      const settings = await chrome.storage.local.get(['aiModel', 'targetRole', 'seniorityLevel', 'customInstructions']);
+      
+      chrome.runtime.sendMessage({
+        action: 'suggestRewrite',
+        section: rewrite.type,
+        data: content,
+        limit: limits[rewrite.type],
+        profileId: extractProfileIdFromUrl(),
+        analysisId: this.currentData?.analysisId || null,
+        settings
+      }, (response) => {
+        restoreButton();
+        if (chrome.runtime.lastError || !response?.success) {
+          this.showToast(response?.error || 'Could not generate rewrites', 'error');
+          return;
+        }
+        this.renderRewriteAlternatives(results, response.alternatives, response.limit || limits[rewrite.type]);
+      });
+    } catch (error) {
+      SmartLogger.error('UI.INTERACTIONS', 'Failed to request rewrites', error);
+      this.showToast('Could not generate rewrites', 'error');
+      restoreButton();
+    }
+  },
+  
+  /**
+   * Render rewrite alternatives with a character counter and copy button
+   * @param {HTMLElement} container - Container to fill
+   * @param {Array<Object>} alternatives - { text, rationale } entries
+   * @param {number} limit - Character limit for the section
+   */
+  renderRewriteAlternatives(container, alternatives, limit) {
+    const cards = alternatives.map((alternative, index) => {
+      const card = document.createElement('div');
+      card.className = 'rewrite-alternative';
+      card.style.cssText = 'margin-top: 8px; padding: 10px; background: white; border: 1px solid #e5e7eb; border-radius: 6px;';
+      
+      const text = document.createElement('p');
+      text.style.cssText = 'margin: 0 0 6px 0; font-size: 12px; color: #333; white-space: pre-wrap;';
+      text.textContent = alternative.text;
+      card.appendChild(text);
+      
+      if (alternative.rationale) {
+        const rationale = document.createElement('p');
+        rationale.style.cssText = 'margin: 0 0 6px 0; font-size: 11px; color: #999;';
+        rationale.textContent = alternative.rationale;
+        card.appendChild(rationale);
+      }
+      
+      const footer = document.createElement('div');
+      footer.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+      
+      const counter = document.createElement('span');
+      const length = alternative.text.length;
+      counter.style.cssText = `font-size: 11px; color: ${length > limit ? '#cc1016' : '#666'};`;
+      counter.textContent = `${length} / ${limit} characters`;
+      
+      const copyButton = document.createElement('button');
+      copyButton.style.cssText = 'padding: 2px 10px; background: #0a66c2; color: white; border: none; border-radius: 4px; font-size: 11px; cursor: pointer;';
+      copyButton.textContent = 'Copy';
+      copyButton.title = `Copy option ${index + 1} to the clipboard`;
+      copyButton.addEventListener('click', () => {
+        navigator.clipboard.writeText(alternative.text).then(() => {
+          copyButton.textContent = 'Copied!';
+          setTimeout(() => { copyButton.textContent = 'Copy'; }, 2000);
+        }).catch(() => {
+          this.showToast('Could not copy to the clipboard', 'error');
+        });
+      });
+      
+      footer.append(counter, copyButton);
+      card.appendChild(footer);
+      return card;
+    });
+    
+    container.replaceChildren(...cards);
+  },
+
+  
+  /**
+   * Tell the user which parts of the profile changed since the cached analysis they replaced
+   * @param {Array<string>} changedSections - Keys from CacheManager.getChangedSections
+   */
+  showContentChanges(changedSections) {
+    const unifiedSection = this.overlayElement?.querySelector('.unified-section');
+    if (!unifiedSection || changedSections.length === 0) return;
+    unifiedSection.querySelector('.content-changes')?.remove();
+    
+    const labels = changedSections.map(key => {
+      if (key === 'photo') return 'profile photo';
+      if (key === 'settings') return 'analysis settings';
+      return this.formatSectionName(key);
+    });
+    const list = labels.length > 1
+      ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+      : labels[0];
+    
+    const notice = document.createElement('div');
+    notice.className = 'content-changes';
+    notice.style.cssText = 'margin: 8px 0; padding: 10px 12px; background: #fff8e1; border-left: 3px solid #f59e0b; border-radius: 0 8px 8px 0; font-size: 12px; color: #333;';
+    
+    notice.textContent = `Re-analyzed because your ${list} changed since the last analysis.`;
+    unifiedSection.prepend(notice);
+  },
+  
+  /**
+   * Ask whether to resume an interrupted analysis or start over
+   * @param {number} completed - Sections the interrupted run finished
+   * @param {number} total - Sections in that run
+   * @returns {Promise<boolean>} True to resume
+   */
+  promptResume(completed, total) {
+    const unifiedSection = this.overlayElement?.querySelector('.unified-section');
+    // Without a place to ask, resuming is the cheaper default for unchanged content
+    if (!unifiedSection) return Promise.resolve(true);
+    unifiedSection.querySelector('.resume-prompt')?.remove();
+    unifiedSection.classList.remove('hidden');
+    
+    return new Promise((resolve) => {
+      const prompt = document.createElement('div');
+      prompt.className = 'resume-prompt';
+      prompt.style.cssText = 'display: flex; align-items: center; justify-content: space-between; gap: 8px; margin: 8px 0; padding: 10px 12px; background: #f0f8ff; border-left: 3px solid #0a66c2; border-radius: 0 8px 8px 0; font-size: 12px; color: #333;';
+      
+      const message = document.createElement('span');
+      message.textContent = `An earlier analysis stopped after ${completed} of ${total} sections.`;
+      
+      const buttons = document.createElement('span');
+      buttons.style.cssText = 'display: flex; gap: 6px; flex-shrink: 0;';
+      
+      const addButton = (label, primary, choice) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.cssText = `padding: 4px 10px; font-size: 12px; border: 1px solid #0a66c2; border-radius: 12px; cursor: pointer; background: ${primary ? '#0a66c2' : 'white'}; color: ${primary ? 'white' : '#0a66c2'};`;
+        button.addEventListener('click', () => {
+          prompt.remove();
+          resolve(choice);
+        });
+        buttons.appendChild(button);
+      };
+      addButton('Resume', true, true);
+      addButton('Start over', false, false);
+      
+      prompt.append(message, buttons);
+      unifiedSection.prepend(prompt);
+    });
+  },
+  
+  /**
+   * Show every prompt an analysis would send, with estimated tokens and cost, and wait for confirmation
+   * Cancelling restores the previous results the same way the cancel button does
+   * @param {Object} preview - previewPrompts response ({ prompts, totals, strategy })
+   * @returns {Promise<boolean>} True when the user chose to send
+   */
+  showPromptPreview(preview) {
+    const unifiedSection = this.overlayElement?.querySelector('.unified-section');
+    // Nowhere to show the prompts means nothing can be confirmed
+    if (!unifiedSection) return Promise.resolve(false);
+    unifiedSection.querySelector('.prompt-preview')?.remove();
+    unifiedSection.classList.remove('hidden');
+    
+    const formatCost = (cost) => `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+    const formatTokens = (tokens) => `~${tokens.toLocaleString()} tokens`;
+    const { totals } = preview;
+    
+    return new Promise((resolve) => {
+      const panel = document.createElement('div');
+      panel.className = 'prompt-preview';
+      panel.style.cssText = 'margin: 8px 0; padding: 10px 12px; background: #f0f8ff; border-left: 3px solid #0a66c2; border-radius: 0 8px 8px 0; font-size: 12px; color: #333;';
+      
+      const heading = document.createElement('div');
+      heading.style.cssText = 'font-weight: 600; margin-bottom: 4px;';
+      heading.textContent = `Review before sending: ${totals.requests} request${totals.requests === 1 ? '' : 's'}, ${formatTokens(totals.inputTokens + totals.outputTokens)}, about ${formatCost(totals.cost)}`;
+      
+      const tokenizers = document.createElement('div');
+      tokenizers.style.cssText = 'color: #666; margin-bottom: 8px;';
+      const tokenizerNames = { openai: 'OpenAI', anthropic: 'Anthropic', gemini: 'Gemini' };
+      tokenizers.textContent = 'Input estimate by tokenizer: ' + Object.entries(totals.byTokenizer || {})
+        .map(([provider, tokens]) => `${tokenizerNames[provider] || provider} ${formatTokens(tokens)}`)
+        .join(' · ') + '. Output is estimated per request; estimates are offline and approximate.';
+      
+      const list = document.createElement('div');
+      list.style.cssText = 'max-height: 320px; overflow-y: auto; margin-bottom: 8px;';
+      preview.prompts.forEach(entry => {
+        const item = document.createElement('details');
+        item.style.cssText = 'border-top: 1px solid #d6e4f0; padding: 4px 0;';
+        
+        const summary = document.createElement('summary');
+        summary.style.cssText = 'cursor: pointer;';
+        summary.textContent = entry.reused
+          ? `${entry.name} - unchanged, reused without sending`
+          : `${entry.name} - ${entry.provider}/${entry.model || 'default'} · ${formatTokens(entry.inputTokens)} in · ${formatCost(entry.cost)}${entry.image ? ' · image attached' : ''}`;
+        
+        const text = document.createElement('pre');
+        text.style.cssText = 'white-space: pre-wrap; word-break: break-word; max-height: 200px; overflow-y: auto; margin: 4px 0 0; padding: 8px; background: white; border: 1px solid #e5e5e5; border-radius: 4px; font-size: 11px;';
+        text.textContent = entry.prompt;
+        
+        item.append(summary, text);
+        list.appendChild(item);
+      });
+      
+      const buttons = document.createElement('div');
+      buttons.style.cssText = 'display: flex; justify-content: flex-end; gap: 6px;';
+      
+      const addButton = (label, primary, choice) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.cssText = `padding: 4px 10px; font-size: 12px; border: 1px solid #0a66c2; border-radius: 12px; cursor: pointer; background: ${primary ? '#0a66c2' : 'white'}; color: ${primary ? 'white' : '#0a66c2'};`;
+        button.addEventListener('click', () => {
+          panel.remove();
+          if (!choice) this.handleCancelAnalysis();
+          resolve(choice);
+        });
+        buttons.appendChild(button);
+      };
+      addButton('Cancel', false, false);
+      addButton(totals.requests > 0 ? 'Send and analyze' : 'Continue', true, true);
+      
+      panel.append(heading, tokenizers, list, buttons);
+      unifiedSection.prepend(panel);
+    });
+  },
+  
+  /**
+   * List the sections a refresh sent to the AI again and the ones reused unchanged
+   * @param {Object} differential - { reused: string[], rescored: string[] } display names
+   */
+  showReanalysisSummary(differential) {
+    const unifiedSection = this.overlayElement?.querySelector('.unified-section');
+    if (!unifiedSection) return;
+    unifiedSection.querySelector('.reanalysis-summary')?.remove();
+    
+    const { reused = [], rescored = [] } = differential;
+    // Nothing to contrast on a first run where every section was scored fresh
+    if (reused.length === 0) return;
+    
+    const summary = document.createElement('div');
+    summary.className = 'reanalysis-summary';
+    summary.style.cssText = 'margin: 8px 0; padding: 10px 12px; background: #f0f8ff; border-radius: 8px; font-size: 12px; color: #333;';
+    
+    const addLine = (label, names, color) => {
+      const line = document.createElement('div');
+      line.style.marginBottom = '4px';
+      const strong = document.createElement('strong');
+      strong.style.color = color;
+      strong.textContent = `${label} (${names.length}): `;
+      line.append(strong, names.length > 0 ? names.join(', ') : 'none');
+      summary.appendChild(line);
+    };
+    
+    addLine('Re-scored', rescored, '#0a66c2');
+    addLine('Unchanged, reused', reused, '#666');
+    
+    unifiedSection.appendChild(summary);
+  },
+  
+  /**
+   * Show a diff between two analysis snapshots from the profile's history
+   * Defaults to comparing the previous analysis with the latest one
+   * @param {string|null} profileId - Profile ID (falls back to the current URL)
+   */
+  async showSnapshotHistory(profileId = null) {
+    try {
+      if (!profileId) {
+        profileId = extractProfileIdFromUrl();
+      }
+      if (!profileId || !this.overlayElement) return;
+      
+      const history = await new CacheManager().getHistory(profileId);
+      const unifiedSection = this.overlayElement.querySelector('.unified-section');
+      unifiedSection?.querySelector('.history-section')?.remove();
+      
+      // Need at least two analyses to show progress
+      if (!unifiedSection || history.length < 2) return;
+      
+      const section = document.createElement('div');
+      section.className = 'history-section';
+      section.style.cssText = 'margin: 8px 0 16px 0; padding: 12px; background: #f8f9fa; border-radius: 8px;';
+      
+      const title = document.createElement('h5');
+      title.style.cssText = 'margin: 0 0 8px 0; font-size: 14px; font-weight: 600; color: #333;';
+      title.textContent = '📈 Progress Over Time';
+      section.appendChild(title);
+      
+      // Snapshot pickers
+      const controls = document.createElement('div');
+      controls.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 8px; font-size: 12px; color: #666; flex-wrap: wrap;';
+      
+      const buildSelect = (selectedIndex) => {
+        const select = document.createElement('select');
+        select.style.cssText = 'font-size: 12px; padding: 2px 4px; border: 1px solid #d1d5db; border-radius: 4px;';
+        history.forEach((snapshot, index) => {
+          const option = document.createElement('option');
+          option.value = String(index);
+          option.textContent = new Date(snapshot.timestamp).toLocaleString(undefined, {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+          });
+          option.selected = index === selectedIndex;
+          select.appendChild(option);
+        });
+        return select;
+      };
+      
+      const fromSelect = buildSelect(history.length - 2);
+      const toSelect = buildSelect(history.length - 1);
+      const arrow = document.createElement('span');
+      arrow.textContent = '→';
+      controls.append('Compare', fromSelect, arrow, toSelect);
+      section.appendChild(controls);
+      
+      const list = document.createElement('ul');
+      list.style.cssText = 'margin: 0; padding-left: 20px; font-size: 12px; color: #333;';
+      section.appendChild(list);
+      
+      const render = () => {
+        const older = history[Number(fromSelect.value)];
+        const newer = history[Number(toSelect.value)];
+        const changes = SnapshotDiff.compare(older, newer);
+        
+        list.replaceChildren();
+        if (changes.length === 0) {
+          const item = document.createElement('li');
+          item.style.color = '#666';
+          item.textContent = 'No changes between these analyses';
+          list.appendChild(item);
+          return;
+        }
+        
+        changes.forEach(change => {
+          const item = document.createElement('li');
+          item.style.marginBottom = '4px';
+          const trend = change.delta === null ? null : Math.sign(change.delta);
+          if (trend !== null) {
+            item.style.color = trend > 0 ? '#057642' : (trend < 0 ? '#dc2626' : '#333');
+          }
+          item.textContent = this.formatSnapshotChange(change);
+          list.appendChild(item);
+        });
+      };
+      
+      fromSelect.addEventListener('change', render);
+      toSelect.addEventListener('change', render);
+      render();
+      
+      unifiedSection.appendChild(section);
+    } catch (error) {
+      SmartLogger.error('UI.RENDERING', 'Failed to show snapshot history', error);
+    }
+  },
+  
+  /**
+   * Describe a single snapshot change in plain words
+   * @param {Object} change - Entry from SnapshotDiff.compare
+   * @returns {string} Display text
+   */
+  formatSnapshotChange(change) {
+    const signed = (value) => (value > 0 ? `+${value}` : String(value));
+    
+    switch (change.kind) {
+      case 'percent':
+        return `Completeness ${change.before ?? 0}% → ${change.after}%`;
+      case 'score':
+        return `Content quality ${change.before} → ${change.after}`;
+      case 'presence':
+        return change.after ? 'Profile photo added' : 'Profile photo removed';
+      case 'text':
+        return change.before ? 'Headline changed' : 'Headline added';
+      case 'chars':
+        return `${this.formatSectionName(change.section)} ${signed(change.delta)} chars`;
+      case 'count': {
+        const noun = SnapshotDiff.countedSections[change.section] || { singular: change.section, plural: change.section };
+        return `${signed(change.delta)} ${Math.abs(change.delta) === 1 ? noun.singular : noun.plural}`;
+      }
+      case 'rating': {
+        const label = SnapshotDiff.scoredSections[change.section] || this.formatSectionName(change.section);
+        return `${label} rating ${this.scoreToRating(change.before)}→${this.scoreToRating(change.after)} stars`;
+      }
+      default:
+        return `${this.formatSectionName(change.section)} changed`;
+    }
+  },
+  
+  /**
+   * Transform data into progressive improvement format
+   */
+  transformToProgressiveFormat(data) {
+    const completeness = data.completeness || 0;
+    const contentScore = data.contentScore || 0;
+    const missingItems = data.completenessData?.recommendations || [];
+    
+    // Debug logging for unified message
+    
+    // Add to debug log
+    window.elevateliDebug.addLog('OverlayManager', 'transformToProgressiveFormat START', {
+      completeness,
+      contentScore,
+      hasData: !!data,
+      dataKeys: Object.keys(data || {})
+    });
+    
+    // Log only if experience_roles data exists (reduced verbosity)
+    if (data.sectionScores?.experience_roles?.length > 0) {
+      SmartLogger.log('UI.EXPERIENCE', 'Experience roles data available', {
+        rolesCount: data.sectionScores.experience_roles.length,
+        hasOverallAnalysis: !!data.sectionScores.experience_overall
+      });
+    }
+    
+    // Convert recommendations object to flat array
+    let recommendationsArray = [];
+    if (data.recommendations) {
+      if (Array.isArray(data.recommendations)) {
+        recommendationsArray = data.recommendations;
+      } else if (typeof data.recommendations === 'object') {
+        // Handle {critical: [], important: [], niceToHave: []} structure
+        const { critical = [], important = [], niceToHave = [] } = data.recommendations;
+        recommendationsArray = [...critical, ...important, ...niceToHave];
+      }
+    } else {
+    }
+    
+    // Apply recommendation allocation algorithm only if we have recommendations
+    const allocation = this.calculateRecommendationMix(completeness);
+    if (recommendationsArray.length > 0) {
+      recommendationsArray = this.filterRecommendationsByAllocation(
+        recommendationsArray, 
+        missingItems, 
+        allocation
+      );
+    }
+    
+    
+    // Generate coaching summary
+    const coachingSummary = this.generateCoachingSummary(completeness, contentScore, data);
+    
+    // Analyze sections and create improvements
+    const sections = this.analyzeSections(data, missingItems, recommendationsArray || []);
+    
+    // Generate unified message
+    window.elevateliDebug.addLog('OverlayManager', 'Before generateUnifiedMessage', {
+      completeness,
+      contentScore,
+      sectionsLength: sections?.length,
+      sections: sections?.map(s => ({ name: s.name, rating: s.rating }))
+    });
+    
+    const unifiedMessage = this.generateUnifiedMessage(completeness, contentScore, sections, data);
+    
+    window.elevateliDebug.addLog('OverlayManager', 'After generateUnifiedMessage', {
+      unifiedMessage,
+      messageLength: unifiedMessage?.length,
+      messageType: typeof unifiedMessage,
+      isEmpty: !unifiedMessage || unifiedMessage.trim() === ''
+    });
+    
+    
+    return {
+      coachingSummary,
+      sections,
+      unifiedMessage
+    };
+  },
+  
+  /**
+   * Get improvement limit based on rating
+   */
+  getImprovementLimit(rating, sectionName = '') {
+    // Special case for Experience section - allow more recommendations
+    if (sectionName === 'Experience') {
+      if (rating >= 5) return 1;  // Only critical improvements for perfect scores
+      return 3; // Allow up to 3 for experience section for all other ratings
+    }
+    
+    // Default limits for other sections
+    // 5 stars: Max 1 improvement (only if critical)
+    // 4 stars: 1-2 improvements  
+    // 3 stars or below: 2 improvements
+    if (rating >= 5) return 1;
+    if (rating >= 4) return 2;
+    return 2;
+  },
+
+  /**
+   * Convert AI score (0-10) to star rating (0-5)
+   */
+  scoreToRating(score) {
+    // Handle null/undefined scores (error states)
+    if (score === null || score === undefined) {
+      return null;
+    }
+    
+    if (score >= 9) return 5;
+    if (score >= 7) return 4;
+    if (score >= 5) return 3;
+    if (score >= 3) return 2;
+    if (score >= 1) return 1;
+    return 0;
+  },
+
+  /**
+   * Generate coaching summary
+   */
+  generateCoachingSummary(completeness, contentScore, data) {
+    // Only show coaching summary from AI analysis
+    if (data.insights?.coachingSummary) {
+      return data.insights.coachingSummary;
+    }
+    
+    // No coaching summary without AI - avoid duplicate messaging
+    return null;
+  },
+  
+  /**
+   * Analyze sections and create improvements
+   */
+  analyzeSections(data, missingItems, recommendations) {
+    const sections = [];
+    
+    // Check if we have sectionScores from AI analysis
+    const sectionScores = data.sectionScores || {};
+    const hasAIInsights = Object.keys(sectionScores).length > 0;
+    const completeness = data.completenessScore || 0;
+    
+    // MODIFIED: Skip detailed sections if high completeness without AI
+    if (completeness >= 75 && !hasAIInsights) {
+      // Return single card prompting for AI configuration
+      return [{
+        name: 'Enable AI Analysis',
+        icon: '🤖',
+        rating: null,
+        positive: 'Your profile structure meets LinkedIn best practices',
+        improvements: [
+          {
+            action: 'Click the extension icon to open settings',
+            rationale: 'Access configuration options'
+          },
+          {
+            action: 'Enable AI toggle and add your API key',
+            rationale: 'Unlock content quality analysis'
+          },
+          {
+            action: 'Set target role for personalized recommendations',
+            rationale: 'Get industry-specific insights'
+          }
+        ]
+      }];
+    }
+    
+    
+    // Log detailed section content
+    if (sectionScores.profile_intro) {
+    }
+    
+    if (sectionScores.skills) {
+    }
+    
+    // Profile photo section - show if missing (completeness) or vision AI available
+    const photoMissing = missingItems.some(item => item.section === 'photo');
+    const photoRec = missingItems.find(item => item.section === 'photo');
+    
+    // Check if vision AI is available
+    // Get settings from data object if available
+    const settings = data.settings || {};
+    const visionModels = ['gpt-4o', 'gpt-4.1', 'gpt-4.1-mini', 'gpt-4.1-nano', 'gpt-5.4', 'gpt-5.4-mini', 'gpt-5.4-nano', 'gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro', 'gemini-3.1-pro-preview'];
+    // Custom endpoints declare vision support in settings since any model can be served
+    const supportsVision = settings.aiProvider === 'custom'
+      ? settings.customSupportsVision === true
+      : visionModels.includes(settings.aiModel);
+    const hasVisionAI = supportsVision &&
+                        settings.enableAI === true;
     
     // Only show photo as a separate section if it's missing (for completeness)
     // When photo exists, it's included in the First Impression section
@@ -11175,8 +13625,9 @@ const OverlayManager = {
     
     // We don't show photo as a separate section when it exists
     
-    // Banner section - only show if custom banner exists and vision AI available
-    if (hasVisionAI) {
+    // Banner section - show for custom banners once assessed, or as pending with vision AI
+    const bannerAssessment = sectionScores.first_impression?.visualAssessment?.banner || sectionScores.profile_banner;
+    if (hasVisionAI || bannerAssessment) {
       // profileData should be part of the data object (extracted data from the profile)
       const hasCustomBanner = data.extractedData?.banner?.isCustomBanner || data.profileData?.banner?.isCustomBanner || false;
       
@@ -11187,10 +13638,10 @@ const OverlayManager = {
         };
         
         // Check for banner analysis results
-        const bannerScore = sectionScores.profile_banner;
+        const bannerScore = bannerAssessment;
         if (bannerScore && typeof bannerScore.score === 'number') {
           // Banner analysis completed
-          bannerSection.rating = bannerScore.score;
+          bannerSection.rating = this.scoreToRating(bannerScore.score);
           bannerSection.positive = bannerScore.positive || bannerScore.analysis;
           bannerSection.improvements = bannerScore.improvements || [];
           if (bannerScore._cacheInfo?.cached) {
@@ -11234,10 +13685,14 @@ const OverlayManager = {
       });
       
       const headlineRating = this.scoreToRating(headlineAnalysis.score);
+      // Photo feedback from vision AI or local checks joins the headline items
+      const photoImprovements = (headlineAnalysis.visualAssessment?.photo?.improvements || [])
+        .map(imp => ({ text: imp.text, why: imp.why, priority: 'medium' }));
       sections.push({
         name: firstImpressionScore ? 'First Impression' : 'Headline',
         rating: headlineRating,
         errorType: headlineAnalysis.errorType || null,
+        retryKey: headlineAnalysis.retryKey || null,
         positive: firstImpressionScore ? 
           headlineAnalysis.unifiedImpression || headlineAnalysis.positiveInsight :
           headlineAnalysis.headlinePositive || headlineAnalysis.positiveInsight || headlineAnalysis.strengths?.[0] || null,
@@ -11246,8 +13701,9 @@ const OverlayManager = {
           why: item.impact || item.how || 'Update your profile',
           impact: item.impact,
           priority: item.priority
-        })).slice(0, this.getImprovementLimit(headlineRating)),
+        })).concat(photoImprovements).slice(0, this.getImprovementLimit(headlineRating)),
         priority: 'normal',
+        rewrite: { type: 'headline' },
         // Add visual assessment details if available
         visualAssessment: firstImpressionScore ? headlineAnalysis.visualAssessment : null
       });
@@ -11315,6 +13771,7 @@ const OverlayManager = {
         name: 'About Section',
         rating: aboutRating,
         errorType: aboutScore.errorType || null,
+        retryKey: aboutScore.retryKey || null,
         positive: aboutScore.positiveInsight || aboutScore.strengths?.[0] || null,
         improvements: aboutScore.actionItems.map(item => ({
           text: item.action || item.what || 'Improvement needed',
@@ -11322,7 +13779,8 @@ const OverlayManager = {
           impact: item.impact,
           priority: item.priority
         })).slice(0, this.getImprovementLimit(aboutRating)),
-        priority: 'normal'
+        priority: 'normal',
+        rewrite: { type: 'about' }
       });
     } else if (profileIntroScore && profileIntroScore.actionItems) {
       // Filter actionItems for about section - check section tag first, then content
@@ -11372,7 +13830,8 @@ const OverlayManager = {
           impact: item.impact,
           priority: item.priority
         })).slice(0, this.getImprovementLimit(aboutRating)),
-        priority: 'normal'
+        priority: 'normal',
+        rewrite: { type: 'about' }
       });
     } else {
       // Fallback to old logic - add positive message if about passes completeness
@@ -11489,6 +13948,7 @@ const OverlayManager = {
       name: 'Experience',
       rating: experienceRating,
       errorType: sectionScores.experience_overall?.errorType || null,
+      retryKey: sectionScores.experience_overall?.retryKey || null,
       positive: experiencePositive,
       improvements: experienceImprovements,
       priority: 'normal',
@@ -11521,14 +13981,21 @@ const OverlayManager = {
             }));
           
           // Only add the role section if it has improvements or positive feedback
-          if (roleImprovements.length > 0 || role.positiveInsight) {
+          // Failed roles stay visible so they can be retried
+          if (roleImprovements.length > 0 || role.positiveInsight || role.retryKey) {
             const roleSection = {
               name: `${role.analysis.title} at ${role.analysis.company || 'Unknown Company'}`,
-              rating: this.scoreToRating(role.score || 0),
+              rating: role.errorType ? null : this.scoreToRating(role.score || 0),
               errorType: role.errorType || null,
+              retryKey: role.retryKey || null,
               positive: role.positiveInsight,
               improvements: roleImprovements,
-              isSubSection: true
+              isSubSection: true,
+              rewrite: {
+                type: 'experience_role',
+                title: role.analysis.title,
+                company: role.analysis.company || ''
+              }
             };
             
             experienceSection.subSections.push(roleSection);
@@ -11566,6 +14033,7 @@ const OverlayManager = {
         name: 'Skills & Expertise',
         rating: skillsRating,
         errorType: skillsScore.errorType || null,
+        retryKey: skillsScore.retryKey || null,
         positive: skillsScore.positiveInsight || skillsScore.strengths?.[0] || null,
         gapAnalysis: skillsScore.gapAnalysis,
         improvements: skillsScore.actionItems.slice(0, this.getImprovementLimit(skillsRating)).map(item => ({
@@ -11667,12 +14135,42 @@ const OverlayManager = {
     sections.push({
       name: 'Recommendations',
       rating: recommendationsRating,
+      errorType: sectionScores.recommendations?.errorType || null,
+      retryKey: sectionScores.recommendations?.retryKey || null,
       positive: recommendationsPositive,
       improvements: recommendationsImprovements,
       // Removed isDefaultRating - use null rating instead
       priority: 'high'  // Always show recommendations section
     });
     
+    // Sections on the page that the extractors couldn't read replace any zero-score card
+    const unreadableNames = {
+      about: 'About Section',
+      experience: 'Experience',
+      skills: 'Skills & Expertise',
+      recommendations: 'Recommendations'
+    };
+    (data.completenessData?.unreadableSections || []).forEach(key => {
+      const name = unreadableNames[key] || this.formatSectionName(key);
+      const unreadableSection = {
+        name,
+        rating: null,
+        errorType: 'SECTION_UNREADABLE',
+        positive: null,
+        improvements: [{
+          text: "Couldn't read this section - LinkedIn may have changed its layout",
+          why: 'It was left out of your completeness score rather than counted as missing'
+        }],
+        priority: 'high'
+      };
+      const index = sections.findIndex(section => section.name === name);
+      if (index >= 0) {
+        sections[index] = unreadableSection;
+      } else {
+        sections.push(unreadableSection);
+      }
+    });
+    
     // Sort sections to match LinkedIn's visual hierarchy
     const sectionOrder = [
       'First Impression', // Includes photo + headline when photo exists
@@ -11987,7 +14485,10 @@ const OverlayManager = {
           <h5 style="margin: 0; font-size: 14px; font-weight: 600; color: #333;">
             ${section.name}
           </h5>
-          <div class="star-rating" style="font-size: 16px;" data-star-placeholder="${starPlaceholderId}"></div>
+          <div style="display: flex; align-items: center; gap: 8px;">
+            ${this.renderRetrySlot(section)}
+            <div class="star-rating" style="font-size: 16px;" data-star-placeholder="${starPlaceholderId}"></div>
+          </div>
         </div>
         ${section.positive ? `
           <p style="margin: 0 0 8px 0; font-size: 12px; color: #057642;">
@@ -12005,6 +14506,7 @@ const OverlayManager = {
             `).join('')}
           </ul>
         ` : ''}
+        ${this.renderRewriteSlot(section)}
         
         <!-- Sub-sections for Experience roles -->
         ${section.hasSubSections && section.subSections && section.subSections.length > 0 ? `
@@ -12024,6 +14526,7 @@ const OverlayManager = {
                     });
                     return subStarId;
                   })()}"></div>
+                  ${this.renderRetrySlot(subSection)}
                 </div>
                 ${subSection.positive ? `
                   <p style="margin: 0 0 6px 0; font-size: 12px; color: #057642;">
@@ -12041,6 +14544,7 @@ const OverlayManager = {
                     `).join('')}
                   </ul>
                 ` : ''}
+                ${this.renderRewriteSlot(subSection)}
               </div>
             `).join('')}
           </div>
@@ -12119,6 +14623,8 @@ const OverlayManager = {
       'RESPONSE_PARSE_ERROR': 'AI response could not be read',
       'DATA_READ_ERROR': 'AI was unable to read data for this section',
       'API_KEY_ERROR': 'Invalid API key - check settings',
+      'RATE_LIMIT': 'Rate limit reached - try again shortly',
+      'SECTION_UNREADABLE': "Couldn't read this section from the page",
       'DEFAULT': 'Enable AI analysis for quality insights'
     };
     
@@ -12595,7 +15101,7 @@ const OverlayManager = {
           return;
         }
         
-        chrome.storage.local.get(['enableAI', 'apiKey', 'encryptedApiKey', 'aiProvider', 'aiModel'], (data) => {
+        chrome.storage.local.get(['enableAI', 'apiKey', 'encryptedApiKey', 'aiProvider', 'aiModel', 'customSupportsVision'], (data) => {
           if (chrome.runtime.lastError) {
             SmartLogger.log('STATE.RESTORATION', 'Failed to get settings', { error: chrome.runtime.lastError });
             resolve({});
@@ -12651,7 +15157,7 @@ const OverlayManager = {
 
     // If we have cached data, restore it
     if (cachedData && cachedData.completeness !== undefined) {
-      const hasApiKey = settings.apiKey || settings.encryptedApiKey;
+      const hasApiKey = settings.apiKey || settings.encryptedApiKey || settings.aiProvider === 'custom';
       const enableAI = settings.enableAI && hasApiKey && settings.aiProvider;
       
       const stateData = {
@@ -12666,7 +15172,8 @@ const OverlayManager = {
         settings: {
           enableAI: settings.enableAI,
           aiProvider: settings.aiProvider,
-          aiModel: settings.aiModel
+          aiModel: settings.aiModel,
+          customSupportsVision: settings.customSupportsVision
         },
         ...context // Include any additional context (error messages, etc.)
       };
@@ -12875,6 +15382,7 @@ class Analyzer {
     // Available extractors (will be defined in separate files)
     this.extractors = {
       photo: typeof PhotoExtractor !== 'undefined' ? PhotoExtractor : null,
+      banner: typeof BannerExtractor !== 'undefined' ? BannerExtractor : null,
       headline: typeof HeadlineExtractor !== 'undefined' ? HeadlineExtractor : null,
       about: typeof AboutExtractor !== 'undefined' ? AboutExtractor : null,
       experience: typeof ExperienceExtractor !== 'undefined' ? ExperienceExtractor : null,
@@ -12887,6 +15395,12 @@ class Analyzer {
     };
     
     this.profileId = null;
+    this.analysisId = null;
+    this.cancelled = false;
+    this.analysisTimeout = null;
+    this.checkpoint = null;
+    // Checkpoint the user chose to resume when offered before the cache was served
+    this.acceptedResume = null;
     this.isOwn = false;
     this.settings = {};
     this.cacheManager = null;
@@ -12994,13 +15508,8 @@ class Analyzer {
     // Log timeout configuration
     Logger.info('[Analyzer] Timeout configuration:', TIMEOUTS);
     
-    // Set analysis timeout (3 minutes for development)
-    const analysisStartTime = Date.now();
-    const analysisTimeout = setTimeout(() => {
-      const elapsed = Math.round((Date.now() - analysisStartTime) / 1000);
-      Logger.warn(`[Analyzer] Analysis timeout after ${elapsed} seconds - falling back to cache`);
-      this.handleAnalysisTimeout();
-    }, TIMEOUTS.ANALYSIS_TOTAL);
+    // Set analysis timeout; it is paused while the user answers a prompt
+    this.startAnalysisTimeout();
     
     // Store cached data for fallback (moved outside try block for catch block access)
     let cachedData = null;
@@ -13021,13 +15530,37 @@ class Analyzer {
       // Update overlay state
       OverlayManager.setState(OverlayManager.states.SCANNING);
       
+      // Profile read for the cache check, reused by the fresh run when content changed
+      let extractedData = null;
+      let changedSections = [];
+      
       // Check cache first (unless forced refresh)
       if (!forceRefresh) {
         cachedData = await this.cacheManager.get(this.profileId);
-        if (cachedData && cachedData.completeness !== undefined) {
+        
+        // Advice scored against content that has since changed is not served as fresh
+        if (cachedData?.sectionHashes) {
+          extractedData = await this.runExtractors({ quiet: true });
+          changedSections = this.cacheManager.getChangedSections(cachedData, extractedData, this.settings);
+          if (changedSections.length > 0) {
+            Logger.info('[Analyzer] Profile changed since cached analysis, re-analyzing', { changedSections });
+          }
+        }
+        
+        // An interrupted refresh is offered for resume before the older full analysis is served
+        const checkpoint = this.settings.enableAI ? await this.cacheManager.getCheckpoint(this.profileId) : null;
+        if (Object.keys(checkpoint?.completed || {}).length > 0) {
+          extractedData = extractedData || await this.runExtractors({ quiet: true });
+          this.acceptedResume = await this.getResumableCheckpoint(this.cacheManager.generateHash(extractedData, this.settings));
+        }
+        
+        if (cachedData && cachedData.completeness !== undefined && changedSections.length === 0 && !this.acceptedResume) {
           Logger.info('[Analyzer] Using cached data');
           
-          clearTimeout(analysisTimeout);
+          // Job match is local and cheap - refresh it when the job description changed
+          cachedData.jobMatch = await this.getJobMatch(cachedData.jobMatch);
+          
+          this.clearAnalysisTimeout();
           OverlayManager.setState(OverlayManager.states.COMPLETE, {
             ...cachedData,
             fromCache: true,
@@ -13038,7 +15571,8 @@ class Analyzer {
             settings: {
               enableAI: this.settings.enableAI,
               aiProvider: this.settings.aiProvider,
-              aiModel: this.settings.aiModel
+              aiModel: this.settings.aiModel,
+              customSupportsVision: this.settings.customSupportsVision
             }
           });
           
@@ -13050,7 +15584,9 @@ class Analyzer {
       }
       
       // Run extractors
-      const extractedData = await this.runExtractors();
+      if (!extractedData) {
+        extractedData = await this.runExtractors();
+      }
       
       // Calculate completeness
       Logger.info('[Analyzer] Transitioning to CALCULATING state');
@@ -13081,11 +15617,17 @@ class Analyzer {
         timestamp: new Date().toISOString()
       };
       
+      // Score against the saved job description (local, no AI)
+      const jobMatch = await this.getJobMatch(null, extractedData);
+      if (jobMatch) {
+        result.jobMatch = jobMatch;
+      }
+      
       // Store partial results for timeout handling
       this.analysisResults = result;
       
-      // Run AI analysis if enabled
-      const hasApiKey = this.settings.apiKey || this.settings.encryptedApiKey;
+      // Run AI analysis if enabled (self-hosted custom endpoints may not need a key)
+      const hasApiKey = this.settings.apiKey || this.settings.encryptedApiKey || this.settings.aiProvider === 'custom';
       
       // Pre-check logging for debugging
       Logger.info('[Analyzer] Pre-AI check:', {
@@ -13124,7 +15666,7 @@ class Analyzer {
           
           if (recovered) {
             // Cache was restored, return early
-            clearTimeout(analysisTimeout);
+            this.clearAnalysisTimeout();
             return { success: true, fromCache: true, apiKeyError: true };
           }
           
@@ -13149,6 +15691,12 @@ class Analyzer {
           extractedData.completenessScore = completenessData?.score || 100;
           const aiResult = await this.runAIAnalysisWithRetry(extractedData);
           
+          // The overlay already restored its previous state when the user cancelled
+          if (aiResult.cancelled) {
+            this.clearAnalysisTimeout();
+            return { success: false, cancelled: true };
+          }
+          
           // Check if the AI result is actually a failure disguised as success
           // (happens when quality-scorer returns default score on error)
           const isDefaultFailureScore = aiResult.success && 
@@ -13160,6 +15708,10 @@ class Analyzer {
           result.recommendations = aiResult.recommendations;
           result.insights = aiResult.insights;
           result.sectionScores = aiResult.sectionScores;
+          result.differential = aiResult.differential;
+          result.failedSections = aiResult.failedSections;
+          // Later rewrite requests are billed to the run whose results are on screen
+          result.analysisId = this.analysisId;
           
           // For distributed analysis, sectionScores might be nested differently
           if (!result.sectionScores && aiResult.synthesis) {
@@ -13261,10 +15813,10 @@ class Analyzer {
       }
       
       // Save to cache
-      await this.cacheManager.save(this.profileId, result, extractedData);
+      await this.cacheManager.save(this.profileId, result, extractedData, this.settings);
       
       // Clear timeout on success
-      clearTimeout(analysisTimeout);
+      this.clearAnalysisTimeout();
       
       // Log total analysis time
       const totalTime = Date.now() - analysisStartTime;
@@ -13346,11 +15898,15 @@ class Analyzer {
       
       OverlayManager.setState(finalState, overlayData);
       
+      if (changedSections.length > 0) {
+        OverlayManager.showContentChanges(changedSections);
+      }
+      
       return { success: true, data: result };
       
     } catch (error) {
       Logger.error('[Analyzer] Analysis failed:', error);
-      clearTimeout(analysisTimeout);
+      this.clearAnalysisTimeout();
       
       // If we have cached data, fall back to it
       if (cachedData && cachedData.completeness !== undefined) {
@@ -13403,6 +15959,38 @@ class Analyzer {
     return Math.round(years * 10) / 10; // Round to 1 decimal
   }
   
+  /**
+   * Profile facts shared by every section prompt of a run
+   * Kept identical across sections so providers can cache the prompt prefix built from them;
+   * the prefix only caches past the providers' ~1024-token minimum, so small profiles skip the warm-up
+   * @param {Object} extractedData - Data from extractors, with the deep experience roles
+   * @returns {Object} Summary facts plus headline, About, role list, skills and education
+   */
+  buildProfileContext(extractedData) {
+    const experiences = extractedData.experience?.experiences || [];
+    const currentRole = experiences[0];
+    
+    return {
+      currentRole: currentRole ? `${currentRole.title || 'Role'} at ${currentRole.company || 'Unknown Company'}` : null,
+      recentCompanies: experiences.slice(0, 3).map(exp => exp.company).filter(Boolean),
+      yearsOfExperience: this.calculateYearsOfExperience(extractedData.experience),
+      totalRoles: extractedData.experience?.count || experiences.length,
+      completenessScore: extractedData.completenessScore ?? null,
+      headline: extractedData.headline?.text || '',
+      about: extractedData.about?.fullText || extractedData.about?.text || '',
+      roles: experiences.slice(0, 10).map(exp => ({
+        title: exp.title || '',
+        company: exp.company || '',
+        duration: exp.duration || exp.employment?.duration || '',
+        description: (exp.description || '').substring(0, 600)
+      })),
+      skills: (extractedData.skills?.skills || []).map(skill => skill.name).filter(Boolean).slice(0, 50),
+      education: (extractedData.education?.schools || [])
+        .map(item => [item.degree, item.field, item.school].filter(Boolean).join(', '))
+        .filter(Boolean)
+    };
+  }
+  
   /**
    * Extract career progression pattern
    * @param {Object} experienceData - Experience data from extractor
@@ -13438,6 +16026,45 @@ class Analyzer {
     return 'specialized';
   }
 
+  /**
+   * Start (or restart) the overall analysis timeout
+   */
+  startAnalysisTimeout() {
+    this.clearAnalysisTimeout();
+    const startedAt = Date.now();
+    this.analysisTimeout = setTimeout(() => {
+      this.analysisTimeout = null;
+      const elapsed = Math.round((Date.now() - startedAt) / 1000);
+      Logger.warn(`[Analyzer] Analysis timeout after ${elapsed} seconds - falling back to cache`);
+      this.handleAnalysisTimeout();
+    }, TIMEOUTS.ANALYSIS_TOTAL);
+  }
+  
+  clearAnalysisTimeout() {
+    if (this.analysisTimeout) {
+      clearTimeout(this.analysisTimeout);
+      this.analysisTimeout = null;
+    }
+  }
+  
+  /**
+   * Wait for the user to answer a prompt without the analysis timeout running underneath it
+   * The timeout restarts with its full length once the user has answered, if it was running
+   * @param {Promise} answer - Resolves with the user's choice
+   * @returns {Promise} The user's choice
+   */
+  async waitForUser(answer) {
+    const timed = !!this.analysisTimeout;
+    this.clearAnalysisTimeout();
+    try {
+      return await answer;
+    } finally {
+      if (timed && !this.cancelled) {
+        this.startAnalysisTimeout();
+      }
+    }
+  }
+  
   /**
    * Handle analysis timeout
    */
@@ -13518,10 +16145,13 @@ class Analyzer {
   
   /**
    * Run all extractors
+   * @param {Object} options - { quiet } skips overlay progress updates
    */
-  async runExtractors() {
+  async runExtractors(options = {}) {
     Logger.info('[Analyzer] Running extractors');
+    const { quiet = false } = options;
     const results = {};
+    SectionDiagnostics.reset();
     
     // Update scan progress
     const sections = Object.keys(this.extractors).map(name => ({
@@ -13529,8 +16159,11 @@ class Analyzer {
       status: 'pending',
       itemCount: 0
     }));
+    const updateScanProgress = () => {
+      if (!quiet) OverlayManager.updateScanProgress(sections);
+    };
     
-    OverlayManager.updateScanProgress(sections);
+    updateScanProgress();
     
     // Run extractors in parallel
     const promises = Object.entries(this.extractors).map(async ([name, extractor]) => {
@@ -13542,7 +16175,7 @@ class Analyzer {
       try {
         // Update status to scanning
         sections.find(s => s.name === name).status = 'scanning';
-        OverlayManager.updateScanProgress(sections);
+        updateScanProgress();
         
         // Run scan
         const scanResult = await extractor.scan();
@@ -13553,14 +16186,16 @@ class Analyzer {
         const section = sections.find(s => s.name === name);
         section.status = 'complete';
         section.itemCount = scanResult.totalCount || scanResult.count || 0;
-        OverlayManager.updateScanProgress(sections);
+        updateScanProgress();
         
         // Debug: Check what's happening with the condition
         
         // Run extraction if section exists - match alpha version exactly
         if (scanResult.exists) {
-          OverlayManager.setState(OverlayManager.states.EXTRACTING);
-          OverlayManager.updateExtractionProgress(name);
+          if (!quiet) {
+            OverlayManager.setState(OverlayManager.states.EXTRACTING);
+            OverlayManager.updateExtractionProgress(name);
+          }
           
           // Small delay to ensure UI updates
           await new Promise(resolve => setTimeout(resolve, 50));
@@ -13571,39 +16206,136 @@ class Analyzer {
           return { name, data: extractResult };
         }
         
+        // A section we couldn't locate is flagged so the scorer doesn't count it as missing
+        if (SectionDiagnostics.isUnreadable(name)) {
+          Logger.warn(`[Analyzer] ${name} section is on the page but could not be read`);
+          return { name, data: { ...scanResult, exists: false, unreadable: true } };
+        }
+        
         // Return scanResult for non-existent sections so scorer gets exists: false
         return { name, data: scanResult };
         
       } catch (error) {
         Logger.error(`[Analyzer] ${name} extraction failed:`, error);
-        return { name, data: null, error: error.message };
+        SectionDiagnostics.markFailed(name, error);
+        return { name, data: { exists: false, unreadable: true, error: error.message }, error: error.message };
       }
     });
     
     const extractorResults = await Promise.all(promises);
+    SectionDiagnostics.save({ isOwn: this.isOwn });
     
     // Compile results
     extractorResults.forEach(({ name, data }) => {
       results[name] = data;
     });
     
+    await this.addHashedContent(results);
     
     return results;
   }
   
+  /**
+   * Add the content section hashes are built from but extract() leaves out:
+   * the full About text (extract() cuts it to 500 chars) and the individual roles
+   * @param {Object} results - Extractor results, updated in place
+   */
+  async addHashedContent(results) {
+    try {
+      if (results.about?.exists && this.extractors.about) {
+        const deepAbout = await this.extractors.about.extractDeep();
+        results.about.fullText = deepAbout.text || results.about.text;
+      }
+      
+      if (results.experience?.exists && this.extractors.experience) {
+        const deepExperience = await this.extractors.experience.extractDeep();
+        results.experience.experiences = deepExperience.experiences || [];
+      }
+    } catch (error) {
+      Logger.warn('[Analyzer] Deep extraction for content hashes failed', error);
+    }
+  }
+  
+  /**
+   * Get the job match for the saved job description
+   * @param {Object|null} previousMatch - Earlier match, reused when the job is unchanged
+   * @param {Object} extractedData - Basic extractor output to build on
+   * @returns {Promise<Object|null>} Match result, or null when job match mode is off
+   */
+  async getJobMatch(previousMatch = null, extractedData = {}) {
+    const job = this.settings.jobDescription;
+    if (!this.settings.jobMatchEnabled || !job?.text || typeof JobMatcher === 'undefined') {
+      return null;
+    }
+    
+    if (previousMatch && previousMatch.jobHash === JobMatcher.hashJob(job)) {
+      return previousMatch;
+    }
+    
+    try {
+      const profileData = await this.collectJobMatchData(extractedData);
+      const match = JobMatcher.match(job, profileData);
+      Logger.info('[Analyzer] Job match calculated:', {
+        score: match.score,
+        missing: match.missing.length
+      });
+      return match;
+    } catch (error) {
+      Logger.error('[Analyzer] Job match failed:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Read the full text job matching needs without leaving the profile page
+   * Skills stay on visible items - extractDeep() would navigate to /details/skills
+   * @param {Object} extractedData - Basic extractor output
+   * @returns {Promise<Object>} Headline, about, skills and experience data
+   */
+  async collectJobMatchData(extractedData = {}) {
+    const data = {
+      headline: extractedData.headline,
+      about: extractedData.about,
+      skills: extractedData.skills,
+      experience: extractedData.experience
+    };
+    
+    const readers = {
+      headline: () => HeadlineExtractor.extract(),
+      about: () => AboutExtractor.extractDeep(),
+      skills: async () => {
+        const section = SkillsExtractor.findSkillsSection();
+        return { skills: section ? await SkillsExtractor.extractVisibleSkills(section) : [] };
+      },
+      experience: () => ExperienceExtractor.extractDeep()
+    };
+    
+    for (const [name, read] of Object.entries(readers)) {
+      try {
+        data[name] = { ...data[name], ...(await read()) };
+      } catch (error) {
+        Logger.warn(`[Analyzer] Job match could not read ${name}, using basic data`, error);
+      }
+    }
+    
+    return data;
+  }
+  
   /**
    * Calculate completeness score
    */
   async calculateCompleteness(extractedData) {
     try {
       if (typeof ProfileCompletenessCalculator !== 'undefined') {
-        const calculator = new ProfileCompletenessCalculator();
+        // Weights follow the target role preset or the user's custom weights
+        const calculator = new ProfileCompletenessCalculator(this.settings || {});
         
         // Debug logging to see what data is being passed
         
         const result = calculator.calculate(extractedData);
         Logger.info('[Analyzer] Completeness calculated:', {
           score: result?.score,
+          preset: result?.preset,
           recommendationsCount: result?.recommendations?.length
         });
         return result;
@@ -13633,7 +16365,10 @@ class Analyzer {
    */
   async runDistributedAIAnalysis(extractedData) {
     const startTime = Date.now();
-    Logger.info('[Analyzer] Starting distributed AI analysis (Sequential Mode)', {
+    // Groups this run's provider calls in the usage ledger
+    this.analysisId = `${this.profileId}-${startTime}`;
+    this.promptsConfirmed = false;
+    Logger.info('[Analyzer] Starting distributed AI analysis', {
       sections: Object.keys(extractedData).filter(k => extractedData[k]?.exists),
       timestamp: new Date().toISOString(),
       experienceData: extractedData?.experience,
@@ -13678,6 +16413,8 @@ class Analyzer {
     const sectionResults = {};
     const sectionRecommendations = {};
     const sections = [];
+    let visuals = null;
+    let firstImpressionData = null;
     
     // Build list of sections to analyze
     // [CRITICAL_PATH:FIRST_IMPRESSION_EXTRACTION] - P0: Extract all first impression data
@@ -13689,7 +16426,7 @@ class Analyzer {
         photoKeys: Object.keys(extractedData.photo || {})
       });
       
-      const firstImpressionData = FirstImpressionAnalyzer.buildFirstImpressionData(extractedData);
+      firstImpressionData = FirstImpressionAnalyzer.buildFirstImpressionData(extractedData);
       
       Logger.info('[Analyzer] Built first impression data:', {
         hasHeadline: !!firstImpressionData.headline,
@@ -13736,6 +16473,8 @@ class Analyzer {
     }
     
     // 2. Experience Roles
+    // Roles read by deep extraction, also shared with every prompt through the profile context
+    let deepExperiences = null;
     // Check if experience exists and has count > 0
     if (extractedData.experience?.exists && extractedData.experience?.count > 0) {
       // Need to run extractDeep to get individual experiences for AI analysis
@@ -13772,6 +16511,8 @@ class Analyzer {
           });
           
           if (deepExperienceData.experiences && deepExperienceData.experiences.length > 0) {
+            deepExperiences = deepExperienceData.experiences;
+            
             // First, add overall experience section for high-level analysis
             sections.push({
               type: 'experience_overall',
@@ -14002,15 +16743,113 @@ class Analyzer {
     }
     
     const totalSections = sections.length;
-    Logger.info(`[Analyzer] Will analyze ${totalSections} sections sequentially`);
+    Logger.info(`[Analyzer] Will analyze ${totalSections} sections, ${this.getAnalysisConcurrency()} at a time`);
+    
+    // Sections whose content was unchanged and reused vs. sent to the provider again
+    const differential = { reused: [], rescored: [] };
+    // Inputs of sections that failed, so they can be retried on their own later
+    const failedSections = {};
+    
+    // Built after deep extraction so the shared prompt prefix carries every role
+    this.profileContext = this.buildProfileContext(deepExperiences ? {
+      ...extractedData,
+      experience: { ...extractedData.experience, experiences: deepExperiences }
+    } : extractedData);
     
     // Track consecutive failures for early exit
     let consecutiveFailures = 0;
     const MAX_CONSECUTIVE_FAILURES = 2;
     
-    // Analyze sections sequentially
-    for (let i = 0; i < sections.length; i++) {
-      const section = sections[i];
+    // Checkpoint every finished section so an interrupted run can resume where it stopped
+    const contentHash = this.cacheManager.generateHash(extractedData, this.settings);
+    // The user may already have chosen to resume before the cached analysis was shown
+    const resumeFrom = this.acceptedResume || await this.getResumableCheckpoint(contentHash);
+    this.acceptedResume = null;
+    this.checkpoint = {
+      runId: this.analysisId,
+      resumedFrom: resumeFrom?.runId || null,
+      status: 'running',
+      contentHash,
+      total: sections.length,
+      completed: resumeFrom?.completed || {},
+      startedAt: startTime
+    };
+    await this.cacheManager.saveCheckpoint(this.profileId, this.checkpoint);
+    
+    // Show every prompt and its estimated cost before anything is sent to the provider
+    if (this.settings.confirmBeforeAnalysis !== false) {
+      const pending = sections
+        .map((section, index) => ({ ...section, key: this.getSectionKey(section, index) }))
+        .filter(section => !this.checkpoint.completed[section.key]);
+      const confirmed = await this.confirmPromptPreview(pending, extractedData);
+      if (!confirmed) {
+        return await this.saveCancelledRun(sections, sectionResults);
+      }
+    }
+    this.promptsConfirmed = true;
+    
+    // Photo and banner are rated by vision AI when the model supports it, otherwise locally
+    if (firstImpressionData) {
+      try {
+        visuals = await FirstImpressionAnalyzer.analyzeVisuals(extractedData, {
+          visionEnabled: !!this.settings.enableAI,
+          profileId: this.profileId,
+          headline: extractedData.headline?.text || '',
+          targetRole: this.settings.targetRole
+        });
+        firstImpressionData.visuals = visuals;
+      } catch (error) {
+        Logger.warn('[Analyzer] Visual assessment failed, continuing without it', error);
+      }
+    }
+    
+    // Single-call strategy: every section the checkpoint doesn't cover goes out in one request,
+    // and the loop below only files the answers
+    let combinedResults = null;
+    if (this.settings.analysisStrategy === 'single') {
+      const pending = sections
+        .map((section, index) => ({ ...section, key: this.getSectionKey(section, index) }))
+        .filter(section => !this.checkpoint.completed[section.key]);
+      
+      combinedResults = {};
+      if (pending.length > 0) {
+        OverlayManager.updateAIProgress('analyzing', `${pending.length} sections in one request`);
+        const combined = await this.analyzeCombined(pending);
+        
+        if (!combined.success) {
+          if (this.cancelled || combined.errorType === 'CANCELLED') {
+            return await this.saveCancelledRun(sections, sectionResults);
+          }
+          return {
+            success: false,
+            error: combined.error,
+            errorType: combined.errorType,
+            retryAfter: combined.retryAfter,
+            partialResults: sectionResults
+          };
+        }
+        combinedResults = combined.results || {};
+      }
+    }
+    
+    // Analyze sections through a bounded pool, applying each result as soon as it arrives
+    // Once the run has to stop, workers finish their current section and pick up no more
+    const concurrency = this.getAnalysisConcurrency();
+    // The first section goes out alone so the rest can be served its cached prompt prefix,
+    // which only pays off when the prefix is long enough for the provider to cache
+    const warmPrefix = !combinedResults && concurrency > 1 && await this.isPromptPrefixCacheable();
+    const unfinished = new Set(sections.map((section, index) => index));
+    // Roles finish in any order, so remember each one's position in the profile
+    const roleOrder = new Map();
+    let stop = null;
+    
+    // The first section goes out alone: providers only serve the cached shared prefix
+    // to requests sent after one using it has been answered
+    await this.runWithConcurrency(sections, concurrency, async (section, i) => {
+      if (stop || this.cancelled) {
+        return;
+      }
+      
       const stepNumber = i + 1;
       const sectionStartTime = Date.now();
       
@@ -14033,29 +16872,71 @@ class Analyzer {
         const dataSize = JSON.stringify(section.data).length;
         Logger.info(`[AI Analysis] Data size for ${section.name}: ${dataSize} bytes`);
         
-        // Analyze the section with 30-second timeout
-        const result = await Promise.race([
-          this.analyzeSection(section.type, section.data, section.context),
-          new Promise((resolve) => 
-            setTimeout(() => resolve({ success: false, error: 'Section analysis timeout (30s)' }), 30000)
-          )
+        // Analyze the section, timing out after 30 seconds without progress
+        // Streamed chunks re-arm the timer so long responses from slow models can finish
+        let idleTimer = null;
+        let resolveTimeout;
+        const idleTimeout = new Promise((resolve) => { resolveTimeout = resolve; });
+        const armIdleTimer = () => {
+          clearTimeout(idleTimer);
+          idleTimer = setTimeout(() => resolveTimeout({ success: false, error: 'Section analysis timeout (30s)' }), 30000);
+        };
+        
+        // Sections an interrupted run already finished come straight from its checkpoint
+        const checkpointKey = this.getSectionKey(section, i);
+        const checkpointed = this.checkpoint.completed[checkpointKey];
+        if (!checkpointed && !combinedResults) {
+          armIdleTimer();
+        }
+        
+        const result = checkpointed ? { ...checkpointed, resumed: true } : combinedResults ? (
+          combinedResults[checkpointKey] ? this.toSectionResult(section.type, combinedResults[checkpointKey]) :
+            { success: false, error: 'Section missing from the combined response' }
+        ) : await Promise.race([
+          this.analyzeSection(section.type, section.data, section.context, (partialText) => {
+            armIdleTimer();
+            OverlayManager.updateAIProgress('streaming', displayName, partialText);
+          }),
+          idleTimeout
         ]);
+        clearTimeout(idleTimer);
         
         // Log completion
         const sectionElapsed = Date.now() - sectionStartTime;
         Logger.info(`[AI Analysis] Completed ${section.name} in ${sectionElapsed}ms - Score: ${result.score || 'N/A'}`);
         
+        // A section aborted mid-request counts as cancelled, not failed
+        if (!result.success && (this.cancelled || result.errorType === 'CANCELLED')) {
+          stop = stop || { cancelled: true };
+          return;
+        }
+        
         if (result.success) {
           consecutiveFailures = 0; // Reset on success
+          unfinished.delete(i);
+          if (!checkpointed) {
+            this.checkpoint.completed[checkpointKey] = { ...result };
+            await this.cacheManager.saveCheckpoint(this.profileId, this.checkpoint);
+          }
+          if (result.answeredBy?.fallback) {
+            Logger.info(`[AI Analysis] ${section.name} answered by fallback ${result.answeredBy.provider}:${result.answeredBy.model}`);
+          }
+          (result.reused || result.resumed ? differential.reused : differential.rescored).push(displayName);
           // Handle multiple experience roles
           if (section.type === 'experience_role') {
             if (!sectionResults.experience_roles) {
               sectionResults.experience_roles = [];
+            }
+            if (!sectionRecommendations.experience_roles) {
               sectionRecommendations.experience_roles = [];
             }
             sectionResults.experience_roles.push(result);
+            roleOrder.set(result, i);
             sectionRecommendations.experience_roles.push(...(result.recommendations || []));
           } else {
+            if (section.type === 'first_impression') {
+              this.applyVisualScores(result, visuals);
+            }
             sectionResults[section.type] = result;
             sectionRecommendations[section.type] = result.recommendations || [];
           }
@@ -14069,41 +16950,42 @@ class Analyzer {
             (result.error || 'Unknown error');
           Logger.warn(`[AI Analysis] Failed to analyze ${section.name}: ${errorMessage}`);
           
+          // Budget cap blocks every remaining section, so stop right away
+          if (result.errorType === 'BUDGET') {
+            stop = stop || {
+              success: false,
+              error: errorMessage,
+              errorType: 'BUDGET',
+              partialResults: sectionResults
+            };
+            return;
+          }
+          
+          // So does a provider-imposed wait; pass it on so the overlay can count it down
+          if (result.errorType === 'RATE_LIMIT' && result.retryAfter) {
+            stop = stop || {
+              success: false,
+              error: `Rate limit reached. Please wait ${result.retryAfter} seconds.`,
+              errorType: 'RATE_LIMIT',
+              retryAfter: result.retryAfter,
+              partialResults: sectionResults
+            };
+            return;
+          }
+          
+          roleOrder.set(this.addFailedSection(section, checkpointKey, result, sectionResults, failedSections), i);
+          unfinished.delete(i);
           consecutiveFailures++;
           
           // Check for early exit condition
           if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
             Logger.error(`[AI Analysis] ${consecutiveFailures} consecutive failures - stopping analysis`);
-            
-            // Use enhanced error recovery with central state restoration
-            Logger.info('[AI Analysis] Network failures detected - attempting cache recovery');
-            
-            try {
-              const recovered = await OverlayManager.restoreAppropriateState(this.profileId, {
-                isErrorFallback: true,
-                error: 'Network connection lost',
-                message: 'Connection lost during AI analysis. Showing cached results.'
-              });
-              
-              if (recovered) {
-                // Cache was restored, return success with cache flag
-                return { 
-                  success: true, 
-                  fromCache: true, 
-                  networkError: true,
-                  partialResults: sectionResults 
-                };
-              }
-            } catch (recoveryError) {
-              Logger.error('[AI Analysis] Cache recovery failed:', recoveryError);
-            }
-            
-            // Return failure with network error indication
-            return {
-              success: false,
-              error: 'Network connection lost - analysis stopped',
-              errorType: 'NETWORK',
-              partialResults: sectionResults
+            stop = stop || {
+              repeatedFailures: true,
+              error: 'Network connection lost',
+              message: 'Connection lost during AI analysis. Showing cached results.',
+              flag: 'networkError',
+              stoppedError: 'Network connection lost - analysis stopped'
             };
           }
         }
@@ -14115,38 +16997,63 @@ class Analyzer {
         // Check for early exit on exception
         if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
           Logger.error(`[AI Analysis] ${consecutiveFailures} consecutive errors - stopping analysis`);
-          
-          // Use enhanced error recovery with central state restoration
-          Logger.info('[AI Analysis] Multiple errors detected - attempting cache recovery');
-          
-          try {
-            const recovered = await OverlayManager.restoreAppropriateState(this.profileId, {
-              isErrorFallback: true,
-              error: 'Multiple errors occurred',
-              message: 'Multiple errors during AI analysis. Showing cached results.'
-            });
-            
-            if (recovered) {
-              // Cache was restored, return success with cache flag
-              return { 
-                success: true, 
-                fromCache: true, 
-                multipleErrors: true,
-                partialResults: sectionResults 
-              };
-            }
-          } catch (recoveryError) {
-            Logger.error('[AI Analysis] Cache recovery failed:', recoveryError);
-          }
-          
-          return {
-            success: false,
-            error: 'Multiple errors occurred - analysis stopped',
-            errorType: 'NETWORK',
-            partialResults: sectionResults
+          stop = stop || {
+            repeatedFailures: true,
+            error: 'Multiple errors occurred',
+            message: 'Multiple errors during AI analysis. Showing cached results.',
+            flag: 'multipleErrors',
+            stoppedError: 'Multiple errors occurred - analysis stopped'
+          };
+        }
+      }
+    }, { leadAlone: warmPrefix });
+    
+    // Put roles back in profile order now that all of them are in
+    if (sectionResults.experience_roles) {
+      sectionResults.experience_roles.sort((a, b) => roleOrder.get(a) - roleOrder.get(b));
+    }
+    if (sectionRecommendations.experience_roles) {
+      sectionRecommendations.experience_roles = sectionResults.experience_roles.flatMap(role => role.recommendations || []);
+    }
+    
+    if (this.cancelled || stop?.cancelled) {
+      return await this.saveCancelledRun(sections.filter((section, index) => unfinished.has(index)), sectionResults);
+    }
+    
+    // Repeated failures usually mean the connection dropped, so fall back to the cached analysis
+    if (stop?.repeatedFailures) {
+      Logger.info('[AI Analysis] Repeated failures - attempting cache recovery');
+      
+      try {
+        const recovered = await OverlayManager.restoreAppropriateState(this.profileId, {
+          isErrorFallback: true,
+          error: stop.error,
+          message: stop.message
+        });
+        
+        if (recovered) {
+          // Cache was restored, return success with cache flag
+          return { 
+            success: true, 
+            fromCache: true, 
+            [stop.flag]: true,
+            partialResults: sectionResults 
           };
         }
+      } catch (recoveryError) {
+        Logger.error('[AI Analysis] Cache recovery failed:', recoveryError);
       }
+      
+      return {
+        success: false,
+        error: stop.stoppedError,
+        errorType: 'NETWORK',
+        partialResults: sectionResults
+      };
+    }
+    
+    if (stop) {
+      return stop;
     }
     
     // 5. Synthesize all results
@@ -14155,6 +17062,14 @@ class Analyzer {
     
     const synthesisStartTime = Date.now();
     const synthesis = await this.synthesizeResults(sectionResults, sectionRecommendations);
+    if (synthesis) {
+      synthesis.differential = differential;
+      synthesis.failedSections = failedSections;
+    }
+    if (synthesis?.success) {
+      await this.cacheManager.clearCheckpoint(this.profileId);
+      this.checkpoint = null;
+    }
     
     const synthesisElapsed = Date.now() - synthesisStartTime;
     const totalElapsed = Date.now() - startTime;
@@ -14173,51 +17088,185 @@ class Analyzer {
     return synthesis;
   }
   
+  /**
+   * Ask the service worker whether this run's shared prompt prefix is long enough
+   * for providers to cache
+   * @returns {Promise<boolean>}
+   */
+  isPromptPrefixCacheable() {
+    return new Promise(resolve => {
+      safeSendMessage({
+        action: 'checkPromptCache',
+        settings: this.settings,
+        profileContext: this.profileContext
+      }, response => resolve(!!response?.cacheable));
+    });
+  }
+  
   /**
    * Analyze individual section
+   * Streams over a long-lived port when available so partial text can be shown,
+   * falling back to a one-shot message otherwise
+   * @param {string} sectionType - Section type sent to the service worker
+   * @param {Object} data - Section data
+   * @param {Object} context - Extra prompt context
+   * @param {Function} onPartial - Called with the accumulated response text as it streams
+   */
+  async analyzeSection(sectionType, data, context = {}, onPartial = null) {
+    const message = {
+      action: 'analyzeSection',
+      section: sectionType,
+      data: data,
+      context: context,
+      settings: this.settings,
+      profileContext: this.profileContext,
+      profileId: this.profileId,
+      analysisId: this.analysisId
+    };
+    
+    return new Promise((resolve) => {
+      const handleResponse = (response) => resolve(this.toSectionResult(sectionType, response));
+      
+      if (!onPartial || !safeChrome() || typeof chrome.runtime.connect !== 'function') {
+        safeSendMessage(message, handleResponse);
+        return;
+      }
+      
+      this.streamSection(message, onPartial, handleResponse);
+    });
+  }
+  
+  /**
+   * Convert a service worker section response into the result the analysis loop files
+   * @param {string} sectionType - Section type that was analyzed
+   * @param {Object} response - analyzeSection response (or one entry of an analyzeCombined response)
+   * @returns {Object} Section result
+   */
+  toSectionResult(sectionType, response) {
+    if (response && response.success) {
+      return {
+        success: true,
+        section: sectionType,
+        score: response.score,
+        analysis: response.analysis,
+        recommendations: response.recommendations,
+        insights: response.insights,
+        // Include all AI analysis fields
+        positiveInsight: response.insight,
+        strengths: response.strengths,
+        improvements: response.improvements,
+        actionItems: response.actionItems,
+        specificFeedback: response.specificFeedback,
+        reused: !!response.reused,
+        // Provider and model that answered, which may be a fallback
+        answeredBy: response.answeredBy || null
+      };
+    }
+    
+    // Ensure error is always a string
+    let errorMessage = 'Section analysis failed';
+    if (response?.error) {
+      errorMessage = typeof response.error === 'object' ? 
+        JSON.stringify(response.error) : 
+        String(response.error);
+    }
+    return {
+      success: false,
+      section: sectionType,
+      error: errorMessage,
+      errorType: response?.errorType,
+      retryAfter: response?.retryAfter
+    };
+  }
+  
+  /**
+   * Analyze several sections in one provider request (single-call strategy)
+   * @param {Array<Object>} pending - Sections with their checkpoint key ({ key, type, name, data, context })
+   * @returns {Promise<Object>} { success, results } with service worker responses keyed by section key
    */
-  async analyzeSection(sectionType, data, context = {}) {
+  async analyzeCombined(pending) {
     return new Promise((resolve) => {
       safeSendMessage({
-        action: 'analyzeSection',
-        section: sectionType,
-        data: data,
-        context: context,
-        settings: this.settings
+        action: 'analyzeCombined',
+        sections: pending.map(({ key, type, data, context }) => ({ key, type, data, context })),
+        settings: this.settings,
+        profileContext: this.profileContext,
+        profileId: this.profileId,
+        analysisId: this.analysisId
       }, (response) => {
-        if (response && response.success) {
-          resolve({
-            success: true,
-            section: sectionType,
-            score: response.score,
-            analysis: response.analysis,
-            recommendations: response.recommendations,
-            insights: response.insights,
-            // Include all AI analysis fields
-            positiveInsight: response.insight,
-            strengths: response.strengths,
-            improvements: response.improvements,
-            actionItems: response.actionItems,
-            specificFeedback: response.specificFeedback
-          });
-        } else {
-          // Ensure error is always a string
-          let errorMessage = 'Section analysis failed';
-          if (response?.error) {
-            errorMessage = typeof response.error === 'object' ? 
-              JSON.stringify(response.error) : 
-              String(response.error);
-          }
-          resolve({
-            success: false,
-            section: sectionType,
-            error: errorMessage
-          });
-        }
+        resolve(response || { success: false, error: 'No response from service worker' });
       });
     });
   }
   
+  /**
+   * Key identifying a section within a run, shared by checkpoints and retries
+   * @param {Object} section - Entry from the distributed section list
+   * @param {number} index - Position in the section list
+   * @returns {string} Section key
+   */
+  getSectionKey(section, index) {
+    return section.type === 'experience_role'
+      ? `experience_role_${section.context?.position ?? index}`
+      : section.type;
+  }
+  
+  /**
+   * Send a section analysis request over the streaming port
+   * @param {Object} message - analyzeSection request
+   * @param {Function} onPartial - Receives accumulated response text
+   * @param {Function} onResult - Receives the final response (null if the port dropped)
+   */
+  streamSection(message, onPartial, onResult) {
+    const requestId = `${message.section}-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    let port;
+    let settled = false;
+    
+    const finish = (response) => {
+      if (settled) return;
+      settled = true;
+      try {
+        port?.disconnect();
+      } catch (e) {
+        // Port already closed
+      }
+      onResult(response);
+    };
+    
+    try {
+      port = chrome.runtime.connect({ name: 'elevateli-analysis' });
+    } catch (error) {
+      Logger.warn('[Analyzer] Streaming port unavailable, using one-shot message:', error.message);
+      safeSendMessage(message, onResult);
+      return;
+    }
+    
+    port.onMessage.addListener((msg) => {
+      if (!msg || msg.requestId !== requestId) return;
+      
+      if (msg.type === 'chunk') {
+        try {
+          onPartial(msg.text);
+        } catch (error) {
+          Logger.warn('[Analyzer] Partial update failed:', error.message);
+        }
+      } else if (msg.type === 'result') {
+        finish(msg.response);
+      }
+    });
+    
+    port.onDisconnect.addListener(() => {
+      // Reading lastError keeps Chrome from logging an unchecked error
+      const lastError = chrome.runtime.lastError;
+      if (!settled) {
+        Logger.warn('[Analyzer] Streaming port closed before result', lastError?.message);
+        finish({ success: false, error: 'Connection to service worker lost' });
+      }
+    });
+    
+    port.postMessage({ ...message, requestId });
+  }
+  
   /**
    * Synthesize all section results
    */
@@ -14301,6 +17350,345 @@ class Analyzer {
     });
   }
   
+  /**
+   * Fold photo and banner ratings into the first impression score
+   * @param {Object} result - Successful first impression result, updated in place
+   * @param {Object} visuals - Visual assessment from FirstImpressionAnalyzer
+   */
+  applyVisualScores(result, visuals) {
+    if (!visuals || typeof result.score !== 'number') return;
+    
+    result.headlineScore = result.score;
+    result.score = FirstImpressionAnalyzer.calculateUnifiedScore({
+      headline: result.score,
+      photo: visuals.photo?.score,
+      banner: visuals.banner?.score
+    });
+    result.visualAssessment = visuals;
+  }
+  
+  /**
+   * Stand in for a failed section so it still renders, and keep its input for a retry
+   * @param {Object} section - Entry from the distributed section list
+   * @param {string} key - Checkpoint key of the section
+   * @param {Object} result - Failed analyzeSection result
+   * @param {Object} sectionResults - Results collected so far
+   * @param {Object} failedSections - Retry inputs keyed by section key
+   * @returns {Object} The placeholder that stands in for the section
+   */
+  addFailedSection(section, key, result, sectionResults, failedSections) {
+    const placeholder = {
+      exists: true,
+      score: null,
+      errorType: result.errorType || 'ANALYSIS_FAILED',
+      feedback: 'Unable to analyze this section.',
+      actionItems: [],
+      retryKey: key
+    };
+    
+    if (section.type === 'experience_role') {
+      placeholder.analysis = {
+        title: section.data?.title || 'Role',
+        company: section.data?.company || ''
+      };
+      if (!sectionResults.experience_roles) {
+        sectionResults.experience_roles = [];
+      }
+      sectionResults.experience_roles.push(placeholder);
+    } else {
+      sectionResults[section.type] = placeholder;
+    }
+    
+    failedSections[key] = {
+      type: section.type,
+      name: section.name,
+      data: section.data,
+      context: section.context || {}
+    };
+    return placeholder;
+  }
+  
+  /**
+   * Re-analyze only the sections that failed in the cached analysis, merge the new
+   * results in and re-run synthesis instead of refreshing the whole profile
+   * @param {Array<string>} keys - Keys of the sections to retry, all failed sections when empty
+   * @returns {Object} { success, retried, stillFailed }
+   */
+  async retryFailedSections(keys = []) {
+    const cachedData = await this.cacheManager.get(this.profileId);
+    const failedSections = { ...(cachedData?.failedSections || {}) };
+    const targets = (keys.length > 0 ? keys : Object.keys(failedSections))
+      .filter(key => failedSections[key]);
+    
+    if (!cachedData || targets.length === 0) {
+      Logger.warn('[Analyzer] No failed sections to retry', { keys });
+      OverlayManager.showToast('Nothing to retry - refresh the analysis instead', 'error');
+      return { success: false, error: 'No failed sections to retry' };
+    }
+    
+    this.cancelled = false;
+    this.analysisId = `${this.profileId}-${Date.now()}`;
+    this.profileContext = this.profileContext || this.buildProfileContext(cachedData.extractedData || {});
+    Logger.info(`[Analyzer] Retrying ${targets.length} failed sections`, { targets });
+    OverlayManager.setState(OverlayManager.states.AI_ANALYZING);
+    
+    // Retries send profile data too, so they need the same confirmation as a full run
+    if (this.settings.confirmBeforeAnalysis !== false) {
+      const confirmed = await this.confirmPromptPreview(targets.map(key => ({ key, ...failedSections[key] })));
+      if (!confirmed) {
+        Logger.info('[Analyzer] Retry not confirmed, nothing sent');
+        return { success: false, cancelled: true };
+      }
+    }
+    
+    const sectionScores = { ...(cachedData.sectionScores || {}) };
+    if (sectionScores.experience_roles) {
+      sectionScores.experience_roles = [...sectionScores.experience_roles];
+    }
+    const retried = [];
+    
+    for (const key of targets) {
+      if (this.cancelled) break;
+      
+      const section = failedSections[key];
+      OverlayManager.updateAIProgress('analyzing', section.name);
+      const result = await this.analyzeSection(section.type, section.data, section.context, (partialText) => {
+        OverlayManager.updateAIProgress('streaming', section.name, partialText);
+      });
+      
+      if (!result.success) {
+        Logger.warn(`[Analyzer] Retry of ${section.name} failed: ${result.error || 'Unknown error'}`);
+        continue;
+      }
+      
+      if (section.type === 'experience_role') {
+        const index = (sectionScores.experience_roles || []).findIndex(role => role.retryKey === key);
+        if (index >= 0) {
+          sectionScores.experience_roles[index] = result;
+        } else {
+          sectionScores.experience_roles = [...(sectionScores.experience_roles || []), result];
+        }
+      } else {
+        if (section.type === 'first_impression') {
+          this.applyVisualScores(result, section.data?.visuals);
+        }
+        sectionScores[section.type] = result;
+      }
+      delete failedSections[key];
+      retried.push(section.name);
+    }
+    
+    const stillFailed = targets.filter(key => failedSections[key]);
+    if (retried.length === 0) {
+      OverlayManager.setState(OverlayManager.states.COMPLETE, { ...cachedData, fromCache: true });
+      OverlayManager.showToast('Retry failed - please try again in a few minutes', 'error');
+      return { success: false, retried, stillFailed };
+    }
+    
+    // Synthesis reads recommendations per section, so rebuild them from the merged scores
+    const sectionRecommendations = {};
+    Object.entries(sectionScores).forEach(([type, result]) => {
+      sectionRecommendations[type] = Array.isArray(result)
+        ? result.flatMap(role => role.recommendations || [])
+        : (result?.recommendations || []);
+    });
+    
+    OverlayManager.updateAIProgress('synthesizing', 'Synthesizing results...');
+    const synthesis = await this.synthesizeResults(sectionScores, sectionRecommendations);
+    
+    const { extractedData, contentHash, sectionHashes, timestamp, version, ...analysisData } = cachedData;
+    const merged = {
+      ...analysisData,
+      contentScore: synthesis.score,
+      recommendations: synthesis.recommendations,
+      insights: synthesis.insights,
+      sectionScores: synthesis.sectionScores || sectionScores,
+      failedSections,
+      differential: null
+    };
+    
+    // Retried sections complete the same analysis, so its history point is updated rather than duplicated
+    await this.cacheManager.save(this.profileId, merged, extractedData, this.settings, { replaceLatestSnapshot: true });
+    OverlayManager.setState(OverlayManager.states.COMPLETE, {
+      ...merged,
+      extractedData,
+      fromCache: false,
+      aiDisabled: false
+    });
+    
+    Logger.info('[Analyzer] Retried failed sections', { retried, stillFailed });
+    return { success: true, retried, stillFailed };
+  }
+  
+  /**
+   * Cancel the running analysis: stop the section loop and abort the run's pending provider calls
+   */
+  cancel() {
+    if (this.cancelled) return;
+    this.cancelled = true;
+    Logger.info(`[Analyzer] Cancelling analysis run ${this.analysisId}`);
+    
+    if (this.analysisId) {
+      safeSendMessage({ action: 'cancelAnalysis', analysisId: this.analysisId }, () => {});
+    }
+  }
+  
+  /**
+   * Offer to resume an interrupted run whose profile content hasn't changed since
+   * @param {string} contentHash - Hash of the freshly extracted profile
+   * @returns {Promise<Object|null>} Checkpoint to resume from, or null to start over
+   */
+  async getResumableCheckpoint(contentHash) {
+    const checkpoint = await this.cacheManager.getCheckpoint(this.profileId);
+    const completedCount = Object.keys(checkpoint?.completed || {}).length;
+    if (!checkpoint || completedCount === 0) {
+      return null;
+    }
+    
+    // Finished sections only carry over when they were scored against the same content and settings
+    if (checkpoint.contentHash !== contentHash) {
+      Logger.info('[Analyzer] Profile changed since the interrupted run, starting over');
+      await this.cacheManager.clearCheckpoint(this.profileId);
+      return null;
+    }
+    
+    const resume = await this.waitForUser(OverlayManager.promptResume(completedCount, checkpoint.total));
+    Logger.info(`[Analyzer] Interrupted run ${checkpoint.runId}: ${resume ? 'resuming' : 'starting over'}`, {
+      completed: completedCount,
+      total: checkpoint.total
+    });
+    if (!resume) {
+      await this.cacheManager.clearCheckpoint(this.profileId);
+      return null;
+    }
+    return checkpoint;
+  }
+  
+  /**
+   * Photo and banner requests the vision check would send
+   * @param {Object} extractedData - Extractor output
+   * @returns {Array<Object>} { analysisType, context } per image
+   */
+  getVisionTargets(extractedData) {
+    const visionContext = {
+      profileId: this.profileId,
+      headline: extractedData.headline?.text || '',
+      targetRole: this.settings.targetRole
+    };
+    const vision = [];
+    if (extractedData.photo?.photoUrl) {
+      vision.push({ analysisType: 'photo', context: { ...visionContext, analysisType: 'photo' } });
+    }
+    if (extractedData.banner?.isCustomBanner && extractedData.banner.bannerUrl) {
+      vision.push({ analysisType: 'banner', context: { ...visionContext, analysisType: 'banner' } });
+    }
+    return vision;
+  }
+  
+  /**
+   * Build the prompts a run would send and wait for the user to confirm them
+   * @param {Array<Object>} sections - Sections that will be sent ({ key, type, name, data, context })
+   * @param {Object|null} extractedData - Extractor output for the photo and banner checks; null when no images are sent
+   * @returns {Promise<boolean>} True when the user confirmed
+   */
+  async confirmPromptPreview(sections, extractedData = null) {
+    const pending = sections.map(({ key, type, name, data, context }) => ({ key, type, name, data, context }));
+    const vision = extractedData ? this.getVisionTargets(extractedData) : [];
+    
+    const preview = await new Promise((resolve) => {
+      safeSendMessage({
+        action: 'previewPrompts',
+        sections: pending,
+        vision,
+        settings: this.settings,
+        profileContext: this.profileContext,
+        profileId: this.profileId
+      }, resolve);
+    });
+    
+    if (!preview?.success) {
+      // Without a preview there is nothing to confirm, and sending unreviewed prompts is what this step prevents
+      Logger.warn('[Analyzer] Prompt preview unavailable', preview?.error);
+      OverlayManager.showToast(`Couldn't build the prompt preview: ${preview?.error || 'no response'}`, 'error');
+      OverlayManager.handleCancelAnalysis();
+      return false;
+    }
+    
+    const confirmed = await this.waitForUser(OverlayManager.showPromptPreview(preview));
+    Logger.info(`[Analyzer] Prompt preview ${confirmed ? 'confirmed' : 'declined'}`, {
+      requests: preview.totals.requests,
+      inputTokens: preview.totals.inputTokens,
+      cost: preview.totals.cost
+    });
+    return confirmed;
+  }
+  
+  /**
+   * Mark the checkpoint cancelled so a later analysis can resume from what finished
+   * @param {Array<Object>} skippedSections - Sections that never completed
+   * @param {Object} sectionResults - Results gathered before the cancel
+   * @returns {Object} Cancelled analysis result
+   */
+  async saveCancelledRun(skippedSections, sectionResults) {
+    const cancelledSections = skippedSections.map(section => ({
+      type: section.type,
+      name: section.name,
+      status: 'cancelled'
+    }));
+    Logger.info(`[AI Analysis] Run ${this.analysisId} cancelled, ${cancelledSections.length} sections skipped`);
+    
+    await this.cacheManager.saveCheckpoint(this.profileId, {
+      ...this.checkpoint,
+      status: 'cancelled',
+      cancelledSections
+    });
+    
+    return {
+      success: false,
+      cancelled: true,
+      error: 'Analysis cancelled',
+      errorType: 'CANCELLED',
+      cancelledSections,
+      partialResults: sectionResults
+    };
+  }
+
+  /**
+   * Sections sent to the provider at once: the user's setting, else the provider's default
+   * @returns {number} Concurrency limit for the section pool
+   */
+  getAnalysisConcurrency() {
+    const configured = Number(this.settings.analysisConcurrency);
+    if (configured > 0) {
+      return configured;
+    }
+    return ANALYSIS_CONCURRENCY[this.settings.aiProvider] || 2;
+  }
+  
+  /**
+   * Run worker over items with at most `limit` in flight
+   * @param {Array} items - Items to process
+   * @param {number} limit - Maximum concurrent workers
+   * @param {Function} worker - async (item, index) => void
+   * @param {Object} options - { leadAlone } finishes the first item before starting the rest
+   */
+  async runWithConcurrency(items, limit, worker, options = {}) {
+    let next = 0;
+    if (options.leadAlone && items.length > 1) {
+      next = 1;
+      await worker(items[0], 0);
+    }
+    const runner = async () => {
+      while (next < items.length) {
+        const index = next++;
+        await worker(items[index], index);
+      }
+    };
+    
+    const runnerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: runnerCount }, runner));
+  }
+  
   /**
    * Check if an error is retriable (network errors)
    */
@@ -14328,10 +17716,13 @@ class Analyzer {
    * Get error type from error object
    */
   getErrorType(error) {
+    if (error?.errorType) return error.errorType;
     const message = error?.message?.toLowerCase() || '';
+    if (message.includes('429') || message.includes('rate limit')) return 'RATE_LIMIT';
+    if (/api error: 5\d\d/.test(message) || message.includes('overloaded')) return 'SERVICE_UNAVAILABLE';
+    if (message.includes('timeout')) return 'TIMEOUT';
     if (message.includes('network') || message.includes('fetch')) return 'NETWORK';
     if (message.includes('401') || message.includes('403')) return 'AUTH';
-    if (message.includes('rate limit')) return 'RATE_LIMIT';
     return 'UNKNOWN';
   }
 
@@ -14425,13 +17816,23 @@ class Analyzer {
     // Try distributed approach first
     try {
       const distributedResult = await this.runDistributedAIAnalysis(extractedData);
-      if (distributedResult.success) {
+      // The monolithic request would hit the same budget cap or provider wait, and a cancel must not restart the work
+      if (distributedResult.success || distributedResult.cancelled || distributedResult.errorType === 'BUDGET' || distributedResult.retryAfter) {
         return distributedResult;
       }
     } catch (error) {
       Logger.warn('[Analyzer] Distributed analysis failed, falling back to monolithic', error);
     }
     
+    // The monolithic request sends the whole profile too, so it never goes out unreviewed
+    if (this.settings.confirmBeforeAnalysis !== false && !this.promptsConfirmed) {
+      return {
+        success: false,
+        error: 'The prompt preview could not be shown, so nothing was sent',
+        errorType: 'PREVIEW_UNAVAILABLE'
+      };
+    }
+    
     // Fallback to original monolithic approach
     Logger.info('[Analyzer] Using monolithic AI analysis', {
       hasData: !!extractedData,
@@ -14443,7 +17844,9 @@ class Analyzer {
       safeSendMessage({
         action: 'analyzeWithAI',
         data: extractedData,
-        settings: this.settings
+        settings: this.settings,
+        profileContext: this.buildProfileContext(extractedData),
+        analysisId: this.analysisId
       }, (response) => {
         Logger.info('[Analyzer] AI analysis response received', {
           success: response?.success,
@@ -14480,6 +17883,7 @@ class Analyzer {
             error: errorMessage,
             errorType: errorType,
             retryAfter: response?.retryAfter,
+            cancelled: !!response?.cancelled,
             decryptionFailed: response?.decryptionFailed
           });
         }
@@ -14760,7 +18164,7 @@ class Analyzer {
           resolve({});
           return;
         }
-        chrome.storage.local.get(['enableAI', 'apiKey', 'encryptedApiKey', 'aiProvider', 'aiModel', 'targetRole', 'seniorityLevel'], (data) => {
+        chrome.storage.local.get(['enableAI', 'apiKey', 'encryptedApiKey', 'aiProvider', 'aiModel', 'customSupportsVision', 'targetRole', 'seniorityLevel', 'weightPreset', 'customWeights', 'jobMatchEnabled', 'jobDescription', 'analysisStrategy', 'analysisConcurrency', 'confirmBeforeAnalysis'], (data) => {
           if (chrome.runtime.lastError) {
             resolve({});
           } else {
@@ -14781,6 +18185,7 @@ class Analyzer {
     
     // Create analyzer instance with consistent cache profile ID
     const analyzer = new Analyzer();
+    currentAnalyzer = analyzer;
     await analyzer.init(cacheProfileId, isOwn, settings);
     
     // Run analysis
@@ -14795,6 +18200,8 @@ class Analyzer {
   // Track if analysis is in progress
   let analysisInProgress = false;
   let analysisAborted = false;
+  // Running analyzer, so a cancel from the overlay can reach its in-flight requests
+  let currentAnalyzer = null;
   
   window.addEventListener('message', (event) => {
     if (event.source !== window) return;
@@ -14807,6 +18214,11 @@ class Analyzer {
     if (event.data.type === 'ELEVATE_CANCEL_ANALYSIS') {
       analysisAborted = true;
       analysisInProgress = false;
+      currentAnalyzer?.cancel();
+    }
+    
+    if (event.data.type === 'ELEVATE_RETRY_SECTIONS') {
+      currentAnalyzer?.retryFailedSections(event.data.sections || []);
     }
   });
   
@@ -14915,6 +18327,28 @@ class Analyzer {
         return true; // Keep channel open for async response
       }
       
+      if (request.action === 'sectionAnalysisComplete') {
+        OverlayManager.showCompletedSection(request.section, request.analysis || {}, {
+          completed: request.completed,
+          total: request.total
+        });
+        sendResponse({ success: true });
+        return true;
+      }
+      
+      if (request.action === 'captureJobDescription') {
+        JobDescriptionExtractor.extract().then(job => {
+          if (!job.exists) {
+            sendResponse({ success: false, error: job.error });
+            return;
+          }
+          sendResponse({ success: true, job });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      }
+      
       if (request.action === 'getProfileData') {
         const profileId = getProfileIdFromUrl();
         chrome.storage.local.get([`cache_${profileId}`], (data) => {
@@ -18,13 +18,13 @@ const FirstImpressionAnalyzer = {
       weight: 0.3, 
       required: false, 
       extractor: 'photo',
-      description: 'Profile photo existence'
+      description: 'Profile photo quality'
     },
     banner: { 
       weight: 0.2, 
       required: false, 
       extractor: 'banner',
-      description: 'Background banner customization'
+      description: 'Background banner quality and relevance'
     },
     openToWork: { 
       weight: 0.1, 
@@ -45,7 +45,8 @@ const FirstImpressionAnalyzer = {
       headlineCharCount: extractedData.headline?.charCount || 0,
       photo: {
         exists: extractedData.photo?.exists || false,
-        hasPhoto: extractedData.photo?.exists || false
+        hasPhoto: extractedData.photo?.exists || false,
+        url: extractedData.photo?.photoUrl || null
       },
       banner: {
         exists: extractedData.banner?.exists || false,
@@ -171,8 +172,6 @@ const FirstImpressionAnalyzer = {
     
     if (!config) return false;
     
-    // Vision AI no longer used
-    
     // Check if element exists
     switch (element) {
       case 'headline':
@@ -188,6 +187,172 @@ const FirstImpressionAnalyzer = {
     }
   },
   
+  /**
+   * Assess photo and banner, with vision AI when available and locally otherwise
+   * Results never include image data so they are safe to cache
+   * @param {Object} extractedData - Extractor output with photo and banner
+   * @param {Object} options - { visionEnabled, profileId, headline, targetRole }
+   * @returns {Promise<Object>} { photo, banner } assessments with score 0-10
+   */
+  async analyzeVisuals(extractedData, options = {}) {
+    const visuals = {};
+    const targets = {
+      photo: { data: extractedData.photo, url: extractedData.photo?.photoUrl },
+      banner: { data: extractedData.banner, url: extractedData.banner?.isCustomBanner ? extractedData.banner.bannerUrl : null }
+    };
+    
+    for (const [element, { data, url }] of Object.entries(targets)) {
+      const image = url ? await BaseExtractor.captureImage(url) : null;
+      const local = element === 'photo'
+        ? this.assessPhotoLocally(data, image)
+        : this.assessBannerLocally(data, image);
+      
+      const vision = options.visionEnabled && image?.dataUrl
+        ? await this.requestVisionAnalysis(element, image.dataUrl, options)
+        : null;
+      
+      visuals[element] = vision && typeof vision.score === 'number'
+        ? { ...vision, resolution: local.resolution, source: 'vision' }
+        : local;
+    }
+    
+    Logger.info('[FirstImpressionAnalyzer] Visual assessment complete', {
+      photo: visuals.photo && `${visuals.photo.score} (${visuals.photo.source})`,
+      banner: visuals.banner && `${visuals.banner.score} (${visuals.banner.source})`
+    });
+    
+    return visuals;
+  },
+  
+  /**
+   * Ask the service worker for a vision assessment of one image
+   * @returns {Promise<Object|null>} Vision result, or null to fall back to local checks
+   */
+  requestVisionAnalysis(element, imageData, options) {
+    return new Promise(resolve => {
+      if (!chrome?.runtime?.id) {
+        resolve(null);
+        return;
+      }
+      
+      chrome.runtime.sendMessage({
+        action: 'analyzeVision',
+        imageData,
+        context: {
+          analysisType: element,
+          profileId: options.profileId,
+          headline: options.headline || '',
+          targetRole: options.targetRole
+        }
+      }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          Logger.info(`[FirstImpressionAnalyzer] Vision unavailable for ${element}, using local checks`, response?.error);
+          resolve(null);
+          return;
+        }
+        resolve(response.result);
+      });
+    });
+  },
+  
+  /**
+   * Local photo checks: presence, resolution and aspect ratio
+   * @param {Object} photo - Photo extractor data
+   * @param {Object|null} image - Captured image with width/height
+   * @returns {Object} Assessment with score 0-10
+   */
+  assessPhotoLocally(photo, image) {
+    if (!photo?.exists) {
+      return {
+        score: 0,
+        source: 'local',
+        resolution: null,
+        positive: '',
+        improvements: [{ text: 'Add a professional photo', why: 'Profiles with photos get 21x more views' }]
+      };
+    }
+    
+    const width = image?.width || photo.width || null;
+    const height = image?.height || photo.height || null;
+    const improvements = [];
+    let score = 7; // Present but unjudged - vision AI is needed to rate quality
+    
+    if (width && height) {
+      if (Math.min(width, height) < 200) {
+        score -= 2;
+        improvements.push({
+          text: 'Upload a higher-resolution photo (at least 400×400)',
+          why: 'Low-resolution photos look blurry in search results'
+        });
+      }
+      if (Math.max(width, height) / Math.min(width, height) > 1.25) {
+        score -= 1;
+        improvements.push({
+          text: 'Use a square crop centered on your face',
+          why: 'LinkedIn crops photos to a circle'
+        });
+      }
+    }
+    
+    return {
+      score,
+      source: 'local',
+      resolution: width && height ? { width, height } : null,
+      positive: improvements.length === 0 ? 'Profile photo is present' : '',
+      improvements
+    };
+  },
+  
+  /**
+   * Local banner checks: default banner detection, resolution and aspect ratio
+   * @param {Object} banner - Banner extractor data
+   * @param {Object|null} image - Captured image with width/height
+   * @returns {Object} Assessment with score 0-10
+   */
+  assessBannerLocally(banner, image) {
+    if (!banner?.isCustomBanner) {
+      return {
+        score: 5, // Default banner is common - neutral rather than a penalty
+        source: 'local',
+        resolution: null,
+        positive: '',
+        improvements: [{ text: 'Add a custom background banner', why: 'Showcase your brand and stand out' }]
+      };
+    }
+    
+    const { width: minWidth, height: minHeight } = BannerExtractor.recommendedSize;
+    const width = image?.width || banner.width || null;
+    const height = image?.height || banner.height || null;
+    const improvements = [];
+    let score = 8;
+    
+    if (width && height) {
+      if (width < minWidth / 2 || height < minHeight / 2) {
+        score -= 3;
+        improvements.push({
+          text: `Upload a sharper banner (${minWidth}×${minHeight} recommended)`,
+          why: 'Low-resolution banners look pixelated on large screens'
+        });
+      }
+      const ratio = width / height;
+      if (ratio < 3 || ratio > 5) {
+        score -= 1;
+        improvements.push({
+          text: 'Resize the banner to a 4:1 ratio',
+          why: 'Other shapes get cropped unpredictably'
+        });
+      }
+    }
+    
+    return {
+      score,
+      source: 'local',
+      resolution: width && height ? { width, height } : null,
+      positive: improvements.length === 0 ? 'Custom banner is in place' : '',
+      improvements
+    };
+  },
+  
   /**
    * Get missing elements that impact first impression
    */
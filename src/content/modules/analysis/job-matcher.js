@@ -0,0 +1,365 @@
+/**
+ * Job Matcher Module for ElevateLI
+ * Scores the profile against a pasted or captured job description, locally without AI
+ * Reuses the section extractors' keyword helpers so matching stays consistent with analysis
+ */
+
+const JobMatcher = {
+  // Skill phrases recognized in job descriptions (lowercase, longest first when matching)
+  skillVocabulary: [
+    // Engineering
+    'javascript', 'typescript', 'python', 'java', 'c++', 'c#', 'golang', 'rust', 'ruby', 'php', 'scala', 'kotlin', 'swift',
+    'react', 'angular', 'vue', 'node.js', 'next.js', 'graphql', 'rest api', 'microservices', 'distributed systems',
+    'aws', 'azure', 'gcp', 'google cloud', 'docker', 'kubernetes', 'terraform', 'ci/cd', 'devops', 'linux',
+    'sql', 'postgresql', 'mysql', 'mongodb', 'redis', 'kafka', 'spark', 'hadoop', 'snowflake', 'airflow', 'dbt',
+    'system design', 'unit testing', 'test automation', 'security', 'mobile development', 'ios', 'android',
+    // Data
+    'machine learning', 'deep learning', 'nlp', 'computer vision', 'statistics', 'data analysis', 'data visualization',
+    'data modeling', 'data engineering', 'pytorch', 'tensorflow', 'scikit-learn', 'pandas', 'tableau', 'power bi',
+    'looker', 'excel', 'a/b testing', 'experimentation', 'forecasting', 'generative ai', 'llm',
+    // Product & design
+    'product management', 'product strategy', 'roadmap', 'product discovery', 'user research', 'ux research',
+    'ux design', 'ui design', 'interaction design', 'visual design', 'design systems', 'prototyping', 'wireframing',
+    'figma', 'sketch', 'adobe creative suite', 'usability testing', 'accessibility', 'agile', 'scrum', 'jira',
+    'okrs', 'go-to-market', 'pricing', 'analytics', 'metrics',
+    // Business, sales & marketing
+    'stakeholder management', 'project management', 'program management', 'cross-functional', 'leadership',
+    'people management', 'mentoring', 'communication', 'negotiation', 'strategic planning', 'budgeting',
+    'salesforce', 'hubspot', 'crm', 'pipeline management', 'account management', 'business development',
+    'lead generation', 'enterprise sales', 'saas', 'b2b', 'b2c', 'customer success', 'seo', 'sem',
+    'content marketing', 'email marketing', 'social media', 'brand strategy', 'demand generation',
+    'marketing automation', 'copywriting', 'google analytics', 'consulting', 'change management', 'fundraising'
+  ],
+
+  stopWords: new Set([
+    'the', 'and', 'for', 'with', 'you', 'your', 'our', 'are', 'will', 'that', 'this', 'from', 'have', 'has',
+    'who', 'what', 'where', 'when', 'how', 'all', 'any', 'can', 'not', 'but', 'their', 'they', 'them', 'its',
+    'into', 'about', 'more', 'other', 'such', 'also', 'well', 'able', 'both', 'each', 'than', 'then', 'these',
+    'those', 'while', 'within', 'across', 'including', 'must', 'should', 'would', 'could', 'may', 'plus'
+  ]),
+
+  // Words every posting uses that say nothing about fit
+  boilerplateWords: new Set([
+    'experience', 'years', 'team', 'teams', 'work', 'working', 'role', 'company', 'job', 'position',
+    'candidate', 'candidates', 'opportunity', 'benefits', 'salary', 'equal', 'employer', 'applicants',
+    'apply', 'status', 'including', 'strong', 'ability', 'skills', 'knowledge', 'understanding',
+    'requirements', 'qualifications', 'responsibilities', 'preferred', 'required', 'bonus', 'help',
+    'join', 'looking', 'great', 'world', 'people', 'based', 'range', 'location', 'remote', 'hybrid',
+    'office', 'time', 'full', 'part', 'related', 'degree', 'field', 'environment', 'new', 'best'
+  ]),
+
+  // Ordered from most to least senior
+  seniorityLevels: [
+    { level: 'director', label: 'Director+', rank: 5, pattern: /\b(director|head of|vp|vice president|chief)\b/i },
+    { level: 'lead', label: 'Lead/Principal', rank: 4, pattern: /\b(lead|principal|staff|architect|manager of)\b/i },
+    { level: 'senior', label: 'Senior', rank: 3, pattern: /\b(senior|sr\.?)\b/i },
+    { level: 'mid', label: 'Mid Level', rank: 2, pattern: /\b(mid[- ]level|intermediate)\b/i },
+    { level: 'entry', label: 'Entry Level', rank: 1, pattern: /\b(junior|jr\.?|entry[- ]level|graduate|intern(ship)?)\b/i }
+  ],
+
+  requiredHeading: /^(requirements|qualifications|minimum qualifications|basic qualifications|what you('|’)ll need|what we('|’)re looking for|must[- ]haves?|you have|who you are)\b/i,
+  preferredHeading: /^(preferred|nice[- ]to[- ]haves?|bonus|pluses|preferred qualifications|it('|’)s a plus)\b/i,
+
+  // Scoring weight per term type
+  weights: {
+    required: 3,
+    preferred: 1.5,
+    keyword: 1
+  },
+
+  /**
+   * Parse a job description into skills, keywords and seniority signals
+   * @param {Object} job - { text, title, company }
+   * @returns {Object} Parsed job
+   */
+  parseJobDescription(job) {
+    const text = job?.text || '';
+    const title = job?.title || '';
+
+    // Split into requirement buckets by heading
+    const buckets = { general: [], required: [], preferred: [] };
+    let current = 'general';
+    text.split(/\n+/).forEach(rawLine => {
+      const line = rawLine.trim().replace(/^[-•*·\s]+/, '');
+      if (!line) return;
+      if (line.length < 60 && this.preferredHeading.test(line)) {
+        current = 'preferred';
+      } else if (line.length < 60 && this.requiredHeading.test(line)) {
+        current = 'required';
+      }
+      buckets[current].push(line);
+    });
+
+    const requiredSkills = this.findSkills([title, ...buckets.general, ...buckets.required].join('\n'));
+    const preferredSkills = this.findSkills(buckets.preferred.join('\n'))
+      .filter(skill => !requiredSkills.includes(skill));
+
+    // Frequent non-skill terms, plus anything in the job title
+    const skillWords = new Set([...requiredSkills, ...preferredSkills].flatMap(skill => skill.split(/[\s\-\/]+/)));
+    const titleTerms = this.tokenize(title).filter(word => !skillWords.has(word) && !this.detectSeniority(word));
+    const frequency = {};
+    this.tokenize(text).forEach(word => {
+      if (skillWords.has(word)) return;
+      frequency[word] = (frequency[word] || 0) + 1;
+    });
+    const keywords = Object.entries(frequency)
+      .filter(([word, count]) => count > 1 || titleTerms.includes(word))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 12)
+      .map(([word]) => word);
+    titleTerms.forEach(word => {
+      if (!keywords.includes(word)) keywords.push(word);
+    });
+
+    const yearsMatch = text.match(/(\d{1,2})\s*\+?\s*(?:-\s*\d{1,2}\s*)?years?/i);
+    const seniority = this.detectSeniority(title) || this.detectSeniority(text);
+
+    return {
+      title,
+      company: job?.company || '',
+      requiredSkills,
+      preferredSkills,
+      keywords,
+      titleTerms,
+      seniority: {
+        level: seniority?.level || null,
+        label: seniority?.label || null,
+        rank: seniority?.rank || null,
+        years: yearsMatch ? parseInt(yearsMatch[1], 10) : null
+      }
+    };
+  },
+
+  /**
+   * Build searchable text and keyword sets for each profile section
+   * @param {Object} extractedData - Extractor output (deep data where available)
+   * @returns {Object} Profile sections and seniority
+   */
+  buildProfile(extractedData = {}) {
+    const headlineText = extractedData.headline?.text || '';
+    const aboutText = extractedData.about?.text || '';
+    const skills = extractedData.skills?.skills || [];
+    const experiences = extractedData.experience?.experiences || [];
+    const experienceText = experiences
+      .map(exp => [exp.title, exp.company, exp.description].filter(Boolean).join(' '))
+      .join('\n');
+
+    const sections = {
+      headline: {
+        text: headlineText.toLowerCase(),
+        terms: new Set(headlineText ? HeadlineExtractor.extractKeywords(headlineText) : [])
+      },
+      about: {
+        text: aboutText.toLowerCase(),
+        terms: new Set(aboutText ? AboutExtractor.extractKeywords(aboutText) : [])
+      },
+      skills: {
+        text: skills.map(skill => skill.name).join(' | ').toLowerCase(),
+        terms: new Set(skills.length > 0 ? SkillsExtractor.extractSkillKeywords(skills) : [])
+      },
+      experience: {
+        text: experienceText.toLowerCase(),
+        terms: new Set(experienceText ? ExperienceExtractor.extractKeywords(experienceText) : [])
+      }
+    };
+
+    const currentTitle = experiences[0]?.title || '';
+    const seniority = this.detectSeniority(`${currentTitle} ${headlineText}`);
+    const totalMonths = extractedData.experience?.totalMonths || 0;
+
+    return {
+      sections,
+      seniority: {
+        level: seniority?.level || null,
+        label: seniority?.label || null,
+        rank: seniority?.rank || null,
+        years: totalMonths > 0 ? Math.round(totalMonths / 12) : null
+      }
+    };
+  },
+
+  /**
+   * Compare a job description with the profile
+   * @param {Object} job - { text, title, company, url }
+   * @param {Object} extractedData - Extractor output
+   * @returns {Object} Match percentage, matched and missing terms, placement tips and seniority fit
+   */
+  match(job, extractedData) {
+    const parsed = this.parseJobDescription(job);
+    const profile = this.buildProfile(extractedData);
+
+    const terms = [
+      ...parsed.requiredSkills.map(term => ({ term, type: 'required' })),
+      ...parsed.preferredSkills.map(term => ({ term, type: 'preferred' })),
+      ...parsed.keywords.map(term => ({ term, type: 'keyword' }))
+    ];
+
+    const matched = [];
+    const missing = [];
+    const needsEvidence = [];
+    let earned = 0;
+    let total = 0;
+
+    terms.forEach(({ term, type }) => {
+      const weight = this.weights[type];
+      total += weight;
+
+      const foundIn = Object.keys(profile.sections).filter(section => this.contains(profile.sections[section], term));
+      if (foundIn.length === 0) {
+        missing.push({ term, type, ...this.suggestPlacement(term, type, parsed) });
+        return;
+      }
+
+      earned += weight;
+      matched.push({ term, type, foundIn });
+
+      // Listed as a skill but never shown in a role
+      if (type !== 'keyword' && foundIn.length === 1 && foundIn[0] === 'skills') {
+        needsEvidence.push(term);
+      }
+    });
+
+    // Required first, then preferred, then keywords
+    const typeOrder = { required: 0, preferred: 1, keyword: 2 };
+    missing.sort((a, b) => typeOrder[a.type] - typeOrder[b.type]);
+
+    return {
+      jobHash: this.hashJob(job),
+      job: {
+        title: parsed.title,
+        company: parsed.company,
+        url: job?.url || null
+      },
+      score: total > 0 ? Math.round((earned / total) * 100) : 0,
+      matched,
+      missing,
+      needsEvidence,
+      seniority: this.compareSeniority(parsed.seniority, profile.seniority),
+      analyzedAt: Date.now()
+    };
+  },
+
+  /**
+   * Find vocabulary skills mentioned in text
+   * @param {string} text - Text to search
+   * @returns {Array<string>} Skills found
+   */
+  findSkills(text) {
+    const lower = (text || '').toLowerCase();
+    if (!lower) return [];
+
+    return [...this.skillVocabulary]
+      .sort((a, b) => b.length - a.length)
+      .filter(skill => this.termPattern(skill).test(lower));
+  },
+
+  /**
+   * Check whether a profile section mentions a term
+   * @param {Object} section - { text, terms }
+   * @param {string} term - Lowercase term
+   * @returns {boolean}
+   */
+  contains(section, term) {
+    if (!section.text) return false;
+    if (!term.includes(' ') && section.terms.has(term)) return true;
+    return this.termPattern(term).test(section.text);
+  },
+
+  /**
+   * Suggest where a missing term belongs on the profile
+   * @param {string} term - Missing term
+   * @param {string} type - required, preferred or keyword
+   * @param {Object} parsed - Parsed job
+   * @returns {Object} { section, tip }
+   */
+  suggestPlacement(term, type, parsed) {
+    if (parsed.titleTerms.includes(term)) {
+      return { section: 'headline', tip: `Work "${term}" into your headline - it's in the job title` };
+    }
+    if (type === 'required') {
+      return { section: 'skills', tip: `Add "${term}" to Skills and show where you used it in Experience` };
+    }
+    if (type === 'preferred') {
+      return { section: 'skills', tip: `Add "${term}" to Skills if you have it (nice-to-have)` };
+    }
+    return { section: 'about', tip: `Mention "${term}" in your About or a role description` };
+  },
+
+  /**
+   * Detect a seniority level from text
+   * @param {string} text - Title or description
+   * @returns {Object|null} Matching level
+   */
+  detectSeniority(text) {
+    if (!text) return null;
+    return this.seniorityLevels.find(level => level.pattern.test(text)) || null;
+  },
+
+  /**
+   * Compare job and profile seniority
+   * @param {Object} jobSeniority - From parseJobDescription
+   * @param {Object} profileSeniority - From buildProfile
+   * @returns {Object} Seniority fit with message
+   */
+  compareSeniority(jobSeniority, profileSeniority) {
+    let aligned = null;
+    let message = 'No seniority signals in the job description';
+
+    if (jobSeniority.years && profileSeniority.years !== null) {
+      aligned = profileSeniority.years >= jobSeniority.years;
+      message = aligned
+        ? `Meets ${jobSeniority.years}+ years asked (about ${profileSeniority.years} on profile)`
+        : `Job asks for ${jobSeniority.years}+ years, profile shows about ${profileSeniority.years}`;
+    }
+
+    if (jobSeniority.rank && profileSeniority.rank) {
+      const levelAligned = profileSeniority.rank >= jobSeniority.rank - 1;
+      aligned = aligned === null ? levelAligned : aligned && levelAligned;
+      if (!levelAligned) {
+        message = `Job targets ${jobSeniority.label}; your titles read as ${profileSeniority.label}`;
+      }
+    } else if (jobSeniority.rank && aligned === null) {
+      message = `Job targets ${jobSeniority.label} - make your scope and level clear in your headline`;
+    }
+
+    return {
+      job: jobSeniority,
+      profile: profileSeniority,
+      aligned,
+      message
+    };
+  },
+
+  /**
+   * Lowercase words worth matching from free text
+   * @private
+   */
+  tokenize(text) {
+    return (text || '').toLowerCase()
+      .split(/[^a-z0-9+#.]+/)
+      .map(word => word.replace(/^\.+|\.+$/g, ''))
+      .filter(word => word.length > 3 && !/^\d+$/.test(word) && !this.stopWords.has(word) && !this.boilerplateWords.has(word));
+  },
+
+  /**
+   * Word-boundary regex for a term that may contain symbols (c++, ci/cd, node.js)
+   * @private
+   */
+  termPattern(term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}(?![a-z0-9])`, 'i');
+  },
+
+  /**
+   * Stable hash of the job text so cached matches can be reused
+   * @private
+   */
+  hashJob(job) {
+    const text = `${job?.title || ''}|${job?.text || ''}`;
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+    }
+    return hash.toString(36);
+  }
+};
\ No newline at end of file
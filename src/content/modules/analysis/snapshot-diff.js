@@ -0,0 +1,99 @@
+/**
+ * Snapshot Diff Module for ElevateLI
+ * Compares two analysis snapshots from CacheManager history section by section
+ * so users can see how their profile changed between analyses
+ */
+
+const SnapshotDiff = {
+  // Counted sections and the noun used when describing their change
+  countedSections: {
+    experience: { singular: 'role', plural: 'roles' },
+    skills: { singular: 'skill', plural: 'skills' },
+    education: { singular: 'education entry', plural: 'education entries' },
+    recommendations: { singular: 'recommendation', plural: 'recommendations' },
+    certifications: { singular: 'certification', plural: 'certifications' },
+    projects: { singular: 'project', plural: 'projects' },
+    featured: { singular: 'featured item', plural: 'featured items' }
+  },
+
+  // AI section score keys and their display labels
+  scoredSections: {
+    first_impression: 'First impression',
+    profile_intro: 'Profile intro',
+    about: 'About',
+    experience_overall: 'Experience',
+    skills: 'Skills',
+    recommendations: 'Recommendations'
+  },
+
+  /**
+   * Compare two snapshots
+   * @param {Object} older - Earlier snapshot
+   * @param {Object} newer - Later snapshot
+   * @returns {Array<Object>} Changes as { section, kind, before, after, delta }
+   *   kind is one of: percent, score, presence, text, chars, count, rating
+   */
+  compare(older, newer) {
+    if (!older || !newer) return [];
+
+    const changes = [];
+    const before = older.extractedData || {};
+    const after = newer.extractedData || {};
+
+    // Overall scores
+    if (older.completeness !== newer.completeness && newer.completeness !== null) {
+      changes.push(this.change('completeness', 'percent', older.completeness, newer.completeness));
+    }
+    if (older.contentScore !== newer.contentScore && newer.contentScore !== null && older.contentScore !== null) {
+      changes.push(this.change('contentScore', 'score', older.contentScore, newer.contentScore));
+    }
+
+    // Photo added or removed
+    if (!!before.photo?.exists !== !!after.photo?.exists) {
+      changes.push(this.change('photo', 'presence', !!before.photo?.exists, !!after.photo?.exists));
+    }
+
+    // Headline wording
+    if ((before.headline?.text || '') !== (after.headline?.text || '')) {
+      changes.push(this.change('headline', 'text', before.headline?.text || '', after.headline?.text || ''));
+    }
+
+    // About length
+    const aboutBefore = before.about?.charCount || 0;
+    const aboutAfter = after.about?.charCount || 0;
+    if (aboutBefore !== aboutAfter) {
+      changes.push(this.change('about', 'chars', aboutBefore, aboutAfter));
+    }
+
+    // Counted sections
+    Object.keys(this.countedSections).forEach(section => {
+      const countBefore = before[section]?.count || 0;
+      const countAfter = after[section]?.count || 0;
+      if (countBefore !== countAfter) {
+        changes.push(this.change(section, 'count', countBefore, countAfter));
+      }
+    });
+
+    // AI ratings, only when both analyses produced a score
+    const scoresBefore = older.sectionScores || {};
+    const scoresAfter = newer.sectionScores || {};
+    Object.keys(this.scoredSections).forEach(section => {
+      const scoreBefore = scoresBefore[section];
+      const scoreAfter = scoresAfter[section];
+      if (typeof scoreBefore === 'number' && typeof scoreAfter === 'number' && scoreBefore !== scoreAfter) {
+        changes.push(this.change(section, 'rating', scoreBefore, scoreAfter));
+      }
+    });
+
+    return changes;
+  },
+
+  /**
+   * Build a change entry
+   * @private
+   */
+  change(section, kind, before, after) {
+    const delta = typeof before === 'number' && typeof after === 'number' ? after - before : null;
+    return { section, kind, before, after, delta };
+  }
+};
\ No newline at end of file
@@ -15,6 +15,7 @@ class Analyzer {
     // Available extractors (will be defined in separate files)
     this.extractors = {
       photo: typeof PhotoExtractor !== 'undefined' ? PhotoExtractor : null,
+      banner: typeof BannerExtractor !== 'undefined' ? BannerExtractor : null,
       headline: typeof HeadlineExtractor !== 'undefined' ? HeadlineExtractor : null,
       about: typeof AboutExtractor !== 'undefined' ? AboutExtractor : null,
       experience: typeof ExperienceExtractor !== 'undefined' ? ExperienceExtractor : null,
@@ -27,6 +28,12 @@ class Analyzer {
     };
     
     this.profileId = null;
+    this.analysisId = null;
+    this.cancelled = false;
+    this.analysisTimeout = null;
+    this.checkpoint = null;
+    // Checkpoint the user chose to resume when offered before the cache was served
+    this.acceptedResume = null;
     this.isOwn = false;
     this.settings = {};
     this.cacheManager = null;
@@ -134,13 +141,8 @@ class Analyzer {
     // Log timeout configuration
     Logger.info('[Analyzer] Timeout configuration:', TIMEOUTS);
     
-    // Set analysis timeout (3 minutes for development)
-    const analysisStartTime = Date.now();
-    const analysisTimeout = setTimeout(() => {
-      const elapsed = Math.round((Date.now() - analysisStartTime) / 1000);
-      Logger.warn(`[Analyzer] Analysis timeout after ${elapsed} seconds - falling back to cache`);
-      this.handleAnalysisTimeout();
-    }, TIMEOUTS.ANALYSIS_TOTAL);
+    // Set analysis timeout; it is paused while the user answers a prompt
+    this.startAnalysisTimeout();
     
     // Store cached data for fallback (moved outside try block for catch block access)
     let cachedData = null;
@@ -161,13 +163,37 @@ class Analyzer {
       // Update overlay state
       OverlayManager.setState(OverlayManager.states.SCANNING);
       
+      // Profile read for the cache check, reused by the fresh run when content changed
+      let extractedData = null;
+      let changedSections = [];
+      
       // Check cache first (unless forced refresh)
       if (!forceRefresh) {
         cachedData = await this.cacheManager.get(this.profileId);
-        if (cachedData && cachedData.completeness !== undefined) {
+        
+        // Advice scored against content that has since changed is not served as fresh
+        if (cachedData?.sectionHashes) {
+          extractedData = await this.runExtractors({ quiet: true });
+          changedSections = this.cacheManager.getChangedSections(cachedData, extractedData, this.settings);
+          if (changedSections.length > 0) {
+            Logger.info('[Analyzer] Profile changed since cached analysis, re-analyzing', { changedSections });
+          }
+        }
+        
+        // An interrupted refresh is offered for resume before the older full analysis is served
+        const checkpoint = this.settings.enableAI ? await this.cacheManager.getCheckpoint(this.profileId) : null;
+        if (Object.keys(checkpoint?.completed || {}).length > 0) {
+          extractedData = extractedData || await this.runExtractors({ quiet: true });
+          this.acceptedResume = await this.getResumableCheckpoint(this.cacheManager.generateHash(extractedData, this.settings));
+        }
+        
+        if (cachedData && cachedData.completeness !== undefined && changedSections.length === 0 && !this.acceptedResume) {
           Logger.info('[Analyzer] Using cached data');
           
-          clearTimeout(analysisTimeout);
+          // Job match is local and cheap - refresh it when the job description changed
+          cachedData.jobMatch = await this.getJobMatch(cachedData.jobMatch);
+          
+          this.clearAnalysisTimeout();
           OverlayManager.setState(OverlayManager.states.COMPLETE, {
             ...cachedData,
             fromCache: true,
@@ -178,7 +204,8 @@ class Analyzer {
             settings: {
               enableAI: this.settings.enableAI,
               aiProvider: this.settings.aiProvider,
-              aiModel: this.settings.aiModel
+              aiModel: this.settings.aiModel,
+              customSupportsVision: this.settings.customSupportsVision
             }
           });
           
@@ -190,7 +217,9 @@ class Analyzer {
       }
       
       // Run extractors
-      const extractedData = await this.runExtractors();
+      if (!extractedData) {
+        extractedData = await this.runExtractors();
+      }
       
       // Calculate completeness
       Logger.info('[Analyzer] Transitioning to CALCULATING state');
@@ -221,11 +250,17 @@ class Analyzer {
         timestamp: new Date().toISOString()
       };
       
+      // Score against the saved job description (local, no AI)
+      const jobMatch = await this.getJobMatch(null, extractedData);
+      if (jobMatch) {
+        result.jobMatch = jobMatch;
+      }
+      
       // Store partial results for timeout handling
       this.analysisResults = result;
       
-      // Run AI analysis if enabled
-      const hasApiKey = this.settings.apiKey || this.settings.encryptedApiKey;
+      // Run AI analysis if enabled (self-hosted custom endpoints may not need a key)
+      const hasApiKey = this.settings.apiKey || this.settings.encryptedApiKey || this.settings.aiProvider === 'custom';
       
       // Pre-check logging for debugging
       Logger.info('[Analyzer] Pre-AI check:', {
@@ -264,7 +299,7 @@ class Analyzer {
           
           if (recovered) {
             // Cache was restored, return early
-            clearTimeout(analysisTimeout);
+            this.clearAnalysisTimeout();
             return { success: true, fromCache: true, apiKeyError: true };
           }
           
@@ -289,6 +324,12 @@ class Analyzer {
           extractedData.completenessScore = completenessData?.score || 100;
           const aiResult = await this.runAIAnalysisWithRetry(extractedData);
           
+          // The overlay already restored its previous state when the user cancelled
+          if (aiResult.cancelled) {
+            this.clearAnalysisTimeout();
+            return { success: false, cancelled: true };
+          }
+          
           // Check if the AI result is actually a failure disguised as success
           // (happens when quality-scorer returns default score on error)
           const isDefaultFailureScore = aiResult.success && 
@@ -300,6 +341,10 @@ class Analyzer {
           result.recommendations = aiResult.recommendations;
           result.insights = aiResult.insights;
           result.sectionScores = aiResult.sectionScores;
+          result.differential = aiResult.differential;
+          result.failedSections = aiResult.failedSections;
+          // Later rewrite requests are billed to the run whose results are on screen
+          result.analysisId = this.analysisId;
           
           // For distributed analysis, sectionScores might be nested differently
           if (!result.sectionScores && aiResult.synthesis) {
@@ -401,10 +446,10 @@ class Analyzer {
       }
       
       // Save to cache
-      await this.cacheManager.save(this.profileId, result, extractedData);
+      await this.cacheManager.save(this.profileId, result, extractedData, this.settings);
       
       // Clear timeout on success
-      clearTimeout(analysisTimeout);
+      this.clearAnalysisTimeout();
       
       // Log total analysis time
       const totalTime = Date.now() - analysisStartTime;
@@ -486,11 +531,15 @@ class Analyzer {
       
       OverlayManager.setState(finalState, overlayData);
       
+      if (changedSections.length > 0) {
+        OverlayManager.showContentChanges(changedSections);
+      }
+      
       return { success: true, data: result };
       
     } catch (error) {
       Logger.error('[Analyzer] Analysis failed:', error);
-      clearTimeout(analysisTimeout);
+      this.clearAnalysisTimeout();
       
       // If we have cached data, fall back to it
       if (cachedData && cachedData.completeness !== undefined) {
@@ -543,6 +592,38 @@ class Analyzer {
     return Math.round(years * 10) / 10; // Round to 1 decimal
   }
   
+  /**
+   * Profile facts shared by every section prompt of a run
+   * Kept identical across sections so providers can cache the prompt prefix built from them;
+   * the prefix only caches past the providers' ~1024-token minimum, so small profiles skip the warm-up
+   * @param {Object} extractedData - Data from extractors, with the deep experience roles
+   * @returns {Object} Summary facts plus headline, About, role list, skills and education
+   */
+  buildProfileContext(extractedData) {
+    const experiences = extractedData.experience?.experiences || [];
+    const currentRole = experiences[0];
+    
+    return {
+      currentRole: currentRole ? `${currentRole.title || 'Role'} at ${currentRole.company || 'Unknown Company'}` : null,
+      recentCompanies: experiences.slice(0, 3).map(exp => exp.company).filter(Boolean),
+      yearsOfExperience: this.calculateYearsOfExperience(extractedData.experience),
+      totalRoles: extractedData.experience?.count || experiences.length,
+      completenessScore: extractedData.completenessScore ?? null,
+      headline: extractedData.headline?.text || '',
+      about: extractedData.about?.fullText || extractedData.about?.text || '',
+      roles: experiences.slice(0, 10).map(exp => ({
+        title: exp.title || '',
+        company: exp.company || '',
+        duration: exp.duration || exp.employment?.duration || '',
+        description: (exp.description || '').substring(0, 600)
+      })),
+      skills: (extractedData.skills?.skills || []).map(skill => skill.name).filter(Boolean).slice(0, 50),
+      education: (extractedData.education?.schools || [])
+        .map(item => [item.degree, item.field, item.school].filter(Boolean).join(', '))
+        .filter(Boolean)
+    };
+  }
+  
   /**
    * Extract career progression pattern
    * @param {Object} experienceData - Experience data from extractor
@@ -578,6 +659,45 @@ class Analyzer {
     return 'specialized';
   }
 
+  /**
+   * Start (or restart) the overall analysis timeout
+   */
+  startAnalysisTimeout() {
+    this.clearAnalysisTimeout();
+    const startedAt = Date.now();
+    this.analysisTimeout = setTimeout(() => {
+      this.analysisTimeout = null;
+      const elapsed = Math.round((Date.now() - startedAt) / 1000);
+      Logger.warn(`[Analyzer] Analysis timeout after ${elapsed} seconds - falling back to cache`);
+      this.handleAnalysisTimeout();
+    }, TIMEOUTS.ANALYSIS_TOTAL);
+  }
+  
+  clearAnalysisTimeout() {
+    if (this.analysisTimeout) {
+      clearTimeout(this.analysisTimeout);
+      this.analysisTimeout = null;
+    }
+  }
+  
+  /**
+   * Wait for the user to answer a prompt without the analysis timeout running underneath it
+   * The timeout restarts with its full length once the user has answered, if it was running
+   * @param {Promise} answer - Resolves with the user's choice
+   * @returns {Promise} The user's choice
+   */
+  async waitForUser(answer) {
+    const timed = !!this.analysisTimeout;
+    this.clearAnalysisTimeout();
+    try {
+      return await answer;
+    } finally {
+      if (timed && !this.cancelled) {
+        this.startAnalysisTimeout();
+      }
+    }
+  }
+  
   /**
    * Handle analysis timeout
    */
@@ -658,10 +778,13 @@ class Analyzer {
   
   /**
    * Run all extractors
+   * @param {Object} options - { quiet } skips overlay progress updates
    */
-  async runExtractors() {
+  async runExtractors(options = {}) {
     Logger.info('[Analyzer] Running extractors');
+    const { quiet = false } = options;
     const results = {};
+    SectionDiagnostics.reset();
     
     // Update scan progress
     const sections = Object.keys(this.extractors).map(name => ({
@@ -669,8 +792,11 @@ class Analyzer {
       status: 'pending',
       itemCount: 0
     }));
+    const updateScanProgress = () => {
+      if (!quiet) OverlayManager.updateScanProgress(sections);
+    };
     
-    OverlayManager.updateScanProgress(sections);
+    updateScanProgress();
     
     // Run extractors in parallel
     const promises = Object.entries(this.extractors).map(async ([name, extractor]) => {
@@ -682,7 +808,7 @@ class Analyzer {
       try {
         // Update status to scanning
         sections.find(s => s.name === name).status = 'scanning';
-        OverlayManager.updateScanProgress(sections);
+        updateScanProgress();
         
         // Run scan
         const scanResult = await extractor.scan();
@@ -693,14 +819,16 @@ class Analyzer {
         const section = sections.find(s => s.name === name);
         section.status = 'complete';
         section.itemCount = scanResult.totalCount || scanResult.count || 0;
-        OverlayManager.updateScanProgress(sections);
+        updateScanProgress();
         
         // Debug: Check what's happening with the condition
         
         // Run extraction if section exists - match alpha version exactly
         if (scanResult.exists) {
-          OverlayManager.setState(OverlayManager.states.EXTRACTING);
-          OverlayManager.updateExtractionProgress(name);
+          if (!quiet) {
+            OverlayManager.setState(OverlayManager.states.EXTRACTING);
+            OverlayManager.updateExtractionProgress(name);
+          }
           
           // Small delay to ensure UI updates
           await new Promise(resolve => setTimeout(resolve, 50));
@@ -711,39 +839,136 @@ class Analyzer {
           return { name, data: extractResult };
         }
         
+        // A section we couldn't locate is flagged so the scorer doesn't count it as missing
+        if (SectionDiagnostics.isUnreadable(name)) {
+          Logger.warn(`[Analyzer] ${name} section is on the page but could not be read`);
+          return { name, data: { ...scanResult, exists: false, unreadable: true } };
+        }
+        
         // Return scanResult for non-existent sections so scorer gets exists: false
         return { name, data: scanResult };
         
       } catch (error) {
         Logger.error(`[Analyzer] ${name} extraction failed:`, error);
-        return { name, data: null, error: error.message };
+        SectionDiagnostics.markFailed(name, error);
+        return { name, data: { exists: false, unreadable: true, error: error.message }, error: error.message };
       }
     });
     
     const extractorResults = await Promise.all(promises);
+    SectionDiagnostics.save({ isOwn: this.isOwn });
     
     // Compile results
     extractorResults.forEach(({ name, data }) => {
       results[name] = data;
     });
     
+    await this.addHashedContent(results);
     
     return results;
   }
   
+  /**
+   * Add the content section hashes are built from but extract() leaves out:
+   * the full About text (extract() cuts it to 500 chars) and the individual roles
+   * @param {Object} results - Extractor results, updated in place
+   */
+  async addHashedContent(results) {
+    try {
+      if (results.about?.exists && this.extractors.about) {
+        const deepAbout = await this.extractors.about.extractDeep();
+        results.about.fullText = deepAbout.text || results.about.text;
+      }
+      
+      if (results.experience?.exists && this.extractors.experience) {
+        const deepExperience = await this.extractors.experience.extractDeep();
+        results.experience.experiences = deepExperience.experiences || [];
+      }
+    } catch (error) {
+      Logger.warn('[Analyzer] Deep extraction for content hashes failed', error);
+    }
+  }
+  
+  /**
+   * Get the job match for the saved job description
+   * @param {Object|null} previousMatch - Earlier match, reused when the job is unchanged
+   * @param {Object} extractedData - Basic extractor output to build on
+   * @returns {Promise<Object|null>} Match result, or null when job match mode is off
+   */
+  async getJobMatch(previousMatch = null, extractedData = {}) {
+    const job = this.settings.jobDescription;
+    if (!this.settings.jobMatchEnabled || !job?.text || typeof JobMatcher === 'undefined') {
+      return null;
+    }
+    
+    if (previousMatch && previousMatch.jobHash === JobMatcher.hashJob(job)) {
+      return previousMatch;
+    }
+    
+    try {
+      const profileData = await this.collectJobMatchData(extractedData);
+      const match = JobMatcher.match(job, profileData);
+      Logger.info('[Analyzer] Job match calculated:', {
+        score: match.score,
+        missing: match.missing.length
+      });
+      return match;
+    } catch (error) {
+      Logger.error('[Analyzer] Job match failed:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Read the full text job matching needs without leaving the profile page
+   * Skills stay on visible items - extractDeep() would navigate to /details/skills
+   * @param {Object} extractedData - Basic extractor output
+   * @returns {Promise<Object>} Headline, about, skills and experience data
+   */
+  async collectJobMatchData(extractedData = {}) {
+    const data = {
+      headline: extractedData.headline,
+      about: extractedData.about,
+      skills: extractedData.skills,
+      experience: extractedData.experience
+    };
+    
+    const readers = {
+      headline: () => HeadlineExtractor.extract(),
+      about: () => AboutExtractor.extractDeep(),
+      skills: async () => {
+        const section = SkillsExtractor.findSkillsSection();
+        return { skills: section ? await SkillsExtractor.extractVisibleSkills(section) : [] };
+      },
+      experience: () => ExperienceExtractor.extractDeep()
+    };
+    
+    for (const [name, read] of Object.entries(readers)) {
+      try {
+        data[name] = { ...data[name], ...(await read()) };
+      } catch (error) {
+        Logger.warn(`[Analyzer] Job match could not read ${name}, using basic data`, error);
+      }
+    }
+    
+    return data;
+  }
+  
   /**
    * Calculate completeness score
    */
   async calculateCompleteness(extractedData) {
     try {
       if (typeof ProfileCompletenessCalculator !== 'undefined') {
-        const calculator = new ProfileCompletenessCalculator();
+        // Weights follow the target role preset or the user's custom weights
+        const calculator = new ProfileCompletenessCalculator(this.settings || {});
         
         // Debug logging to see what data is being passed
         
         const result = calculator.calculate(extractedData);
         Logger.info('[Analyzer] Completeness calculated:', {
           score: result?.score,
+          preset: result?.preset,
           recommendationsCount: result?.recommendations?.length
         });
         return result;
@@ -773,7 +998,10 @@ class Analyzer {
    */
   async runDistributedAIAnalysis(extractedData) {
     const startTime = Date.now();
-    Logger.info('[Analyzer] Starting distributed AI analysis (Sequential Mode)', {
+    // Groups this run's provider calls in the usage ledger
+    this.analysisId = `${this.profileId}-${startTime}`;
+    this.promptsConfirmed = false;
+    Logger.info('[Analyzer] Starting distributed AI analysis', {
       sections: Object.keys(extractedData).filter(k => extractedData[k]?.exists),
       timestamp: new Date().toISOString(),
       experienceData: extractedData?.experience,
@@ -818,6 +1046,8 @@ class Analyzer {
     const sectionResults = {};
     const sectionRecommendations = {};
     const sections = [];
+    let visuals = null;
+    let firstImpressionData = null;
     
     // Build list of sections to analyze
     // [CRITICAL_PATH:FIRST_IMPRESSION_EXTRACTION] - P0: Extract all first impression data
@@ -829,7 +1059,7 @@ class Analyzer {
         photoKeys: Object.keys(extractedData.photo || {})
       });
       
-      const firstImpressionData = FirstImpressionAnalyzer.buildFirstImpressionData(extractedData);
+      firstImpressionData = FirstImpressionAnalyzer.buildFirstImpressionData(extractedData);
       
       Logger.info('[Analyzer] Built first impression data:', {
         hasHeadline: !!firstImpressionData.headline,
@@ -876,6 +1106,8 @@ class Analyzer {
     }
     
     // 2. Experience Roles
+    // Roles read by deep extraction, also shared with every prompt through the profile context
+    let deepExperiences = null;
     // Check if experience exists and has count > 0
     if (extractedData.experience?.exists && extractedData.experience?.count > 0) {
       // Need to run extractDeep to get individual experiences for AI analysis
@@ -912,6 +1144,8 @@ class Analyzer {
           });
           
           if (deepExperienceData.experiences && deepExperienceData.experiences.length > 0) {
+            deepExperiences = deepExperienceData.experiences;
+            
             // First, add overall experience section for high-level analysis
             sections.push({
               type: 'experience_overall',
@@ -1142,15 +1376,113 @@ class Analyzer {
     }
     
     const totalSections = sections.length;
-    Logger.info(`[Analyzer] Will analyze ${totalSections} sections sequentially`);
+    Logger.info(`[Analyzer] Will analyze ${totalSections} sections, ${this.getAnalysisConcurrency()} at a time`);
+    
+    // Sections whose content was unchanged and reused vs. sent to the provider again
+    const differential = { reused: [], rescored: [] };
+    // Inputs of sections that failed, so they can be retried on their own later
+    const failedSections = {};
+    
+    // Built after deep extraction so the shared prompt prefix carries every role
+    this.profileContext = this.buildProfileContext(deepExperiences ? {
+      ...extractedData,
+      experience: { ...extractedData.experience, experiences: deepExperiences }
+    } : extractedData);
     
     // Track consecutive failures for early exit
     let consecutiveFailures = 0;
     const MAX_CONSECUTIVE_FAILURES = 2;
     
-    // Analyze sections sequentially
-    for (let i = 0; i < sections.length; i++) {
-      const section = sections[i];
+    // Checkpoint every finished section so an interrupted run can resume where it stopped
+    const contentHash = this.cacheManager.generateHash(extractedData, this.settings);
+    // The user may already have chosen to resume before the cached analysis was shown
+    const resumeFrom = this.acceptedResume || await this.getResumableCheckpoint(contentHash);
+    this.acceptedResume = null;
+    this.checkpoint = {
+      runId: this.analysisId,
+      resumedFrom: resumeFrom?.runId || null,
+      status: 'running',
+      contentHash,
+      total: sections.length,
+      completed: resumeFrom?.completed || {},
+      startedAt: startTime
+    };
+    await this.cacheManager.saveCheckpoint(this.profileId, this.checkpoint);
+    
+    // Show every prompt and its estimated cost before anything is sent to the provider
+    if (this.settings.confirmBeforeAnalysis !== false) {
+      const pending = sections
+        .map((section, index) => ({ ...section, key: this.getSectionKey(section, index) }))
+        .filter(section => !this.checkpoint.completed[section.key]);
+      const confirmed = await this.confirmPromptPreview(pending, extractedData);
+      if (!confirmed) {
+        return await this.saveCancelledRun(sections, sectionResults);
+      }
+    }
+    this.promptsConfirmed = true;
+    
+    // Photo and banner are rated by vision AI when the model supports it, otherwise locally
+    if (firstImpressionData) {
+      try {
+        visuals = await FirstImpressionAnalyzer.analyzeVisuals(extractedData, {
+          visionEnabled: !!this.settings.enableAI,
+          profileId: this.profileId,
+          headline: extractedData.headline?.text || '',
+          targetRole: this.settings.targetRole
+        });
+        firstImpressionData.visuals = visuals;
+      } catch (error) {
+        Logger.warn('[Analyzer] Visual assessment failed, continuing without it', error);
+      }
+    }
+    
+    // Single-call strategy: every section the checkpoint doesn't cover goes out in one request,
+    // and the loop below only files the answers
+    let combinedResults = null;
+    if (this.settings.analysisStrategy === 'single') {
+      const pending = sections
+        .map((section, index) => ({ ...section, key: this.getSectionKey(section, index) }))
+        .filter(section => !this.checkpoint.completed[section.key]);
+      
+      combinedResults = {};
+      if (pending.length > 0) {
+        OverlayManager.updateAIProgress('analyzing', `${pending.length} sections in one request`);
+        const combined = await this.analyzeCombined(pending);
+        
+        if (!combined.success) {
+          if (this.cancelled || combined.errorType === 'CANCELLED') {
+            return await this.saveCancelledRun(sections, sectionResults);
+          }
+          return {
+            success: false,
+            error: combined.error,
+            errorType: combined.errorType,
+            retryAfter: combined.retryAfter,
+            partialResults: sectionResults
+          };
+        }
+        combinedResults = combined.results || {};
+      }
+    }
+    
+    // Analyze sections through a bounded pool, applying each result as soon as it arrives
+    // Once the run has to stop, workers finish their current section and pick up no more
+    const concurrency = this.getAnalysisConcurrency();
+    // The first section goes out alone so the rest can be served its cached prompt prefix,
+    // which only pays off when the prefix is long enough for the provider to cache
+    const warmPrefix = !combinedResults && concurrency > 1 && await this.isPromptPrefixCacheable();
+    const unfinished = new Set(sections.map((section, index) => index));
+    // Roles finish in any order, so remember each one's position in the profile
+    const roleOrder = new Map();
+    let stop = null;
+    
+    // The first section goes out alone: providers only serve the cached shared prefix
+    // to requests sent after one using it has been answered
+    await this.runWithConcurrency(sections, concurrency, async (section, i) => {
+      if (stop || this.cancelled) {
+        return;
+      }
+      
       const stepNumber = i + 1;
       const sectionStartTime = Date.now();
       
@@ -1173,29 +1505,71 @@ class Analyzer {
         const dataSize = JSON.stringify(section.data).length;
         Logger.info(`[AI Analysis] Data size for ${section.name}: ${dataSize} bytes`);
         
-        // Analyze the section with 30-second timeout
-        const result = await Promise.race([
-          this.analyzeSection(section.type, section.data, section.context),
-          new Promise((resolve) => 
-            setTimeout(() => resolve({ success: false, error: 'Section analysis timeout (30s)' }), 30000)
-          )
+        // Analyze the section, timing out after 30 seconds without progress
+        // Streamed chunks re-arm the timer so long responses from slow models can finish
+        let idleTimer = null;
+        let resolveTimeout;
+        const idleTimeout = new Promise((resolve) => { resolveTimeout = resolve; });
+        const armIdleTimer = () => {
+          clearTimeout(idleTimer);
+          idleTimer = setTimeout(() => resolveTimeout({ success: false, error: 'Section analysis timeout (30s)' }), 30000);
+        };
+        
+        // Sections an interrupted run already finished come straight from its checkpoint
+        const checkpointKey = this.getSectionKey(section, i);
+        const checkpointed = this.checkpoint.completed[checkpointKey];
+        if (!checkpointed && !combinedResults) {
+          armIdleTimer();
+        }
+        
+        const result = checkpointed ? { ...checkpointed, resumed: true } : combinedResults ? (
+          combinedResults[checkpointKey] ? this.toSectionResult(section.type, combinedResults[checkpointKey]) :
+            { success: false, error: 'Section missing from the combined response' }
+        ) : await Promise.race([
+          this.analyzeSection(section.type, section.data, section.context, (partialText) => {
+            armIdleTimer();
+            OverlayManager.updateAIProgress('streaming', displayName, partialText);
+          }),
+          idleTimeout
         ]);
+        clearTimeout(idleTimer);
         
         // Log completion
         const sectionElapsed = Date.now() - sectionStartTime;
         Logger.info(`[AI Analysis] Completed ${section.name} in ${sectionElapsed}ms - Score: ${result.score || 'N/A'}`);
         
+        // A section aborted mid-request counts as cancelled, not failed
+        if (!result.success && (this.cancelled || result.errorType === 'CANCELLED')) {
+          stop = stop || { cancelled: true };
+          return;
+        }
+        
         if (result.success) {
           consecutiveFailures = 0; // Reset on success
+          unfinished.delete(i);
+          if (!checkpointed) {
+            this.checkpoint.completed[checkpointKey] = { ...result };
+            await this.cacheManager.saveCheckpoint(this.profileId, this.checkpoint);
+          }
+          if (result.answeredBy?.fallback) {
+            Logger.info(`[AI Analysis] ${section.name} answered by fallback ${result.answeredBy.provider}:${result.answeredBy.model}`);
+          }
+          (result.reused || result.resumed ? differential.reused : differential.rescored).push(displayName);
           // Handle multiple experience roles
           if (section.type === 'experience_role') {
             if (!sectionResults.experience_roles) {
               sectionResults.experience_roles = [];
+            }
+            if (!sectionRecommendations.experience_roles) {
               sectionRecommendations.experience_roles = [];
             }
             sectionResults.experience_roles.push(result);
+            roleOrder.set(result, i);
             sectionRecommendations.experience_roles.push(...(result.recommendations || []));
           } else {
+            if (section.type === 'first_impression') {
+              this.applyVisualScores(result, visuals);
+            }
             sectionResults[section.type] = result;
             sectionRecommendations[section.type] = result.recommendations || [];
           }
@@ -1209,41 +1583,42 @@ class Analyzer {
             (result.error || 'Unknown error');
           Logger.warn(`[AI Analysis] Failed to analyze ${section.name}: ${errorMessage}`);
           
+          // Budget cap blocks every remaining section, so stop right away
+          if (result.errorType === 'BUDGET') {
+            stop = stop || {
+              success: false,
+              error: errorMessage,
+              errorType: 'BUDGET',
+              partialResults: sectionResults
+            };
+            return;
+          }
+          
+          // So does a provider-imposed wait; pass it on so the overlay can count it down
+          if (result.errorType === 'RATE_LIMIT' && result.retryAfter) {
+            stop = stop || {
+              success: false,
+              error: `Rate limit reached. Please wait ${result.retryAfter} seconds.`,
+              errorType: 'RATE_LIMIT',
+              retryAfter: result.retryAfter,
+              partialResults: sectionResults
+            };
+            return;
+          }
+          
+          roleOrder.set(this.addFailedSection(section, checkpointKey, result, sectionResults, failedSections), i);
+          unfinished.delete(i);
           consecutiveFailures++;
           
           // Check for early exit condition
           if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
             Logger.error(`[AI Analysis] ${consecutiveFailures} consecutive failures - stopping analysis`);
-            
-            // Use enhanced error recovery with central state restoration
-            Logger.info('[AI Analysis] Network failures detected - attempting cache recovery');
-            
-            try {
-              const recovered = await OverlayManager.restoreAppropriateState(this.profileId, {
-                isErrorFallback: true,
-                error: 'Network connection lost',
-                message: 'Connection lost during AI analysis. Showing cached results.'
-              });
-              
-              if (recovered) {
-                // Cache was restored, return success with cache flag
-                return { 
-                  success: true, 
-                  fromCache: true, 
-                  networkError: true,
-                  partialResults: sectionResults 
-                };
-              }
-            } catch (recoveryError) {
-              Logger.error('[AI Analysis] Cache recovery failed:', recoveryError);
-            }
-            
-            // Return failure with network error indication
-            return {
-              success: false,
-              error: 'Network connection lost - analysis stopped',
-              errorType: 'NETWORK',
-              partialResults: sectionResults
+            stop = stop || {
+              repeatedFailures: true,
+              error: 'Network connection lost',
+              message: 'Connection lost during AI analysis. Showing cached results.',
+              flag: 'networkError',
+              stoppedError: 'Network connection lost - analysis stopped'
             };
           }
         }
@@ -1255,38 +1630,63 @@ class Analyzer {
         // Check for early exit on exception
         if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
           Logger.error(`[AI Analysis] ${consecutiveFailures} consecutive errors - stopping analysis`);
-          
-          // Use enhanced error recovery with central state restoration
-          Logger.info('[AI Analysis] Multiple errors detected - attempting cache recovery');
-          
-          try {
-            const recovered = await OverlayManager.restoreAppropriateState(this.profileId, {
-              isErrorFallback: true,
-              error: 'Multiple errors occurred',
-              message: 'Multiple errors during AI analysis. Showing cached results.'
-            });
-            
-            if (recovered) {
-              // Cache was restored, return success with cache flag
-              return { 
-                success: true, 
-                fromCache: true, 
-                multipleErrors: true,
-                partialResults: sectionResults 
-              };
-            }
-          } catch (recoveryError) {
-            Logger.error('[AI Analysis] Cache recovery failed:', recoveryError);
-          }
-          
-          return {
-            success: false,
-            error: 'Multiple errors occurred - analysis stopped',
-            errorType: 'NETWORK',
-            partialResults: sectionResults
+          stop = stop || {
+            repeatedFailures: true,
+            error: 'Multiple errors occurred',
+            message: 'Multiple errors during AI analysis. Showing cached results.',
+            flag: 'multipleErrors',
+            stoppedError: 'Multiple errors occurred - analysis stopped'
+          };
+        }
+      }
+    }, { leadAlone: warmPrefix });
+    
+    // Put roles back in profile order now that all of them are in
+    if (sectionResults.experience_roles) {
+      sectionResults.experience_roles.sort((a, b) => roleOrder.get(a) - roleOrder.get(b));
+    }
+    if (sectionRecommendations.experience_roles) {
+      sectionRecommendations.experience_roles = sectionResults.experience_roles.flatMap(role => role.recommendations || []);
+    }
+    
+    if (this.cancelled || stop?.cancelled) {
+      return await this.saveCancelledRun(sections.filter((section, index) => unfinished.has(index)), sectionResults);
+    }
+    
+    // Repeated failures usually mean the connection dropped, so fall back to the cached analysis
+    if (stop?.repeatedFailures) {
+      Logger.info('[AI Analysis] Repeated failures - attempting cache recovery');
+      
+      try {
+        const recovered = await OverlayManager.restoreAppropriateState(this.profileId, {
+          isErrorFallback: true,
+          error: stop.error,
+          message: stop.message
+        });
+        
+        if (recovered) {
+          // Cache was restored, return success with cache flag
+          return { 
+            success: true, 
+            fromCache: true, 
+            [stop.flag]: true,
+            partialResults: sectionResults 
           };
         }
+      } catch (recoveryError) {
+        Logger.error('[AI Analysis] Cache recovery failed:', recoveryError);
       }
+      
+      return {
+        success: false,
+        error: stop.stoppedError,
+        errorType: 'NETWORK',
+        partialResults: sectionResults
+      };
+    }
+    
+    if (stop) {
+      return stop;
     }
     
     // 5. Synthesize all results
@@ -1295,6 +1695,14 @@ class Analyzer {
     
     const synthesisStartTime = Date.now();
     const synthesis = await this.synthesizeResults(sectionResults, sectionRecommendations);
+    if (synthesis) {
+      synthesis.differential = differential;
+      synthesis.failedSections = failedSections;
+    }
+    if (synthesis?.success) {
+      await this.cacheManager.clearCheckpoint(this.profileId);
+      this.checkpoint = null;
+    }
     
     const synthesisElapsed = Date.now() - synthesisStartTime;
     const totalElapsed = Date.now() - startTime;
@@ -1313,51 +1721,185 @@ class Analyzer {
     return synthesis;
   }
   
+  /**
+   * Ask the service worker whether this run's shared prompt prefix is long enough
+   * for providers to cache
+   * @returns {Promise<boolean>}
+   */
+  isPromptPrefixCacheable() {
+    return new Promise(resolve => {
+      safeSendMessage({
+        action: 'checkPromptCache',
+        settings: this.settings,
+        profileContext: this.profileContext
+      }, response => resolve(!!response?.cacheable));
+    });
+  }
+  
   /**
    * Analyze individual section
+   * Streams over a long-lived port when available so partial text can be shown,
+   * falling back to a one-shot message otherwise
+   * @param {string} sectionType - Section type sent to the service worker
+   * @param {Object} data - Section data
+   * @param {Object} context - Extra prompt context
+   * @param {Function} onPartial - Called with the accumulated response text as it streams
+   */
+  async analyzeSection(sectionType, data, context = {}, onPartial = null) {
+    const message = {
+      action: 'analyzeSection',
+      section: sectionType,
+      data: data,
+      context: context,
+      settings: this.settings,
+      profileContext: this.profileContext,
+      profileId: this.profileId,
+      analysisId: this.analysisId
+    };
+    
+    return new Promise((resolve) => {
+      const handleResponse = (response) => resolve(this.toSectionResult(sectionType, response));
+      
+      if (!onPartial || !safeChrome() || typeof chrome.runtime.connect !== 'function') {
+        safeSendMessage(message, handleResponse);
+        return;
+      }
+      
+      this.streamSection(message, onPartial, handleResponse);
+    });
+  }
+  
+  /**
+   * Convert a service worker section response into the result the analysis loop files
+   * @param {string} sectionType - Section type that was analyzed
+   * @param {Object} response - analyzeSection response (or one entry of an analyzeCombined response)
+   * @returns {Object} Section result
    */
-  async analyzeSection(sectionType, data, context = {}) {
+  toSectionResult(sectionType, response) {
+    if (response && response.success) {
+      return {
+        success: true,
+        section: sectionType,
+        score: response.score,
+        analysis: response.analysis,
+        recommendations: response.recommendations,
+        insights: response.insights,
+        // Include all AI analysis fields
+        positiveInsight: response.insight,
+        strengths: response.strengths,
+        improvements: response.improvements,
+        actionItems: response.actionItems,
+        specificFeedback: response.specificFeedback,
+        reused: !!response.reused,
+        // Provider and model that answered, which may be a fallback
+        answeredBy: response.answeredBy || null
+      };
+    }
+    
+    // Ensure error is always a string
+    let errorMessage = 'Section analysis failed';
+    if (response?.error) {
+      errorMessage = typeof response.error === 'object' ? 
+        JSON.stringify(response.error) : 
+        String(response.error);
+    }
+    return {
+      success: false,
+      section: sectionType,
+      error: errorMessage,
+      errorType: response?.errorType,
+      retryAfter: response?.retryAfter
+    };
+  }
+  
+  /**
+   * Analyze several sections in one provider request (single-call strategy)
+   * @param {Array<Object>} pending - Sections with their checkpoint key ({ key, type, name, data, context })
+   * @returns {Promise<Object>} { success, results } with service worker responses keyed by section key
+   */
+  async analyzeCombined(pending) {
     return new Promise((resolve) => {
       safeSendMessage({
-        action: 'analyzeSection',
-        section: sectionType,
-        data: data,
-        context: context,
-        settings: this.settings
+        action: 'analyzeCombined',
+        sections: pending.map(({ key, type, data, context }) => ({ key, type, data, context })),
+        settings: this.settings,
+        profileContext: this.profileContext,
+        profileId: this.profileId,
+        analysisId: this.analysisId
       }, (response) => {
-        if (response && response.success) {
-          resolve({
-            success: true,
-            section: sectionType,
-            score: response.score,
-            analysis: response.analysis,
-            recommendations: response.recommendations,
-            insights: response.insights,
-            // Include all AI analysis fields
-            positiveInsight: response.insight,
-            strengths: response.strengths,
-            improvements: response.improvements,
-            actionItems: response.actionItems,
-            specificFeedback: response.specificFeedback
-          });
-        } else {
-          // Ensure error is always a string
-          let errorMessage = 'Section analysis failed';
-          if (response?.error) {
-            errorMessage = typeof response.error === 'object' ? 
-              JSON.stringify(response.error) : 
-              String(response.error);
-          }
-          resolve({
-            success: false,
-            section: sectionType,
-            error: errorMessage
-          });
-        }
+        resolve(response || { success: false, error: 'No response from service worker' });
       });
     });
   }
   
+  /**
+   * Key identifying a section within a run, shared by checkpoints and retries
+   * @param {Object} section - Entry from the distributed section list
+   * @param {number} index - Position in the section list
+   * @returns {string} Section key
+   */
+  getSectionKey(section, index) {
+    return section.type === 'experience_role'
+      ? `experience_role_${section.context?.position ?? index}`
+      : section.type;
+  }
+  
+  /**
+   * Send a section analysis request over the streaming port
+   * @param {Object} message - analyzeSection request
+   * @param {Function} onPartial - Receives accumulated response text
+   * @param {Function} onResult - Receives the final response (null if the port dropped)
+   */
+  streamSection(message, onPartial, onResult) {
+    const requestId = `${message.section}-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    let port;
+    let settled = false;
+    
+    const finish = (response) => {
+      if (settled) return;
+      settled = true;
+      try {
+        port?.disconnect();
+      } catch (e) {
+        // Port already closed
+      }
+      onResult(response);
+    };
+    
+    try {
+      port = chrome.runtime.connect({ name: 'elevateli-analysis' });
+    } catch (error) {
+      Logger.warn('[Analyzer] Streaming port unavailable, using one-shot message:', error.message);
+      safeSendMessage(message, onResult);
+      return;
+    }
+    
+    port.onMessage.addListener((msg) => {
+      if (!msg || msg.requestId !== requestId) return;
+      
+      if (msg.type === 'chunk') {
+        try {
+          onPartial(msg.text);
+        } catch (error) {
+          Logger.warn('[Analyzer] Partial update failed:', error.message);
+        }
+      } else if (msg.type === 'result') {
+        finish(msg.response);
+      }
+    });
+    
+    port.onDisconnect.addListener(() => {
+      // Reading lastError keeps Chrome from logging an unchecked error
+      const lastError = chrome.runtime.lastError;
+      if (!settled) {
+        Logger.warn('[Analyzer] Streaming port closed before result', lastError?.message);
+        finish({ success: false, error: 'Connection to service worker lost' });
+      }
+    });
+    
+    port.postMessage({ ...message, requestId });
+  }
+  
   /**
    * Synthesize all section results
    */
@@ -1441,6 +1983,345 @@ class Analyzer {
     });
   }
   
+  /**
+   * Fold photo and banner ratings into the first impression score
+   * @param {Object} result - Successful first impression result, updated in place
+   * @param {Object} visuals - Visual assessment from FirstImpressionAnalyzer
+   */
+  applyVisualScores(result, visuals) {
+    if (!visuals || typeof result.score !== 'number') return;
+    
+    result.headlineScore = result.score;
+    result.score = FirstImpressionAnalyzer.calculateUnifiedScore({
+      headline: result.score,
+      photo: visuals.photo?.score,
+      banner: visuals.banner?.score
+    });
+    result.visualAssessment = visuals;
+  }
+  
+  /**
+   * Stand in for a failed section so it still renders, and keep its input for a retry
+   * @param {Object} section - Entry from the distributed section list
+   * @param {string} key - Checkpoint key of the section
+   * @param {Object} result - Failed analyzeSection result
+   * @param {Object} sectionResults - Results collected so far
+   * @param {Object} failedSections - Retry inputs keyed by section key
+   * @returns {Object} The placeholder that stands in for the section
+   */
+  addFailedSection(section, key, result, sectionResults, failedSections) {
+    const placeholder = {
+      exists: true,
+      score: null,
+      errorType: result.errorType || 'ANALYSIS_FAILED',
+      feedback: 'Unable to analyze this section.',
+      actionItems: [],
+      retryKey: key
+    };
+    
+    if (section.type === 'experience_role') {
+      placeholder.analysis = {
+        title: section.data?.title || 'Role',
+        company: section.data?.company || ''
+      };
+      if (!sectionResults.experience_roles) {
+        sectionResults.experience_roles = [];
+      }
+      sectionResults.experience_roles.push(placeholder);
+    } else {
+      sectionResults[section.type] = placeholder;
+    }
+    
+    failedSections[key] = {
+      type: section.type,
+      name: section.name,
+      data: section.data,
+      context: section.context || {}
+    };
+    return placeholder;
+  }
+  
+  /**
+   * Re-analyze only the sections that failed in the cached analysis, merge the new
+   * results in and re-run synthesis instead of refreshing the whole profile
+   * @param {Array<string>} keys - Keys of the sections to retry, all failed sections when empty
+   * @returns {Object} { success, retried, stillFailed }
+   */
+  async retryFailedSections(keys = []) {
+    const cachedData = await this.cacheManager.get(this.profileId);
+    const failedSections = { ...(cachedData?.failedSections || {}) };
+    const targets = (keys.length > 0 ? keys : Object.keys(failedSections))
+      .filter(key => failedSections[key]);
+    
+    if (!cachedData || targets.length === 0) {
+      Logger.warn('[Analyzer] No failed sections to retry', { keys });
+      OverlayManager.showToast('Nothing to retry - refresh the analysis instead', 'error');
+      return { success: false, error: 'No failed sections to retry' };
+    }
+    
+    this.cancelled = false;
+    this.analysisId = `${this.profileId}-${Date.now()}`;
+    this.profileContext = this.profileContext || this.buildProfileContext(cachedData.extractedData || {});
+    Logger.info(`[Analyzer] Retrying ${targets.length} failed sections`, { targets });
+    OverlayManager.setState(OverlayManager.states.AI_ANALYZING);
+    
+    // Retries send profile data too, so they need the same confirmation as a full run
+    if (this.settings.confirmBeforeAnalysis !== false) {
+      const confirmed = await this.confirmPromptPreview(targets.map(key => ({ key, ...failedSections[key] })));
+      if (!confirmed) {
+        Logger.info('[Analyzer] Retry not confirmed, nothing sent');
+        return { success: false, cancelled: true };
+      }
+    }
+    
+    const sectionScores = { ...(cachedData.sectionScores || {}) };
+    if (sectionScores.experience_roles) {
+      sectionScores.experience_roles = [...sectionScores.experience_roles];
+    }
+    const retried = [];
+    
+    for (const key of targets) {
+      if (this.cancelled) break;
+      
+      const section = failedSections[key];
+      OverlayManager.updateAIProgress('analyzing', section.name);
+      const result = await this.analyzeSection(section.type, section.data, section.context, (partialText) => {
+        OverlayManager.updateAIProgress('streaming', section.name, partialText);
+      });
+      
+      if (!result.success) {
+        Logger.warn(`[Analyzer] Retry of ${section.name} failed: ${result.error || 'Unknown error'}`);
+        continue;
+      }
+      
+      if (section.type === 'experience_role') {
+        const index = (sectionScores.experience_roles || []).findIndex(role => role.retryKey === key);
+        if (index >= 0) {
+          sectionScores.experience_roles[index] = result;
+        } else {
+          sectionScores.experience_roles = [...(sectionScores.experience_roles || []), result];
+        }
+      } else {
+        if (section.type === 'first_impression') {
+          this.applyVisualScores(result, section.data?.visuals);
+        }
+        sectionScores[section.type] = result;
+      }
+      delete failedSections[key];
+      retried.push(section.name);
+    }
+    
+    const stillFailed = targets.filter(key => failedSections[key]);
+    if (retried.length === 0) {
+      OverlayManager.setState(OverlayManager.states.COMPLETE, { ...cachedData, fromCache: true });
+      OverlayManager.showToast('Retry failed - please try again in a few minutes', 'error');
+      return { success: false, retried, stillFailed };
+    }
+    
+    // Synthesis reads recommendations per section, so rebuild them from the merged scores
+    const sectionRecommendations = {};
+    Object.entries(sectionScores).forEach(([type, result]) => {
+      sectionRecommendations[type] = Array.isArray(result)
+        ? result.flatMap(role => role.recommendations || [])
+        : (result?.recommendations || []);
+    });
+    
+    OverlayManager.updateAIProgress('synthesizing', 'Synthesizing results...');
+    const synthesis = await this.synthesizeResults(sectionScores, sectionRecommendations);
+    
+    const { extractedData, contentHash, sectionHashes, timestamp, version, ...analysisData } = cachedData;
+    const merged = {
+      ...analysisData,
+      contentScore: synthesis.score,
+      recommendations: synthesis.recommendations,
+      insights: synthesis.insights,
+      sectionScores: synthesis.sectionScores || sectionScores,
+      failedSections,
+      differential: null
+    };
+    
+    // Retried sections complete the same analysis, so its history point is updated rather than duplicated
+    await this.cacheManager.save(this.profileId, merged, extractedData, this.settings, { replaceLatestSnapshot: true });
+    OverlayManager.setState(OverlayManager.states.COMPLETE, {
+      ...merged,
+      extractedData,
+      fromCache: false,
+      aiDisabled: false
+    });
+    
+    Logger.info('[Analyzer] Retried failed sections', { retried, stillFailed });
+    return { success: true, retried, stillFailed };
+  }
+  
+  /**
+   * Cancel the running analysis: stop the section loop and abort the run's pending provider calls
+   */
+  cancel() {
+    if (this.cancelled) return;
+    this.cancelled = true;
+    Logger.info(`[Analyzer] Cancelling analysis run ${this.analysisId}`);
+    
+    if (this.analysisId) {
+      safeSendMessage({ action: 'cancelAnalysis', analysisId: this.analysisId }, () => {});
+    }
+  }
+  
+  /**
+   * Offer to resume an interrupted run whose profile content hasn't changed since
+   * @param {string} contentHash - Hash of the freshly extracted profile
+   * @returns {Promise<Object|null>} Checkpoint to resume from, or null to start over
+   */
+  async getResumableCheckpoint(contentHash) {
+    const checkpoint = await this.cacheManager.getCheckpoint(this.profileId);
+    const completedCount = Object.keys(checkpoint?.completed || {}).length;
+    if (!checkpoint || completedCount === 0) {
+      return null;
+    }
+    
+    // Finished sections only carry over when they were scored against the same content and settings
+    if (checkpoint.contentHash !== contentHash) {
+      Logger.info('[Analyzer] Profile changed since the interrupted run, starting over');
+      await this.cacheManager.clearCheckpoint(this.profileId);
+      return null;
+    }
+    
+    const resume = await this.waitForUser(OverlayManager.promptResume(completedCount, checkpoint.total));
+    Logger.info(`[Analyzer] Interrupted run ${checkpoint.runId}: ${resume ? 'resuming' : 'starting over'}`, {
+      completed: completedCount,
+      total: checkpoint.total
+    });
+    if (!resume) {
+      await this.cacheManager.clearCheckpoint(this.profileId);
+      return null;
+    }
+    return checkpoint;
+  }
+  
+  /**
+   * Photo and banner requests the vision check would send
+   * @param {Object} extractedData - Extractor output
+   * @returns {Array<Object>} { analysisType, context } per image
+   */
+  getVisionTargets(extractedData) {
+    const visionContext = {
+      profileId: this.profileId,
+      headline: extractedData.headline?.text || '',
+      targetRole: this.settings.targetRole
+    };
+    const vision = [];
+    if (extractedData.photo?.photoUrl) {
+      vision.push({ analysisType: 'photo', context: { ...visionContext, analysisType: 'photo' } });
+    }
+    if (extractedData.banner?.isCustomBanner && extractedData.banner.bannerUrl) {
+      vision.push({ analysisType: 'banner', context: { ...visionContext, analysisType: 'banner' } });
+    }
+    return vision;
+  }
+  
+  /**
+   * Build the prompts a run would send and wait for the user to confirm them
+   * @param {Array<Object>} sections - Sections that will be sent ({ key, type, name, data, context })
+   * @param {Object|null} extractedData - Extractor output for the photo and banner checks; null when no images are sent
+   * @returns {Promise<boolean>} True when the user confirmed
+   */
+  async confirmPromptPreview(sections, extractedData = null) {
+    const pending = sections.map(({ key, type, name, data, context }) => ({ key, type, name, data, context }));
+    const vision = extractedData ? this.getVisionTargets(extractedData) : [];
+    
+    const preview = await new Promise((resolve) => {
+      safeSendMessage({
+        action: 'previewPrompts',
+        sections: pending,
+        vision,
+        settings: this.settings,
+        profileContext: this.profileContext,
+        profileId: this.profileId
+      }, resolve);
+    });
+    
+    if (!preview?.success) {
+      // Without a preview there is nothing to confirm, and sending unreviewed prompts is what this step prevents
+      Logger.warn('[Analyzer] Prompt preview unavailable', preview?.error);
+      OverlayManager.showToast(`Couldn't build the prompt preview: ${preview?.error || 'no response'}`, 'error');
+      OverlayManager.handleCancelAnalysis();
+      return false;
+    }
+    
+    const confirmed = await this.waitForUser(OverlayManager.showPromptPreview(preview));
+    Logger.info(`[Analyzer] Prompt preview ${confirmed ? 'confirmed' : 'declined'}`, {
+      requests: preview.totals.requests,
+      inputTokens: preview.totals.inputTokens,
+      cost: preview.totals.cost
+    });
+    return confirmed;
+  }
+  
+  /**
+   * Mark the checkpoint cancelled so a later analysis can resume from what finished
+   * @param {Array<Object>} skippedSections - Sections that never completed
+   * @param {Object} sectionResults - Results gathered before the cancel
+   * @returns {Object} Cancelled analysis result
+   */
+  async saveCancelledRun(skippedSections, sectionResults) {
+    const cancelledSections = skippedSections.map(section => ({
+      type: section.type,
+      name: section.name,
+      status: 'cancelled'
+    }));
+    Logger.info(`[AI Analysis] Run ${this.analysisId} cancelled, ${cancelledSections.length} sections skipped`);
+    
+    await this.cacheManager.saveCheckpoint(this.profileId, {
+      ...this.checkpoint,
+      status: 'cancelled',
+      cancelledSections
+    });
+    
+    return {
+      success: false,
+      cancelled: true,
+      error: 'Analysis cancelled',
+      errorType: 'CANCELLED',
+      cancelledSections,
+      partialResults: sectionResults
+    };
+  }
+
+  /**
+   * Sections sent to the provider at once: the user's setting, else the provider's default
+   * @returns {number} Concurrency limit for the section pool
+   */
+  getAnalysisConcurrency() {
+    const configured = Number(this.settings.analysisConcurrency);
+    if (configured > 0) {
+      return configured;
+    }
+    return ANALYSIS_CONCURRENCY[this.settings.aiProvider] || 2;
+  }
+  
+  /**
+   * Run worker over items with at most `limit` in flight
+   * @param {Array} items - Items to process
+   * @param {number} limit - Maximum concurrent workers
+   * @param {Function} worker - async (item, index) => void
+   * @param {Object} options - { leadAlone } finishes the first item before starting the rest
+   */
+  async runWithConcurrency(items, limit, worker, options = {}) {
+    let next = 0;
+    if (options.leadAlone && items.length > 1) {
+      next = 1;
+      await worker(items[0], 0);
+    }
+    const runner = async () => {
+      while (next < items.length) {
+        const index = next++;
+        await worker(items[index], index);
+      }
+    };
+    
+    const runnerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: runnerCount }, runner));
+  }
+  
   /**
    * Check if an error is retriable (network errors)
    */
@@ -1468,10 +2349,13 @@ class Analyzer {
    * Get error type from error object
    */
   getErrorType(error) {
+    if (error?.errorType) return error.errorType;
     const message = error?.message?.toLowerCase() || '';
+    if (message.includes('429') || message.includes('rate limit')) return 'RATE_LIMIT';
+    if (/api error: 5\d\d/.test(message) || message.includes('overloaded')) return 'SERVICE_UNAVAILABLE';
+    if (message.includes('timeout')) return 'TIMEOUT';
     if (message.includes('network') || message.includes('fetch')) return 'NETWORK';
     if (message.includes('401') || message.includes('403')) return 'AUTH';
-    if (message.includes('rate limit')) return 'RATE_LIMIT';
     return 'UNKNOWN';
   }
 
@@ -1565,13 +2449,23 @@ class Analyzer {
     // Try distributed approach first
     try {
       const distributedResult = await this.runDistributedAIAnalysis(extractedData);
-      if (distributedResult.success) {
+      // The monolithic request would hit the same budget cap or provider wait, and a cancel must not restart the work
+      if (distributedResult.success || distributedResult.cancelled || distributedResult.errorType === 'BUDGET' || distributedResult.retryAfter) {
         return distributedResult;
       }
     } catch (error) {
       Logger.warn('[Analyzer] Distributed analysis failed, falling back to monolithic', error);
     }
     
+    // The monolithic request sends the whole profile too, so it never goes out unreviewed
+    if (this.settings.confirmBeforeAnalysis !== false && !this.promptsConfirmed) {
+      return {
+        success: false,
+        error: 'The prompt preview could not be shown, so nothing was sent',
+        errorType: 'PREVIEW_UNAVAILABLE'
+      };
+    }
+    
     // Fallback to original monolithic approach
     Logger.info('[Analyzer] Using monolithic AI analysis', {
       hasData: !!extractedData,
@@ -1583,7 +2477,9 @@ class Analyzer {
       safeSendMessage({
         action: 'analyzeWithAI',
         data: extractedData,
-        settings: this.settings
+        settings: this.settings,
+        profileContext: this.buildProfileContext(extractedData),
+        analysisId: this.analysisId
       }, (response) => {
         Logger.info('[Analyzer] AI analysis response received', {
           success: response?.success,
@@ -1620,6 +2516,7 @@ class Analyzer {
             error: errorMessage,
             errorType: errorType,
             retryAfter: response?.retryAfter,
+            cancelled: !!response?.cancelled,
             decryptionFailed: response?.decryptionFailed
           });
         }
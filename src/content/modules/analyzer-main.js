@@ -266,7 +266,7 @@
           resolve({});
           return;
         }
-        chrome.storage.local.get(['enableAI', 'apiKey', 'encryptedApiKey', 'aiProvider', 'aiModel', 'targetRole', 'seniorityLevel'], (data) => {
+        chrome.storage.local.get(['enableAI', 'apiKey', 'encryptedApiKey', 'aiProvider', 'aiModel', 'customSupportsVision', 'targetRole', 'seniorityLevel', 'weightPreset', 'customWeights', 'jobMatchEnabled', 'jobDescription', 'analysisStrategy', 'analysisConcurrency', 'confirmBeforeAnalysis'], (data) => {
           if (chrome.runtime.lastError) {
             resolve({});
           } else {
@@ -287,6 +287,7 @@
     
     // Create analyzer instance with consistent cache profile ID
     const analyzer = new Analyzer();
+    currentAnalyzer = analyzer;
     await analyzer.init(cacheProfileId, isOwn, settings);
     
     // Run analysis
@@ -301,6 +302,8 @@
   // Track if analysis is in progress
   let analysisInProgress = false;
   let analysisAborted = false;
+  // Running analyzer, so a cancel from the overlay can reach its in-flight requests
+  let currentAnalyzer = null;
   
   window.addEventListener('message', (event) => {
     if (event.source !== window) return;
@@ -313,6 +316,11 @@
     if (event.data.type === 'ELEVATE_CANCEL_ANALYSIS') {
       analysisAborted = true;
       analysisInProgress = false;
+      currentAnalyzer?.cancel();
+    }
+    
+    if (event.data.type === 'ELEVATE_RETRY_SECTIONS') {
+      currentAnalyzer?.retryFailedSections(event.data.sections || []);
     }
   });
   
@@ -421,6 +429,28 @@
         return true; // Keep channel open for async response
       }
       
+      if (request.action === 'sectionAnalysisComplete') {
+        OverlayManager.showCompletedSection(request.section, request.analysis || {}, {
+          completed: request.completed,
+          total: request.total
+        });
+        sendResponse({ success: true });
+        return true;
+      }
+      
+      if (request.action === 'captureJobDescription') {
+        JobDescriptionExtractor.extract().then(job => {
+          if (!job.exists) {
+            sendResponse({ success: false, error: job.error });
+            return;
+          }
+          sendResponse({ success: true, job });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      }
+      
       if (request.action === 'getProfileData') {
         const profileId = getProfileIdFromUrl();
         chrome.storage.local.get([`cache_${profileId}`], (data) => {
@@ -29,13 +29,24 @@ const SCORE_THRESHOLDS = {
 const CHAR_LIMITS = {
   HEADLINE: 220,
   ABOUT: 2600,
-  EXPERIENCE_OPTIMAL: 1500
+  EXPERIENCE_OPTIMAL: 1500,
+  EXPERIENCE_DESCRIPTION: 2000
 };
 
 // Cache settings
 const CACHE_SETTINGS = {
   MAX_AGE_DAYS: 7,
-  DEFAULT_DURATION_DAYS: 7
+  DEFAULT_DURATION_DAYS: 7,
+  MAX_HISTORY_SNAPSHOTS: 20, // Oldest snapshots are dropped beyond this, per profile
+  CHECKPOINT_MAX_AGE_HOURS: 24 // Interrupted runs older than this start over instead of resuming
+};
+
+// Sections analyzed at once per provider, unless the user picked a number (mirrors the service worker)
+const ANALYSIS_CONCURRENCY = {
+  openai: 4,
+  anthropic: 3,
+  gemini: 4,
+  custom: 1
 };
 
 // UI Colors
@@ -8,30 +8,92 @@ class CacheManager {
   constructor() {
     this.AI_CACHE_PREFIX = 'aiCache_';
     this.COMPLETENESS_CACHE_PREFIX = 'completeness_';
+    this.HISTORY_PREFIX = 'history_';
+    this.CHECKPOINT_PREFIX = 'analysisRun_';
+  }
+  
+  /**
+   * Collapse whitespace so reflowed text doesn't count as a change
+   */
+  normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+  
+  /**
+   * 32-bit FNV-1a hash as hex - fast and synchronous, not for security
+   */
+  hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+  
+  /**
+   * Hash each section's normalized content separately so changes can be
+   * reported per section
+   * @param {Object} profileData - Extracted profile data, with the deep About
+   *   text and experience roles added by Analyzer.addHashedContent()
+   * @param {Object} settings - Analysis settings
+   * @returns {Object} Section key to content hash
+   */
+  generateSectionHashes(profileData, settings) {
+    const normalize = (text) => this.normalizeText(text);
+    const roles = profileData.experience?.experiences || [];
+    const skills = profileData.skills?.skills || [];
+    
+    const content = {
+      photo: profileData.photo?.exists ? 'photo' : '',
+      headline: normalize(profileData.headline?.text),
+      about: normalize(profileData.about?.fullText ?? profileData.about?.text),
+      experience: roles.map(role => [role.title, role.company, role.description].map(normalize).join('|')).join('\n'),
+      skills: skills.map(skill => normalize(skill.name)).join('|'),
+      // Sections without AI text feedback are still tracked by count
+      education: String(profileData.education?.count || 0),
+      recommendations: String(profileData.recommendations?.count || 0),
+      certifications: String(profileData.certifications?.count || 0),
+      projects: String(profileData.projects?.count || 0),
+      featured: String(profileData.featured?.count || 0),
+      settings: [
+        settings.targetRole || 'none',
+        settings.seniorityLevel || 'none',
+        normalize(settings.customInstructions),
+        settings.weightPreset || 'role',
+        settings.weightPreset === 'custom' ? Object.values(settings.customWeights || {}).join(':') : ''
+      ].join('|')
+    };
+    
+    return Object.fromEntries(
+      Object.entries(content).map(([key, value]) => [key, this.hashString(value)])
+    );
   }
   
   /**
    * Generate content hash including profile data and settings
    */
   generateHash(profileData, settings) {
-    const dataPoints = [
-      profileData.photo ? 1 : 0,
-      profileData.headline?.charCount || 0,
-      profileData.about?.charCount || 0,
-      profileData.experience?.count || 0,
-      profileData.skills?.count || 0,
-      profileData.education?.count || 0,
-      profileData.recommendations?.count || 0,
-      profileData.certifications?.count || 0,
-      profileData.featured ? 1 : 0,
-      profileData.projects?.count || 0,
-      profileData.connections || 0,
-      settings.targetRole || 'none',
-      settings.seniorityLevel || 'none',
-      settings.customInstructions ? 'custom' : 'default'
-    ];
+    const sectionHashes = this.generateSectionHashes(profileData, settings);
+    return this.hashString(
+      Object.keys(sectionHashes).sort().map(key => `${key}:${sectionHashes[key]}`).join(';')
+    );
+  }
+  
+  /**
+   * List the sections whose content differs from a cached analysis
+   * @param {Object} cachedData - Data as saved by save()
+   * @param {Object} profileData - Freshly extracted profile data
+   * @param {Object} settings - Current analysis settings
+   * @returns {Array<string>} Changed section keys (empty for caches saved before hashing)
+   */
+  getChangedSections(cachedData, profileData, settings) {
+    if (!cachedData?.sectionHashes) return [];
     
-    return dataPoints.join('-');
+    const current = this.generateSectionHashes(profileData, settings);
+    if (this.generateHash(profileData, settings) === cachedData.contentHash) return [];
+    
+    return Object.keys(current).filter(key => cachedData.sectionHashes[key] !== current[key]);
   }
   
   /**
@@ -61,14 +123,17 @@ class CacheManager {
   
   /**
    * Save data to cache
+   * @param {Object} options - { replaceLatestSnapshot } to update the newest history point instead of adding one
    */
-  async save(profileId, analysisData, extractedData) {
+  async save(profileId, analysisData, extractedData, settings = {}, options = {}) {
     return new Promise((resolve) => {
       const cacheKey = `cache_${profileId}`;
       
       const cacheData = {
         ...analysisData,
         extractedData: extractedData,
+        contentHash: this.generateHash(extractedData || {}, settings),
+        sectionHashes: this.generateSectionHashes(extractedData || {}, settings),
         timestamp: new Date().toISOString(),
         version: '1.0'
       };
@@ -77,10 +142,178 @@ class CacheManager {
         [cacheKey]: cacheData
       };
       
-      chrome.storage.local.set(storageData, () => {
+      chrome.storage.local.set(storageData, async () => {
         if (chrome.runtime.lastError) {
           Logger.error('[CacheManager] Error saving cache:', chrome.runtime.lastError);
           resolve(false);
+        } else {
+          await this.addSnapshot(profileId, cacheData, options.replaceLatestSnapshot);
+          resolve(true);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Build a compact snapshot of an analysis for the history
+   * Only the fields needed to compare analyses are kept so the history stays well
+   * inside chrome.storage.local quota
+   * @param {Object} cacheData - Data as saved by save()
+   * @returns {Object} Snapshot
+   */
+  createSnapshot(cacheData) {
+    const extracted = cacheData.extractedData || {};
+    const summarize = (section) => ({
+      exists: !!section?.exists,
+      count: section?.count || 0,
+      charCount: section?.charCount || 0
+    });
+    
+    // Keep only scores so AI feedback text doesn't bloat storage
+    const sectionScores = {};
+    Object.entries(cacheData.sectionScores || {}).forEach(([key, value]) => {
+      if (Array.isArray(value)) {
+        sectionScores[key] = value.map(item => ({
+          name: [item?.analysis?.title || item?.title, item?.analysis?.company || item?.company].filter(Boolean).join(' at ') || null,
+          score: typeof item?.score === 'number' ? item.score : null
+        }));
+      } else if (typeof value?.score === 'number') {
+        sectionScores[key] = value.score;
+      }
+    });
+    
+    return {
+      timestamp: cacheData.timestamp,
+      completeness: cacheData.completeness ?? null,
+      contentScore: cacheData.contentScore ?? null,
+      missingItems: (cacheData.completenessData?.recommendations || []).map(item => item.section).filter(Boolean),
+      sectionScores,
+      extractedData: {
+        photo: { exists: !!extracted.photo?.exists },
+        headline: { ...summarize(extracted.headline), text: extracted.headline?.text || '' },
+        about: summarize(extracted.about),
+        experience: summarize(extracted.experience),
+        skills: {
+          ...summarize(extracted.skills),
+          names: (extracted.skills?.skills || []).map(skill => skill.name).filter(Boolean)
+        },
+        education: summarize(extracted.education),
+        recommendations: summarize(extracted.recommendations),
+        certifications: summarize(extracted.certifications),
+        projects: summarize(extracted.projects),
+        featured: summarize(extracted.featured)
+      }
+    };
+  }
+  
+  /**
+   * Append a snapshot to the profile's bounded history
+   * @param {string} profileId - LinkedIn profile ID
+   * @param {Object} cacheData - Data as saved by save()
+   * @param {boolean} replaceLatest - Overwrite the newest snapshot, for updates to the same analysis
+   */
+  async addSnapshot(profileId, cacheData, replaceLatest = false) {
+    const history = await this.getHistory(profileId);
+    if (replaceLatest && history.length > 0) {
+      history[history.length - 1] = this.createSnapshot(cacheData);
+    } else {
+      history.push(this.createSnapshot(cacheData));
+    }
+    
+    const maxSnapshots = CACHE_SETTINGS.MAX_HISTORY_SNAPSHOTS;
+    const bounded = history.slice(-maxSnapshots);
+    
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [`${this.HISTORY_PREFIX}${profileId}`]: bounded }, () => {
+        if (chrome.runtime.lastError) {
+          Logger.error('[CacheManager] Error saving history snapshot:', chrome.runtime.lastError);
+          resolve(false);
+        } else {
+          resolve(true);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Get snapshot history for a profile, oldest first
+   * @param {string} profileId - LinkedIn profile ID
+   * @returns {Promise<Array>} Snapshots
+   */
+  async getHistory(profileId) {
+    return new Promise((resolve) => {
+      const historyKey = `${this.HISTORY_PREFIX}${profileId}`;
+      
+      chrome.storage.local.get([historyKey], (data) => {
+        if (chrome.runtime.lastError) {
+          Logger.error('[CacheManager] Error reading history:', chrome.runtime.lastError);
+          resolve([]);
+          return;
+        }
+        
+        resolve(Array.isArray(data[historyKey]) ? data[historyKey] : []);
+      });
+    });
+  }
+  
+  /**
+   * Get the checkpoint of an unfinished analysis run
+   * @param {string} profileId - LinkedIn profile ID
+   * @returns {Promise<Object|null>} Checkpoint, or null when none is recent enough to resume
+   */
+  async getCheckpoint(profileId) {
+    return new Promise((resolve) => {
+      const checkpointKey = `${this.CHECKPOINT_PREFIX}${profileId}`;
+      
+      chrome.storage.local.get([checkpointKey], (data) => {
+        if (chrome.runtime.lastError) {
+          Logger.error('[CacheManager] Error reading checkpoint:', chrome.runtime.lastError);
+          resolve(null);
+          return;
+        }
+        
+        const checkpoint = data[checkpointKey];
+        const maxAge = CACHE_SETTINGS.CHECKPOINT_MAX_AGE_HOURS * 60 * 60 * 1000;
+        if (!checkpoint || Date.now() - checkpoint.updatedAt > maxAge) {
+          resolve(null);
+          return;
+        }
+        
+        resolve(checkpoint);
+      });
+    });
+  }
+  
+  /**
+   * Save the checkpoint of the running analysis, replacing any earlier run for the profile
+   * @param {string} profileId - LinkedIn profile ID
+   * @param {Object} checkpoint - Run ID, status, content hash and completed section results
+   */
+  async saveCheckpoint(profileId, checkpoint) {
+    return new Promise((resolve) => {
+      const checkpointKey = `${this.CHECKPOINT_PREFIX}${profileId}`;
+      
+      chrome.storage.local.set({ [checkpointKey]: { ...checkpoint, updatedAt: Date.now() } }, () => {
+        if (chrome.runtime.lastError) {
+          Logger.error('[CacheManager] Error saving checkpoint:', chrome.runtime.lastError);
+          resolve(false);
+        } else {
+          resolve(true);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Remove the checkpoint once a run finishes or the user starts over
+   * @param {string} profileId - LinkedIn profile ID
+   */
+  async clearCheckpoint(profileId) {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove([`${this.CHECKPOINT_PREFIX}${profileId}`], () => {
+        if (chrome.runtime.lastError) {
+          Logger.error('[CacheManager] Error clearing checkpoint:', chrome.runtime.lastError);
+          resolve(false);
         } else {
           resolve(true);
         }
@@ -108,8 +341,10 @@ class CacheManager {
   async clear(profileId) {
     return new Promise((resolve) => {
       const cacheKey = `cache_${profileId}`;
+      const historyKey = `${this.HISTORY_PREFIX}${profileId}`;
+      const checkpointKey = `${this.CHECKPOINT_PREFIX}${profileId}`;
       
-      chrome.storage.local.remove([cacheKey], () => {
+      chrome.storage.local.remove([cacheKey, historyKey, checkpointKey], () => {
         if (chrome.runtime.lastError) {
           Logger.error('[CacheManager] Error clearing cache:', chrome.runtime.lastError);
           resolve(false);
@@ -126,7 +361,9 @@ class CacheManager {
   async clearAll() {
     return new Promise((resolve) => {
       chrome.storage.local.get(null, (data) => {
-        const cacheKeys = Object.keys(data).filter(key => key.startsWith('cache_'));
+        const cacheKeys = Object.keys(data).filter(key => 
+          key.startsWith('cache_') || key.startsWith(this.HISTORY_PREFIX) || key.startsWith(this.CHECKPOINT_PREFIX)
+        );
         
         if (cacheKeys.length === 0) {
           resolve(true);
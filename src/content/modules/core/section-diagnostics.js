@@ -0,0 +1,81 @@
+/**
+ * Section Diagnostics Module for ElevateLI
+ * Records which lookup strategy found each profile section so a redesign that
+ * breaks our selectors can be told apart from a section the user doesn't have
+ */
+
+const SectionDiagnostics = {
+  STORAGE_KEY: 'sectionDiagnostics',
+  MAX_RUNS: 10,
+  
+  // Section name -> latest lookup result on the current page
+  sections: {},
+  
+  /**
+   * Forget results from the previous run
+   */
+  reset() {
+    this.sections = {};
+  },
+  
+  /**
+   * Record the outcome of a section lookup
+   * @param {string} section - Section name (e.g. 'skills')
+   * @param {Object} entry - { status, strategy, detail, attempts }
+   *   status is one of: found, absent, unreadable, failed
+   */
+  record(section, entry) {
+    this.sections[section] = {
+      ...entry,
+      timestamp: Date.now()
+    };
+  },
+  
+  /**
+   * Record an extractor that threw while reading its section
+   * @param {string} section - Section name
+   * @param {Error} error - Error thrown by the extractor
+   */
+  markFailed(section, error) {
+    this.record(section, {
+      ...this.sections[section],
+      status: 'failed',
+      error: error?.message || String(error)
+    });
+  },
+  
+  /**
+   * Whether the section is on the page but could not be read
+   * @param {string} section - Section name
+   * @returns {boolean}
+   */
+  isUnreadable(section) {
+    const status = this.sections[section]?.status;
+    return status === 'unreadable' || status === 'failed';
+  },
+  
+  /**
+   * Store this run's results, keeping the most recent runs
+   * Only strategy names, selectors and statuses are stored - never profile content
+   * @param {Object} context - { isOwn }
+   */
+  async save(context = {}) {
+    if (!chrome?.runtime?.id) return;
+    
+    try {
+      const stored = await chrome.storage.local.get(this.STORAGE_KEY);
+      const runs = stored[this.STORAGE_KEY] || [];
+      
+      runs.unshift({
+        timestamp: Date.now(),
+        version: chrome.runtime.getManifest().version,
+        isOwnProfile: !!context.isOwn,
+        sections: this.sections
+      });
+      
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: runs.slice(0, this.MAX_RUNS) });
+    } catch (error) {
+      Logger.warn('[SectionDiagnostics] Failed to save diagnostics', error);
+    }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * Banner Extractor Module for ElevateLI
+ * Handles detection of the LinkedIn background banner and whether it was customized
+ * This module will be concatenated into analyzer.js for Manifest V3 compatibility
+ */
+
+const BannerExtractor = {
+  name: 'banner',
+  
+  selectors: [
+    '#profile-background-image-target-image',
+    'img.profile-background-image__image',
+    '.profile-background-image img',
+    '.pv-top-card__background-image img',
+    'img[class*="background-image"]'
+  ],
+  
+  // Recommended upload size from LinkedIn's help center
+  recommendedSize: { width: 1584, height: 396 },
+  
+  /**
+   * Quick scan for a background banner
+   * LinkedIn renders the default banner as a static asset or a CSS background,
+   * so only images served from the member media CDN count as custom
+   * @returns {Object} Scan results
+   */
+  async scan() {
+    let bannerElement = null;
+    
+    for (const selector of this.selectors) {
+      bannerElement = document.querySelector(selector);
+      if (bannerElement) break;
+    }
+    
+    const bannerUrl = bannerElement?.currentSrc || bannerElement?.src || null;
+    const isCustomBanner = !!bannerUrl && /^https:\/\/media\.licdn\.com\//.test(bannerUrl);
+    
+    return {
+      exists: !!bannerElement,
+      isCustomBanner,
+      bannerUrl: isCustomBanner ? bannerUrl : null,
+      width: bannerElement?.naturalWidth || null,
+      height: bannerElement?.naturalHeight || null
+    };
+  },
+  
+  /**
+   * Extract banner data
+   * @returns {Object} Banner data
+   */
+  async extract() {
+    return this.scan();
+  }
+};
\ No newline at end of file
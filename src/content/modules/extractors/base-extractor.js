@@ -52,14 +52,74 @@ const BaseExtractor = {
     return true;
   },
   
+  // Section lookup strategies, tried in order until one matches
+  // Each finder returns { element, detail } or null; see registerStrategy()
+  sectionStrategies: [
+    { name: 'selector', method: 'findBySelectors' },
+    { name: 'anchor', method: 'findByAnchor' },
+    { name: 'heading', method: 'findByHeading' },
+    { name: 'aria', method: 'findByAriaLandmark' },
+    { name: 'structure', method: 'findByStructure' }
+  ],
+  
+  /**
+   * Add a section lookup strategy
+   * @param {string} name - Strategy name recorded in diagnostics
+   * @param {Function} find - (selectors, headingText) => { element, detail } | null
+   * @param {number} position - Index to insert at, defaults to last
+   */
+  registerStrategy(name, find, position = this.sectionStrategies.length) {
+    this.sectionStrategies.splice(position, 0, { name, find });
+  },
+  
   /**
    * Find section by multiple strategies
+   * Records which strategy matched, or whether the section looks absent or unreadable
    */
   findSection(selectors, headingText) {
+    const attempts = [];
+    const sectionName = (headingText || selectors[0] || 'unknown').toLowerCase();
+    
+    for (const strategy of this.sectionStrategies) {
+      const find = strategy.find || this[strategy.method];
+      let match = null;
+      
+      try {
+        match = find.call(this, selectors, headingText);
+      } catch (e) {
+        // A broken strategy counts as a miss
+      }
+      
+      attempts.push(strategy.name);
+      if (match?.element) {
+        SectionDiagnostics.record(sectionName, {
+          status: 'found',
+          strategy: strategy.name,
+          detail: match.detail || null,
+          attempts
+        });
+        return match.element;
+      }
+    }
+    
+    // The heading is on the page but no strategy could resolve its container
+    SectionDiagnostics.record(sectionName, {
+      status: this.isHeadingVisible(headingText) ? 'unreadable' : 'absent',
+      strategy: null,
+      detail: null,
+      attempts
+    });
+    
+    return null;
+  },
+  
+  /**
+   * Strategy: configured CSS selectors
+   */
+  findBySelectors(selectors) {
     // Filter out invalid selectors (jQuery-specific :contains())
     const validSelectors = selectors.filter(sel => !sel.includes(':contains('));
     
-    // Try valid selectors
     for (const selector of validSelectors) {
       try {
         const element = document.querySelector(selector);
@@ -68,88 +128,152 @@ const BaseExtractor = {
           if (element.classList.contains('pv-profile-card__anchor')) {
             continue;
           }
-          return element;
+          return { element, detail: selector };
         }
       } catch (e) {
         // Silently skip invalid selectors
       }
     }
     
-    // Try anchor-based search (LinkedIn's pattern)
-    if (headingText) {
-      // Try different ID patterns based on section name
-      const sectionName = headingText.toLowerCase();
-      const possibleIds = [
-        sectionName.replace(/\s+/g, '-'),
-        sectionName.replace(/\s+/g, ''),
-        sectionName.split(' ')[0],
-        sectionName
-      ];
-      
-      for (const id of possibleIds) {
-        const anchor = document.querySelector(`div#${id}.pv-profile-card__anchor`);
-        if (anchor) {
-          // For skills and recommendations, skip parent section and check siblings
-          if (sectionName !== 'skills' && sectionName !== 'recommendations') {
-            // First try parent section for other sections
-            const section = anchor.closest('section');
-            if (section) {
-              return section;
+    return null;
+  },
+  
+  /**
+   * Strategy: anchor IDs (LinkedIn's pattern)
+   */
+  findByAnchor(selectors, headingText) {
+    if (!headingText) return null;
+    
+    // Try different ID patterns based on section name
+    const sectionName = headingText.toLowerCase();
+    const possibleIds = [
+      sectionName.replace(/\s+/g, '-'),
+      sectionName.replace(/\s+/g, ''),
+      sectionName.split(' ')[0],
+      sectionName
+    ];
+    
+    for (const id of possibleIds) {
+      const anchor = document.querySelector(`div#${id}.pv-profile-card__anchor`);
+      if (anchor) {
+        // For skills and recommendations, skip parent section and check siblings
+        if (sectionName !== 'skills' && sectionName !== 'recommendations') {
+          // First try parent section for other sections
+          const section = anchor.closest('section');
+          if (section) {
+            return { element: section, detail: `#${id}` };
+          }
+        }
+        
+        // Try siblings after anchor
+        let sibling = anchor.nextElementSibling;
+        let siblingCount = 0;
+        while (sibling && siblingCount < 5) {
+          // For skills, need BOTH skill items AND show all link
+          if (sectionName === 'skills') {
+            const skillLinks = sibling.querySelectorAll('[data-field="skill_card_skill_topic"]');
+            
+            // Only return if we have actual skill items
+            if (skillLinks.length > 0) {
+              return { element: sibling, detail: `#${id} + sibling` };
             }
           }
           
-          // Try siblings after anchor
-          let sibling = anchor.nextElementSibling;
-          let siblingCount = 0;
-          while (sibling && siblingCount < 5) {
-            // For skills, need BOTH skill items AND show all link
-            if (sectionName === 'skills') {
-              const skillLinks = sibling.querySelectorAll('[data-field="skill_card_skill_topic"]');
-              
-              // Only return if we have actual skill items
-              if (skillLinks.length > 0) {
-                return sibling;
-              }
-            }
-            
-            // Check if sibling contains meaningful content
-            const hasLists = sibling.querySelector('ul, .pvs-list');
-            const hasItems = sibling.querySelectorAll('li').length > 0;
-            
-            if (hasLists || hasItems) {
-              // Additional check: make sure it's not just an empty container
-              const textContent = sibling.textContent.trim();
-              if (textContent.length > 20) {
-                return sibling;
-              }
+          // Check if sibling contains meaningful content
+          const hasLists = sibling.querySelector('ul, .pvs-list');
+          const hasItems = sibling.querySelectorAll('li').length > 0;
+          
+          if (hasLists || hasItems) {
+            // Additional check: make sure it's not just an empty container
+            const textContent = sibling.textContent.trim();
+            if (textContent.length > 20) {
+              return { element: sibling, detail: `#${id} + sibling` };
             }
-            
-            sibling = sibling.nextElementSibling;
-            siblingCount++;
           }
+          
+          sibling = sibling.nextElementSibling;
+          siblingCount++;
         }
       }
     }
     
-    // Enhanced heading text search
-    if (headingText) {
-      const headings = document.querySelectorAll('h2');
-      for (const heading of headings) {
-        // Check for exact match or contains
-        if (heading.textContent?.trim() === headingText || 
-            heading.textContent?.includes(headingText)) {
-          // Try multiple parent containers
-          const section = heading.closest('section') || 
-                         heading.closest('div[data-view-name="profile-card"]') ||
-                         heading.closest('div[class*="profile-card"]');
-          if (section) return section;
-        }
+    return null;
+  },
+  
+  /**
+   * Strategy: section heading text
+   */
+  findByHeading(selectors, headingText) {
+    if (!headingText) return null;
+    
+    const headings = document.querySelectorAll('h2');
+    for (const heading of headings) {
+      // Check for exact match or contains
+      if (heading.textContent?.trim() === headingText || 
+          heading.textContent?.includes(headingText)) {
+        // Try multiple parent containers
+        const section = heading.closest('section') || 
+                       heading.closest('div[data-view-name="profile-card"]') ||
+                       heading.closest('div[class*="profile-card"]');
+        if (section) return { element: section, detail: 'h2' };
       }
     }
     
     return null;
   },
   
+  /**
+   * Strategy: ARIA landmarks labelled with the section name
+   */
+  findByAriaLandmark(selectors, headingText) {
+    if (!headingText) return null;
+    
+    const wanted = headingText.toLowerCase();
+    const regions = document.querySelectorAll('section[aria-label], section[aria-labelledby], [role="region"][aria-label], [role="region"][aria-labelledby]');
+    
+    for (const region of regions) {
+      const labelledBy = region.getAttribute('aria-labelledby');
+      const label = region.getAttribute('aria-label') ||
+        (labelledBy || '').split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' ');
+      
+      if (label.trim().toLowerCase().startsWith(wanted)) {
+        return { element: region, detail: labelledBy ? 'aria-labelledby' : 'aria-label' };
+      }
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Strategy: profile cards whose first line of text is the section name
+   */
+  findByStructure(selectors, headingText) {
+    if (!headingText) return null;
+    
+    const cards = document.querySelectorAll('main section, main div[data-view-name="profile-card"]');
+    for (const card of cards) {
+      const firstLine = (card.innerText || card.textContent || '').trim().split('\n')[0].trim();
+      if (firstLine === headingText) {
+        return { element: card, detail: card.tagName.toLowerCase() };
+      }
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Check whether a section heading is rendered on the page
+   * Used to tell a missing section apart from one we failed to locate
+   */
+  isHeadingVisible(headingText) {
+    if (!headingText) return false;
+    
+    const root = document.querySelector('main') || document.body;
+    const candidates = root.querySelectorAll('h2, h3, [role="heading"]');
+    // Headings carry a visually hidden copy of their text, so read the aria-hidden span
+    return Array.from(candidates).some(element => this.extractTextContent(element) === headingText);
+  },
+  
   /**
    * Count items in a section
    */
@@ -288,6 +412,37 @@ const BaseExtractor = {
     return false;
   },
   
+  /**
+   * Capture a LinkedIn CDN image as a data URL via the service worker
+   * @param {string} url - Image URL on media.licdn.com
+   * @returns {Promise<Object|null>} { dataUrl, width, height, byteSize } or null
+   */
+  captureImage(url) {
+    return new Promise(resolve => {
+      if (!url || !chrome?.runtime?.id) {
+        resolve(null);
+        return;
+      }
+      
+      chrome.runtime.sendMessage({ action: 'captureImage', url }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          Logger.warn('[BaseExtractor] Image capture failed', response?.error || chrome.runtime.lastError?.message);
+          resolve(null);
+          return;
+        }
+        resolve(response);
+      });
+    });
+  },
+  
+  /**
+   * Pause between DOM interactions so LinkedIn can render
+   * @param {number} ms - Milliseconds to wait
+   */
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  },
+  
   /**
    * Log extraction timing
    */
@@ -42,7 +42,7 @@ const ExperienceExtractor = {
     Logger.info('[ExperienceExtractor] Starting scan');
     
     // Use BaseExtractor's findSection method like other extractors
-    const section = await BaseExtractor.findSection(this.selectors);
+    const section = await BaseExtractor.findSection(this.selectors, 'Experience');
     
     if (!section) {
       Logger.info('[ExperienceExtractor] No experience section found');
@@ -270,7 +270,7 @@ const ExperienceExtractor = {
    */
   async extractBasicInfo() {
     // Find experience section using BaseExtractor
-    const section = await BaseExtractor.findSection(this.selectors);
+    const section = await BaseExtractor.findSection(this.selectors, 'Experience');
     if (!section) return { totalMonths: 0, hasCurrentRole: false };
     
     const items = [];
@@ -349,13 +349,44 @@ const ExperienceExtractor = {
     const experiences = [];
     
     // Find experience section if not passed
-    const section = passedSection || await BaseExtractor.findSection(this.selectors);
+    const section = passedSection || await BaseExtractor.findSection(this.selectors, 'Experience');
     if (!section) {
       Logger.warn('[ExperienceExtractor] No experience section found in extractDetailedExperiences');
       return experiences;
     }
     
     // Collect all experience items
+    const items = this.collectExperienceItems(section);
+    
+    Logger.info(`[ExperienceExtractor] Found ${items.length} experience items`);
+    const totalCount = items.length;
+    
+    for (let i = 0; i < items.length; i++) {
+      Logger.debug(`[ExperienceExtractor] Processing experience item ${i + 1} of ${totalCount}`);
+      const experience = await this.extractExperienceItem(items[i], i, totalCount);
+      
+      Logger.debug(`[ExperienceExtractor] Extracted experience ${i + 1}:`, {
+        title: experience.title,
+        company: experience.company,
+        hasDescription: !!experience.description,
+        descriptionLength: experience.description?.length || 0,
+        hasDescription: !!experience.description
+      });
+      
+      if (experience.title) {
+        experiences.push(experience);
+      }
+    }
+    
+    return experiences;
+  },
+  
+  /**
+   * Collect experience item elements from the section
+   * @param {Element} section - Experience section
+   * @returns {Array<Element>} Experience item elements
+   */
+  collectExperienceItems(section) {
     const items = [];
     
     // Try experience item selectors
@@ -384,27 +415,33 @@ const ExperienceExtractor = {
       }
     }
     
-    Logger.info(`[ExperienceExtractor] Found ${items.length} experience items`);
-    const totalCount = items.length;
+    return items;
+  },
+  
+  /**
+   * Find a single role by title (and company when given)
+   * @param {string} title - Role title as shown on the profile
+   * @param {string} company - Company name, optional
+   * @returns {Object|null} Experience data for the role
+   */
+  async findRole(title, company = '') {
+    const section = await BaseExtractor.findSection(this.selectors, 'Experience');
+    if (!section) return null;
+    
+    const normalize = (text) => (text || '').toLowerCase().trim();
+    const items = this.collectExperienceItems(section);
+    let titleMatch = null;
     
     for (let i = 0; i < items.length; i++) {
-      Logger.debug(`[ExperienceExtractor] Processing experience item ${i + 1} of ${totalCount}`);
-      const experience = await this.extractExperienceItem(items[i], i, totalCount);
-      
-      Logger.debug(`[ExperienceExtractor] Extracted experience ${i + 1}:`, {
-        title: experience.title,
-        company: experience.company,
-        hasDescription: !!experience.description,
-        descriptionLength: experience.description?.length || 0,
-        hasDescription: !!experience.description
-      });
-      
-      if (experience.title) {
-        experiences.push(experience);
+      const experience = await this.extractExperienceItem(items[i], i, items.length);
+      if (normalize(experience.title) !== normalize(title)) continue;
+      if (!company || normalize(experience.company) === normalize(company)) {
+        return experience;
       }
+      titleMatch = titleMatch || experience;
     }
     
-    return experiences;
+    return titleMatch;
   },
   
   /**
@@ -0,0 +1,120 @@
+/**
+ * Job Description Extractor Module for ElevateLI
+ * Captures the job posting from linkedin.com/jobs pages for job match mode
+ * This module will be concatenated into analyzer.js for Manifest V3 compatibility
+ */
+
+const JobDescriptionExtractor = {
+  name: 'jobDescription',
+
+  // Description body, newest layout first
+  descriptionSelectors: [
+    '.jobs-description__content .jobs-box__html-content',
+    '.jobs-description-content__text',
+    '.jobs-description__content',
+    '#job-details',
+    '.jobs-box__html-content'
+  ],
+
+  titleSelectors: [
+    '.job-details-jobs-unified-top-card__job-title h1',
+    '.job-details-jobs-unified-top-card__job-title',
+    '.jobs-unified-top-card__job-title',
+    '.top-card-layout__title',
+    'h1.t-24'
+  ],
+
+  companySelectors: [
+    '.job-details-jobs-unified-top-card__company-name a',
+    '.job-details-jobs-unified-top-card__company-name',
+    '.jobs-unified-top-card__company-name',
+    '.topcard__org-name-link'
+  ],
+
+  /**
+   * Check whether the current page shows a job posting
+   * @returns {boolean}
+   */
+  isJobPage() {
+    return /linkedin\.com\/jobs\//.test(window.location.href);
+  },
+
+  /**
+   * Quick scan for the job description container
+   * @returns {Object} Scan results
+   */
+  async scan() {
+    let element = null;
+    let usedSelector = null;
+
+    for (const selector of this.descriptionSelectors) {
+      element = document.querySelector(selector);
+      if (element && element.textContent.trim().length > 0) {
+        usedSelector = selector;
+        break;
+      }
+      element = null;
+    }
+
+    return {
+      exists: !!element,
+      selector: usedSelector,
+      element
+    };
+  },
+
+  /**
+   * Extract the job posting
+   * @returns {Object} Job title, company, description text and source URL
+   */
+  async extract() {
+    const startTime = Date.now();
+
+    if (!this.isJobPage()) {
+      return { exists: false, error: 'Open a LinkedIn job posting first' };
+    }
+
+    // Expand truncated descriptions ("See more")
+    const seeMore = document.querySelector('.jobs-description__footer-button, .jobs-description button[aria-label*="more"]');
+    if (seeMore && seeMore.getAttribute('aria-expanded') !== 'true') {
+      seeMore.click();
+      await BaseExtractor.wait(300);
+    }
+
+    const scanResult = await this.scan();
+    if (!scanResult.exists) {
+      return { exists: false, error: 'Job description not found on this page' };
+    }
+
+    const text = (scanResult.element.innerText || scanResult.element.textContent || '')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    const result = {
+      exists: true,
+      title: this.findText(this.titleSelectors),
+      company: this.findText(this.companySelectors),
+      text,
+      url: window.location.href.split('?')[0],
+      capturedAt: Date.now()
+    };
+
+    BaseExtractor.logTiming('Job description extract', startTime);
+    return result;
+  },
+
+  /**
+   * Return trimmed text of the first matching selector
+   * @param {Array<string>} selectors - Selectors to try in order
+   * @returns {string}
+   */
+  findText(selectors) {
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      const text = element?.textContent?.trim();
+      if (text) return text;
+    }
+    return '';
+  }
+};
\ No newline at end of file
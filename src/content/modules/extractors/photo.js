@@ -25,10 +25,11 @@ const PhotoExtractor = {
     
     let exists = false;
     let photoUrl = null;
+    let photoElement = null;
     
     // Try each selector
     for (const selector of this.selectors) {
-      const photoElement = document.querySelector(selector);
+      photoElement = document.querySelector(selector);
       if (photoElement) {
         exists = true;
         photoUrl = photoElement.src || photoElement.getAttribute('src');
@@ -47,6 +48,7 @@ const PhotoExtractor = {
             className.includes('profile-photo')) {
           exists = true;
           photoUrl = img.src;
+          photoElement = img;
           break;
         }
       }
@@ -54,7 +56,9 @@ const PhotoExtractor = {
     
     return {
       exists,
-      photoUrl
+      photoUrl,
+      width: photoElement?.naturalWidth || null,
+      height: photoElement?.naturalHeight || null
     };
   },
   
@@ -68,7 +72,9 @@ const PhotoExtractor = {
     const result = {
       exists: scanResult.exists,
       hasPhoto: scanResult.exists,
-      photoUrl: scanResult.photoUrl
+      photoUrl: scanResult.photoUrl,
+      width: scanResult.width,
+      height: scanResult.height
     };
     
     return result;
@@ -56,6 +56,12 @@ const SkillsExtractor = {
         // We want the sibling with actual skill items
         if (skillLinks.length > 0) {
           Logger.debug(`[SkillsExtractor] Unified finder: Found skills section at sibling ${siblingIndex} with ${skillLinks.length} skills`);
+          SectionDiagnostics.record('skills', {
+            status: 'found',
+            strategy: 'skills-anchor',
+            detail: `#skills + sibling ${siblingIndex}`,
+            attempts: ['skills-anchor']
+          });
           return sibling;
         }
         
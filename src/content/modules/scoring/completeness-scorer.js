@@ -4,20 +4,109 @@
  * This module will be concatenated into analyzer.js for Manifest V3 compatibility
  */
 
+// Weight and threshold presets keyed on the targetRole setting
+// Weights total 100; thresholds tune pass criteria and priority cut-offs
+const COMPLETENESS_PRESETS = {
+  default: {
+    label: 'Standard',
+    weights: {
+      photo: 5, headline: 10, about: 20, experience: 25, skills: 15,
+      education: 10, recommendations: 10, certifications: 3, projects: 2, featured: 0
+    },
+    thresholds: {
+      skillsCount: 10,
+      recommendationsCount: 1,
+      priority: { critical: 15, high: 8, medium: 4 }
+    },
+    boostSections: []
+  },
+  'product-manager': {
+    label: 'Product Manager',
+    weights: {
+      photo: 5, headline: 10, about: 20, experience: 28, skills: 10,
+      education: 7, recommendations: 10, certifications: 3, projects: 4, featured: 3
+    },
+    thresholds: { skillsCount: 10, recommendationsCount: 2 },
+    boostSections: ['experience']
+  },
+  'software-engineer': {
+    label: 'Software Engineer',
+    weights: {
+      photo: 5, headline: 10, about: 15, experience: 25, skills: 15,
+      education: 8, recommendations: 5, certifications: 7, projects: 10, featured: 0
+    },
+    thresholds: { skillsCount: 15 },
+    boostSections: ['skills', 'projects']
+  },
+  'data-scientist': {
+    label: 'Data Scientist',
+    weights: {
+      photo: 5, headline: 10, about: 15, experience: 22, skills: 15,
+      education: 12, recommendations: 5, certifications: 6, projects: 10, featured: 0
+    },
+    thresholds: { skillsCount: 15 },
+    boostSections: ['skills', 'projects']
+  },
+  designer: {
+    label: 'Designer',
+    weights: {
+      photo: 8, headline: 10, about: 15, experience: 20, skills: 10,
+      education: 7, recommendations: 8, certifications: 2, projects: 8, featured: 12
+    },
+    thresholds: { skillsCount: 8 },
+    boostSections: ['featured', 'projects']
+  },
+  marketing: {
+    label: 'Marketing Professional',
+    weights: {
+      photo: 7, headline: 12, about: 18, experience: 22, skills: 12,
+      education: 6, recommendations: 8, certifications: 3, projects: 4, featured: 8
+    },
+    thresholds: { skillsCount: 10, recommendationsCount: 2 },
+    boostSections: ['featured']
+  },
+  sales: {
+    label: 'Sales Professional',
+    weights: {
+      photo: 8, headline: 12, about: 18, experience: 22, skills: 10,
+      education: 5, recommendations: 20, certifications: 3, projects: 0, featured: 2
+    },
+    thresholds: { skillsCount: 8, recommendationsCount: 3 },
+    boostSections: ['recommendations']
+  },
+  consultant: {
+    label: 'Consultant',
+    weights: {
+      photo: 5, headline: 10, about: 18, experience: 25, skills: 12,
+      education: 10, recommendations: 12, certifications: 5, projects: 3, featured: 0
+    },
+    thresholds: { skillsCount: 10, recommendationsCount: 2 },
+    boostSections: ['recommendations']
+  },
+  entrepreneur: {
+    label: 'Entrepreneur',
+    weights: {
+      photo: 6, headline: 12, about: 22, experience: 22, skills: 8,
+      education: 5, recommendations: 10, certifications: 0, projects: 5, featured: 10
+    },
+    thresholds: { skillsCount: 8 },
+    boostSections: ['about', 'featured']
+  }
+};
+
 class ProfileCompletenessCalculator {
-  constructor() {
-    // Section weights (total = 100)
-    this.weights = {
-      photo: 5,
-      headline: 10,
-      about: 20,
-      experience: 25,
-      skills: 15,
-      education: 10,
-      recommendations: 10,
-      certifications: 3,
-      projects: 2
-    };
+  /**
+   * @param {Object} settings - User settings
+   * @param {string} settings.targetRole - Target role, selects the matching preset
+   * @param {string} settings.weightPreset - Explicit preset ('' follows targetRole, 'custom' uses customWeights)
+   * @param {Object} settings.customWeights - User-edited section weights for the custom preset
+   */
+  constructor(settings = {}) {
+    // Section weights (total = 100), replaced by the active preset
+    this.weights = { ...COMPLETENESS_PRESETS.default.weights };
+    this.thresholds = { ...COMPLETENESS_PRESETS.default.thresholds };
+    this.boostSections = [];
+    this.presetName = 'default';
     
     // LinkedIn character limits (2025)
     this.characterLimits = {
@@ -161,12 +250,15 @@ class ProfileCompletenessCalculator {
       },
       
       skills: {
-        check: (data) => data && data.count >= 10,
+        check: function(data) {
+          return data && data.count >= this.thresholds.skillsCount;
+        },
         points: 15,
         getMessage: function(data) {
+          const target = this.thresholds.skillsCount;
           if (!data || !data.exists || data.count === 0) return "Add relevant skills";
-          if (data.count < 5) return "Add more skills (aim for 10+)";
-          if (data.count < 10) return `Add ${10 - data.count} more skills`;
+          if (data.count < target / 2) return `Add more skills (aim for ${target}+)`;
+          if (data.count < target) return `Add ${target - data.count} more skills`;
           return "Optimize your skills section";
         }
       },
@@ -181,8 +273,10 @@ class ProfileCompletenessCalculator {
       },
       
       recommendations: {
-        check: (data) => {
+        check: function(data) {
           if (!data || !data.exists || data.count === 0) return false;
+          // Roles that lean on social proof need more than one
+          if (data.count < this.thresholds.recommendationsCount) return false;
           // Check if has recent recommendations (within 2 years)
           // Fallback to basic count check if recency data not available
           if (data.isCurrentlyEndorsed !== undefined || data.hasRecentRecommendations !== undefined) {
@@ -194,6 +288,9 @@ class ProfileCompletenessCalculator {
         points: 10,
         getMessage: function(data) {
           if (!data || !data.exists || data.count === 0) return "Request at least one recommendation";
+          if (data.count < this.thresholds.recommendationsCount) {
+            return `Request more recommendations (aim for ${this.thresholds.recommendationsCount}+)`;
+          }
           // Only show recency message if we actually have the data to check
           if ((data.isCurrentlyEndorsed === false || data.hasRecentRecommendations === false) &&
               (data.isCurrentlyEndorsed !== undefined || data.hasRecentRecommendations !== undefined)) {
@@ -214,8 +311,68 @@ class ProfileCompletenessCalculator {
         check: (data) => data && data.count >= 1,
         points: 2,
         getMessage: () => "Showcase projects you've worked on"
+      },
+      
+      featured: {
+        check: (data) => data && data.exists && data.count >= 1,
+        points: 0,
+        getMessage: () => "Feature your best work (posts, links or media)"
+      }
+    };
+    
+    this.applyPreset(settings);
+  }
+  
+  /**
+   * Resolve and apply the weight/threshold preset for the given settings
+   * Custom weights are scaled to total 100 so impacts stay in percentage points
+   * @param {Object} settings - User settings (targetRole, weightPreset, customWeights)
+   * @returns {string} Name of the applied preset
+   */
+  applyPreset(settings = {}) {
+    const { targetRole, weightPreset, customWeights } = settings;
+    const base = COMPLETENESS_PRESETS.default;
+    
+    let presetName = weightPreset || targetRole || 'default';
+    if (presetName !== 'custom' && !COMPLETENESS_PRESETS[presetName]) {
+      presetName = 'default';
+    }
+    
+    // Custom weights keep the target role's thresholds and boosts
+    const rolePreset = COMPLETENESS_PRESETS[presetName === 'custom' ? targetRole : presetName] || base;
+    let weights = { ...rolePreset.weights };
+    
+    if (presetName === 'custom') {
+      weights = { ...base.weights };
+      Object.keys(weights).forEach(section => {
+        const value = Number(customWeights?.[section]);
+        if (Number.isFinite(value) && value >= 0) {
+          weights[section] = value;
+        }
+      });
+      
+      const total = Object.values(weights).reduce((sum, value) => sum + value, 0);
+      if (total <= 0) {
+        Logger.warn('[ProfileCompletenessCalculator] Custom weights total 0, using standard weights');
+        weights = { ...base.weights };
+        presetName = 'default';
+      } else {
+        Object.keys(weights).forEach(section => {
+          weights[section] = Math.round((weights[section] / total) * 1000) / 10;
+        });
       }
+    }
+    
+    this.weights = weights;
+    this.thresholds = {
+      ...base.thresholds,
+      ...rolePreset.thresholds,
+      priority: { ...base.thresholds.priority, ...rolePreset.thresholds.priority }
     };
+    this.boostSections = rolePreset.boostSections || [];
+    this.presetName = presetName;
+    
+    return presetName;
   }
   
   /**
@@ -232,14 +389,31 @@ class ProfileCompletenessCalculator {
     
     const breakdown = {};
     const recommendations = [];
+    const unreadableSections = [];
     let earnedPoints = 0;
     let totalPoints = 0;
     
     // Process each section
     for (const [section, weight] of Object.entries(this.weights)) {
+      // Sections the active preset ignores don't count toward the total
+      if (weight <= 0) continue;
+      
       const data = sectionData[section];
       const rule = this.rules[section];
       
+      // Sections we couldn't read are left out instead of scored as missing
+      if (data?.unreadable) {
+        unreadableSections.push(section);
+        breakdown[section] = {
+          weight,
+          earned: 0,
+          passed: false,
+          unreadable: true,
+          data: null
+        };
+        continue;
+      }
+      
       // Debug: Log each section processing
       
       totalPoints += weight;
@@ -247,7 +421,7 @@ class ProfileCompletenessCalculator {
       if (rule && data !== undefined) {
         try {
           // Use getScore if available for graduated scoring, otherwise fall back to check
-          const scoreMultiplier = rule.getScore ? rule.getScore.call(this, data) : (rule.check(data) ? 1 : 0);
+          const scoreMultiplier = rule.getScore ? rule.getScore.call(this, data) : (rule.check.call(this, data) ? 1 : 0);
           
           const points = weight * scoreMultiplier;
           earnedPoints += points;
@@ -308,7 +482,7 @@ class ProfileCompletenessCalculator {
     // Sort recommendations by impact
     recommendations.sort((a, b) => b.impact - a.impact);
     
-    const percentage = Math.round((earnedPoints / totalPoints) * 100);
+    const percentage = totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 0;
     
     // Debug: Log final calculation
     
@@ -318,9 +492,11 @@ class ProfileCompletenessCalculator {
       score: percentage,
       earnedPoints,
       totalPoints,
+      preset: this.presetName,
       breakdown,
       recommendations: recommendations.slice(0, 5), // Top 5 recommendations
       allRecommendations: recommendations,
+      unreadableSections,
       isOptimized: percentage >= 85,
       level: this.getLevel(percentage)
     };
@@ -345,7 +521,7 @@ class ProfileCompletenessCalculator {
       };
     }
     
-    const passed = rule.check(data);
+    const passed = rule.check.call(this, data);
     const score = passed ? weight : 0;
     
     return {
@@ -353,7 +529,7 @@ class ProfileCompletenessCalculator {
       maxScore: weight,
       percentage: passed ? 100 : 0,
       passed,
-      recommendation: !passed ? rule.getMessage(data) : null
+      recommendation: !passed ? rule.getMessage.call(this, data) : null
     };
   }
   
@@ -366,10 +542,14 @@ class ProfileCompletenessCalculator {
   getPriority(section, weight, scoreMultiplier = 0) {
     // Factor in both weight and how much improvement is needed
     const potentialGain = weight * (1 - scoreMultiplier);
+    const cutoffs = this.thresholds.priority;
     
-    if (potentialGain >= 15) return 'critical';
-    if (potentialGain >= 8) return 'high';
-    if (potentialGain >= 4) return 'medium';
+    // Sections the active preset emphasizes never drop below high
+    const isBoosted = this.boostSections.includes(section);
+    
+    if (potentialGain >= cutoffs.critical) return 'critical';
+    if (potentialGain >= cutoffs.high || (isBoosted && potentialGain > 0)) return 'high';
+    if (potentialGain >= cutoffs.medium) return 'medium';
     return 'low';
   }
   
@@ -506,22 +686,20 @@ class ProfileCompletenessCalculator {
    * @returns {Array<Object>} Prioritized recommendations
    */
   getActionableRecommendations(scoringResult, settings = {}) {
-    const { targetRole, seniorityLevel } = settings;
+    const { seniorityLevel } = settings;
     const recommendations = [...scoringResult.allRecommendations];
     
-    // Adjust priorities based on target role
-    if (targetRole) {
-      recommendations.forEach(rec => {
-        // Boost skills for technical roles
-        if (targetRole.includes('engineer') && rec.section === 'skills') {
-          rec.priority = 'critical';
-        }
-        // Boost experience for senior roles
-        if (seniorityLevel === 'senior' && rec.section === 'experience') {
-          rec.priority = 'critical';
-        }
-      });
-    }
+    // Adjust priorities based on the active preset
+    recommendations.forEach(rec => {
+      // Boost the sections that matter most for the target role
+      if (this.boostSections.includes(rec.section)) {
+        rec.priority = 'critical';
+      }
+      // Boost experience for senior roles
+      if (seniorityLevel === 'senior' && rec.section === 'experience') {
+        rec.priority = 'critical';
+      }
+    });
     
     // Group by priority
     const grouped = {
@@ -942,6 +942,14 @@ const OverlayManager = {
         
         // Show unified view
         this.showUnifiedView(data);
+        
+        // Show which sections this run re-scored and which it reused
+        if (data.differential && !data.fromCache) {
+          this.showReanalysisSummary(data.differential);
+        }
+        
+        // Show progress across earlier analyses (async, appended below the unified view)
+        this.showSnapshotHistory(data.profileId);
         // Don't show action buttons in expanded view
         this.showActionButtons({ showRefresh: false });
         
@@ -977,6 +985,7 @@ const OverlayManager = {
         let errorMessage = data.message || 'Analysis failed';
         let showSettings = false;
         let toastType = 'error';
+        let retryAfter = null;
         
         if (data.aiError) {
           switch (data.aiError.type) {
@@ -988,15 +997,15 @@ const OverlayManager = {
             case 'RATE_LIMIT':
               errorIcon = '⏱️';
               toastType = 'warning';
-              if (data.aiError.retryAfter) {
-                errorMessage = data.aiError.message;
-                // Start countdown timer
-                this.startRetryCountdown(data.aiError.retryAfter);
-              }
+              retryAfter = data.aiError.retryAfter || null;
               break;
             case 'NETWORK':
               errorIcon = '🌐';
               break;
+            case 'BUDGET':
+              errorIcon = '💰';
+              showSettings = true;
+              break;
             case 'SERVICE_UNAVAILABLE':
               errorIcon = '🔧';
               break;
@@ -1018,6 +1027,10 @@ const OverlayManager = {
         if (showSettings) {
           // Show button to open settings
           this.showActionButtons({ showSettings: true, hasError: true });
+        } else if (retryAfter) {
+          // Count down the provider's wait on the analyze button instead of offering an immediate retry
+          this.showActionButtons({ hasError: true });
+          this.startRetryCountdown(retryAfter);
         } else {
           // Show refresh button to retry
           this.showActionButtons({ showRefresh: true, hasError: true });
@@ -2080,11 +2093,20 @@ const OverlayManager = {
    * Update AI analysis progress
    * @param {string} phase - Current AI phase
    * @param {string} section - Current section (optional)
+   * @param {string} partialText - Streamed response text so far (optional, 'streaming' phase)
    */
-  updateAIProgress(phase, section) {
+  updateAIProgress(phase, section, partialText = null) {
     const statusText = this.overlayElement.querySelector('.status-text');
     if (!statusText) return;
     
+    if (phase === 'streaming') {
+      statusText.textContent = `AI writing feedback for ${section || 'profile'}...`;
+      if (partialText) {
+        this.showStreamingSection(section, partialText);
+      }
+      return;
+    }
+    
     const messages = {
       'generating': 'Generating AI insights...',
       'analyzing-about': 'AI analyzing About section...',
@@ -2106,6 +2128,128 @@ const OverlayManager = {
     }
   },
   
+  /**
+   * Pull whatever is already usable out of a partial JSON section analysis
+   * @param {string} text - Accumulated AI response text
+   * @returns {Object} Section in renderSection format
+   */
+  parsePartialAnalysis(text) {
+    const readString = (raw) => {
+      // Drop a dangling escape so the fragment stays valid JSON
+      const safe = raw.replace(/\\$/, '');
+      try {
+        return JSON.parse(`"${safe}"`);
+      } catch (e) {
+        return safe;
+      }
+    };
+    
+    const scoreMatch = text.match(/"score"\s*:\s*(\d+(?:\.\d+)?)/);
+    // Allow an unterminated string so the insight grows as it streams
+    const insightMatch = text.match(/"positiveInsight"\s*:\s*"((?:[^"\\]|\\.)*)/);
+    
+    // Only show action items once their text is complete
+    const improvements = [];
+    const actionPattern = /"action"\s*:\s*"((?:[^"\\]|\\.)*)"/g;
+    let match;
+    while ((match = actionPattern.exec(text)) !== null) {
+      improvements.push({ text: DOMUtils.escapeHtml(readString(match[1])) });
+    }
+    
+    return {
+      rating: scoreMatch ? this.scoreToRating(Number(scoreMatch[1])) : null,
+      positive: insightMatch ? DOMUtils.escapeHtml(readString(insightMatch[1])) : null,
+      improvements
+    };
+  },
+  
+  /**
+   * Render a section card that fills in while the AI response streams
+   * @param {string} name - Display name of the section being analyzed
+   * @param {string} partialText - Accumulated AI response text
+   */
+  showStreamingSection(name, partialText) {
+    this.renderProgressCard(name, {
+      name: DOMUtils.escapeHtml(name),
+      ...this.parsePartialAnalysis(partialText)
+    });
+  },
+  
+  /**
+   * Render a finished section analysis as soon as the service worker reports it
+   * @param {string} name - Section key reported by the service worker
+   * @param {Object} analysis - Parsed section analysis
+   * @param {Object} progress - { completed, total } sections so far
+   */
+  showCompletedSection(name, analysis, progress = {}) {
+    const statusText = this.overlayElement?.querySelector('.status-text');
+    if (statusText && progress.total) {
+      statusText.textContent = `AI analyzed ${progress.completed} of ${progress.total} sections...`;
+    }
+    
+    const label = name.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+    const section = { name: DOMUtils.escapeHtml(label) };
+    
+    if (analysis.errorType) {
+      section.rating = null;
+      section.errorType = analysis.errorType;
+    } else if (analysis.exists === false) {
+      section.rating = 0;
+      section.positive = DOMUtils.escapeHtml(analysis.feedback || '');
+    } else {
+      section.rating = typeof analysis.score === 'number' ? this.scoreToRating(analysis.score) : null;
+      section.positive = analysis.positiveInsight ? DOMUtils.escapeHtml(analysis.positiveInsight) : null;
+      section.improvements = (analysis.actionItems || []).slice(0, 3).map(item => ({
+        text: DOMUtils.escapeHtml(typeof item === 'string' ? item : (item.what || item.action || item.text || ''))
+      })).filter(item => item.text);
+    }
+    
+    this.renderProgressCard(label, section);
+  },
+  
+  /**
+   * Create or replace the in-progress card for a section
+   * @param {string} key - Card identity within the progress list
+   * @param {Object} section - Section in renderSection format
+   */
+  renderProgressCard(key, section) {
+    const unifiedSection = this.overlayElement?.querySelector('.unified-section');
+    if (!unifiedSection) return;
+    
+    let container = unifiedSection.querySelector('.streaming-sections');
+    if (!container) {
+      container = document.createElement('div');
+      container.className = 'streaming-sections';
+      container.style.margin = '8px 0';
+      unifiedSection.appendChild(container);
+      unifiedSection.classList.remove('hidden');
+    }
+    
+    let card = Array.from(container.children).find(child => child.dataset.streamSection === key);
+    if (!card) {
+      card = document.createElement('div');
+      card.dataset.streamSection = key;
+      container.appendChild(card);
+    }
+    
+    this.pendingStarElements = [];
+    const doc = new DOMParser().parseFromString(this.renderSection(section), 'text/html');
+    const fragment = document.createDocumentFragment();
+    Array.from(doc.body.childNodes).forEach(node => {
+      fragment.appendChild(node.cloneNode(true));
+    });
+    card.replaceChildren(fragment);
+    
+    this.pendingStarElements.forEach(({ id, element }) => {
+      const placeholder = card.querySelector(`[data-star-placeholder="${id}"]`);
+      if (placeholder && element) {
+        placeholder.textContent = '';
+        placeholder.appendChild(element);
+      }
+    });
+    this.pendingStarElements = [];
+  },
+  
   /**
    * Show timestamp
    * @param {string|number} timestamp - Timestamp (ISO string or Unix timestamp)
@@ -2943,6 +3087,25 @@ const OverlayManager = {
     } else {
     }
     
+    this.attachRewriteButtons(unifiedSection);
+    this.attachRetryButtons(unifiedSection);
+    
+    // Job match sits right under the summary message
+    if (data.jobMatch) {
+      const contentWrapper = unifiedSection.firstElementChild;
+      contentWrapper?.insertBefore(this.renderJobMatch(data.jobMatch), contentWrapper.children[1] || null);
+    }
+    
+    const failedKeys = Object.keys(data.failedSections || {});
+    if (failedKeys.length > 0) {
+      const contentWrapper = unifiedSection.firstElementChild;
+      contentWrapper?.insertBefore(this.renderRetryAllBar(failedKeys.length), contentWrapper.children[1] || null);
+    }
+    
+    // Keep a snapshot of what is on screen for the printable report
+    this.reportData = this.buildReportData(data, progressiveData);
+    this.appendExportButton(unifiedSection);
+    
     unifiedSection.classList.remove('hidden');
     
     
@@ -2950,6 +3113,750 @@ const OverlayManager = {
     const verifyElement = document.querySelector('.unified-section');
   },
   
+  /**
+   * Render the job description match block
+   * @param {Object} jobMatch - Result from JobMatcher.match
+   * @returns {HTMLElement} Job match element
+   */
+  renderJobMatch(jobMatch) {
+    const block = document.createElement('div');
+    block.className = 'job-match-section';
+    block.style.cssText = 'margin-bottom: 16px; padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 3px solid #0a66c2;';
+    
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; align-items: center; justify-content: space-between; margin-bottom: 6px;';
+    
+    const title = document.createElement('h5');
+    title.style.cssText = 'margin: 0; font-size: 14px; font-weight: 600; color: #333;';
+    const jobLabel = [jobMatch.job?.title, jobMatch.job?.company].filter(Boolean).join(' at ');
+    title.textContent = jobLabel ? `🎯 Job Match: ${jobLabel}` : '🎯 Job Match';
+    
+    const score = document.createElement('span');
+    score.style.cssText = `font-size: 16px; font-weight: 700; color: ${jobMatch.score >= 75 ? '#057642' : jobMatch.score >= 50 ? '#f59e0b' : '#dc2626'};`;
+    score.textContent = `${jobMatch.score}%`;
+    header.append(title, score);
+    block.appendChild(header);
+    
+    if (jobMatch.seniority?.message) {
+      const seniority = document.createElement('p');
+      seniority.style.cssText = `margin: 0 0 8px 0; font-size: 12px; color: ${jobMatch.seniority.aligned === false ? '#dc2626' : '#666'};`;
+      seniority.textContent = jobMatch.seniority.message;
+      block.appendChild(seniority);
+    }
+    
+    if (jobMatch.missing.length === 0) {
+      const allMatched = document.createElement('p');
+      allMatched.style.cssText = 'margin: 0; font-size: 12px; color: #057642;';
+      allMatched.textContent = 'Your profile covers every skill and keyword we found in this job description';
+      block.appendChild(allMatched);
+    }
+    
+    // Missing terms grouped by where they should go
+    const placements = [
+      ['headline', 'Headline'],
+      ['skills', 'Skills'],
+      ['about', 'About / Experience']
+    ];
+    const list = document.createElement('ul');
+    list.style.cssText = 'margin: 0; padding-left: 20px; font-size: 12px; color: #666;';
+    
+    placements.forEach(([section, label]) => {
+      const terms = jobMatch.missing.filter(item => item.section === section);
+      if (terms.length === 0) return;
+      
+      const item = document.createElement('li');
+      item.style.marginBottom = '6px';
+      item.title = terms.map(term => term.tip).join('\n');
+      const strong = document.createElement('strong');
+      strong.textContent = `Add to ${label}: `;
+      item.append(strong, terms.map(term => term.type === 'required' ? `${term.term} (required)` : term.term).join(', '));
+      list.appendChild(item);
+    });
+    
+    if (jobMatch.needsEvidence?.length > 0) {
+      const item = document.createElement('li');
+      item.style.marginBottom = '6px';
+      const strong = document.createElement('strong');
+      strong.textContent = 'Show in Experience: ';
+      item.append(strong, jobMatch.needsEvidence.join(', '));
+      list.appendChild(item);
+    }
+    
+    if (list.children.length > 0) {
+      block.appendChild(list);
+    }
+    
+    const footer = document.createElement('p');
+    footer.style.cssText = 'margin: 8px 0 0 0; font-size: 11px; color: #999;';
+    footer.textContent = `${jobMatch.matched.length} of ${jobMatch.matched.length + jobMatch.missing.length} job terms found on your profile`;
+    block.appendChild(footer);
+    
+    return block;
+  },
+  
+  /**
+   * Add the "Export report" action below the unified view
+   * @param {HTMLElement} unifiedSection - Unified section container
+   */
+  appendExportButton(unifiedSection) {
+    const footer = document.createElement('div');
+    footer.className = 'report-export';
+    footer.style.cssText = 'display: flex; justify-content: flex-end; margin: 0 0 12px 0;';
+    
+    const button = document.createElement('button');
+    button.className = 'action-button export-report-button';
+    button.title = 'Open a printable report that can be saved as PDF';
+    
+    const iconSpan = document.createElement('span');
+    iconSpan.className = 'button-icon';
+    iconSpan.textContent = '📄';
+    button.replaceChildren(iconSpan, document.createTextNode('Export report'));
+    button.addEventListener('click', () => this.handleExportReport());
+    
+    footer.appendChild(button);
+    unifiedSection.appendChild(footer);
+  },
+  
+  /**
+   * Build a plain-data copy of the unified view for the report page
+   * Everything is reduced to text so the report never renders LinkedIn markup
+   * @param {Object} data - Analysis data shown in the overlay
+   * @param {Object} progressiveData - Output of transformToProgressiveFormat
+   * @returns {Object} Report payload
+   */
+  buildReportData(data, progressiveData) {
+    const toText = (value) => {
+      if (!value) return '';
+      return new DOMParser().parseFromString(String(value), 'text/html').body.textContent.trim();
+    };
+    const toImprovements = (improvements = []) => improvements.map(imp => ({
+      text: toText(typeof imp === 'string' ? imp : imp.text),
+      why: toText(imp?.why)
+    }));
+    const toSection = (section) => ({
+      name: toText(section.name),
+      rating: section.rating ?? null,
+      errorType: section.errorType || null,
+      positive: toText(section.positive),
+      improvements: toImprovements(section.improvements)
+    });
+    
+    const profileNameElement = document.querySelector('h1.text-heading-xlarge');
+    
+    return {
+      profileId: data.profileId || extractProfileIdFromUrl(),
+      profileName: profileNameElement ? profileNameElement.textContent.trim() : null,
+      profileUrl: window.location.href.split('?')[0],
+      analyzedAt: data.timestamp || Date.now(),
+      generatedAt: Date.now(),
+      completeness: data.completeness ?? null,
+      contentScore: data.contentScore ?? null,
+      summary: toText(progressiveData.unifiedMessage),
+      coachingSummary: toText(progressiveData.coachingSummary),
+      sections: (progressiveData.sections || []).map(section => ({
+        ...toSection(section),
+        subSections: (section.hasSubSections && section.subSections) ? section.subSections.map(toSection) : []
+      })),
+      missingItems: (data.completenessData?.recommendations || []).map(item => ({
+        section: item.section,
+        message: toText(item.message),
+        impact: item.impact || item.weight || 0
+      }))
+    };
+  },
+  
+  /**
+   * Handle export report button click
+   * Stores the report payload and asks the service worker to open report.html
+   */
+  handleExportReport() {
+    if (!this.reportData) return;
+    
+    try {
+      if (!chrome?.runtime?.id) {
+        this.showToast('Extension was reloaded. Refresh the page to export.', 'error');
+        return;
+      }
+      
+      chrome.storage.local.set({ reportData: this.reportData }, () => {
+        if (chrome.runtime.lastError) {
+          this.showToast('Could not prepare the report', 'error');
+          return;
+        }
+        chrome.runtime.sendMessage({ action: 'openReport' }, (response) => {
+          if (chrome.runtime.lastError || !response?.success) {
+            this.showToast('Could not open the report', 'error');
+          }
+        });
+      });
+    } catch (error) {
+      SmartLogger.error('UI.INTERACTIONS', 'Failed to export report', error);
+    }
+  },  
+  /**
+   * Render a placeholder for the rewrite button of a section
+   * The button is attached after the HTML is parsed so its handler keeps the section's target
+   * @param {Object} section - Section with an optional rewrite target
+   * @returns {string} Placeholder HTML
+   */
+  renderRewriteSlot(section) {
+    if (!section.rewrite) return '';
+    
+    const placeholderId = `rewrite-placeholder-${Math.random().toString(36).substr(2, 9)}`;
+    if (!this.pendingRewriteTargets) {
+      this.pendingRewriteTargets = [];
+    }
+    this.pendingRewriteTargets.push({ id: placeholderId, rewrite: section.rewrite });
+    
+    return `<div class="rewrite-slot" data-rewrite-placeholder="${placeholderId}"></div>`;
+  },
+  
+  /**
+   * Replace rewrite placeholders with "Suggest rewrite" buttons
+   * @param {HTMLElement} container - Element holding the rendered sections
+   */
+  attachRewriteButtons(container) {
+    (this.pendingRewriteTargets || []).forEach(({ id, rewrite }) => {
+      const placeholder = container.querySelector(`[data-rewrite-placeholder="${id}"]`);
+      if (!placeholder) return;
+      
+      const button = document.createElement('button');
+      button.className = 'rewrite-button';
+      button.style.cssText = 'margin-top: 8px; padding: 4px 10px; background: white; color: #0a66c2; border: 1px solid #0a66c2; border-radius: 4px; font-size: 12px; cursor: pointer;';
+      button.textContent = '✍️ Suggest rewrite';
+      
+      const results = document.createElement('div');
+      results.className = 'rewrite-results';
+      
+      button.addEventListener('click', () => this.handleSuggestRewrite(rewrite, button, results));
+      placeholder.replaceChildren(button, results);
+    });
+    this.pendingRewriteTargets = [];
+  },
+  
+  /**
+   * Render a placeholder for the retry button of a section whose analysis failed
+   * @param {Object} section - Section with an optional retry key
+   * @returns {string} Placeholder HTML
+   */
+  renderRetrySlot(section) {
+    if (!section.retryKey) return '';
+    
+    const placeholderId = `retry-placeholder-${Math.random().toString(36).substr(2, 9)}`;
+    if (!this.pendingRetryKeys) {
+      this.pendingRetryKeys = [];
+    }
+    this.pendingRetryKeys.push({ id: placeholderId, key: section.retryKey });
+    
+    return `<span class="retry-slot" data-retry-placeholder="${placeholderId}"></span>`;
+  },
+  
+  /**
+   * Replace retry placeholders with per-section "Retry" buttons
+   * @param {HTMLElement} container - Element holding the rendered sections
+   */
+  attachRetryButtons(container) {
+    (this.pendingRetryKeys || []).forEach(({ id, key }) => {
+      const placeholder = container.querySelector(`[data-retry-placeholder="${id}"]`);
+      if (!placeholder) return;
+      
+      const button = document.createElement('button');
+      button.className = 'retry-section-button';
+      button.style.cssText = 'padding: 2px 8px; background: white; color: #0a66c2; border: 1px solid #0a66c2; border-radius: 4px; font-size: 11px; cursor: pointer;';
+      button.textContent = '↻ Retry';
+      button.title = 'Analyze this section again';
+      button.addEventListener('click', () => this.handleRetrySections([key], button));
+      placeholder.replaceChildren(button);
+    });
+    this.pendingRetryKeys = [];
+  },
+  
+  /**
+   * Build the bar offering to retry every failed section at once
+   * @param {number} count - Number of failed sections
+   * @returns {HTMLElement} Retry bar
+   */
+  renderRetryAllBar(count) {
+    const bar = document.createElement('div');
+    bar.className = 'retry-failed-bar';
+    bar.style.cssText = 'display: flex; align-items: center; justify-content: space-between; gap: 8px; margin: 0 0 12px 0; padding: 10px 12px; background: #fff8e1; border-radius: 8px; font-size: 12px; color: #7a5b00;';
+    
+    const text = document.createElement('span');
+    text.textContent = `${count} section${count > 1 ? 's' : ''} couldn't be analyzed.`;
+    
+    const button = document.createElement('button');
+    button.className = 'retry-failed-button';
+    button.style.cssText = 'padding: 4px 10px; background: #0a66c2; color: white; border: none; border-radius: 4px; font-size: 12px; cursor: pointer; white-space: nowrap;';
+    button.textContent = '↻ Retry all failed';
+    button.addEventListener('click', () => this.handleRetrySections([], button));
+    
+    bar.append(text, button);
+    return bar;
+  },
+  
+  /**
+   * Ask the analyzer to re-run only the given failed sections
+   * @param {Array<string>} keys - Section keys to retry, all failed sections when empty
+   * @param {HTMLElement} button - The clicked button
+   */
+  handleRetrySections(keys, button) {
+    if (!chrome?.runtime?.id) {
+      this.showToast('Extension was reloaded. Refresh the page to retry.', 'error');
+      return;
+    }
+    
+    button.disabled = true;
+    button.textContent = 'Retrying...';
+    window.postMessage({ type: 'ELEVATE_RETRY_SECTIONS', sections: keys }, '*');
+  },
+  
+  /**
+   * Read the current text of a rewritable section from the page
+   * @param {Object} rewrite - Rewrite target ({ type, title, company })
+   * @returns {Object|null} Content to send for rewriting
+   */
+  async getRewriteContent(rewrite) {
+    if (rewrite.type === 'headline') {
+      const headline = await HeadlineExtractor.extract();
+      return headline.exists ? { text: headline.text } : null;
+    }
+    
+    if (rewrite.type === 'about') {
+      const about = await AboutExtractor.extractDeep();
+      return about.exists ? { text: about.text } : null;
+    }
+    
+    if (rewrite.type === 'experience_role') {
+      const role = await ExperienceExtractor.findRole(rewrite.title, rewrite.company);
+      return role ? {
+        title: role.title,
+        company: role.company,
+        duration: role.duration,
+        description: role.description
+      } : null;
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Ask the configured AI provider for rewrites of one section
+   * @param {Object} rewrite - Rewrite target ({ type, title, company })
+   * @param {HTMLElement} button - The clicked button
+   * @param {HTMLElement} results - Container for the alternatives
+   */
+  async handleSuggestRewrite(rewrite, button, results) {
+    if (!chrome?.runtime?.id) {
+      this.showToast('Extension was reloaded. Refresh the page to get rewrites.', 'error');
+      return;
+    }
+    
+    const limits = {
+      headline: CHAR_LIMITS.HEADLINE,
+      about: CHAR_LIMITS.ABOUT,
+      experience_role: CHAR_LIMITS.EXPERIENCE_DESCRIPTION
+    };
+    const label = button.textContent;
+    button.disabled = true;
+    button.textContent = '✍️ Writing...';
+    
+    const restoreButton = () => {
+      button.disabled = false;
+      button.textContent = label;
+    };
+    
+    try {
+      const content = await this.getRewriteContent(rewrite);
+      if (!content) {
+        this.showToast('Could not read this section from the page', 'error');
+        restoreButton();
+        return;
+      }
+      
+      const settings = await chrome.storage.local.get(['aiModel', 'targetRole', 'seniorityLevel', 'customInstructions']);
+      
+      chrome.runtime.sendMessage({
+        action: 'suggestRewrite',
+        section: rewrite.type,
+        data: content,
+        limit: limits[rewrite.type],
+        profileId: extractProfileIdFromUrl(),
+        analysisId: this.currentData?.analysisId || null,
+        settings
+      }, (response) => {
+        restoreButton();
+        if (chrome.runtime.lastError || !response?.success) {
+          this.showToast(response?.error || 'Could not generate rewrites', 'error');
+          return;
+        }
+        this.renderRewriteAlternatives(results, response.alternatives, response.limit || limits[rewrite.type]);
+      });
+    } catch (error) {
+      SmartLogger.error('UI.INTERACTIONS', 'Failed to request rewrites', error);
+      this.showToast('Could not generate rewrites', 'error');
+      restoreButton();
+    }
+  },
+  
+  /**
+   * Render rewrite alternatives with a character counter and copy button
+   * @param {HTMLElement} container - Container to fill
+   * @param {Array<Object>} alternatives - { text, rationale } entries
+   * @param {number} limit - Character limit for the section
+   */
+  renderRewriteAlternatives(container, alternatives, limit) {
+    const cards = alternatives.map((alternative, index) => {
+      const card = document.createElement('div');
+      card.className = 'rewrite-alternative';
+      card.style.cssText = 'margin-top: 8px; padding: 10px; background: white; border: 1px solid #e5e7eb; border-radius: 6px;';
+      
+      const text = document.createElement('p');
+      text.style.cssText = 'margin: 0 0 6px 0; font-size: 12px; color: #333; white-space: pre-wrap;';
+      text.textContent = alternative.text;
+      card.appendChild(text);
+      
+      if (alternative.rationale) {
+        const rationale = document.createElement('p');
+        rationale.style.cssText = 'margin: 0 0 6px 0; font-size: 11px; color: #999;';
+        rationale.textContent = alternative.rationale;
+        card.appendChild(rationale);
+      }
+      
+      const footer = document.createElement('div');
+      footer.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+      
+      const counter = document.createElement('span');
+      const length = alternative.text.length;
+      counter.style.cssText = `font-size: 11px; color: ${length > limit ? '#cc1016' : '#666'};`;
+      counter.textContent = `${length} / ${limit} characters`;
+      
+      const copyButton = document.createElement('button');
+      copyButton.style.cssText = 'padding: 2px 10px; background: #0a66c2; color: white; border: none; border-radius: 4px; font-size: 11px; cursor: pointer;';
+      copyButton.textContent = 'Copy';
+      copyButton.title = `Copy option ${index + 1} to the clipboard`;
+      copyButton.addEventListener('click', () => {
+        navigator.clipboard.writeText(alternative.text).then(() => {
+          copyButton.textContent = 'Copied!';
+          setTimeout(() => { copyButton.textContent = 'Copy'; }, 2000);
+        }).catch(() => {
+          this.showToast('Could not copy to the clipboard', 'error');
+        });
+      });
+      
+      footer.append(counter, copyButton);
+      card.appendChild(footer);
+      return card;
+    });
+    
+    container.replaceChildren(...cards);
+  },
+
+  
+  /**
+   * Tell the user which parts of the profile changed since the cached analysis they replaced
+   * @param {Array<string>} changedSections - Keys from CacheManager.getChangedSections
+   */
+  showContentChanges(changedSections) {
+    const unifiedSection = this.overlayElement?.querySelector('.unified-section');
+    if (!unifiedSection || changedSections.length === 0) return;
+    unifiedSection.querySelector('.content-changes')?.remove();
+    
+    const labels = changedSections.map(key => {
+      if (key === 'photo') return 'profile photo';
+      if (key === 'settings') return 'analysis settings';
+      return this.formatSectionName(key);
+    });
+    const list = labels.length > 1
+      ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+      : labels[0];
+    
+    const notice = document.createElement('div');
+    notice.className = 'content-changes';
+    notice.style.cssText = 'margin: 8px 0; padding: 10px 12px; background: #fff8e1; border-left: 3px solid #f59e0b; border-radius: 0 8px 8px 0; font-size: 12px; color: #333;';
+    
+    notice.textContent = `Re-analyzed because your ${list} changed since the last analysis.`;
+    unifiedSection.prepend(notice);
+  },
+  
+  /**
+   * Ask whether to resume an interrupted analysis or start over
+   * @param {number} completed - Sections the interrupted run finished
+   * @param {number} total - Sections in that run
+   * @returns {Promise<boolean>} True to resume
+   */
+  promptResume(completed, total) {
+    const unifiedSection = this.overlayElement?.querySelector('.unified-section');
+    // Without a place to ask, resuming is the cheaper default for unchanged content
+    if (!unifiedSection) return Promise.resolve(true);
+    unifiedSection.querySelector('.resume-prompt')?.remove();
+    unifiedSection.classList.remove('hidden');
+    
+    return new Promise((resolve) => {
+      const prompt = document.createElement('div');
+      prompt.className = 'resume-prompt';
+      prompt.style.cssText = 'display: flex; align-items: center; justify-content: space-between; gap: 8px; margin: 8px 0; padding: 10px 12px; background: #f0f8ff; border-left: 3px solid #0a66c2; border-radius: 0 8px 8px 0; font-size: 12px; color: #333;';
+      
+      const message = document.createElement('span');
+      message.textContent = `An earlier analysis stopped after ${completed} of ${total} sections.`;
+      
+      const buttons = document.createElement('span');
+      buttons.style.cssText = 'display: flex; gap: 6px; flex-shrink: 0;';
+      
+      const addButton = (label, primary, choice) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.cssText = `padding: 4px 10px; font-size: 12px; border: 1px solid #0a66c2; border-radius: 12px; cursor: pointer; background: ${primary ? '#0a66c2' : 'white'}; color: ${primary ? 'white' : '#0a66c2'};`;
+        button.addEventListener('click', () => {
+          prompt.remove();
+          resolve(choice);
+        });
+        buttons.appendChild(button);
+      };
+      addButton('Resume', true, true);
+      addButton('Start over', false, false);
+      
+      prompt.append(message, buttons);
+      unifiedSection.prepend(prompt);
+    });
+  },
+  
+  /**
+   * Show every prompt an analysis would send, with estimated tokens and cost, and wait for confirmation
+   * Cancelling restores the previous results the same way the cancel button does
+   * @param {Object} preview - previewPrompts response ({ prompts, totals, strategy })
+   * @returns {Promise<boolean>} True when the user chose to send
+   */
+  showPromptPreview(preview) {
+    const unifiedSection = this.overlayElement?.querySelector('.unified-section');
+    // Nowhere to show the prompts means nothing can be confirmed
+    if (!unifiedSection) return Promise.resolve(false);
+    unifiedSection.querySelector('.prompt-preview')?.remove();
+    unifiedSection.classList.remove('hidden');
+    
+    const formatCost = (cost) => `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+    const formatTokens = (tokens) => `~${tokens.toLocaleString()} tokens`;
+    const { totals } = preview;
+    
+    return new Promise((resolve) => {
+      const panel = document.createElement('div');
+      panel.className = 'prompt-preview';
+      panel.style.cssText = 'margin: 8px 0; padding: 10px 12px; background: #f0f8ff; border-left: 3px solid #0a66c2; border-radius: 0 8px 8px 0; font-size: 12px; color: #333;';
+      
+      const heading = document.createElement('div');
+      heading.style.cssText = 'font-weight: 600; margin-bottom: 4px;';
+      heading.textContent = `Review before sending: ${totals.requests} request${totals.requests === 1 ? '' : 's'}, ${formatTokens(totals.inputTokens + totals.outputTokens)}, about ${formatCost(totals.cost)}`;
+      
+      const tokenizers = document.createElement('div');
+      tokenizers.style.cssText = 'color: #666; margin-bottom: 8px;';
+      const tokenizerNames = { openai: 'OpenAI', anthropic: 'Anthropic', gemini: 'Gemini' };
+      tokenizers.textContent = 'Input estimate by tokenizer: ' + Object.entries(totals.byTokenizer || {})
+        .map(([provider, tokens]) => `${tokenizerNames[provider] || provider} ${formatTokens(tokens)}`)
+        .join(' · ') + '. Output is estimated per request; estimates are offline and approximate.';
+      
+      const list = document.createElement('div');
+      list.style.cssText = 'max-height: 320px; overflow-y: auto; margin-bottom: 8px;';
+      preview.prompts.forEach(entry => {
+        const item = document.createElement('details');
+        item.style.cssText = 'border-top: 1px solid #d6e4f0; padding: 4px 0;';
+        
+        const summary = document.createElement('summary');
+        summary.style.cssText = 'cursor: pointer;';
+        summary.textContent = entry.reused
+          ? `${entry.name} - unchanged, reused without sending`
+          : `${entry.name} - ${entry.provider}/${entry.model || 'default'} · ${formatTokens(entry.inputTokens)} in · ${formatCost(entry.cost)}${entry.image ? ' · image attached' : ''}`;
+        
+        const text = document.createElement('pre');
+        text.style.cssText = 'white-space: pre-wrap; word-break: break-word; max-height: 200px; overflow-y: auto; margin: 4px 0 0; padding: 8px; background: white; border: 1px solid #e5e5e5; border-radius: 4px; font-size: 11px;';
+        text.textContent = entry.prompt;
+        
+        item.append(summary, text);
+        list.appendChild(item);
+      });
+      
+      const buttons = document.createElement('div');
+      buttons.style.cssText = 'display: flex; justify-content: flex-end; gap: 6px;';
+      
+      const addButton = (label, primary, choice) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.cssText = `padding: 4px 10px; font-size: 12px; border: 1px solid #0a66c2; border-radius: 12px; cursor: pointer; background: ${primary ? '#0a66c2' : 'white'}; color: ${primary ? 'white' : '#0a66c2'};`;
+        button.addEventListener('click', () => {
+          panel.remove();
+          if (!choice) this.handleCancelAnalysis();
+          resolve(choice);
+        });
+        buttons.appendChild(button);
+      };
+      addButton('Cancel', false, false);
+      addButton(totals.requests > 0 ? 'Send and analyze' : 'Continue', true, true);
+      
+      panel.append(heading, tokenizers, list, buttons);
+      unifiedSection.prepend(panel);
+    });
+  },
+  
+  /**
+   * List the sections a refresh sent to the AI again and the ones reused unchanged
+   * @param {Object} differential - { reused: string[], rescored: string[] } display names
+   */
+  showReanalysisSummary(differential) {
+    const unifiedSection = this.overlayElement?.querySelector('.unified-section');
+    if (!unifiedSection) return;
+    unifiedSection.querySelector('.reanalysis-summary')?.remove();
+    
+    const { reused = [], rescored = [] } = differential;
+    // Nothing to contrast on a first run where every section was scored fresh
+    if (reused.length === 0) return;
+    
+    const summary = document.createElement('div');
+    summary.className = 'reanalysis-summary';
+    summary.style.cssText = 'margin: 8px 0; padding: 10px 12px; background: #f0f8ff; border-radius: 8px; font-size: 12px; color: #333;';
+    
+    const addLine = (label, names, color) => {
+      const line = document.createElement('div');
+      line.style.marginBottom = '4px';
+      const strong = document.createElement('strong');
+      strong.style.color = color;
+      strong.textContent = `${label} (${names.length}): `;
+      line.append(strong, names.length > 0 ? names.join(', ') : 'none');
+      summary.appendChild(line);
+    };
+    
+    addLine('Re-scored', rescored, '#0a66c2');
+    addLine('Unchanged, reused', reused, '#666');
+    
+    unifiedSection.appendChild(summary);
+  },
+  
+  /**
+   * Show a diff between two analysis snapshots from the profile's history
+   * Defaults to comparing the previous analysis with the latest one
+   * @param {string|null} profileId - Profile ID (falls back to the current URL)
+   */
+  async showSnapshotHistory(profileId = null) {
+    try {
+      if (!profileId) {
+        profileId = extractProfileIdFromUrl();
+      }
+      if (!profileId || !this.overlayElement) return;
+      
+      const history = await new CacheManager().getHistory(profileId);
+      const unifiedSection = this.overlayElement.querySelector('.unified-section');
+      unifiedSection?.querySelector('.history-section')?.remove();
+      
+      // Need at least two analyses to show progress
+      if (!unifiedSection || history.length < 2) return;
+      
+      const section = document.createElement('div');
+      section.className = 'history-section';
+      section.style.cssText = 'margin: 8px 0 16px 0; padding: 12px; background: #f8f9fa; border-radius: 8px;';
+      
+      const title = document.createElement('h5');
+      title.style.cssText = 'margin: 0 0 8px 0; font-size: 14px; font-weight: 600; color: #333;';
+      title.textContent = '📈 Progress Over Time';
+      section.appendChild(title);
+      
+      // Snapshot pickers
+      const controls = document.createElement('div');
+      controls.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 8px; font-size: 12px; color: #666; flex-wrap: wrap;';
+      
+      const buildSelect = (selectedIndex) => {
+        const select = document.createElement('select');
+        select.style.cssText = 'font-size: 12px; padding: 2px 4px; border: 1px solid #d1d5db; border-radius: 4px;';
+        history.forEach((snapshot, index) => {
+          const option = document.createElement('option');
+          option.value = String(index);
+          option.textContent = new Date(snapshot.timestamp).toLocaleString(undefined, {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+          });
+          option.selected = index === selectedIndex;
+          select.appendChild(option);
+        });
+        return select;
+      };
+      
+      const fromSelect = buildSelect(history.length - 2);
+      const toSelect = buildSelect(history.length - 1);
+      const arrow = document.createElement('span');
+      arrow.textContent = '→';
+      controls.append('Compare', fromSelect, arrow, toSelect);
+      section.appendChild(controls);
+      
+      const list = document.createElement('ul');
+      list.style.cssText = 'margin: 0; padding-left: 20px; font-size: 12px; color: #333;';
+      section.appendChild(list);
+      
+      const render = () => {
+        const older = history[Number(fromSelect.value)];
+        const newer = history[Number(toSelect.value)];
+        const changes = SnapshotDiff.compare(older, newer);
+        
+        list.replaceChildren();
+        if (changes.length === 0) {
+          const item = document.createElement('li');
+          item.style.color = '#666';
+          item.textContent = 'No changes between these analyses';
+          list.appendChild(item);
+          return;
+        }
+        
+        changes.forEach(change => {
+          const item = document.createElement('li');
+          item.style.marginBottom = '4px';
+          const trend = change.delta === null ? null : Math.sign(change.delta);
+          if (trend !== null) {
+            item.style.color = trend > 0 ? '#057642' : (trend < 0 ? '#dc2626' : '#333');
+          }
+          item.textContent = this.formatSnapshotChange(change);
+          list.appendChild(item);
+        });
+      };
+      
+      fromSelect.addEventListener('change', render);
+      toSelect.addEventListener('change', render);
+      render();
+      
+      unifiedSection.appendChild(section);
+    } catch (error) {
+      SmartLogger.error('UI.RENDERING', 'Failed to show snapshot history', error);
+    }
+  },
+  
+  /**
+   * Describe a single snapshot change in plain words
+   * @param {Object} change - Entry from SnapshotDiff.compare
+   * @returns {string} Display text
+   */
+  formatSnapshotChange(change) {
+    const signed = (value) => (value > 0 ? `+${value}` : String(value));
+    
+    switch (change.kind) {
+      case 'percent':
+        return `Completeness ${change.before ?? 0}% → ${change.after}%`;
+      case 'score':
+        return `Content quality ${change.before} → ${change.after}`;
+      case 'presence':
+        return change.after ? 'Profile photo added' : 'Profile photo removed';
+      case 'text':
+        return change.before ? 'Headline changed' : 'Headline added';
+      case 'chars':
+        return `${this.formatSectionName(change.section)} ${signed(change.delta)} chars`;
+      case 'count': {
+        const noun = SnapshotDiff.countedSections[change.section] || { singular: change.section, plural: change.section };
+        return `${signed(change.delta)} ${Math.abs(change.delta) === 1 ? noun.singular : noun.plural}`;
+      }
+      case 'rating': {
+        const label = SnapshotDiff.scoredSections[change.section] || this.formatSectionName(change.section);
+        return `${label} rating ${this.scoreToRating(change.before)}→${this.scoreToRating(change.after)} stars`;
+      }
+      default:
+        return `${this.formatSectionName(change.section)} changed`;
+    }
+  },
+  
   /**
    * Transform data into progressive improvement format
    */
@@ -3132,7 +4039,11 @@ const OverlayManager = {
     // Get settings from data object if available
     const settings = data.settings || {};
     const visionModels = ['gpt-4o', 'gpt-4.1', 'gpt-4.1-mini', 'gpt-4.1-nano', 'gpt-5.4', 'gpt-5.4-mini', 'gpt-5.4-nano', 'gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro', 'gemini-3.1-pro-preview'];
-    const hasVisionAI = visionModels.includes(settings.aiModel) &&
+    // Custom endpoints declare vision support in settings since any model can be served
+    const supportsVision = settings.aiProvider === 'custom'
+      ? settings.customSupportsVision === true
+      : visionModels.includes(settings.aiModel);
+    const hasVisionAI = supportsVision &&
                         settings.enableAI === true;
     
     // Only show photo as a separate section if it's missing (for completeness)
@@ -3154,8 +4065,9 @@ const OverlayManager = {
     
     // We don't show photo as a separate section when it exists
     
-    // Banner section - only show if custom banner exists and vision AI available
-    if (hasVisionAI) {
+    // Banner section - show for custom banners once assessed, or as pending with vision AI
+    const bannerAssessment = sectionScores.first_impression?.visualAssessment?.banner || sectionScores.profile_banner;
+    if (hasVisionAI || bannerAssessment) {
       // profileData should be part of the data object (extracted data from the profile)
       const hasCustomBanner = data.extractedData?.banner?.isCustomBanner || data.profileData?.banner?.isCustomBanner || false;
       
@@ -3166,10 +4078,10 @@ const OverlayManager = {
         };
         
         // Check for banner analysis results
-        const bannerScore = sectionScores.profile_banner;
+        const bannerScore = bannerAssessment;
         if (bannerScore && typeof bannerScore.score === 'number') {
           // Banner analysis completed
-          bannerSection.rating = bannerScore.score;
+          bannerSection.rating = this.scoreToRating(bannerScore.score);
           bannerSection.positive = bannerScore.positive || bannerScore.analysis;
           bannerSection.improvements = bannerScore.improvements || [];
           if (bannerScore._cacheInfo?.cached) {
@@ -3213,10 +4125,14 @@ const OverlayManager = {
       });
       
       const headlineRating = this.scoreToRating(headlineAnalysis.score);
+      // Photo feedback from vision AI or local checks joins the headline items
+      const photoImprovements = (headlineAnalysis.visualAssessment?.photo?.improvements || [])
+        .map(imp => ({ text: imp.text, why: imp.why, priority: 'medium' }));
       sections.push({
         name: firstImpressionScore ? 'First Impression' : 'Headline',
         rating: headlineRating,
         errorType: headlineAnalysis.errorType || null,
+        retryKey: headlineAnalysis.retryKey || null,
         positive: firstImpressionScore ? 
           headlineAnalysis.unifiedImpression || headlineAnalysis.positiveInsight :
           headlineAnalysis.headlinePositive || headlineAnalysis.positiveInsight || headlineAnalysis.strengths?.[0] || null,
@@ -3225,8 +4141,9 @@ const OverlayManager = {
           why: item.impact || item.how || 'Update your profile',
           impact: item.impact,
           priority: item.priority
-        })).slice(0, this.getImprovementLimit(headlineRating)),
+        })).concat(photoImprovements).slice(0, this.getImprovementLimit(headlineRating)),
         priority: 'normal',
+        rewrite: { type: 'headline' },
         // Add visual assessment details if available
         visualAssessment: firstImpressionScore ? headlineAnalysis.visualAssessment : null
       });
@@ -3294,6 +4211,7 @@ const OverlayManager = {
         name: 'About Section',
         rating: aboutRating,
         errorType: aboutScore.errorType || null,
+        retryKey: aboutScore.retryKey || null,
         positive: aboutScore.positiveInsight || aboutScore.strengths?.[0] || null,
         improvements: aboutScore.actionItems.map(item => ({
           text: item.action || item.what || 'Improvement needed',
@@ -3301,7 +4219,8 @@ const OverlayManager = {
           impact: item.impact,
           priority: item.priority
         })).slice(0, this.getImprovementLimit(aboutRating)),
-        priority: 'normal'
+        priority: 'normal',
+        rewrite: { type: 'about' }
       });
     } else if (profileIntroScore && profileIntroScore.actionItems) {
       // Filter actionItems for about section - check section tag first, then content
@@ -3351,7 +4270,8 @@ const OverlayManager = {
           impact: item.impact,
           priority: item.priority
         })).slice(0, this.getImprovementLimit(aboutRating)),
-        priority: 'normal'
+        priority: 'normal',
+        rewrite: { type: 'about' }
       });
     } else {
       // Fallback to old logic - add positive message if about passes completeness
@@ -3468,6 +4388,7 @@ const OverlayManager = {
       name: 'Experience',
       rating: experienceRating,
       errorType: sectionScores.experience_overall?.errorType || null,
+      retryKey: sectionScores.experience_overall?.retryKey || null,
       positive: experiencePositive,
       improvements: experienceImprovements,
       priority: 'normal',
@@ -3500,14 +4421,21 @@ const OverlayManager = {
             }));
           
           // Only add the role section if it has improvements or positive feedback
-          if (roleImprovements.length > 0 || role.positiveInsight) {
+          // Failed roles stay visible so they can be retried
+          if (roleImprovements.length > 0 || role.positiveInsight || role.retryKey) {
             const roleSection = {
               name: `${role.analysis.title} at ${role.analysis.company || 'Unknown Company'}`,
-              rating: this.scoreToRating(role.score || 0),
+              rating: role.errorType ? null : this.scoreToRating(role.score || 0),
               errorType: role.errorType || null,
+              retryKey: role.retryKey || null,
               positive: role.positiveInsight,
               improvements: roleImprovements,
-              isSubSection: true
+              isSubSection: true,
+              rewrite: {
+                type: 'experience_role',
+                title: role.analysis.title,
+                company: role.analysis.company || ''
+              }
             };
             
             experienceSection.subSections.push(roleSection);
@@ -3545,6 +4473,7 @@ const OverlayManager = {
         name: 'Skills & Expertise',
         rating: skillsRating,
         errorType: skillsScore.errorType || null,
+        retryKey: skillsScore.retryKey || null,
         positive: skillsScore.positiveInsight || skillsScore.strengths?.[0] || null,
         gapAnalysis: skillsScore.gapAnalysis,
         improvements: skillsScore.actionItems.slice(0, this.getImprovementLimit(skillsRating)).map(item => ({
@@ -3646,12 +4575,42 @@ const OverlayManager = {
     sections.push({
       name: 'Recommendations',
       rating: recommendationsRating,
+      errorType: sectionScores.recommendations?.errorType || null,
+      retryKey: sectionScores.recommendations?.retryKey || null,
       positive: recommendationsPositive,
       improvements: recommendationsImprovements,
       // Removed isDefaultRating - use null rating instead
       priority: 'high'  // Always show recommendations section
     });
     
+    // Sections on the page that the extractors couldn't read replace any zero-score card
+    const unreadableNames = {
+      about: 'About Section',
+      experience: 'Experience',
+      skills: 'Skills & Expertise',
+      recommendations: 'Recommendations'
+    };
+    (data.completenessData?.unreadableSections || []).forEach(key => {
+      const name = unreadableNames[key] || this.formatSectionName(key);
+      const unreadableSection = {
+        name,
+        rating: null,
+        errorType: 'SECTION_UNREADABLE',
+        positive: null,
+        improvements: [{
+          text: "Couldn't read this section - LinkedIn may have changed its layout",
+          why: 'It was left out of your completeness score rather than counted as missing'
+        }],
+        priority: 'high'
+      };
+      const index = sections.findIndex(section => section.name === name);
+      if (index >= 0) {
+        sections[index] = unreadableSection;
+      } else {
+        sections.push(unreadableSection);
+      }
+    });
+    
     // Sort sections to match LinkedIn's visual hierarchy
     const sectionOrder = [
       'First Impression', // Includes photo + headline when photo exists
@@ -3966,7 +4925,10 @@ const OverlayManager = {
           <h5 style="margin: 0; font-size: 14px; font-weight: 600; color: #333;">
             ${section.name}
           </h5>
-          <div class="star-rating" style="font-size: 16px;" data-star-placeholder="${starPlaceholderId}"></div>
+          <div style="display: flex; align-items: center; gap: 8px;">
+            ${this.renderRetrySlot(section)}
+            <div class="star-rating" style="font-size: 16px;" data-star-placeholder="${starPlaceholderId}"></div>
+          </div>
         </div>
         ${section.positive ? `
           <p style="margin: 0 0 8px 0; font-size: 12px; color: #057642;">
@@ -3984,6 +4946,7 @@ const OverlayManager = {
             `).join('')}
           </ul>
         ` : ''}
+        ${this.renderRewriteSlot(section)}
         
         <!-- Sub-sections for Experience roles -->
         ${section.hasSubSections && section.subSections && section.subSections.length > 0 ? `
@@ -4003,6 +4966,7 @@ const OverlayManager = {
                     });
                     return subStarId;
                   })()}"></div>
+                  ${this.renderRetrySlot(subSection)}
                 </div>
                 ${subSection.positive ? `
                   <p style="margin: 0 0 6px 0; font-size: 12px; color: #057642;">
@@ -4020,6 +4984,7 @@ const OverlayManager = {
                     `).join('')}
                   </ul>
                 ` : ''}
+                ${this.renderRewriteSlot(subSection)}
               </div>
             `).join('')}
           </div>
@@ -4098,6 +5063,8 @@ const OverlayManager = {
       'RESPONSE_PARSE_ERROR': 'AI response could not be read',
       'DATA_READ_ERROR': 'AI was unable to read data for this section',
       'API_KEY_ERROR': 'Invalid API key - check settings',
+      'RATE_LIMIT': 'Rate limit reached - try again shortly',
+      'SECTION_UNREADABLE': "Couldn't read this section from the page",
       'DEFAULT': 'Enable AI analysis for quality insights'
     };
     
@@ -4574,7 +5541,7 @@ const OverlayManager = {
           return;
         }
         
-        chrome.storage.local.get(['enableAI', 'apiKey', 'encryptedApiKey', 'aiProvider', 'aiModel'], (data) => {
+        chrome.storage.local.get(['enableAI', 'apiKey', 'encryptedApiKey', 'aiProvider', 'aiModel', 'customSupportsVision'], (data) => {
           if (chrome.runtime.lastError) {
             SmartLogger.log('STATE.RESTORATION', 'Failed to get settings', { error: chrome.runtime.lastError });
             resolve({});
@@ -4630,7 +5597,7 @@ const OverlayManager = {
 
     // If we have cached data, restore it
     if (cachedData && cachedData.completeness !== undefined) {
-      const hasApiKey = settings.apiKey || settings.encryptedApiKey;
+      const hasApiKey = settings.apiKey || settings.encryptedApiKey || settings.aiProvider === 'custom';
       const enableAI = settings.enableAI && hasApiKey && settings.aiProvider;
       
       const stateData = {
@@ -4645,7 +5612,8 @@ const OverlayManager = {
         settings: {
           enableAI: settings.enableAI,
           aiProvider: settings.aiProvider,
-          aiModel: settings.aiModel
+          aiModel: settings.aiModel,
+          customSupportsVision: settings.customSupportsVision
         },
         ...context // Include any additional context (error messages, etc.)
       };
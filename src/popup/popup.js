@@ -48,11 +48,39 @@ document.addEventListener('DOMContentLoaded', async () => {
   const settingsCustomRoleInput = document.getElementById('settingsCustomRole');
   const settingsSeniorityLevelSelect = document.getElementById('settingsSeniorityLevel');
   const settingsCustomInstructionsTextarea = document.getElementById('settingsCustomInstructions');
+  const settingsBudgetCapInput = document.getElementById('settingsBudgetCap');
   const saveSettingsBtn = document.getElementById('saveSettingsBtn');
   const settingsResetAnalysisLink = document.getElementById('settingsResetAnalysis');
   const settingsClearApiKeyLink = document.getElementById('settingsClearApiKey');
   const settingsResetAllLink = document.getElementById('settingsResetAll');
+  const settingsExportDiagnosticsLink = document.getElementById('settingsExportDiagnostics');
   const aiConfigSection = document.getElementById('aiConfigSection');
+  const customEndpointFields = document.getElementById('customEndpointFields');
+  const settingsCustomBaseUrlInput = document.getElementById('settingsCustomBaseUrl');
+  const settingsCustomModelInput = document.getElementById('settingsCustomModel');
+  const settingsCustomVisionCheckbox = document.getElementById('settingsCustomVision');
+  const fallbackRows = document.querySelectorAll('#fallbackChainFields .fallback-row');
+  const settingsAnalysisStrategySelect = document.getElementById('settingsAnalysisStrategy');
+  const settingsConfirmPromptsCheckbox = document.getElementById('settingsConfirmPrompts');
+  const settingsAnalysisConcurrencySelect = document.getElementById('settingsAnalysisConcurrency');
+  const redactionCheckboxes = document.querySelectorAll('#redactionFields input[data-redact]');
+  // Mirrors the service worker defaults; company names stay visible unless the user opts in
+  const DEFAULT_REDACTION = { emails: true, phones: true, urls: true, recommenders: true, companies: false };
+  const lightModelFields = document.getElementById('lightModelFields');
+  const lightModelRow = lightModelFields?.querySelector('.fallback-row');
+  // Rows that pick a provider:model and may need that provider's key
+  const modelRows = [...fallbackRows, lightModelRow].filter(Boolean);
+  const settingsWeightPresetSelect = document.getElementById('settingsWeightPreset');
+  const customWeightsFields = document.getElementById('customWeightsFields');
+  const customWeightInputs = customWeightsFields ? customWeightsFields.querySelectorAll('input[data-section]') : [];
+  const settingsJobMatchToggle = document.getElementById('settingsJobMatch');
+  const jobMatchFields = document.getElementById('jobMatchFields');
+  const settingsJobDescriptionTextarea = document.getElementById('settingsJobDescription');
+  const captureJobBtn = document.getElementById('captureJobBtn');
+  const jobDescriptionSource = document.getElementById('jobDescriptionSource');
+  
+  // Job posting captured from a LinkedIn jobs page (title/company travel with the text)
+  let capturedJob = null;
   
   // Active main view elements
   const activeProfileName = document.getElementById('activeProfileName');
@@ -60,6 +88,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   const targetRoleStatus = document.getElementById('targetRoleStatus');
   const aiAnalysisStatus = document.getElementById('aiAnalysisStatus');
   const customInstructionsStatus = document.getElementById('customInstructionsStatus');
+  const usageSummary = document.getElementById('usageSummary');
+  const usageSummaryList = document.getElementById('usageSummaryList');
   
   // Other elements
   const apiKeyHelp = document.getElementById('apiKeyHelp');
@@ -106,19 +136,36 @@ document.addEventListener('DOMContentLoaded', async () => {
     'aiModel',
     'apiKey',
     'encryptedApiKey',
+    'encryptedApiKeys',
+    'aiFallbackChain',
+    'analysisStrategy',
+    'analysisConcurrency',
+    'aiLightModel',
+    'confirmBeforeAnalysis',
+    'redaction',
+    'customBaseUrl',
+    'customSupportsVision',
     'enableAI',
     'showAnalysis',
     'customInstructions',
     'targetRole',
     'seniorityLevel',
+    'weightPreset',
+    'customWeights',
+    'jobMatchEnabled',
+    'jobDescription',
+    'aiBudgetCap',
     'compliance',
     'userProfile',
     'lastAnalyzed'
   ]);
   
+  populateFallbackSelects();
+  
   // Check configuration states
   const hasCompliance = settings.compliance?.hasAcknowledged;
-  const hasApiKey = !!(settings.apiKey || settings.encryptedApiKey);
+  // Self-hosted endpoints can run without a key
+  const hasApiKey = !!(settings.apiKey || settings.encryptedApiKey) || settings.aiProvider === 'custom';
   const hasProvider = !!settings.aiProvider;
   
   // Sync settings across popup instances and tabs
@@ -151,6 +198,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       clearFieldError(settingsApiKeyInput, document.getElementById('apiKeyError'));
       clearFieldError(settingsCustomRoleInput, document.getElementById('customRoleError'));
       clearFieldError(settingsAiModelSelect, null);
+      clearFieldError(settingsBudgetCapInput, document.getElementById('budgetCapError'));
       
       // Hide status messages
       const testStatus = document.getElementById('apiKeyTestStatus');
@@ -282,7 +330,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (analysisStatus) analysisStatus.textContent = settings.showAnalysis !== false ? 'On' : 'Off';
     if (targetRoleStatus) targetRoleStatus.textContent = settings.targetRole || 'Not set';
     if (aiAnalysisStatus) {
-      const hasApiKey = !!(settings.apiKey || settings.encryptedApiKey);
+      const hasApiKey = !!(settings.apiKey || settings.encryptedApiKey) || settings.aiProvider === 'custom';
       const hasProvider = !!settings.aiProvider;
       aiAnalysisStatus.textContent = (hasApiKey && hasProvider && settings.enableAI) ? 'Configured' : 'Not configured';
     }
@@ -292,6 +340,53 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (activeProfileName && settings.userProfile) {
       activeProfileName.textContent = settings.userProfile.profileName || settings.userProfile.profileId || 'Your Profile';
     }
+    updateUsageSummary();
+  }
+  
+  // Show this month's AI spend from the service worker's usage ledger
+  async function updateUsageSummary() {
+    if (!usageSummary || !usageSummaryList) return;
+    
+    const { aiUsageLedger } = await chrome.storage.local.get('aiUsageLedger');
+    const month = aiUsageLedger?.months?.[new Date().toISOString().slice(0, 7)];
+    if (!month) {
+      usageSummary.classList.add('hidden');
+      return;
+    }
+    
+    const formatCost = (cost) => `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+    const lines = [];
+    const cap = Number(settings.aiBudgetCap) || 0;
+    lines.push(`This month - ${formatCost(month.cost)}${cap > 0 ? ` of ${formatCost(cap)} cap` : ''} (${month.calls} calls)`);
+    
+    const lastAnalysis = aiUsageLedger.analyses?.[aiUsageLedger.analyses.length - 1];
+    if (lastAnalysis) {
+      lines.push(`Last analysis - ${formatCost(lastAnalysis.cost)} (${lastAnalysis.profileId})`);
+    }
+    
+    const monthAnalyses = (aiUsageLedger.analyses || []).filter(entry => new Date(entry.startedAt).toISOString().slice(0, 7) === new Date().toISOString().slice(0, 7));
+    if (monthAnalyses.length > 1) {
+      const average = monthAnalyses.reduce((sum, entry) => sum + entry.cost, 0) / monthAnalyses.length;
+      lines.push(`Per analysis - ${formatCost(average)} average`);
+    }
+    
+    if (month.cacheSavings > 0) {
+      lines.push(`Prompt caching - ${formatCost(month.cacheSavings)} saved (${(month.cachedTokens || 0).toLocaleString()} cached tokens)`);
+    }
+    
+    // Where the money goes: most expensive model and profile this month
+    const top = (bucket) => Object.entries(bucket || {}).sort((a, b) => b[1].cost - a[1].cost)[0];
+    const topModel = top(month.byModel);
+    if (topModel) lines.push(`Top model - ${topModel[0]} ${formatCost(topModel[1].cost)}`);
+    const topProfile = top(month.byProfile);
+    if (topProfile) lines.push(`Top profile - ${topProfile[0]} ${formatCost(topProfile[1].cost)}`);
+    
+    usageSummaryList.replaceChildren(...lines.map(line => {
+      const item = document.createElement('li');
+      item.textContent = `• ${line}`;
+      return item;
+    }));
+    usageSummary.classList.remove('hidden');
   }
   
   function updateSettingsView() {
@@ -299,8 +394,17 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (settingsShowAnalysisToggle) settingsShowAnalysisToggle.checked = settings.showAnalysis !== false;
     if (settingsEnableAIToggle) settingsEnableAIToggle.checked = settings.enableAI === true;
     if (settingsAiModelSelect && settings.aiProvider) {
-      const modelValue = settings.aiModel || 'gemini-2.5-flash-lite';
-      settingsAiModelSelect.value = `${settings.aiProvider}:${modelValue}`;
+      if (settings.aiProvider === 'custom') {
+        // Custom endpoints use a free-form model name, so the select holds only the provider
+        settingsAiModelSelect.value = 'custom:';
+        if (settingsCustomBaseUrlInput) settingsCustomBaseUrlInput.value = settings.customBaseUrl || '';
+        if (settingsCustomModelInput) settingsCustomModelInput.value = settings.aiModel || '';
+        if (settingsCustomVisionCheckbox) settingsCustomVisionCheckbox.checked = settings.customSupportsVision === true;
+      } else {
+        const modelValue = settings.aiModel || 'gemini-2.5-flash-lite';
+        settingsAiModelSelect.value = `${settings.aiProvider}:${modelValue}`;
+      }
+      updateCustomEndpointVisibility();
     }
     if (settingsApiKeyInput && (settings.apiKey || settings.encryptedApiKey)) {
       settingsApiKeyInput.value = '••••••••••••';
@@ -318,7 +422,44 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     }
     if (settingsSeniorityLevelSelect) settingsSeniorityLevelSelect.value = settings.seniorityLevel || '';
+    if (settingsWeightPresetSelect) {
+      settingsWeightPresetSelect.value = settings.weightPreset || '';
+      customWeightInputs.forEach(input => {
+        const saved = settings.customWeights?.[input.dataset.section];
+        if (saved !== undefined) input.value = saved;
+      });
+      updateCustomWeightsVisibility();
+    }
+    if (settingsJobMatchToggle) {
+      settingsJobMatchToggle.checked = !!settings.jobMatchEnabled;
+      jobMatchFields?.classList.toggle('hidden', !settings.jobMatchEnabled);
+      capturedJob = settings.jobDescription || null;
+      if (settingsJobDescriptionTextarea) settingsJobDescriptionTextarea.value = capturedJob?.text || '';
+      updateJobDescriptionSource();
+    }
     if (settingsCustomInstructionsTextarea) settingsCustomInstructionsTextarea.value = settings.customInstructions || '';
+    if (settingsBudgetCapInput) settingsBudgetCapInput.value = settings.aiBudgetCap || '';
+    fallbackRows.forEach((row, index) => {
+      const fallback = settings.aiFallbackChain?.[index];
+      row.querySelector('.fallback-model').value = fallback ? `${fallback.provider}:${fallback.model}` : '';
+      updateFallbackKeyField(row);
+    });
+    if (settingsAnalysisStrategySelect) {
+      settingsAnalysisStrategySelect.value = settings.analysisStrategy || 'distributed';
+      lightModelFields?.classList.toggle('hidden', settingsAnalysisStrategySelect.value !== 'tiered');
+    }
+    if (settingsAnalysisConcurrencySelect) settingsAnalysisConcurrencySelect.value = settings.analysisConcurrency ? String(settings.analysisConcurrency) : '';
+    // On unless turned off, so nothing is sent before the user has seen it
+    if (settingsConfirmPromptsCheckbox) settingsConfirmPromptsCheckbox.checked = settings.confirmBeforeAnalysis !== false;
+    const redaction = { ...DEFAULT_REDACTION, ...settings.redaction };
+    redactionCheckboxes.forEach(checkbox => {
+      checkbox.checked = !!redaction[checkbox.dataset.redact];
+    });
+    if (lightModelRow) {
+      const light = settings.aiLightModel;
+      lightModelRow.querySelector('.fallback-model').value = light ? `${light.provider}:${light.model}` : '';
+      updateFallbackKeyField(lightModelRow);
+    }
     
     // Update AI config section visibility
     if (aiConfigSection) {
@@ -330,6 +471,142 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
   
+  // Show the custom endpoint fields only when that provider is selected
+  function updateCustomEndpointVisibility() {
+    const isCustom = settingsAiModelSelect?.value === 'custom:';
+    customEndpointFields?.classList.toggle('hidden', !isCustom);
+    if (settingsApiKeyInput) {
+      settingsApiKeyInput.placeholder = isCustom ? 'API key (optional for local servers)' : 'Enter your API key';
+    }
+  }
+  
+  // Offer the hosted models as fallbacks; the custom endpoint has a single URL and can't be a fallback
+  function populateFallbackSelects() {
+    modelRows.forEach(row => {
+      const select = row.querySelector('.fallback-model');
+      settingsAiModelSelect?.querySelectorAll('optgroup').forEach(group => {
+        const options = [...group.querySelectorAll('option')].filter(option => !option.value.startsWith('custom:'));
+        if (options.length === 0) return;
+        const copy = document.createElement('optgroup');
+        copy.label = group.label;
+        options.forEach(option => copy.appendChild(option.cloneNode(true)));
+        select.appendChild(copy);
+      });
+    });
+  }
+  
+  // Whether an encrypted key is already saved for this provider
+  function hasProviderKey(provider) {
+    return !!settings.encryptedApiKeys?.[provider] || (provider === settings.aiProvider && !!settings.encryptedApiKey);
+  }
+  
+  // Save an encrypted key under its provider so fallbacks can use it
+  async function storeProviderKey(provider, encryptedApiKey) {
+    const { encryptedApiKeys = {} } = await chrome.storage.local.get('encryptedApiKeys');
+    encryptedApiKeys[provider] = encryptedApiKey;
+    await chrome.storage.local.set({ encryptedApiKeys });
+    settings.encryptedApiKeys = encryptedApiKeys;
+  }
+  
+  // Key field is only needed once a fallback model is chosen; mask it when a key is already saved
+  function updateFallbackKeyField(row) {
+    const select = row.querySelector('.fallback-model');
+    const keyInput = row.querySelector('.fallback-key');
+    const [provider] = select.value.split(':');
+    keyInput.classList.toggle('hidden', !select.value);
+    keyInput.value = select.value && hasProviderKey(provider) ? '••••••••••••' : '';
+    clearFieldError(keyInput, row.querySelector('.fallback-error'));
+  }
+  
+  // Test and encrypt a newly entered key for one model row
+  // Returns { provider, model }, {} when no model is chosen, or null after showing an error
+  async function saveModelRow(row) {
+    const select = row.querySelector('.fallback-model');
+    const keyInput = row.querySelector('.fallback-key');
+    const errorElement = row.querySelector('.fallback-error');
+    if (!select.value) return {};
+    
+    const [rowProvider, rowModel] = select.value.split(':');
+    const rowKey = keyInput.value.trim().replace(/[\u200B-\u200D\uFEFF]/g, '');
+    
+    if (rowKey && rowKey !== '••••••••••••') {
+      saveSettingsBtn.textContent = '⟳ Validating...';
+      saveSettingsBtn.disabled = true;
+      
+      const testResponse = await chrome.runtime.sendMessage({
+        action: 'testApiKey',
+        provider: rowProvider,
+        apiKey: rowKey,
+        model: rowModel
+      });
+      if (!testResponse || !testResponse.success) {
+        showFieldError(keyInput, errorElement, testResponse?.error || 'Invalid API key');
+        return null;
+      }
+      
+      const encryptResponse = await chrome.runtime.sendMessage({
+        action: 'encryptApiKey',
+        apiKey: rowKey
+      });
+      if (!encryptResponse || !encryptResponse.success || !encryptResponse.encryptedApiKey) {
+        showFieldError(keyInput, errorElement, 'Failed to save API key securely');
+        return null;
+      }
+      
+      await storeProviderKey(rowProvider, encryptResponse.encryptedApiKey);
+      keyInput.value = '••••••••••••';
+    } else if (!rowKey || !hasProviderKey(rowProvider)) {
+      showFieldError(keyInput, errorElement, 'API key is required');
+      return null;
+    }
+    
+    return { provider: rowProvider, model: rowModel };
+  }
+  
+  // Save every fallback row; returns the ordered chain, or null after showing an error
+  async function saveFallbackChain() {
+    const fallbackChain = [];
+    
+    for (const row of fallbackRows) {
+      const link = await saveModelRow(row);
+      if (!link) return null;
+      if (link.provider) fallbackChain.push(link);
+    }
+    
+    return fallbackChain;
+  }
+  
+  function updateJobDescriptionSource() {
+    if (!jobDescriptionSource) return;
+    const label = [capturedJob?.title, capturedJob?.company].filter(Boolean).join(' at ');
+    jobDescriptionSource.textContent = label;
+    jobDescriptionSource.title = label;
+  }
+  
+  // Show weight editor only for the custom preset
+  function updateCustomWeightsVisibility() {
+    customWeightsFields?.classList.toggle('hidden', settingsWeightPresetSelect?.value !== 'custom');
+  }
+  
+  // Ask for access to the custom endpoint's origin (must run inside the click gesture)
+  async function requestEndpointPermission(baseUrl) {
+    let origin;
+    try {
+      origin = new URL(baseUrl).origin;
+    } catch (error) {
+      return { granted: false, error: 'Enter a valid URL, e.g. http://localhost:11434/v1' };
+    }
+    
+    try {
+      const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+      return granted
+        ? { granted: true }
+        : { granted: false, error: `Permission to reach ${origin} was declined` };
+    } catch (error) {
+      return { granted: false, error: error.message || 'Could not request endpoint permission' };
+    }
+  }
+  
   // Determine which UI to show
   if (!hasCompliance) {
     // Show compliance setup first
@@ -760,6 +1037,42 @@ document.addEventListener('DOMContentLoaded', async () => {
     SettingsManager.updateAndSync({ showAnalysis: e.target.checked });
   });
   
+  settingsWeightPresetSelect?.addEventListener('change', updateCustomWeightsVisibility);
+  
+  settingsJobMatchToggle?.addEventListener('change', (e) => {
+    jobMatchFields?.classList.toggle('hidden', !e.target.checked);
+    if (!e.target.checked) {
+      clearFieldError(settingsJobDescriptionTextarea, document.getElementById('jobDescriptionError'));
+    }
+  });
+  
+  captureJobBtn?.addEventListener('click', async () => {
+    const errorElement = document.getElementById('jobDescriptionError');
+    clearFieldError(settingsJobDescriptionTextarea, errorElement);
+    
+    const [tab] = await chrome.tabs.query({active: true, currentWindow: true});
+    if (!tab?.url?.includes('linkedin.com/jobs/')) {
+      showFieldError(settingsJobDescriptionTextarea, errorElement, 'Open a LinkedIn job posting in this tab first');
+      return;
+    }
+    
+    captureJobBtn.disabled = true;
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'captureJobDescription' });
+      if (!response?.success) {
+        showFieldError(settingsJobDescriptionTextarea, errorElement, response?.error || 'Could not read the job description');
+        return;
+      }
+      capturedJob = response.job;
+      settingsJobDescriptionTextarea.value = capturedJob.text;
+      updateJobDescriptionSource();
+    } catch (error) {
+      showFieldError(settingsJobDescriptionTextarea, errorElement, 'Reload the job page and try again');
+    } finally {
+      captureJobBtn.disabled = false;
+    }
+  });
+  
   settingsTargetRoleSelect?.addEventListener('change', (e) => {
     if (settingsCustomRoleInput) {
       // Show custom role input when "Other" is selected
@@ -777,7 +1090,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       const [tab] = await chrome.tabs.query({active: true, currentWindow: true});
       const profileId = tab?.url?.match(/linkedin\.com\/in\/([^\/]+)/)?.[1];
       if (profileId) {
-        await chrome.storage.local.remove([`cache_${profileId}`]);
+        // Per-section AI results and any interrupted run go too, so the next run re-scores every section
+        await chrome.storage.local.remove([`cache_${profileId}`, `sectionAnalysis_${profileId}`, `analysisRun_${profileId}`]);
         chrome.tabs.sendMessage(tab.id, {action: 'triggerAnalysis'}).catch(() => {});
         await SettingsManager.updateAndSync({});  // Refresh UI
       }
@@ -789,7 +1103,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   settingsClearApiKeyLink?.addEventListener('click', async (e) => {
     e.preventDefault();
     if (await showConfirmDialog('Clear API key? You\'ll need to re-enter it.')) {
-      await chrome.storage.local.remove(['apiKey', 'encryptedApiKey', 'installationId']);
+      await chrome.storage.local.remove(['apiKey', 'encryptedApiKey', 'encryptedApiKeys', 'installationId']);
+      delete settings.encryptedApiKeys;
       settingsApiKeyInput.value = '';
       // Update UI state
       await SettingsManager.updateAndSync({ enableAI: false });
@@ -817,6 +1132,25 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
   
+  // Download section lookup diagnostics as JSON for bug reports
+  settingsExportDiagnosticsLink?.addEventListener('click', async (e) => {
+    e.preventDefault();
+    const { sectionDiagnostics } = await chrome.storage.local.get('sectionDiagnostics');
+    if (!sectionDiagnostics || sectionDiagnostics.length === 0) {
+      e.target.textContent = 'No diagnostics yet';
+      setTimeout(() => e.target.textContent = 'Export Diagnostics', 2000);
+      return;
+    }
+    
+    const blob = new Blob([JSON.stringify(sectionDiagnostics, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `elevateli-diagnostics-${new Date().toISOString().split('T')[0]}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+  
   // Validation helper functions
   function showFieldError(inputElement, errorElement, message) {
     if (inputElement) {
@@ -851,8 +1185,32 @@ document.addEventListener('DOMContentLoaded', async () => {
     clearFieldError(settingsCustomRoleInput, document.getElementById('customRoleError'));
   });
   
+  settingsBudgetCapInput?.addEventListener('input', () => {
+    clearFieldError(settingsBudgetCapInput, document.getElementById('budgetCapError'));
+  });
+  
+  settingsCustomBaseUrlInput?.addEventListener('input', () => {
+    clearFieldError(settingsCustomBaseUrlInput, document.getElementById('customBaseUrlError'));
+  });
+  
+  settingsCustomModelInput?.addEventListener('input', () => {
+    clearFieldError(settingsCustomModelInput, document.getElementById('customModelError'));
+  });
+  
+  modelRows.forEach(row => {
+    row.querySelector('.fallback-model').addEventListener('change', () => updateFallbackKeyField(row));
+    row.querySelector('.fallback-key').addEventListener('input', (e) => {
+      clearFieldError(e.target, row.querySelector('.fallback-error'));
+    });
+  });
+  
+  settingsAnalysisStrategySelect?.addEventListener('change', () => {
+    lightModelFields?.classList.toggle('hidden', settingsAnalysisStrategySelect.value !== 'tiered');
+  });
+  
   settingsAiModelSelect?.addEventListener('change', () => {
     clearFieldError(settingsAiModelSelect, null);
+    updateCustomEndpointVisibility();
 
     // Update cost hint and "Get key" link based on selected model
     const providerModel = settingsAiModelSelect.value;
@@ -864,7 +1222,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       const providerLinks = {
         'openai': 'https://platform.openai.com/api-keys',
         'anthropic': 'https://console.anthropic.com/settings/keys',
-        'gemini': 'https://aistudio.google.com/apikey'
+        'gemini': 'https://aistudio.google.com/apikey',
+        'custom': 'https://github.com/ollama/ollama/blob/main/docs/openai.md'
       };
 
       const modelCosts = {
@@ -880,10 +1239,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         'openai:gpt-5.4': '~$0.05-0.20/analysis',
         'anthropic:claude-haiku-4-5-20251001': '~$0.02-0.05/analysis',
         'anthropic:claude-sonnet-4-6': '~$0.05-0.15/analysis',
-        'anthropic:claude-opus-4-6': '~$0.10-0.30/analysis'
+        'anthropic:claude-opus-4-6': '~$0.10-0.30/analysis',
+        'custom:': 'Free - runs on your own server'
       };
 
-      if (getKeyLink) getKeyLink.href = providerLinks[selectedProvider] || providerLinks['gemini'];
+      if (getKeyLink) {
+        getKeyLink.href = providerLinks[selectedProvider] || providerLinks['gemini'];
+        getKeyLink.textContent = selectedProvider === 'custom' ? 'Setup guide →' : 'Get key →';
+      }
       if (costHint) costHint.textContent = modelCosts[providerModel] || '~$0.02-0.07/analysis';
     }
   });
@@ -895,6 +1258,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     let model = null;
     let apiKey = null;
     let isPlaceholder = false;
+    let customBaseUrl = null;
     
     // Validate if AI is enabled AND visible
     if (settingsEnableAIToggle.checked && !aiConfigSection.classList.contains('hidden')) {
@@ -913,8 +1277,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         hasErrors = true;
       }
       
-      // Check for empty API key if not placeholder
-      if (!isPlaceholder && !apiKey) {
+      // Extract provider and model from combined value
+      if (providerModel) {
+        [provider, model] = providerModel.split(':');
+      }
+      const isCustom = provider === 'custom';
+      
+      // Check for empty API key if not placeholder (optional for self-hosted endpoints)
+      if (!isPlaceholder && !apiKey && !isCustom) {
         showFieldError(settingsApiKeyInput, document.getElementById('apiKeyError'), 'API key is required');
         hasErrors = true;
       }
@@ -924,9 +1294,28 @@ document.addEventListener('DOMContentLoaded', async () => {
         hasErrors = true;
       }
       
-      // Extract provider and model from combined value
-      if (providerModel) {
-        [provider, model] = providerModel.split(':');
+      // Custom endpoints need a URL, a model name and host permission for that origin
+      if (isCustom) {
+        customBaseUrl = settingsCustomBaseUrlInput.value.trim();
+        model = settingsCustomModelInput.value.trim();
+        
+        if (!customBaseUrl) {
+          showFieldError(settingsCustomBaseUrlInput, document.getElementById('customBaseUrlError'), 'Endpoint URL is required');
+          hasErrors = true;
+        }
+        if (!model) {
+          showFieldError(settingsCustomModelInput, document.getElementById('customModelError'), 'Model name is required');
+          hasErrors = true;
+        }
+        if (hasErrors) {
+          return;
+        }
+        
+        const permission = await requestEndpointPermission(customBaseUrl);
+        if (!permission.granted) {
+          showFieldError(settingsCustomBaseUrlInput, document.getElementById('customBaseUrlError'), permission.error);
+          return;
+        }
       }
       
       // Only validate if user entered a new key (not placeholder)
@@ -941,7 +1330,8 @@ document.addEventListener('DOMContentLoaded', async () => {
             action: 'testApiKey',
             provider,
             apiKey,
-            model
+            model,
+            baseUrl: customBaseUrl
           });
           
           if (!testResponse || !testResponse.success) {
@@ -963,7 +1353,8 @@ document.addEventListener('DOMContentLoaded', async () => {
           clearFieldError(settingsApiKeyInput, document.getElementById('apiKeyError'));
           
           // Clear any existing encrypted key first
-          await chrome.storage.local.remove(['encryptedApiKey', 'installationId']);
+          // installationId stays: keys saved for fallback providers are encrypted with it
+          await chrome.storage.local.remove('encryptedApiKey');
           
           const encryptResponse = await chrome.runtime.sendMessage({
             action: 'encryptApiKey',
@@ -976,6 +1367,7 @@ document.addEventListener('DOMContentLoaded', async () => {
               aiProvider: provider,
               aiModel: model || 'gemini-2.5-flash-lite'
             });
+            await storeProviderKey(provider, encryptResponse.encryptedApiKey);
             await chrome.storage.local.remove('apiKey');
           } else {
             throw new Error('Failed to encrypt API key');
@@ -1021,8 +1413,8 @@ document.addEventListener('DOMContentLoaded', async () => {
                 document.getElementById('troubleshoot-encryption')?.addEventListener('click', async (e) => {
                   e.preventDefault();
                   
-                  // Clear installation ID and encrypted key to force reset
-                  await chrome.storage.local.remove(['installationId', 'encryptedApiKey']);
+                  // Clear installation ID and encrypted keys to force reset
+                  await chrome.storage.local.remove(['installationId', 'encryptedApiKey', 'encryptedApiKeys']);
                   
                   statusDiv.textContent = '✓ Encryption settings reset. Please try saving again.';
                   statusDiv.className = 'test-status success';
@@ -1043,6 +1435,41 @@ document.addEventListener('DOMContentLoaded', async () => {
           
           return; // Don't continue with saving
         }
+      } else if (isCustom) {
+        // Keyless or unchanged key: still confirm the endpoint answers before saving
+        if (!isPlaceholder) {
+          await chrome.storage.local.remove(['apiKey', 'encryptedApiKey']);
+          if (settings.encryptedApiKeys?.custom) {
+            delete settings.encryptedApiKeys.custom;
+            await chrome.storage.local.set({ encryptedApiKeys: settings.encryptedApiKeys });
+          }
+          delete settings.apiKey;
+          delete settings.encryptedApiKey;
+        }
+        
+        saveSettingsBtn.textContent = '⟳ Validating...';
+        saveSettingsBtn.disabled = true;
+        
+        const testResponse = await chrome.runtime.sendMessage({
+          action: 'testApiKey',
+          provider,
+          apiKey: null,
+          model,
+          baseUrl: customBaseUrl
+        });
+        
+        saveSettingsBtn.textContent = 'Save Settings';
+        saveSettingsBtn.disabled = false;
+        
+        if (!testResponse || !testResponse.success) {
+          showFieldError(settingsCustomBaseUrlInput, document.getElementById('customBaseUrlError'), testResponse?.error || 'Endpoint test failed');
+          return;
+        }
+        
+        await chrome.storage.local.set({
+          aiProvider: provider,
+          aiModel: model
+        });
       } else if (!isPlaceholder && !apiKey) {
         // User cleared the API key field - use consistent validation
         showFieldError(settingsApiKeyInput, document.getElementById('apiKeyError'), 'API key is required');
@@ -1062,9 +1489,54 @@ document.addEventListener('DOMContentLoaded', async () => {
       enableAI: settingsEnableAIToggle.checked,
       targetRole: settingsTargetRoleSelect.value,
       seniorityLevel: settingsSeniorityLevelSelect.value,
-      customInstructions: settingsCustomInstructionsTextarea.value.trim()
+      customInstructions: settingsCustomInstructionsTextarea.value.trim(),
+      weightPreset: settingsWeightPresetSelect.value
     };
     
+    // Validate job match input
+    settingsToSave.jobMatchEnabled = settingsJobMatchToggle.checked;
+    const jobText = settingsJobDescriptionTextarea.value.trim();
+    if (settingsJobMatchToggle.checked && !jobText) {
+      showFieldError(settingsJobDescriptionTextarea, document.getElementById('jobDescriptionError'), 'Paste a job description or capture one');
+      hasErrors = true;
+    } else if (jobText) {
+      // Pasted text replaces a capture, so drop the captured title/company
+      const isCapturedText = capturedJob?.text === jobText;
+      settingsToSave.jobDescription = isCapturedText ? capturedJob : { text: jobText, title: '', company: '', url: null, capturedAt: Date.now() };
+    } else {
+      settingsToSave.jobDescription = null;
+    }
+    
+    // Validate custom completeness weights
+    if (settingsWeightPresetSelect.value === 'custom') {
+      const customWeights = {};
+      customWeightInputs.forEach(input => {
+        const value = Math.max(0, Number(input.value) || 0);
+        customWeights[input.dataset.section] = value;
+      });
+      if (Object.values(customWeights).every(value => value === 0)) {
+        showFieldError(settingsWeightPresetSelect, document.getElementById('customWeightsError'), 'Give at least one section a weight');
+        hasErrors = true;
+      } else {
+        settingsToSave.customWeights = customWeights;
+      }
+    }
+    
+    if (provider === 'custom') {
+      settingsToSave.customBaseUrl = customBaseUrl;
+      settingsToSave.customSupportsVision = settingsCustomVisionCheckbox.checked;
+    }
+    
+    // Validate monthly budget cap (empty means no cap)
+    const budgetCapValue = settingsBudgetCapInput.value.trim();
+    const budgetCap = budgetCapValue ? Number(budgetCapValue) : 0;
+    if (!Number.isFinite(budgetCap) || budgetCap < 0) {
+      showFieldError(settingsBudgetCapInput, document.getElementById('budgetCapError'), 'Enter an amount of 0 or more');
+      hasErrors = true;
+    } else {
+      settingsToSave.aiBudgetCap = budgetCap;
+    }
+    
     // Validate custom role if "Other" is selected
     if (settingsTargetRoleSelect.value === 'other' || settingsTargetRoleSelect.value === 'Other') {
       const customRole = settingsCustomRoleInput.value.trim();
@@ -1081,6 +1553,39 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
     
+    // Fallback models are tried in order when the primary is rate limited, overloaded or times out
+    if (settingsEnableAIToggle.checked) {
+      const fallbackChain = await saveFallbackChain();
+      if (!fallbackChain) {
+        saveSettingsBtn.textContent = 'Save Settings';
+        saveSettingsBtn.disabled = false;
+        return;
+      }
+      settingsToSave.aiFallbackChain = fallbackChain;
+      
+      // Tiered routing sends the headline section to a cheaper model
+      settingsToSave.analysisStrategy = settingsAnalysisStrategySelect?.value || 'distributed';
+      // Empty means the provider's default number of parallel section requests
+      settingsToSave.analysisConcurrency = Number(settingsAnalysisConcurrencySelect?.value) || null;
+      settingsToSave.confirmBeforeAnalysis = settingsConfirmPromptsCheckbox ? settingsConfirmPromptsCheckbox.checked : true;
+      if (redactionCheckboxes.length > 0) {
+        settingsToSave.redaction = {};
+        redactionCheckboxes.forEach(checkbox => {
+          settingsToSave.redaction[checkbox.dataset.redact] = checkbox.checked;
+        });
+      }
+      let lightModel = null;
+      if (settingsToSave.analysisStrategy === 'tiered' && lightModelRow) {
+        lightModel = await saveModelRow(lightModelRow);
+        if (!lightModel) {
+          saveSettingsBtn.textContent = 'Save Settings';
+          saveSettingsBtn.disabled = false;
+          return;
+        }
+      }
+      settingsToSave.aiLightModel = lightModel?.provider ? lightModel : null;
+    }
+    
     await chrome.storage.local.set(settingsToSave);
     
     // Update settings object with saved values
@@ -1091,6 +1596,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       settings.encryptedApiKey = true; // Mark that we have an encrypted key
       settings.aiProvider = provider;
       settings.aiModel = model || 'gemini-2.5-flash-lite';
+    } else if (settingsEnableAIToggle.checked && provider === 'custom') {
+      settings.aiProvider = provider;
+      settings.aiModel = model;
     }
     
     await SettingsManager.updateAndSync(settings);  // Pass full settings
@@ -1098,6 +1606,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Clear all validation errors on successful save
     clearFieldError(settingsApiKeyInput, document.getElementById('apiKeyError'));
     clearFieldError(settingsCustomRoleInput, document.getElementById('customRoleError'));
+    clearFieldError(settingsWeightPresetSelect, document.getElementById('customWeightsError'));
+    clearFieldError(settingsJobDescriptionTextarea, document.getElementById('jobDescriptionError'));
     clearFieldError(settingsAiModelSelect, null);
     
     // Hide any status messages
@@ -1310,4 +1820,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
   
+  // Every request sent to an AI provider, recorded locally by the service worker
+  const auditLogLink = document.getElementById('audit-log-link');
+  if (auditLogLink) {
+    auditLogLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      const url = auditLogLink.getAttribute('data-url');
+      chrome.tabs.create({ url: chrome.runtime.getURL(url) });
+    });
+  }
+  
 });
\ No newline at end of file
@@ -0,0 +1,53 @@
+/**
+ * Analyzer tests
+ * Covers the profile context shared by every section prompt
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProfile, runExtractors, plain } = require('./helpers/harness');
+
+describe('Analyzer.buildProfileContext', () => {
+  let profile;
+
+  afterEach(() => profile?.close());
+
+  it('carries the roles and full About text read by deep extraction', async () => {
+    profile = loadProfile('own-profile.html');
+    const context = new profile.Analyzer().buildProfileContext(await runExtractors(profile));
+
+    assert.equal(context.currentRole, 'Senior Product Manager at Acme Cloud');
+    assert.deepEqual(plain(context.recentCompanies), ['Acme Cloud', 'Initech']);
+    assert.deepEqual(plain(context.roles.map(role => role.title)), ['Senior Product Manager', 'Product Manager']);
+    assert.match(context.roles[0].description, /usage-based pricing/);
+    assert.equal(context.about.length, 525);
+  });
+});
+
+describe('Analyzer.isPromptPrefixCacheable', () => {
+  let profile;
+
+  afterEach(() => profile?.close());
+
+  it('asks the service worker about the run\'s profile context', async () => {
+    profile = loadProfile('own-profile.html', {
+      chrome: { onMessage: message => (message.action === 'checkPromptCache' ? { success: true, cacheable: true } : undefined) }
+    });
+    const analyzer = new profile.Analyzer();
+    analyzer.settings = { targetRole: 'Product Manager' };
+    analyzer.profileContext = { currentRole: 'Senior Product Manager at Acme Cloud' };
+
+    assert.equal(await analyzer.isPromptPrefixCacheable(), true);
+    assert.deepEqual(plain(profile.chrome.sentMessages), [{
+      action: 'checkPromptCache',
+      settings: { targetRole: 'Product Manager' },
+      profileContext: { currentRole: 'Senior Product Manager at Acme Cloud' }
+    }]);
+  });
+
+  it('treats a missing answer as not cacheable', async () => {
+    profile = loadProfile('own-profile.html');
+
+    assert.equal(await new profile.Analyzer().isPromptPrefixCacheable(), false);
+  });
+});
\ No newline at end of file
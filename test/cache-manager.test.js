@@ -0,0 +1,64 @@
+/**
+ * Cache freshness tests
+ * Extracts a saved profile, caches it, edits the page and checks which
+ * sections CacheManager reports as changed
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProfile, runExtractors, plain } = require('./helpers/harness');
+
+const PROFILE_ID = 'jane-doe';
+const SETTINGS = { targetRole: 'product-manager', seniorityLevel: 'senior' };
+
+describe('CacheManager section hashes', () => {
+  let profile;
+  let cacheManager;
+
+  beforeEach(async () => {
+    profile = loadProfile('own-profile.html');
+    cacheManager = new profile.CacheManager();
+    const extractedData = await runExtractors(profile);
+    await cacheManager.save(PROFILE_ID, { contentScore: 8 }, extractedData, SETTINGS);
+  });
+
+  afterEach(() => profile.close());
+
+  const changedSections = async () => {
+    const cachedData = await cacheManager.get(PROFILE_ID);
+    const extractedData = await runExtractors(profile);
+    return plain(cacheManager.getChangedSections(cachedData, extractedData, SETTINGS));
+  };
+
+  // Replace the visible text of the first aria-hidden span containing `from`
+  const editText = (from, to) => {
+    const span = Array.from(profile.document.querySelectorAll('span[aria-hidden="true"]'))
+      .find(element => element.textContent.includes(from));
+    span.textContent = span.textContent.replace(from, to);
+  };
+
+  it('reports nothing when the page is unchanged', async () => {
+    assert.deepEqual(await changedSections(), []);
+  });
+
+  it('hashes each experience role', async () => {
+    const cachedData = await cacheManager.get(PROFILE_ID);
+    assert.notEqual(cachedData.sectionHashes.experience, cacheManager.hashString(''));
+    assert.equal(cachedData.extractedData.experience.experiences.length, 2);
+  });
+
+  it('reports experience when a role\'s company changes', async () => {
+    editText('Initech', 'Globex');
+    assert.deepEqual(await changedSections(), ['experience']);
+  });
+
+  it('reports experience when a role\'s title changes', async () => {
+    editText('Senior Product Manager', 'Director of Product');
+    assert.deepEqual(await changedSections(), ['experience']);
+  });
+
+  it('reports About when text past the first 500 characters changes', async () => {
+    editText('about pricing strategy.', 'about pricing and packaging.');
+    assert.deepEqual(await changedSections(), ['about']);
+  });
+});
@@ -0,0 +1,306 @@
+/**
+ * Extractor tests
+ * Runs each extractor's scan/extract/extractDeep against saved profile pages
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProfile, plain } = require('./helpers/harness');
+
+const RECOMMENDATIONS_PAGE = '/in/jane-doe/details/recommendations/';
+
+describe('own profile', () => {
+  let profile;
+
+  afterEach(() => profile?.close());
+
+  const load = () => {
+    profile = loadProfile('own-profile.html', {
+      pages: { [RECOMMENDATIONS_PAGE]: 'details-recommendations.html' }
+    });
+    return profile;
+  };
+
+  it('detects ownership from the edit controls', () => {
+    const { OwnershipDetector } = load();
+    assert.equal(OwnershipDetector.hasOwnershipIndicators(), true);
+  });
+
+  it('reads the photo and a custom banner', async () => {
+    const { PhotoExtractor, BannerExtractor } = load();
+
+    const photo = await PhotoExtractor.extract();
+    assert.equal(photo.hasPhoto, true);
+    assert.equal(photo.photoUrl, 'https://media.licdn.com/dms/image/photo-jane.jpg');
+
+    const banner = await BannerExtractor.extract();
+    assert.equal(banner.isCustomBanner, true);
+    assert.equal(banner.bannerUrl, 'https://media.licdn.com/dms/image/banner-jane.jpg');
+  });
+
+  it('extracts the headline', async () => {
+    const { HeadlineExtractor } = load();
+
+    const scan = await HeadlineExtractor.scan();
+    assert.equal(scan.exists, true);
+    assert.equal(scan.selector, '.text-body-medium[data-generated-suggestion-target]');
+
+    const basic = await HeadlineExtractor.extract();
+    assert.equal(basic.text, 'Senior Product Manager | Building B2B SaaS platforms that scale | Data-driven roadmaps, pricing and growth');
+    assert.equal(basic.charCount, 106);
+    assert.equal(basic.hasPipe, true);
+
+    const deep = await HeadlineExtractor.extractDeep();
+    assert.equal(deep.parts.title, 'Senior Product Manager');
+    assert.equal(deep.parts.value, 'Building B2B SaaS platforms that scale');
+    assert.ok(deep.keywords.includes('pricing'));
+  });
+
+  it('extracts the About text, truncating it for scoring', async () => {
+    const { AboutExtractor } = load();
+
+    const scan = await AboutExtractor.scan();
+    assert.equal(scan.exists, true);
+
+    const basic = await AboutExtractor.extract();
+    assert.equal(basic.charCount, 525);
+    assert.equal(basic.text.length, 500);
+
+    const deep = await AboutExtractor.extractDeep();
+    assert.equal(deep.text.length, 525);
+    assert.match(deep.text, /write about pricing strategy\.$/);
+  });
+
+  it('counts experience from the "Show all" link and reads visible roles', async () => {
+    const { ExperienceExtractor } = load();
+
+    const scan = await ExperienceExtractor.scan();
+    assert.equal(scan.visibleCount, 2);
+    assert.equal(scan.totalCount, 3);
+    assert.equal(scan.showAllUrl, 'https://www.linkedin.com/in/jane-doe/details/experience/');
+
+    const basic = await ExperienceExtractor.extract();
+    assert.equal(basic.count, 3);
+    assert.equal(basic.hasCurrentRole, true);
+    assert.equal(basic.totalMonths, 97);
+
+    const deep = await ExperienceExtractor.extractDeep();
+    assert.deepEqual(
+      plain(deep.experiences.map(role => [role.title, role.company, role.employment.isCurrent])),
+      [['Senior Product Manager', 'Acme Cloud', true], ['Product Manager', 'Initech', false]]
+    );
+    assert.equal(deep.rolesWithDescriptions, 2);
+    assert.equal(deep.careerProgression, 'upward');
+  });
+
+  it('counts skills from the "Show all" link and reads endorsements', async () => {
+    const { SkillsExtractor } = load();
+
+    const scan = await SkillsExtractor.scan();
+    assert.equal(scan.visibleCount, 3);
+    assert.equal(scan.totalCount, 12);
+    assert.equal(scan.hasMore, true);
+
+    const basic = await SkillsExtractor.extract();
+    assert.equal(basic.count, 12);
+    assert.equal(basic.hasMoreSkills, true);
+    assert.deepEqual(
+      plain(basic.skills.map(skill => [skill.name, skill.endorsementCount])),
+      [['Product Management', 24], ['Pricing Strategy', 12], ['SQL', 0]]
+    );
+
+    const deep = await SkillsExtractor.extractDeep();
+    assert.equal(deep.totalEndorsements, 36);
+    assert.deepEqual(plain(deep.top3Skills.map(skill => skill.visibilityTier)), ['top3', 'top3', 'top3']);
+  });
+
+  it('extracts education with dates', async () => {
+    const { EducationExtractor } = load();
+
+    const basic = await EducationExtractor.extract();
+    assert.deepEqual(plain(basic.schools), [{
+      school: 'University of Texas at Austin',
+      degree: 'Bachelor of Science',
+      field: 'Computer Science'
+    }]);
+    assert.equal(basic.highestDegree, 'bachelor');
+
+    const deep = await EducationExtractor.extractDeep();
+    assert.equal(deep.education[0].startDate, '2008');
+    assert.equal(deep.education[0].endDate, '2012');
+    assert.equal(deep.totalYears, 4);
+  });
+
+  it('fetches the "Show all" page when recommendations are hidden', async () => {
+    const { RecommendationsExtractor, fetched } = load();
+
+    const scan = await RecommendationsExtractor.scan();
+    assert.equal(scan.receivedCount, 2);
+
+    const basic = await RecommendationsExtractor.extract();
+    assert.equal(basic.receivedCount, 2);
+    assert.deepEqual(fetched, []);
+
+    const deep = await RecommendationsExtractor.extractDeep();
+    assert.deepEqual(fetched, [RECOMMENDATIONS_PAGE]);
+    assert.deepEqual(plain(deep.received.map(rec => rec.recommenderName)), ['John Smith', 'Maria Garcia']);
+    assert.equal(deep.mostRecentDate, 'March 1, 2023');
+  });
+
+  it('extracts certifications with expiry', async () => {
+    const { CertificationsExtractor } = load();
+
+    const basic = await CertificationsExtractor.extract();
+    assert.equal(basic.count, 2);
+    assert.equal(basic.hasActiveCertifications, true);
+    assert.equal(basic.hasTechCertifications, true);
+
+    const deep = await CertificationsExtractor.extractDeep();
+    assert.deepEqual(
+      plain(deep.certifications.map(cert => [cert.name, cert.issueDate, cert.expired])),
+      [['AWS Certified Cloud Practitioner', 'Mar 2023', false], ['Certified Scrum Product Owner', 'Jan 2018', true]]
+    );
+    assert.equal(deep.certifications[0].credentialUrl, 'https://www.credly.com/badges/credential-123');
+  });
+
+  it('extracts projects and featured items', async () => {
+    const { ProjectsExtractor, FeaturedExtractor } = load();
+
+    const projects = await ProjectsExtractor.extractDeep();
+    assert.equal(projects.count, 1);
+    assert.equal(projects.projects[0].name, 'Pricing experimentation platform');
+    assert.equal(projects.projects[0].date, 'Feb 2023 - Present');
+
+    const featured = await FeaturedExtractor.extractDeep();
+    assert.equal(featured.count, 2);
+    assert.deepEqual(plain(featured.itemTypes), { article: 1, post: 1 });
+  });
+
+  it('records which strategy found each section and saves diagnostics', async () => {
+    const { SkillsExtractor, EducationExtractor, SectionDiagnostics, chrome } = load();
+
+    await SkillsExtractor.scan();
+    await EducationExtractor.scan();
+    assert.equal(SectionDiagnostics.sections.skills.strategy, 'skills-anchor');
+    assert.equal(SectionDiagnostics.sections.education.strategy, 'anchor');
+
+    await SectionDiagnostics.save({ isOwn: true });
+    const [run] = chrome.storageData.sectionDiagnostics;
+    assert.equal(run.isOwnProfile, true);
+    assert.equal(run.version, '1.0.0');
+    assert.equal(run.sections.skills.status, 'found');
+  });
+});
+
+describe('other profile', () => {
+  let profile;
+
+  afterEach(() => profile?.close());
+
+  const load = () => {
+    profile = loadProfile('other-profile.html', { url: 'https://www.linkedin.com/in/sam-lee/' });
+    return profile;
+  };
+
+  it('has no ownership indicators', () => {
+    const { OwnershipDetector } = load();
+    assert.equal(OwnershipDetector.hasOwnershipIndicators(), false);
+  });
+
+  it('treats LinkedIn\'s default banner as not custom', async () => {
+    const { BannerExtractor } = load();
+
+    const banner = await BannerExtractor.extract();
+    assert.equal(banner.exists, true);
+    assert.equal(banner.isCustomBanner, false);
+    assert.equal(banner.bannerUrl, null);
+  });
+
+  it('reads visible sections without a "Show all" link', async () => {
+    const { ExperienceExtractor, SkillsExtractor } = load();
+
+    const experience = await ExperienceExtractor.extract();
+    assert.equal(experience.count, 1);
+    assert.equal(experience.hasMoreItems, false);
+    assert.equal(experience.showAllUrl, null);
+
+    const skills = await SkillsExtractor.extractDeep();
+    assert.equal(skills.count, 2);
+    assert.equal(skills.hasMoreSkills, false);
+    assert.deepEqual(plain(skills.skills.map(skill => skill.name)), ['JavaScript', 'React']);
+  });
+
+  it('reports missing sections as absent', async () => {
+    const { AboutExtractor, RecommendationsExtractor, SectionDiagnostics, fetched } = load();
+
+    assert.deepEqual(plain(await AboutExtractor.extractDeep()), {
+      exists: false,
+      charCount: 0,
+      text: '',
+      hasShowMore: false
+    });
+    assert.equal(SectionDiagnostics.sections.about.status, 'absent');
+
+    const recommendations = await RecommendationsExtractor.extractDeep();
+    assert.equal(recommendations.exists, false);
+    assert.equal(recommendations.count, 0);
+    assert.deepEqual(fetched, []);
+  });
+});
+
+describe('empty sections', () => {
+  let profile;
+
+  afterEach(() => profile?.close());
+
+  const load = () => {
+    profile = loadProfile('empty-sections.html', { url: 'https://www.linkedin.com/in/alex-kim/' });
+    return profile;
+  };
+
+  it('finds no photo, banner or headline', async () => {
+    const { PhotoExtractor, BannerExtractor, HeadlineExtractor } = load();
+
+    assert.equal((await PhotoExtractor.extract()).hasPhoto, false);
+    assert.equal((await BannerExtractor.extract()).exists, false);
+    assert.deepEqual(plain(await HeadlineExtractor.extractDeep()), { exists: false, charCount: 0, text: '' });
+  });
+
+  it('treats a section card with no entries as empty', async () => {
+    const { ExperienceExtractor, SkillsExtractor } = load();
+
+    const experience = await ExperienceExtractor.extractDeep();
+    assert.equal(experience.exists, false);
+    assert.equal(experience.count, 0);
+
+    const skills = await SkillsExtractor.extractDeep();
+    assert.equal(skills.count, 0);
+    assert.deepEqual(plain(skills.skills), []);
+  });
+});
+
+describe('BaseExtractor.captureImage', () => {
+  let profile;
+
+  afterEach(() => profile?.close());
+
+  it('asks the service worker for the image', async () => {
+    const image = { success: true, dataUrl: 'data:image/jpeg;base64,AAAA', width: 400, height: 400 };
+    profile = loadProfile('own-profile.html', {
+      chrome: { onMessage: message => (message.action === 'captureImage' ? image : undefined) }
+    });
+    const { BaseExtractor, chrome } = profile;
+
+    const url = 'https://media.licdn.com/dms/image/photo-jane.jpg';
+    assert.deepEqual(plain(await BaseExtractor.captureImage(url)), image);
+    assert.deepEqual(plain(chrome.sentMessages), [{ action: 'captureImage', url }]);
+  });
+
+  it('resolves null when the capture fails', async () => {
+    profile = loadProfile('own-profile.html', {
+      chrome: { onMessage: () => ({ success: false, error: 'Fetch failed' }) }
+    });
+
+    assert.equal(await profile.BaseExtractor.captureImage('https://media.licdn.com/dms/image/x.jpg'), null);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Chrome API mock for ElevateLI tests
+ * Covers the chrome.storage and chrome.runtime calls the content modules make,
+ * supporting both the callback and promise forms
+ */
+
+/**
+ * Create a fresh chrome.* mock
+ * @param {Object} options
+ * @param {Object} options.storage - Initial chrome.storage.local contents
+ * @param {Function} options.onMessage - (message) => response for chrome.runtime.sendMessage
+ * @returns {Object} chrome mock with `storageData` and `sentMessages` for assertions
+ */
+function createChromeMock({ storage = {}, onMessage = () => undefined } = {}) {
+  const storageData = { ...storage };
+  const sentMessages = [];
+
+  const pick = (keys) => {
+    if (keys === null || keys === undefined) return { ...storageData };
+    const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+    const result = {};
+    for (const key of list) {
+      if (key in storageData) {
+        result[key] = storageData[key];
+      } else if (keys && typeof keys === 'object' && !Array.isArray(keys)) {
+        result[key] = keys[key];
+      }
+    }
+    return result;
+  };
+
+  // Resolve the promise form, or call back on the next tick like Chrome does
+  const respond = (value, callback) => {
+    if (typeof callback === 'function') {
+      setTimeout(() => callback(value), 0);
+      return undefined;
+    }
+    return Promise.resolve(value);
+  };
+
+  const chrome = {
+    storageData,
+    sentMessages,
+
+    storage: {
+      local: {
+        get(keys, callback) {
+          return respond(pick(keys), callback);
+        },
+        set(items, callback) {
+          Object.assign(storageData, items);
+          return respond(undefined, callback);
+        },
+        remove(keys, callback) {
+          for (const key of [].concat(keys)) delete storageData[key];
+          return respond(undefined, callback);
+        }
+      }
+    },
+
+    runtime: {
+      id: 'elevateli-test',
+      lastError: undefined,
+      getManifest() {
+        return { version: '1.0.0' };
+      },
+      sendMessage(message, callback) {
+        sentMessages.push(message);
+        const response = Promise.resolve().then(() => onMessage(message));
+        if (typeof callback === 'function') {
+          response.then(value => callback(value));
+          return undefined;
+        }
+        return response;
+      },
+      onMessage: {
+        addListener() {},
+        removeListener() {}
+      }
+    }
+  };
+
+  return chrome;
+}
+
+module.exports = { createChromeMock };
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * jsdom harness for ElevateLI content modules
+ * Loads a saved profile page into jsdom and evaluates the extractor, scoring and
+ * analyzer modules against it, the same way build concatenates them into analyzer.js
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { createChromeMock } = require('./chrome-mock');
+
+const MODULES_DIR = path.join(__dirname, '../../src/content/modules');
+const FIXTURES_DIR = path.join(__dirname, '../fixtures');
+
+// Content modules under test, in analyzer.js concatenation order
+const MODULES = [
+  'constants.js',
+  'chromeUtils.js',
+  'ownership-detector.js',
+  'core/logger.js',
+  'core/smart-logger.js',
+  'core/cache-manager.js',
+  'core/section-diagnostics.js',
+  'extractors/base-extractor.js',
+  'extractors/photo.js',
+  'extractors/banner.js',
+  'extractors/headline.js',
+  'extractors/about.js',
+  'extractors/experience.js',
+  'extractors/skills.js',
+  'extractors/education.js',
+  'extractors/recommendations.js',
+  'extractors/certifications.js',
+  'extractors/projects.js',
+  'extractors/featured.js',
+  'scoring/completeness-scorer.js',
+  'scoring/quality-scorer.js',
+  'analyzer-base.js'
+];
+
+// Globals handed back to the tests
+const EXPORTS = [
+  'OwnershipDetector',
+  'CacheManager',
+  'SectionDiagnostics',
+  'BaseExtractor',
+  'PhotoExtractor',
+  'BannerExtractor',
+  'HeadlineExtractor',
+  'AboutExtractor',
+  'ExperienceExtractor',
+  'SkillsExtractor',
+  'EducationExtractor',
+  'RecommendationsExtractor',
+  'CertificationsExtractor',
+  'ProjectsExtractor',
+  'FeaturedExtractor',
+  'ProfileCompletenessCalculator',
+  'QualityScorer',
+  'Analyzer'
+];
+
+let moduleSource = null;
+
+/**
+ * Concatenate the modules once, like the build does for analyzer.js
+ */
+function getModuleSource() {
+  if (!moduleSource) {
+    moduleSource = MODULES
+      .map(file => fs.readFileSync(path.join(MODULES_DIR, file), 'utf8').replace(/^export (default )?/gm, ''))
+      .join('\n;\n');
+  }
+  return moduleSource;
+}
+
+/**
+ * Read a saved page from test/fixtures
+ * @param {string} name - Fixture file name
+ * @returns {string} HTML
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+/**
+ * Load a profile fixture and evaluate the content modules against it
+ * @param {string} fixture - Fixture file name
+ * @param {Object} options
+ * @param {string} options.url - Page URL
+ * @param {Object} options.pages - Path -> fixture name served to fetch() ("Show all" pages)
+ * @param {Object} options.chrome - Options for createChromeMock
+ * @returns {Object} { window, document, chrome, fetched, ...module globals }
+ */
+function loadProfile(fixture, { url = 'https://www.linkedin.com/in/jane-doe/', pages = {}, chrome: chromeOptions } = {}) {
+  const dom = new JSDOM(readFixture(fixture), {
+    url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole()
+  });
+  const { window } = dom;
+  const chrome = createChromeMock(chromeOptions);
+  const fetched = [];
+
+  window.chrome = chrome;
+  window.fetch = async (requestUrl) => {
+    const { pathname } = new URL(requestUrl, window.location.href);
+    fetched.push(pathname);
+    const page = pages[pathname];
+    return {
+      ok: !!page,
+      status: page ? 200 : 404,
+      text: async () => (page ? readFixture(page) : '')
+    };
+  };
+
+  const globals = window.eval(`${getModuleSource()}\n;({ ${EXPORTS.join(', ')} })`);
+
+  return {
+    window,
+    document: window.document,
+    chrome,
+    fetched,
+    ...globals,
+    close: () => window.close()
+  };
+}
+
+/**
+ * Run every section extractor through Analyzer.runExtractors, without the overlay
+ * @param {Object} profile - Result of loadProfile
+ * @returns {Promise<Object>} Section name -> extracted data
+ */
+function runExtractors(profile) {
+  return new profile.Analyzer().runExtractors({ quiet: true });
+}
+
+/**
+ * Copy a value out of the jsdom realm
+ * Objects built by the modules have the window's prototypes, which
+ * assert.deepStrictEqual treats as different from Node's
+ * @param {*} value - JSON-safe value
+ * @returns {*} Equivalent plain value
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadProfile, readFixture, runExtractors, plain };
\ No newline at end of file
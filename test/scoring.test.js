@@ -0,0 +1,147 @@
+/**
+ * Scoring tests
+ * Feeds extractor output from saved profile pages through
+ * ProfileCompletenessCalculator and QualityScorer
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProfile, runExtractors, plain } = require('./helpers/harness');
+
+// Shape of a parsed AI response, as returned by the service worker
+const AI_RESPONSE = {
+  sectionScores: { headline: 8, about: '7.5', experience: 9, skills: 12, education: 7, photo: 10 },
+  recommendations: { critical: ['Quantify the impact of the Initech onboarding work'] },
+  insights: { strengths: 'Clear pricing expertise' }
+};
+
+describe('ProfileCompletenessCalculator', () => {
+  let profile;
+
+  afterEach(() => profile?.close());
+
+  it('scores a complete own profile', async () => {
+    profile = loadProfile('own-profile.html');
+    const sectionData = await runExtractors(profile);
+
+    const result = new profile.ProfileCompletenessCalculator().calculate(sectionData);
+    assert.equal(result.score, 81);
+    assert.equal(result.preset, 'default');
+    assert.equal(result.totalPoints, 100);
+    assert.deepEqual(plain(result.unreadableSections), []);
+    assert.equal(result.breakdown.photo.passed, true);
+    assert.equal(result.breakdown.recommendations.passed, true);
+    assert.deepEqual(
+      plain(result.recommendations.map(rec => rec.section)),
+      ['about', 'headline', 'experience']
+    );
+  });
+
+  it('weights sections by the target role preset', async () => {
+    profile = loadProfile('own-profile.html');
+    const sectionData = await runExtractors(profile);
+
+    const calculator = new profile.ProfileCompletenessCalculator({ targetRole: 'product-manager' });
+    const result = calculator.calculate(sectionData);
+    assert.equal(result.preset, 'product-manager');
+    assert.equal(result.breakdown.featured.weight, 3);
+    assert.equal(result.breakdown.featured.passed, true);
+  });
+
+  it('asks for missing sections on another member\'s sparse profile', async () => {
+    profile = loadProfile('other-profile.html', { url: 'https://www.linkedin.com/in/sam-lee/' });
+    const sectionData = await runExtractors(profile);
+
+    const result = new profile.ProfileCompletenessCalculator().calculate(sectionData);
+    assert.equal(result.score, 31);
+    assert.equal(result.breakdown.about.earned, 0);
+    assert.ok(result.recommendations.some(rec => rec.message === 'Add an About section'));
+    assert.ok(result.recommendations.some(rec => rec.message === 'Request at least one recommendation'));
+  });
+
+  it('scores an empty profile as zero', async () => {
+    profile = loadProfile('empty-sections.html', { url: 'https://www.linkedin.com/in/alex-kim/' });
+    const sectionData = await runExtractors(profile);
+
+    const result = new profile.ProfileCompletenessCalculator().calculate(sectionData);
+    assert.equal(result.score, 0);
+    assert.equal(result.isOptimized, false);
+    assert.ok(result.recommendations.some(rec => rec.message === 'Add a professional headline'));
+  });
+
+  it('leaves unreadable sections out of the total', async () => {
+    profile = loadProfile('own-profile.html');
+    const sectionData = await runExtractors(profile);
+    sectionData.about = { exists: false, unreadable: true };
+
+    const result = new profile.ProfileCompletenessCalculator().calculate(sectionData);
+    assert.deepEqual(plain(result.unreadableSections), ['about']);
+    assert.equal(result.totalPoints, 80);
+    assert.equal(result.breakdown.about.unreadable, true);
+  });
+});
+
+describe('QualityScorer', () => {
+  let profile;
+
+  afterEach(() => profile?.close());
+
+  it('prepares extracted sections and completeness gaps for the AI', async () => {
+    profile = loadProfile('own-profile.html');
+    const sectionData = await runExtractors(profile);
+    const completeness = new profile.ProfileCompletenessCalculator().calculate(sectionData);
+
+    const prepared = profile.QualityScorer.prepareForAI(sectionData, { targetRole: 'Product Manager' }, completeness);
+    assert.equal(prepared.targetRole, 'Product Manager');
+    assert.equal(prepared.seniorityLevel, 'mid-level');
+    assert.equal(prepared.completenessScore, 81);
+    assert.deepEqual(
+      plain(prepared.missingElements),
+      plain(completeness.recommendations.map(rec => rec.message))
+    );
+    assert.deepEqual(
+      Object.keys(prepared.sections),
+      ['headline', 'about', 'experience', 'skills', 'education', 'other']
+    );
+    assert.equal(prepared.sections.headline.charCount, 106);
+  });
+
+  it('clamps section scores and weights them into a content score', async () => {
+    profile = loadProfile('own-profile.html');
+    const sectionData = await runExtractors(profile);
+
+    const result = profile.QualityScorer.processAIResponse(AI_RESPONSE, sectionData);
+    assert.equal(result.sectionScores.skills, 10);
+    assert.equal(result.sectionScores.about, 7.5);
+    assert.equal(result.scoreCap, 10);
+    assert.equal(result.contentScore, 8.5);
+    assert.deepEqual(
+      plain(result.recommendations.critical),
+      ['Quantify the impact of the Initech onboarding work']
+    );
+  });
+
+  it('caps the content score when critical sections are missing', async () => {
+    profile = loadProfile('other-profile.html', { url: 'https://www.linkedin.com/in/sam-lee/' });
+    const sectionData = await runExtractors(profile);
+
+    const result = profile.QualityScorer.processAIResponse(AI_RESPONSE, sectionData);
+    assert.equal(result.scoreCap, 7);
+    assert.equal(result.contentScore, 7);
+  });
+
+  it('falls back and logs the error when the response is unusable', async () => {
+    profile = loadProfile('own-profile.html');
+    const { QualityScorer, chrome } = profile;
+
+    const result = QualityScorer.processAIResponse(null, {});
+    assert.equal(result.error, 'Failed to process AI response');
+    assert.equal(result.contentScore, 5);
+
+    // Logger writes to chrome.storage asynchronously
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const [entry] = chrome.storageData.elevateli_errors;
+    assert.equal(entry.message, '[QualityScorer] Error processing AI response:');
+    assert.equal(entry.url, 'https://www.linkedin.com/in/jane-doe/');
+  });
+});
\ No newline at end of file